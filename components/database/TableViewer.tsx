@@ -1,8 +1,9 @@
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Table, List, Settings, Search, RefreshCw, Plus, Trash2, Edit2, Key, X, Save, Network, Link, ArrowRight, LayoutTemplate, MoreHorizontal, ZoomIn, ZoomOut, Move, Maximize, Fingerprint, Type, Loader2 } from 'lucide-react';
+import { Table, List, Settings, Search, RefreshCw, Plus, Trash2, Edit2, Key, X, Save, Network, Link, ArrowRight, LayoutTemplate, MoreHorizontal, ZoomIn, ZoomOut, Move, Maximize, Fingerprint, Type, Loader2, ChevronLeft, ChevronRight, ChevronUp, ChevronDown, ArrowUpDown } from 'lucide-react';
 import { Database as DatabaseIcon } from 'lucide-react';
 import { api } from '../../services/api';
+import { SchemaRelationship, TableQuery, TablePagination } from '../../services/api/modules/sites';
 
 interface ColumnDef {
     name: string;
@@ -23,7 +24,10 @@ interface TableViewState {
 interface TableViewerProps {
     siteId: string | null;
     viewingTable: TableViewState;
-    data: { columns: ColumnDef[]; data: any[] };
+    data: { columns: ColumnDef[]; data: any[]; pagination?: TablePagination };
+    // Paging, sorting and filtering of BROWSE mode happen on the server
+    query: TableQuery;
+    onQueryChange: (query: TableQuery) => void;
     onClose: () => void;
     onSave: (formData: any, targetIndex: number | null) => void;
     onDelete: (ids: (number | string)[]) => void;
@@ -42,8 +46,12 @@ interface DiagramNode {
     columns: Partial<ColumnDef>[];
 }
 
-export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable, data, onClose, onSave, onDelete, onRefresh, switchMode }) => {
+const PAGE_SIZES = [50, 100, 250, 500];
+
+export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable, data, query, onQueryChange, onClose, onSave, onDelete, onRefresh, switchMode }) => {
     const [selectedIds, setSelectedIds] = useState<(number | string)[]>([]);
+    const [searchColumn, setSearchColumn] = useState('');
+    const [searchText, setSearchText] = useState('');
     const [isEditingItem, setIsEditingItem] = useState(false);
     const [editTargetIndex, setEditTargetIndex] = useState<number | null>(null);
     const [formData, setFormData] = useState<any>({});
@@ -59,6 +67,7 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
     const [draggingNodeId, setDraggingNodeId] = useState<string | null>(null);
     const [loadingSchema, setLoadingSchema] = useState(false);
     const [fullSchema, setFullSchema] = useState<any[]>([]);
+    const [relationships, setRelationships] = useState<SchemaRelationship[]>([]);
 
     // Calculate node height based on columns
     const calculateNodeHeight = (columnCount: number) => {
@@ -80,7 +89,8 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
                 setLoadingSchema(true);
                 try {
                     const schema = await api.database.getSchema(siteId);
-                    setFullSchema(schema);
+                    setFullSchema(schema.tables);
+                    setRelationships(schema.relationships);
                 } catch (e) {
                     console.error("Failed to load schema", e);
                 } finally {
@@ -130,6 +140,30 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
         }
     }, [fullSchema, viewingTable.tableName, viewingTable.mode]);
 
+    useEffect(() => {
+        setSearchColumn('');
+        setSearchText('');
+    }, [viewingTable.tableName]);
+
+    // Selections are row positions, which point at other rows once the page changes
+    const changeQuery = (next: Partial<TableQuery>) => {
+        setSelectedIds([]);
+        onQueryChange({ ...query, offset: 0, ...next });
+    };
+
+    const handleSort = (column: string) => {
+        changeQuery({ sort: column, order: query.sort === column && query.order !== 'desc' ? 'desc' : 'asc' });
+    };
+
+    const applySearch = () => {
+        const column = searchColumn || data.columns[0]?.name;
+        const text = searchText.trim();
+        changeQuery({ filters: text && column ? [{ column, op: 'like', value: text }] : [] });
+    };
+
+    const pagination = data.pagination;
+    const pageOffset = pagination?.offset || 0;
+
     const toggleSelection = (id: number | string) => {
         setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
     };
@@ -225,8 +259,17 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
     // Dynamic Relation Detection
     const getRelations = () => {
         const relations: { source: string, target: string, type: string }[] = [];
+
+        // Real foreign keys from the schema endpoint take precedence over name guessing
+        if (relationships.length > 0) {
+            relationships.forEach(rel => {
+                if (rel.crossDatabase || rel.source === rel.target) return;
+                relations.push({ source: rel.source, target: rel.target, type: rel.cardinality });
+            });
+            return relations;
+        }
         
-        // Loop through all nodes (tables)
+        // No declared foreign keys (e.g. MyISAM tables): loop through all nodes (tables)
         nodes.forEach(sourceNode => {
             sourceNode.columns.forEach(col => {
                 if (!col.name) return;
@@ -516,9 +559,12 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
                                     )}
                                 </div>
                                 <div className="flex items-center gap-2 text-slate-500">
+                                    <select value={searchColumn} onChange={(e) => setSearchColumn(e.target.value)} className="py-1 px-2 border border-slate-200 rounded text-xs focus:outline-none focus:border-indigo-400 bg-white font-mono">
+                                        {data.columns.map(col => <option key={col.name} value={col.name}>{col.name}</option>)}
+                                    </select>
                                     <div className="relative">
                                         <Search className="w-3 h-3 absolute left-2 top-1.5 text-slate-400" />
-                                        <input type="text" placeholder="Search data..." className="pl-7 pr-3 py-1 border border-slate-200 rounded text-xs focus:outline-none focus:border-indigo-400 w-32" />
+                                        <input type="text" placeholder="Search data..." value={searchText} onChange={(e) => setSearchText(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') applySearch(); }} className="pl-7 pr-3 py-1 border border-slate-200 rounded text-xs focus:outline-none focus:border-indigo-400 w-32" />
                                     </div>
                                     <button onClick={onRefresh} className="p-1.5 hover:bg-slate-100 rounded text-slate-500 hover:text-indigo-600"><RefreshCw className="w-3.5 h-3.5" /></button>
                                 </div>
@@ -530,7 +576,16 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
                                             <input type="checkbox" className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500" checked={data.data.length > 0 && selectedIds.length === data.data.length} onChange={() => toggleSelectAll(data.data.map((_, i) => i))} />
                                         </th>
                                         {data.columns.map((col) => (
-                                            <th key={col.name} scope="col" className="px-4 py-3 text-left text-xs font-bold text-slate-600 uppercase tracking-wider font-mono border-l border-slate-200 whitespace-nowrap">{col.name}</th>
+                                            <th key={col.name} scope="col" onClick={() => handleSort(col.name)} className="px-4 py-3 text-left text-xs font-bold text-slate-600 uppercase tracking-wider font-mono border-l border-slate-200 whitespace-nowrap cursor-pointer hover:bg-slate-200/60 transition-colors group select-none">
+                                                <div className="flex items-center gap-1.5">
+                                                    {col.name}
+                                                    {query.sort === col.name ? (
+                                                        query.order === 'desc' ? <ChevronDown className="w-3 h-3 text-indigo-600" /> : <ChevronUp className="w-3 h-3 text-indigo-600" />
+                                                    ) : (
+                                                        <ArrowUpDown className="w-3 h-3 text-slate-300 group-hover:text-slate-500" />
+                                                    )}
+                                                </div>
+                                            </th>
                                         ))}
                                         <th scope="col" className="px-4 py-3 text-left text-xs font-bold text-slate-600 uppercase tracking-wider border-l border-slate-200 bg-slate-100 sticky right-0 shadow-[-5px_0px_10px_rgba(0,0,0,0.02)]">Actions</th>
                                     </tr>
@@ -556,7 +611,7 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
                                             </tr>
                                         ))
                                     ) : (
-                                        <tr><td colSpan={data.columns.length + 2} className="px-6 py-12 text-center text-slate-500 italic bg-white">This table is empty.</td></tr>
+                                        <tr><td colSpan={data.columns.length + 2} className="px-6 py-12 text-center text-slate-500 italic bg-white">{query.filters && query.filters.length ? 'No rows match the search.' : 'This table is empty.'}</td></tr>
                                     )}
                                 </tbody>
                             </table>
@@ -622,8 +677,35 @@ export const TableViewer: React.FC<TableViewerProps> = ({ siteId, viewingTable,
 
                  {/* Footer Info */}
                  <div className="px-6 py-3 border-t border-slate-200 bg-slate-50 rounded-b-xl flex justify-between items-center text-xs text-slate-500 shrink-0">
-                    <div>{viewingTable.mode === 'BROWSE' ? `Total: ${data.data.length} row(s)` : viewingTable.mode === 'STRUCTURE' ? `Total: ${data.columns.length} column(s)` : `Visual Mode: Interactive ERD (${nodes.length} Tables)`}</div>
-                    <div className="font-mono text-[10px] text-slate-400">Query took 0.0001 sec (Memory)</div>
+                    <div>{viewingTable.mode === 'BROWSE'
+                        ? (pagination
+                            ? `Rows ${data.data.length ? pageOffset + 1 : 0}-${pageOffset + data.data.length} of ${pagination.total}`
+                            : `Total: ${data.data.length} row(s)`)
+                        : viewingTable.mode === 'STRUCTURE' ? `Total: ${data.columns.length} column(s)` : `Visual Mode: Interactive ERD (${nodes.length} Tables)`}</div>
+                    {viewingTable.mode === 'BROWSE' && pagination ? (
+                        <div className="flex items-center gap-2">
+                            <select value={query.limit || pagination.limit} onChange={(e) => changeQuery({ limit: Number(e.target.value) })} className="py-1 px-2 border border-slate-300 rounded bg-white text-xs">
+                                {PAGE_SIZES.map(size => <option key={size} value={size}>{size} / page</option>)}
+                            </select>
+                            <button
+                                onClick={() => { setSelectedIds([]); onQueryChange({ ...query, offset: Math.max(0, pageOffset - pagination.limit) }); }}
+                                disabled={pageOffset === 0}
+                                className="p-1.5 border border-slate-300 rounded bg-white text-slate-600 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-50"
+                            >
+                                <ChevronLeft className="w-3.5 h-3.5" />
+                            </button>
+                            <span className="font-medium text-slate-700">Page {Math.floor(pageOffset / pagination.limit) + 1} of {Math.max(1, Math.ceil(pagination.total / pagination.limit))}</span>
+                            <button
+                                onClick={() => { setSelectedIds([]); onQueryChange({ ...query, offset: pageOffset + pagination.limit }); }}
+                                disabled={!pagination.hasMore}
+                                className="p-1.5 border border-slate-300 rounded bg-white text-slate-600 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-50"
+                            >
+                                <ChevronRight className="w-3.5 h-3.5" />
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="font-mono text-[10px] text-slate-400">Query took 0.0001 sec (Memory)</div>
+                    )}
                  </div>
             </div>
 
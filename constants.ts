@@ -60,6 +60,7 @@ export const getMockFiles = (framework: Framework): FileNode[] => {
   }
 };
 
+// The post-deploy build pipeline runs some of these (server/config/buildPipelines.js); keep both in sync
 export const SAFE_COMMANDS: Record<string, TerminalAction[]> = {
   [Framework.LARAVEL]: [
     { id: 'composer_install', label: 'Composer Install', command: '/usr/local/bin/php82 /usr/local/bin/composer install --no-interaction --prefer-dist --optimize-autoloader', description: 'Install PHP dependencies', isDangerous: false, executionMode: 'ssh' },
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Card } from '../../components/Shared';
 import { api } from '../../services/api';
-import { FileCode, Settings, RefreshCw, Plus, Trash2, Edit2, Save, X, Loader2, AlertTriangle, CheckCircle, AlertOctagon, Search, ChevronLeft, ChevronRight } from 'lucide-react';
+import { FileCode, Settings, RefreshCw, Plus, Trash2, Edit2, Save, X, Loader2, AlertTriangle, CheckCircle, AlertOctagon, Search, ChevronLeft, ChevronRight, RotateCcw } from 'lucide-react';
 
 const ITEMS_PER_PAGE = 25;
 
@@ -177,6 +177,27 @@ export const ApacheManager: React.FC = () => {
       }
   };
 
+  // Puts back the version saved before the last change (the server keeps one backup per file)
+  const handleRollbackSite = async (filename: string) => {
+      if (!confirm(`Restore the previous version of "${filename}"?`)) return;
+      try {
+          await api.admin.apache.rollbackSite(filename);
+          setFeedback({
+              isOpen: true,
+              type: 'success',
+              title: 'Config Restored',
+              message: `The previous version of "${filename}" has been restored.`
+          });
+      } catch (e: any) {
+          setFeedback({
+              isOpen: true,
+              type: 'error',
+              title: 'Rollback Failed',
+              message: e.message
+          });
+      }
+  };
+
   const confirmDelete = async () => {
       if (!fileToDelete) return;
       setIsDeleting(true);
@@ -332,6 +353,9 @@ export const ApacheManager: React.FC = () => {
                                         <button onClick={() => openEditSite(site)} className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors" title="Edit Config">
                                             <Edit2 className="w-4 h-4" />
                                         </button>
+                                        <button onClick={() => handleRollbackSite(site)} className="p-2 text-amber-600 hover:bg-amber-50 rounded-lg transition-colors" title="Restore Previous Version">
+                                            <RotateCcw className="w-4 h-4" />
+                                        </button>
                                         <button onClick={() => setFileToDelete(site)} className="p-2 text-rose-600 hover:bg-rose-50 rounded-lg transition-colors" title="Delete Config">
                                             <Trash2 className="w-4 h-4" />
                                         </button>
@@ -2,14 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { Card, StatusBadge } from '../../components/Shared';
 import { api } from '../../services/api';
 import { Payment, PaymentStatus, DiscountCode, HostingPlan } from '../../types';
-import { CheckCircle, XCircle, Eye, FileImage, X, CreditCard, QrCode, History, ListFilter, Search, Ticket, Plus, Shuffle, Trash2, Percent, DollarSign, Tag, CheckSquare, Square } from 'lucide-react';
-import { API_URL } from '../../services/api/core';
+import { CheckCircle, XCircle, Eye, FileImage, X, CreditCard, QrCode, History, ListFilter, Search, Ticket, Plus, Shuffle, Trash2, Percent, DollarSign, Tag, CheckSquare, Square, Power, Loader2 } from 'lucide-react';
+
+const PROOF_LOAD_ERROR_IMAGE = 'https://placehold.co/600x400?text=Image+Load+Error';
 
 export const PaymentQueue: React.FC = () => {
     const [payments, setPayments] = useState<Payment[]>([]);
     const [discounts, setDiscounts] = useState<DiscountCode[]>([]);
     const [plans, setPlans] = useState<HostingPlan[]>([]);
     const [viewingProof, setViewingProof] = useState<Payment | null>(null);
+    const [proofSrc, setProofSrc] = useState('');
     const [activeTab, setActiveTab] = useState<'QUEUE' | 'HISTORY' | 'DISCOUNTS'>('QUEUE');
     const [searchQuery, setSearchQuery] = useState('');
 
@@ -20,7 +22,9 @@ export const PaymentQueue: React.FC = () => {
         type: 'PERCENT' | 'FIXED'; 
         value: number;
         validPlans: string[];
-    }>({ code: '', type: 'PERCENT', value: 0, validPlans: [] });
+        expiresAt: string;
+        maxUses: string;
+    }>({ code: '', type: 'PERCENT', value: 0, validPlans: [], expiresAt: '', maxUses: '' });
 
     useEffect(() => {
         loadPayments();
@@ -43,33 +47,48 @@ export const PaymentQueue: React.FC = () => {
     };
 
     const handleVerify = async (id: string, status: PaymentStatus) => {
-        await api.admin.verifyPayment(id, status);
-        loadPayments();
-        if (viewingProof?.id === id) setViewingProof(null);
-    };
-
-    // Helper to handle mock urls vs real urls
-    const getImageUrl = (url: string) => {
-        if (!url) return '';
-        if (url.startsWith('http') || url.startsWith('blob:')) {
-            // Check if it's the specific mock placeholder
-            if (url === 'mock_proof_url.jpg') {
-                return "https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?q=80&w=1000&auto=format&fit=crop";
+        let reason: string | undefined;
+        if (status === PaymentStatus.REJECTED) {
+            // The reason is sent to the user, so a rejection cannot go out without one
+            const input = prompt('Reason for rejecting this payment (sent to the user):');
+            if (input === null) return;
+            reason = input.trim();
+            if (!reason) {
+                alert('A rejection reason is required.');
+                return;
             }
-            return url;
         }
-        
-        if (url === 'mock_proof_url.jpg') {
-             return "https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?q=80&w=1000&auto=format&fit=crop";
+        try {
+            await api.admin.verifyPayment(id, status, reason);
+        } catch (e: any) {
+            alert(e.message || 'Failed to review payment');
         }
-
-        // It is a relative path from our backend (e.g. /uploads/proofs/...)
-        // We need to prepend the backend root URL. 
-        // API_URL is usually 'http://localhost:5000/api', we need 'http://localhost:5000'
-        const backendRoot = API_URL.replace('/api', '');
-        return `${backendRoot}${url}`;
+        loadPayments();
+        if (viewingProof?.id === id) setViewingProof(null);
     };
 
+    // Proof images need auth, so they are loaded into an object URL while the viewer is open
+    useEffect(() => {
+        if (!viewingProof) return;
+        let cancelled = false;
+        let objectUrl = '';
+        api.billing.getProofImage(viewingProof)
+            .then(url => {
+                if (url !== viewingProof.proofUrl && url.startsWith('blob:')) objectUrl = url;
+                if (cancelled) {
+                    if (objectUrl) URL.revokeObjectURL(objectUrl);
+                } else {
+                    setProofSrc(url);
+                }
+            })
+            .catch(() => { if (!cancelled) setProofSrc(PROOF_LOAD_ERROR_IMAGE); });
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            setProofSrc('');
+        };
+    }, [viewingProof]);
+
     const generateRandomCode = () => {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
         let code = 'KOLAB-';
@@ -83,10 +102,34 @@ export const PaymentQueue: React.FC = () => {
         e.preventDefault();
         if (!newDiscount.code || newDiscount.value <= 0) return;
         
-        await api.admin.discounts.create(newDiscount.code, newDiscount.type, newDiscount.value, newDiscount.validPlans);
-        setIsDiscountModalOpen(false);
-        setNewDiscount({ code: '', type: 'PERCENT', value: 0, validPlans: [] });
-        loadDiscounts();
+        try {
+            await api.admin.discounts.create(newDiscount.code, newDiscount.type, newDiscount.value, newDiscount.validPlans, {
+                // End of the chosen day, local time
+                expiresAt: newDiscount.expiresAt ? new Date(`${newDiscount.expiresAt}T23:59:59`).toISOString() : null,
+                maxUses: newDiscount.maxUses ? Number(newDiscount.maxUses) : null
+            });
+            setIsDiscountModalOpen(false);
+            setNewDiscount({ code: '', type: 'PERCENT', value: 0, validPlans: [], expiresAt: '', maxUses: '' });
+            loadDiscounts();
+        } catch (e: any) {
+            alert(e.message || 'Failed to create coupon');
+        }
+    };
+
+    const handleToggleDiscount = async (discount: DiscountCode) => {
+        try {
+            await api.admin.discounts.update(discount.id, { isActive: discount.isActive === false });
+            loadDiscounts();
+        } catch (e: any) {
+            alert(e.message || 'Failed to update coupon');
+        }
+    };
+
+    const getDiscountStatus = (d: DiscountCode) => {
+        if (d.isActive === false) return { label: 'INACTIVE', className: 'bg-slate-100 text-slate-500' };
+        if (d.expiresAt && new Date(d.expiresAt) <= new Date()) return { label: 'EXPIRED', className: 'bg-amber-100 text-amber-700' };
+        if (d.maxUses != null && (d.usedCount || 0) >= d.maxUses) return { label: 'USED UP', className: 'bg-rose-100 text-rose-700' };
+        return { label: 'ACTIVE', className: 'bg-emerald-100 text-emerald-700' };
     };
 
     const handleDeleteDiscount = async (id: string) => {
@@ -288,10 +331,15 @@ export const PaymentQueue: React.FC = () => {
                                             <div className="font-medium text-slate-900">Rp {pay.amount.toLocaleString()}</div>
                                             <div className="text-[10px] text-slate-500 flex items-center gap-1">
                                                 {pay.method}
+                                                {pay.discountCode && <span className="font-mono text-emerald-600">· {pay.discountCode}</span>}
                                             </div>
                                         </td>
                                         <td className="px-6 py-4">
                                             <StatusBadge status={pay.status} />
+                                            {pay.rejectionReason && (
+                                                <div className="mt-1 text-[10px] text-rose-600 max-w-[200px] truncate" title={pay.rejectionReason}>{pay.rejectionReason}</div>
+                                            )}
+                                            {pay.reviewedBy && <div className="text-[10px] text-slate-400">by {pay.reviewedBy}</div>}
                                         </td>
                                         <td className="px-6 py-4 text-right">
                                             <button 
@@ -335,6 +383,8 @@ export const PaymentQueue: React.FC = () => {
                                             <th className="px-6 py-3 font-medium">Discount Type</th>
                                             <th className="px-6 py-3 font-medium">Value</th>
                                             <th className="px-6 py-3 font-medium">Applicable Plans</th>
+                                            <th className="px-6 py-3 font-medium">Usage</th>
+                                            <th className="px-6 py-3 font-medium">Expires</th>
                                             <th className="px-6 py-3 font-medium">Status</th>
                                             <th className="px-6 py-3 font-medium text-right">Actions</th>
                                         </tr>
@@ -370,10 +420,19 @@ export const PaymentQueue: React.FC = () => {
                                                         <span className="text-xs text-slate-400 italic">All Plans</span>
                                                     )}
                                                 </td>
+                                                <td className="px-6 py-4 text-xs text-slate-600">
+                                                    {d.usedCount || 0} / {d.maxUses != null ? d.maxUses : '∞'}
+                                                </td>
+                                                <td className="px-6 py-4 text-xs text-slate-600">
+                                                    {d.expiresAt ? new Date(d.expiresAt).toLocaleDateString() : <span className="text-slate-400 italic">Never</span>}
+                                                </td>
                                                 <td className="px-6 py-4">
-                                                    <span className="px-2 py-1 bg-emerald-100 text-emerald-700 text-xs font-bold rounded-full">ACTIVE</span>
+                                                    <span className={`px-2 py-1 text-xs font-bold rounded-full ${getDiscountStatus(d).className}`}>{getDiscountStatus(d).label}</span>
                                                 </td>
-                                                <td className="px-6 py-4 text-right">
+                                                <td className="px-6 py-4 text-right whitespace-nowrap">
+                                                    <button onClick={() => handleToggleDiscount(d)} title={d.isActive === false ? 'Activate' : 'Deactivate'} className="p-2 text-slate-500 hover:bg-slate-100 rounded-lg transition-colors">
+                                                        <Power className="w-4 h-4" />
+                                                    </button>
                                                     <button onClick={() => handleDeleteDiscount(d.id)} className="p-2 text-rose-500 hover:bg-rose-50 rounded-lg transition-colors">
                                                         <Trash2 className="w-4 h-4" />
                                                     </button>
@@ -382,7 +441,7 @@ export const PaymentQueue: React.FC = () => {
                                         ))}
                                         {discounts.length === 0 && (
                                             <tr>
-                                                <td colSpan={6} className="px-6 py-12 text-center text-slate-500 italic">
+                                                <td colSpan={8} className="px-6 py-12 text-center text-slate-500 italic">
                                                     <Ticket className="w-12 h-12 text-slate-300 mx-auto mb-2" />
                                                     No active discount coupons.
                                                 </td>
@@ -416,15 +475,18 @@ export const PaymentQueue: React.FC = () => {
                         </div>
                         
                         <div className="p-1 bg-slate-200 overflow-y-auto flex-1 flex items-center justify-center min-h-[300px]">
-                            {/* Updated Image logic to handle local path resolution */}
-                            <img 
-                                src={getImageUrl(viewingProof.proofUrl)} 
-                                alt="Proof" 
-                                className="max-w-full h-auto object-contain shadow-sm rounded-sm"
-                                onError={(e) => {
-                                    (e.target as HTMLImageElement).src = 'https://placehold.co/600x400?text=Image+Load+Error';
-                                }}
-                            />
+                            {proofSrc ? (
+                                <img 
+                                    src={proofSrc} 
+                                    alt="Proof" 
+                                    className="max-w-full h-auto object-contain shadow-sm rounded-sm"
+                                    onError={(e) => {
+                                        (e.target as HTMLImageElement).src = PROOF_LOAD_ERROR_IMAGE;
+                                    }}
+                                />
+                            ) : (
+                                <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+                            )}
                         </div>
 
                         {/* Only show actions if PENDING */}
@@ -444,9 +506,19 @@ export const PaymentQueue: React.FC = () => {
                                 </button>
                             </div>
                         ) : (
-                            <div className="p-4 bg-white border-t border-slate-100 flex justify-between items-center">
-                                <span className="text-sm text-slate-500">Processed Status:</span>
-                                <StatusBadge status={viewingProof.status} />
+                            <div className="p-4 bg-white border-t border-slate-100 space-y-2">
+                                <div className="flex justify-between items-center">
+                                    <span className="text-sm text-slate-500">Processed Status:</span>
+                                    <StatusBadge status={viewingProof.status} />
+                                </div>
+                                {viewingProof.reviewedAt && (
+                                    <p className="text-xs text-slate-500">
+                                        Reviewed{viewingProof.reviewedBy ? ` by ${viewingProof.reviewedBy}` : ''} on {new Date(viewingProof.reviewedAt).toLocaleString()}
+                                    </p>
+                                )}
+                                {viewingProof.rejectionReason && (
+                                    <p className="text-xs text-rose-600">Reason: {viewingProof.rejectionReason}</p>
+                                )}
                             </div>
                         )}
                     </div>
@@ -515,6 +587,30 @@ export const PaymentQueue: React.FC = () => {
                                 </div>
                             </div>
 
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="text-sm font-medium text-slate-700 mb-1 block">Expires On</label>
+                                    <input 
+                                        type="date" 
+                                        value={newDiscount.expiresAt} 
+                                        onChange={(e) => setNewDiscount({...newDiscount, expiresAt: e.target.value})}
+                                        min={new Date().toISOString().slice(0, 10)}
+                                        className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-sm font-medium text-slate-700 mb-1 block">Usage Cap</label>
+                                    <input 
+                                        type="number" 
+                                        value={newDiscount.maxUses} 
+                                        onChange={(e) => setNewDiscount({...newDiscount, maxUses: e.target.value})}
+                                        className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                                        placeholder="Unlimited"
+                                        min="1"
+                                    />
+                                </div>
+                            </div>
+
                             <div>
                                 <label className="text-sm font-medium text-slate-700 mb-2 block">Applicable Plans</label>
                                 <div className="grid grid-cols-2 gap-2">
@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
 import { Card } from '../../components/Shared';
 import { api } from '../../services/api';
-import { HostingPlan } from '../../types';
-import { X, Plus, Check, Trash2 } from 'lucide-react';
+import { HostingPlan, PlanPriceChange } from '../../types';
+import { X, Plus, Check, Trash2, AlertTriangle, Loader2, History } from 'lucide-react';
 
 interface PlanManagementProps {
   plans: HostingPlan[];
@@ -19,16 +19,37 @@ export const PlanManagement: React.FC<PlanManagementProps> = ({ plans, setPlans
     limits: { sites: 1, storage: 100, databases: 1 },
     isPopular: false
   });
+  const [isSaving, setIsSaving] = useState(false);
+  const [priceHistory, setPriceHistory] = useState<PlanPriceChange[]>([]);
 
-  const handleDelete = async (id: string) => {
-    if (confirm('Delete this plan? Users currently on this plan will not be affected immediately.')) {
-      await api.admin.deletePlan(id);
-      setPlans(plans.filter(p => p.id !== id));
+  // Delete State (users on the plan are moved to `migrateTo`)
+  const [deleteTarget, setDeleteTarget] = useState<HostingPlan | null>(null);
+  const [migrateTo, setMigrateTo] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleDelete = (plan: HostingPlan) => {
+    setDeleteTarget(plan);
+    setMigrateTo(plans.find(p => p.id !== plan.id)?.id || '');
+  };
+
+  const confirmDelete = async () => {
+    if (!deleteTarget) return;
+    setIsDeleting(true);
+    try {
+      await api.admin.deletePlan(deleteTarget.id, migrateTo || undefined);
+      setPlans(plans.filter(p => p.id !== deleteTarget.id));
+      setDeleteTarget(null);
+    } catch (e: any) {
+      alert(e.message || 'Failed to delete plan');
+    } finally {
+      setIsDeleting(false);
     }
   };
 
   const handleEdit = (plan: HostingPlan) => {
     setCurrentPlan(plan);
+    setPriceHistory([]);
+    api.admin.getPlanPriceHistory(plan.id).then(setPriceHistory).catch(() => setPriceHistory([]));
     setIsEditing(true);
   };
 
@@ -47,16 +68,23 @@ export const PlanManagement: React.FC<PlanManagementProps> = ({ plans, setPlans
   const savePlan = async () => {
     if (!currentPlan.name) return;
 
-    if (currentPlan.id) {
-       // Update
-       const updated = await api.admin.updatePlan(currentPlan.id, currentPlan);
-       setPlans(plans.map(p => p.id === currentPlan.id ? updated as HostingPlan : p));
-    } else {
-       // Create
-       const created = await api.admin.createPlan(currentPlan);
-       setPlans([...plans, created as HostingPlan]);
+    setIsSaving(true);
+    try {
+      if (currentPlan.id) {
+         // Update
+         const updated = await api.admin.updatePlan(currentPlan.id, currentPlan);
+         setPlans(plans.map(p => p.id === currentPlan.id ? updated as HostingPlan : p));
+      } else {
+         // Create
+         const created = await api.admin.createPlan(currentPlan);
+         setPlans([...plans, created as HostingPlan]);
+      }
+      setIsEditing(false);
+    } catch (e: any) {
+      alert(e.message || 'Failed to save plan');
+    } finally {
+      setIsSaving(false);
     }
-    setIsEditing(false);
   };
 
   const updateFeature = (index: number, value: string) => {
@@ -164,9 +192,29 @@ export const PlanManagement: React.FC<PlanManagementProps> = ({ plans, setPlans
                   </button>
                </div>
 
+               {currentPlan.id && priceHistory.length > 0 && (
+                  <div className="space-y-2">
+                     <label className="text-sm font-medium text-slate-700 flex items-center gap-2"><History className="w-4 h-4" /> Price History</label>
+                     <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg text-xs">
+                        {priceHistory.map(change => (
+                           <li key={change.id} className="px-3 py-2 flex justify-between text-slate-600">
+                              <span>
+                                 {change.oldPrice === null
+                                    ? <>Created at {change.currency} {change.newPrice.toLocaleString()}</>
+                                    : <>{change.currency} {change.oldPrice.toLocaleString()} → {change.newPrice.toLocaleString()}</>}
+                              </span>
+                              <span className="text-slate-400">{change.changedBy} · {new Date(change.changedAt).toLocaleString()}</span>
+                           </li>
+                        ))}
+                     </ul>
+                  </div>
+               )}
+
                <div className="pt-4 border-t border-slate-100 flex justify-end gap-3">
                   <button onClick={() => setIsEditing(false)} className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-lg font-medium">Cancel</button>
-                  <button onClick={savePlan} className="px-6 py-2 bg-indigo-600 text-white rounded-lg font-medium shadow-sm hover:bg-indigo-700">Save Plan</button>
+                  <button onClick={savePlan} disabled={isSaving} className="px-6 py-2 bg-indigo-600 text-white rounded-lg font-medium shadow-sm hover:bg-indigo-700 flex items-center gap-2">
+                     {isSaving && <Loader2 className="w-4 h-4 animate-spin" />} Save Plan
+                  </button>
                </div>
             </div>
          </Card>
@@ -208,11 +256,60 @@ export const PlanManagement: React.FC<PlanManagementProps> = ({ plans, setPlans
               </div>
               <div className="p-4 bg-slate-50 border-t border-slate-100 flex gap-2">
                  <button onClick={() => handleEdit(plan)} className="flex-1 py-2 text-sm text-indigo-600 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50 font-medium">Edit</button>
-                 <button onClick={() => handleDelete(plan.id)} className="px-3 py-2 text-rose-600 bg-white border border-rose-200 rounded-lg hover:bg-rose-50"><Trash2 className="w-4 h-4" /></button>
+                 <button onClick={() => handleDelete(plan)} className="px-3 py-2 text-rose-600 bg-white border border-rose-200 rounded-lg hover:bg-rose-50"><Trash2 className="w-4 h-4" /></button>
               </div>
            </div>
          ))}
       </div>
+
+      {/* Delete Plan Modal */}
+      {deleteTarget && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-slate-900/60 backdrop-blur-sm transition-opacity" onClick={() => !isDeleting && setDeleteTarget(null)} />
+          <div className="relative w-full max-w-sm bg-white rounded-xl shadow-2xl p-6 animate-in fade-in zoom-in-95 duration-200">
+            <div className="flex items-start gap-4">
+              <div className="p-3 bg-red-100 rounded-full shrink-0">
+                <AlertTriangle className="w-6 h-6 text-red-600" />
+              </div>
+              <div>
+                <h3 className="text-lg font-bold text-slate-900">Delete {deleteTarget.name}?</h3>
+                <p className="text-sm text-slate-500 mt-1">
+                  Users, active subscriptions, pending payments and coupons on this plan will be moved to the plan selected below.
+                </p>
+              </div>
+            </div>
+            <div className="mt-4 space-y-2">
+              <label className="text-sm font-medium text-slate-700">Move users to</label>
+              <select
+                value={migrateTo}
+                onChange={e => setMigrateTo(e.target.value)}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+              >
+                {plans.filter(p => p.id !== deleteTarget.id).map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mt-6 flex justify-end gap-3">
+              <button
+                onClick={() => setDeleteTarget(null)}
+                disabled={isDeleting}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-lg font-medium text-sm transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={confirmDelete}
+                disabled={isDeleting}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg font-medium text-sm hover:bg-red-700 shadow-sm transition-colors flex items-center gap-2"
+              >
+                {isDeleting && <Loader2 className="w-4 h-4 animate-spin" />}
+                Delete Plan
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Card, StatusBadge } from '../../components/Shared';
-import { HostingPlan, User, Payment, DiscountCode, PaymentStatus } from '../../types';
-import { CreditCard, QrCode, Upload, Check, Loader2, X, AlertTriangle, ArrowRight, RefreshCcw, FileText, Clock, Tag, Gift, FileImage } from 'lucide-react';
+import { HostingPlan, User, Payment, DiscountCode, PaymentStatus, BillingCycle, SubscriptionOverview } from '../../types';
+import { CreditCard, QrCode, Upload, Check, Loader2, X, AlertTriangle, ArrowRight, RefreshCcw, FileText, Clock, Tag, Gift, FileImage, CalendarClock, Download } from 'lucide-react';
 import { api } from '../../services/api';
-import { API_URL } from '../../services/api/core';
+
+const PROOF_LOAD_ERROR_IMAGE = 'https://placehold.co/600x400?text=Image+Load+Error';
 
 interface BillingProps {
     plans: HostingPlan[];
@@ -15,6 +16,7 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
     const [selectedPlan, setSelectedPlan] = useState<HostingPlan | null>(null);
     const [uniqueCode, setUniqueCode] = useState(0);
     const [paymentMethod, setPaymentMethod] = useState<'BANK' | 'QR'>('BANK');
+    const [billingCycle, setBillingCycle] = useState<BillingCycle>('monthly');
     const [proofFile, setProofFile] = useState<File | null>(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [successMsg, setSuccessMsg] = useState('');
@@ -28,6 +30,9 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
     // History State
     const [paymentHistory, setPaymentHistory] = useState<Payment[]>([]);
     const [viewingProof, setViewingProof] = useState<Payment | null>(null);
+    const [subscription, setSubscription] = useState<SubscriptionOverview | null>(null);
+    const [downloadingInvoice, setDownloadingInvoice] = useState<string | null>(null);
+    const [proofSrc, setProofSrc] = useState('');
 
     useEffect(() => {
         loadHistory();
@@ -36,14 +41,38 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
     const loadHistory = async () => {
         const history = await api.billing.getHistory(user.id);
         setPaymentHistory(history);
+        api.billing.getSubscription(user.id).then(setSubscription).catch(() => setSubscription(null));
     };
 
+    const handleDownloadInvoice = async (pay: Payment) => {
+        setDownloadingInvoice(pay.id);
+        try {
+            const blob = await api.billing.downloadInvoice(pay.id);
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${(pay.invoiceNumber || `invoice-${pay.id}`).replace(/\//g, '-')}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            window.URL.revokeObjectURL(url);
+            if (!pay.invoiceNumber) loadHistory();
+        } catch (e) {
+            alert('Failed to download invoice.');
+        } finally {
+            setDownloadingInvoice(null);
+        }
+    };
+
+    const formatDate = (value: string) => new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
     const handleUpgradeClick = (plan: HostingPlan) => {
         // Generate random unique code between 0 and 500
         const code = Math.floor(Math.random() * 501);
         setUniqueCode(code);
         setSelectedPlan(plan);
         setPaymentMethod('BANK');
+        setBillingCycle('monthly');
         setProofFile(null);
         setSuccessMsg('');
         
@@ -74,7 +103,7 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
         setDiscountLoading(true);
         setDiscountError('');
         try {
-            const discount = await api.billing.validateCoupon(couponCode.toUpperCase().trim());
+            const discount = await api.billing.validateCoupon(couponCode.toUpperCase().trim(), selectedPlan.name, billingCycle);
             
             // Check Plan Restriction
             if (discount.validPlans && discount.validPlans.length > 0) {
@@ -98,32 +127,40 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
         setDiscountError('');
     };
 
-    // Helper for URL resolution (Shared with Admin)
-    const getImageUrl = (url: string) => {
-        if (!url) return '';
-        if (url.startsWith('http') || url.startsWith('blob:')) {
-            if (url === 'mock_proof_url.jpg') {
-                return "https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?q=80&w=1000&auto=format&fit=crop";
-            }
-            return url;
-        }
-        if (url === 'mock_proof_url.jpg') {
-             return "https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?q=80&w=1000&auto=format&fit=crop";
-        }
-        // Prepend backend URL for relative paths
-        const backendRoot = API_URL.replace('/api', '');
-        return `${backendRoot}${url}`;
-    };
+    // Proof images need auth, so they are loaded into an object URL while the viewer is open
+    useEffect(() => {
+        if (!viewingProof) return;
+        let cancelled = false;
+        let objectUrl = '';
+        api.billing.getProofImage(viewingProof)
+            .then(url => {
+                if (url !== viewingProof.proofUrl && url.startsWith('blob:')) objectUrl = url;
+                if (cancelled) {
+                    if (objectUrl) URL.revokeObjectURL(objectUrl);
+                } else {
+                    setProofSrc(url);
+                }
+            })
+            .catch(() => { if (!cancelled) setProofSrc(PROOF_LOAD_ERROR_IMAGE); });
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            setProofSrc('');
+        };
+    }, [viewingProof]);
 
     // --- CALCULATION LOGIC START ---
-    let basePrice = selectedPlan ? selectedPlan.price : 0;
+    // Plan prices are monthly; a yearly period is billed as 12 months up front
+    const cycleMonths = billingCycle === 'yearly' ? 12 : 1;
+    let basePrice = selectedPlan ? selectedPlan.price * cycleMonths : 0;
     let discountAmount = 0;
     
     if (selectedPlan && appliedDiscount) {
+        // Mirrors the server's calculation (discountService.quotePrice)
         if (appliedDiscount.type === 'PERCENT') {
-            discountAmount = basePrice * (appliedDiscount.value / 100);
+            discountAmount = Math.round(basePrice * (appliedDiscount.value / 100));
         } else {
-            discountAmount = appliedDiscount.value;
+            discountAmount = Math.min(basePrice, appliedDiscount.value);
         }
     }
     
@@ -153,7 +190,11 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
             }
 
             if (finalProofFile) {
-                await api.billing.submitPayment(user.id, user.username, selectedPlan.name, totalAmount, paymentMethod, finalProofFile);
+                await api.billing.submitPayment(user.id, user.username, selectedPlan.name, totalAmount, paymentMethod, finalProofFile, {
+                    billingCycle,
+                    couponCode: appliedDiscount?.code,
+                    uniqueCode: effectiveUniqueCode
+                });
                 
                 setSuccessMsg(isFree ? "Plan activated successfully!" : "Payment submitted successfully! Please wait for admin verification.");
                 setTimeout(() => {
@@ -161,8 +202,8 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                     setSuccessMsg('');
                 }, 2500);
             }
-        } catch (e) {
-            alert("Failed to submit payment.");
+        } catch (e: any) {
+            alert(e.message || "Failed to submit payment.");
         } finally {
             setIsSubmitting(false);
         }
@@ -170,10 +211,32 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
 
     return (
         <div className="space-y-6 animate-in fade-in duration-300">
+             {subscription?.expiresAt && (
+                <div className={`p-4 rounded-xl border flex items-center gap-4 ${subscription.daysRemaining !== null && subscription.daysRemaining <= 7 ? 'bg-amber-50 border-amber-200' : 'bg-indigo-50 border-indigo-100'}`}>
+                    <div className={`p-3 rounded-full shrink-0 ${subscription.daysRemaining !== null && subscription.daysRemaining <= 7 ? 'bg-amber-100 text-amber-600' : 'bg-indigo-100 text-indigo-600'}`}>
+                        <CalendarClock className="w-5 h-5" />
+                    </div>
+                    <div className="flex-1">
+                        <h4 className="font-bold text-slate-800 text-sm">
+                            {subscription.plan} plan{subscription.current ? ` · billed ${subscription.current.billingCycle}` : ''}
+                        </h4>
+                        <p className="text-xs text-slate-600 mt-0.5">
+                            Renews or expires on <span className="font-semibold">{formatDate(subscription.expiresAt)}</span>.
+                            After that your account returns to the Basic plan and sites over its limits are suspended.
+                        </p>
+                    </div>
+                    <div className="text-right shrink-0">
+                        <div className="text-2xl font-bold text-slate-900">{subscription.daysRemaining}</div>
+                        <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">days left</div>
+                    </div>
+                </div>
+             )}
+
              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 {plans.map(plan => {
                     const isActive = plan.name === userPlanName;
                     const isPlanFree = plan.price === 0;
+                    const canRenew = isActive && !isPlanFree;
                     return (
                         <div key={plan.id} className={`relative p-6 rounded-xl border-2 flex flex-col transition-all duration-300 ${isActive ? 'border-indigo-600 bg-white shadow-lg scale-[1.02]' : 'border-slate-200 bg-white hover:border-indigo-300'}`}>
                             {isActive && <div className="absolute top-0 right-0 bg-indigo-600 text-white text-xs font-bold px-3 py-1 rounded-bl-lg rounded-tr-lg">CURRENT</div>}
@@ -194,17 +257,19 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                             </ul>
                             
                             <button 
-                                onClick={() => !isActive && !isPlanFree && handleUpgradeClick(plan)}
-                                disabled={isActive || isPlanFree}
+                                onClick={() => (canRenew || (!isActive && !isPlanFree)) && handleUpgradeClick(plan)}
+                                disabled={(isActive && !canRenew) || isPlanFree}
                                 className={`w-full py-2 rounded-lg font-medium text-sm transition-colors mt-auto flex items-center justify-center gap-2
-                                    ${isActive 
+                                    ${canRenew
+                                        ? 'bg-indigo-600 text-white hover:bg-indigo-700 shadow-md'
+                                        : isActive 
                                         ? 'bg-indigo-50 text-indigo-700 cursor-default' 
                                         : isPlanFree 
                                             ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
                                             : 'bg-slate-900 text-white hover:bg-slate-800 shadow-md hover:shadow-lg'
                                     }`}
                             >
-                                {isActive ? <><Check className="w-4 h-4" /> Current Plan</> : 'Upgrade Now'}
+                                {canRenew ? <><RefreshCcw className="w-4 h-4" /> Renew Plan</> : isActive ? <><Check className="w-4 h-4" /> Current Plan</> : 'Upgrade Now'}
                             </button>
                         </div>
                     );
@@ -241,8 +306,11 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                                             <Clock className="w-4 h-4 text-slate-400" />
                                             {pay.date}
                                         </td>
-                                        <td className="px-6 py-4 font-mono text-xs text-slate-500">#{pay.id}</td>
-                                        <td className="px-6 py-4 font-bold text-slate-800">{pay.plan}</td>
+                                        <td className="px-6 py-4 font-mono text-xs text-slate-500">{pay.invoiceNumber || `#${pay.id}`}</td>
+                                        <td className="px-6 py-4 font-bold text-slate-800">
+                                            {pay.plan}
+                                            {pay.billingCycle && <span className="ml-1.5 text-xs font-normal text-slate-400">({pay.billingCycle})</span>}
+                                        </td>
                                         <td className="px-6 py-4">
                                             {pay.method === 'BANK' ? (
                                                 <span className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded bg-blue-50 text-blue-700 text-xs font-medium border border-blue-100">
@@ -254,17 +322,40 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                                                 </span>
                                             )}
                                         </td>
-                                        <td className="px-6 py-4 font-medium text-slate-900">Rp {pay.amount.toLocaleString()}</td>
+                                        <td className="px-6 py-4 font-medium text-slate-900">
+                                            Rp {pay.amount.toLocaleString()}
+                                            {pay.discountCode && (
+                                                <span className="ml-2 inline-flex items-center gap-1 text-[10px] font-mono text-emerald-700 bg-emerald-50 border border-emerald-100 px-1.5 py-0.5 rounded">
+                                                    <Tag className="w-3 h-3" /> {pay.discountCode}
+                                                </span>
+                                            )}
+                                        </td>
                                         <td className="px-6 py-4">
                                             <StatusBadge status={pay.status} />
+                                            {pay.status === PaymentStatus.REJECTED && pay.rejectionReason && (
+                                                <p className="mt-1 text-xs text-rose-600 max-w-[220px]" title={pay.rejectionReason}>{pay.rejectionReason}</p>
+                                            )}
                                         </td>
                                         <td className="px-6 py-4 text-right">
-                                            <button 
-                                                onClick={() => setViewingProof(pay)}
-                                                className="text-xs font-medium text-slate-500 hover:text-indigo-600 hover:underline flex items-center justify-end gap-1 w-full"
-                                            >
-                                                <FileImage className="w-3.5 h-3.5" /> View
-                                            </button>
+                                            <div className="flex items-center justify-end gap-3">
+                                                {pay.status === PaymentStatus.VERIFIED && (
+                                                    <button
+                                                        onClick={() => handleDownloadInvoice(pay)}
+                                                        disabled={downloadingInvoice === pay.id}
+                                                        className="text-xs font-medium text-indigo-600 hover:underline flex items-center gap-1 disabled:opacity-50"
+                                                    >
+                                                        {downloadingInvoice === pay.id ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Download className="w-3.5 h-3.5" />} Invoice
+                                                    </button>
+                                                )}
+                                                {pay.proofUrl && (
+                                                    <button 
+                                                        onClick={() => setViewingProof(pay)}
+                                                        className="text-xs font-medium text-slate-500 hover:text-indigo-600 hover:underline flex items-center gap-1"
+                                                    >
+                                                        <FileImage className="w-3.5 h-3.5" /> View
+                                                    </button>
+                                                )}
+                                            </div>
                                         </td>
                                     </tr>
                                 ))}
@@ -294,14 +385,18 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                         </div>
                         
                         <div className="p-1 bg-slate-200 overflow-y-auto flex-1 flex items-center justify-center min-h-[300px]">
-                            <img 
-                                src={getImageUrl(viewingProof.proofUrl)} 
-                                alt="Proof" 
-                                className="max-w-full h-auto object-contain shadow-sm rounded-sm" 
-                                onError={(e) => {
-                                    (e.target as HTMLImageElement).src = 'https://placehold.co/600x400?text=Image+Load+Error';
-                                }}
-                            />
+                            {proofSrc ? (
+                                <img 
+                                    src={proofSrc} 
+                                    alt="Proof" 
+                                    className="max-w-full h-auto object-contain shadow-sm rounded-sm" 
+                                    onError={(e) => {
+                                        (e.target as HTMLImageElement).src = PROOF_LOAD_ERROR_IMAGE;
+                                    }}
+                                />
+                            ) : (
+                                <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+                            )}
                         </div>
                     </div>
                 </div>
@@ -316,7 +411,7 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                         {/* Modal Header */}
                         <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
                             <div>
-                                <h3 className="text-lg font-bold text-slate-900">Upgrade to {selectedPlan.name}</h3>
+                                <h3 className="text-lg font-bold text-slate-900">{selectedPlan.name === userPlanName ? 'Renew' : 'Upgrade to'} {selectedPlan.name}</h3>
                                 <p className="text-xs text-slate-500">Complete payment to activate.</p>
                             </div>
                             <button onClick={handleCloseModal} disabled={isSubmitting} className="p-2 hover:bg-slate-200 rounded-full text-slate-500 transition-colors">
@@ -335,7 +430,7 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                         ) : (
                             <div className="p-6">
                                 {/* WARNING ALERT for Plan Replacement */}
-                                {userPlanName && userPlanName !== 'Basic' && userPlanName !== 'Free' && (
+                                {userPlanName && userPlanName !== 'Basic' && userPlanName !== 'Free' && userPlanName !== selectedPlan.name && (
                                     <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-xl flex items-start gap-3 animate-in fade-in slide-in-from-top-2">
                                         <div className="p-2 bg-amber-100 rounded-full shrink-0">
                                             <RefreshCcw className="w-5 h-5 text-amber-600" />
@@ -354,6 +449,24 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
                                     {/* LEFT COLUMN: Summary & Options */}
                                     <div className="space-y-6">
+                                        {/* Billing Cycle */}
+                                        <div className="grid grid-cols-2 gap-2 p-1 bg-slate-100 rounded-lg">
+                                            {(['monthly', 'yearly'] as BillingCycle[]).map(cycle => (
+                                                <button
+                                                    key={cycle}
+                                                    onClick={() => setBillingCycle(cycle)}
+                                                    className={`py-2 rounded-md text-xs font-bold uppercase tracking-wide transition-colors ${billingCycle === cycle ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                                                >
+                                                    {cycle === 'monthly' ? '1 Month' : '12 Months'}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        {selectedPlan.name === userPlanName && subscription?.expiresAt && (
+                                            <p className="text-xs text-slate-500 -mt-3">
+                                                Renewing adds {billingCycle === 'yearly' ? '12 months' : '1 month'} after your current period ends on {formatDate(subscription.expiresAt)}.
+                                            </p>
+                                        )}
+
                                         {/* Amount Display */}
                                         <div className={`rounded-xl p-5 flex flex-col justify-between h-auto min-h-[120px] transition-colors duration-300 ${isFree ? 'bg-emerald-50 border border-emerald-100' : 'bg-indigo-50 border border-indigo-100'}`}>
                                             <div>
@@ -373,8 +486,8 @@ export const Billing: React.FC<BillingProps> = ({ plans = [], userPlanName = 'Ba
                                             </div>
                                             <div className={`mt-4 pt-3 border-t space-y-1 ${isFree ? 'border-emerald-100' : 'border-indigo-100'}`}>
                                                 <div className="flex justify-between items-center">
-                                                    <span className="text-xs text-slate-500">Plan Price:</span>
-                                                    <span className="text-sm font-medium text-slate-700">Rp {selectedPlan.price.toLocaleString()}</span>
+                                                    <span className="text-xs text-slate-500">Plan Price{cycleMonths > 1 ? ` (${cycleMonths} months)` : ''}:</span>
+                                                    <span className="text-sm font-medium text-slate-700">Rp {basePrice.toLocaleString()}</span>
                                                 </div>
                                                 {appliedDiscount && (
                                                     <div className="flex justify-between items-center animate-in fade-in slide-in-from-left-2">
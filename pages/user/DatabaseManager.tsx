@@ -5,6 +5,7 @@ import { api } from '../../services/api';
 import { Database, Server, ExternalLink, Trash2, Link, Table, ChevronDown, ChevronUp, FileSpreadsheet, Plus, X, Loader2, Unlink, AlertTriangle, Upload, Download, ArrowDown, Network } from 'lucide-react';
 import { TableViewer } from '../../components/database/TableViewer';
 import { MasterCredentials } from '../../components/database/MasterCredentials';
+import { TableQuery, TablePagination } from '../../services/api/modules/sites';
 
 interface DatabaseManagerProps {
   sites: Site[];
@@ -37,6 +38,9 @@ interface TableViewState {
     mode: 'BROWSE' | 'STRUCTURE' | 'RELATIONS';
 }
 
+// Rows per page when a table is opened
+const TABLE_PAGE_SIZE = 100;
+
 export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, onRefresh }) => {
     if (!user || !user.username) {
         return <div className="p-10 text-center text-slate-500">Loading profile data...</div>;
@@ -59,7 +63,8 @@ export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, o
 
     // Table Viewer State
     const [viewingTable, setViewingTable] = useState<TableViewState | null>(null);
-    const [viewingTableData, setViewingTableData] = useState<{ columns: any[]; data: any[] }>({ columns: [], data: [] });
+    const [viewingTableData, setViewingTableData] = useState<{ columns: any[]; data: any[]; primaryKey?: string[]; pagination?: TablePagination }>({ columns: [], data: [] });
+    const [tableQuery, setTableQuery] = useState<TableQuery>({ limit: TABLE_PAGE_SIZE });
     const [loadingTableData, setLoadingTableData] = useState(false);
     
     // Import/Export State
@@ -93,18 +98,24 @@ export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, o
         }
     }, [expandedDb]);
 
-    // Fetch table data when viewing table
+    // Fetch table data when viewing table, paging, sorting or filtering
     useEffect(() => {
         if (viewingTable) {
             fetchTableData(viewingTable.tableName);
         }
-    }, [viewingTable]);
+    }, [viewingTable, tableQuery]);
+
+    // Every table starts on its first page, unsorted and unfiltered
+    const openTable = (view: TableViewState) => {
+        setTableQuery({ limit: TABLE_PAGE_SIZE });
+        setViewingTable(view);
+    };
 
     const fetchTableData = async (tableName: string) => {
         if (!expandedDb) return;
         setLoadingTableData(true);
         try {
-            const result = await api.database.getTableData(expandedDb, tableName);
+            const result = await api.database.getTableData(expandedDb, tableName, tableQuery);
             setViewingTableData(result);
         } catch (e) {
             console.error("Failed to fetch table data", e);
@@ -114,6 +125,47 @@ export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, o
         }
     };
 
+    // --- ROW EDITING (BROWSE mode) ---
+    const rowKey = (row: any) => {
+        const key: Record<string, any> = {};
+        (viewingTableData.primaryKey || []).forEach(col => { key[col] = row[col]; });
+        return key;
+    };
+
+    const handleSaveRow = async (formData: any, targetIndex: number | null) => {
+        if (!expandedDb || !viewingTable || viewingTable.mode !== 'BROWSE') return;
+        try {
+            if (targetIndex === null) {
+                await api.database.insertRow(expandedDb, viewingTable.tableName, formData);
+            } else {
+                const original = viewingTableData.data[targetIndex];
+                const changed: Record<string, any> = {};
+                Object.keys(formData).forEach(col => { if (formData[col] !== original[col]) changed[col] = formData[col]; });
+                if (Object.keys(changed).length === 0) return;
+                await api.database.updateRow(expandedDb, viewingTable.tableName, rowKey(original), changed);
+            }
+            fetchTableData(viewingTable.tableName);
+        } catch (e: any) {
+            alert("Failed to save row: " + e.message);
+        }
+    };
+
+    const handleDeleteRows = async (indexes: (number | string)[]) => {
+        if (!expandedDb || !viewingTable || viewingTable.mode !== 'BROWSE') return;
+        if (!viewingTableData.primaryKey || viewingTableData.primaryKey.length === 0) {
+            alert('This table has no primary key, so rows cannot be deleted individually.');
+            return;
+        }
+        if (!confirm(`Delete ${indexes.length} row(s)?`)) return;
+        try {
+            const keys = indexes.map(i => rowKey(viewingTableData.data[Number(i)]));
+            await api.database.deleteRows(expandedDb, viewingTable.tableName, keys);
+            fetchTableData(viewingTable.tableName);
+        } catch (e: any) {
+            alert("Failed to delete rows: " + e.message);
+        }
+    };
+
     // --- IMPORT / EXPORT HANDLERS ---
     const handleExport = async (siteId: string, dbName: string) => {
         try {
@@ -284,7 +336,7 @@ export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, o
                                                 <Download className="w-3 h-3" /> Export
                                             </button>
                                             <button 
-                                                onClick={() => setViewingTable({ dbName, tableName: '', mode: 'RELATIONS' })}
+                                                onClick={() => openTable({ dbName, tableName: '', mode: 'RELATIONS' })}
                                                 className="px-3 py-1.5 text-xs font-medium bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg flex items-center gap-1.5 transition-colors shadow-sm"
                                             >
                                                 <Network className="w-3 h-3" /> Designer
@@ -359,9 +411,9 @@ export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, o
                                                                         <td className="px-4 py-3 text-slate-500 text-xs">{t.collation}</td>
                                                                         <td className="px-4 py-3 text-right">
                                                                             <div className="flex justify-end gap-2 opacity-50 group-hover:opacity-100 transition-opacity">
-                                                                                <button onClick={() => setViewingTable({ dbName, tableName: t.name, mode: 'BROWSE' })} className="text-xs text-indigo-600 hover:underline hover:text-indigo-800 font-medium">Browse</button>
+                                                                                <button onClick={() => openTable({ dbName, tableName: t.name, mode: 'BROWSE' })} className="text-xs text-indigo-600 hover:underline hover:text-indigo-800 font-medium">Browse</button>
                                                                                 <span className="text-slate-300">|</span>
-                                                                                <button onClick={() => setViewingTable({ dbName, tableName: t.name, mode: 'STRUCTURE' })} className="text-xs text-indigo-600 hover:underline hover:text-indigo-800 font-medium">Structure</button>
+                                                                                <button onClick={() => openTable({ dbName, tableName: t.name, mode: 'STRUCTURE' })} className="text-xs text-indigo-600 hover:underline hover:text-indigo-800 font-medium">Structure</button>
                                                                             </div>
                                                                         </td>
                                                                     </tr>
@@ -463,9 +515,11 @@ export const DatabaseManager: React.FC<DatabaseManagerProps> = ({ sites, user, o
                     siteId={expandedDb}
                     viewingTable={viewingTable}
                     data={viewingTableData}
+                    query={tableQuery}
+                    onQueryChange={setTableQuery}
                     onClose={() => setViewingTable(null)}
-                    onSave={() => {}}
-                    onDelete={() => {}}
+                    onSave={handleSaveRow}
+                    onDelete={handleDeleteRows}
                     onRefresh={() => fetchTableData(viewingTable.tableName)}
                     switchMode={(mode) => setViewingTable({...viewingTable, mode})}
                 />
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Card, StatusBadge } from '../../components/Shared';
 import { api } from '../../services/api';
+import { Quota } from '../../services/api/modules/sites';
 import { User, HostingPlan, Site, SiteStatus } from '../../types';
 import { Globe, HardDrive, Crown, Zap, Server, Cloud, ExternalLink, Trash2, Edit2, Save, X, AlertTriangle, Database, Loader2, CheckCircle2, AlertOctagon, Clock, ArrowRight } from 'lucide-react';
 import { FRAMEWORK_ICONS } from '../../constants';
@@ -24,6 +25,14 @@ export const UserDashboardHome: React.FC<DashboardProps> = ({ sites = [], user,
   const [deleteProgress, setDeleteProgress] = useState(0);
   const [deleteStage, setDeleteStage] = useState('');
 
+  // Server-side quota (includes backups in storage); falls back to local numbers when unavailable
+  const [quota, setQuota] = useState<Quota | null>(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    api.sites.getQuota(user.id).then(setQuota).catch(() => setQuota(null));
+  }, [user?.id, sites]);
+
   // Robust safety checks
   const safePlans = Array.isArray(plans) ? plans : [];
   const safeSites = Array.isArray(sites) ? sites : [];
@@ -33,11 +42,11 @@ export const UserDashboardHome: React.FC<DashboardProps> = ({ sites = [], user,
   const displaySites = safeSites.filter(s => s.status !== SiteStatus.DB_ONLY);
 
   const currentPlan = safePlans.find(p => p.name === safeUser.plan);
-  const maxSites = currentPlan?.limits?.sites || 0;
-  const maxStorage = currentPlan?.limits?.storage || 0;
+  const maxSites = quota ? (quota.limits.sites ?? 0) : (currentPlan?.limits?.sites || 0);
+  const maxStorage = quota ? (quota.limits.storageMB ?? 0) : (currentPlan?.limits?.storage || 0);
   
-  const usedSites = displaySites.length;
-  const usedStorage = displaySites.reduce((acc, s) => acc + (s.storageUsed || 0), 0);
+  const usedSites = quota ? quota.usage.sites : displaySites.length;
+  const usedStorage = quota ? quota.usage.storageMB : displaySites.reduce((acc, s) => acc + (s.storageUsed || 0), 0);
 
   const sitesPercentage = maxSites > 0 ? (usedSites / maxSites) * 100 : 0;
   const storagePercentage = maxStorage > 0 ? (usedStorage / maxStorage) * 100 : 0;
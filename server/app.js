@@ -3,8 +3,8 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
-const { AVATAR_ROOT, PAYMENT_PROOF_PATH } = require('./config/paths');
+const { verifyToken } = require('./middleware/auth');
+const { AVATAR_ROOT } = require('./config/paths');
 const routes = require('./routes');
 
 const createApp = () => {
@@ -28,9 +28,7 @@ const createApp = () => {
     // 2. Static File Serving
     console.log(`[Static] Serving Avatars from: ${AVATAR_ROOT}`);
     app.use('/avatars', express.static(AVATAR_ROOT));
-    
-    console.log(`[Static] Serving Payment Proofs from: ${PAYMENT_PROOF_PATH}`);
-    app.use('/uploads/proofs', express.static(PAYMENT_PROOF_PATH));
+    // Payment proofs are not public; they go through GET /api/payments/:id/proof
 
     // 3. Handle favicon.ico to prevent 404 errors
     app.get('/favicon.ico', (req, res) => res.status(204).end());
@@ -47,7 +45,7 @@ const createApp = () => {
         }
         
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = verifyToken(token);
             socket.user = decoded;
             next();
         } catch (err) {
@@ -60,6 +58,9 @@ const createApp = () => {
     
     io.on('connection', (socket) => {
         console.log(`[WebSocket] User connected: ${socket.user.username} (${socket.user.role})`);
+
+        // Per-user room so REST handlers can push progress events (e.g. SQL import)
+        socket.join(`user:${socket.user.id}`);
         
         // Handle terminal commands
         handleTerminalConnection(socket);
@@ -0,0 +1,87 @@
+/**
+ * Post-deploy build steps per framework (values of the `Framework` enum in types.ts).
+ * Commands are the ones the web terminal offers (SAFE_COMMANDS in constants.ts), so they stay on
+ * the terminal whitelist; keep both in sync. `executionMode` picks the runner the same way: 'ssh'
+ * on the storage node, 'local' through the Windows PHP that can reach MySQL.
+ *
+ * `when` skips a step that does not apply to the deployed files (e.g. no package.json).
+ * Long-running commands such as `npm start` are not build steps.
+ */
+
+const STEPS = {
+    composer_install: {
+        label: 'Composer Install',
+        command: '/usr/local/bin/php82 /usr/local/bin/composer install --no-interaction --prefer-dist --optimize-autoloader',
+        executionMode: 'ssh',
+        when: ({ hasFile }) => hasFile('composer.json')
+    },
+    laravel_npm_install: {
+        key: 'npm_install',
+        label: 'NPM Install',
+        command: 'export PATH=/usr/local/bin:$PATH && npm install --legacy-peer-deps',
+        executionMode: 'ssh',
+        when: ({ hasFile }) => hasFile('package.json')
+    },
+    laravel_npm_build: {
+        key: 'npm_build',
+        label: 'NPM Build',
+        command: 'export PATH=/usr/local/bin:$PATH && npm run build',
+        executionMode: 'ssh',
+        when: ({ hasScript }) => hasScript('build')
+    },
+    storage_link: {
+        label: 'Storage Link',
+        command: '/usr/local/bin/php82 artisan storage:link',
+        executionMode: 'ssh',
+        when: ({ hasFile }) => hasFile('artisan')
+    },
+    migrate: {
+        label: 'Run Migrations',
+        command: 'php artisan migrate --force',
+        executionMode: 'local',
+        when: ({ hasFile, site }) => hasFile('artisan') && !!site.has_database
+    },
+    npm_install_production: {
+        key: 'npm_install',
+        label: 'Install Dependencies',
+        command: 'npm install --production',
+        executionMode: 'ssh',
+        when: ({ hasFile }) => hasFile('package.json')
+    },
+    npm_install: {
+        label: 'Install Dependencies',
+        command: 'npm install',
+        executionMode: 'ssh',
+        when: ({ hasFile }) => hasFile('package.json')
+    },
+    npm_build: {
+        label: 'Build Project',
+        command: 'npm run build',
+        executionMode: 'ssh',
+        when: ({ hasScript }) => hasScript('build')
+    }
+};
+
+// `reapplyVhost`: the build output changes what Apache should serve (React's dist/ or build/)
+const PIPELINES = {
+    'Laravel': { steps: ['composer_install', 'laravel_npm_install', 'laravel_npm_build', 'storage_link', 'migrate'] },
+    'Next.js': { steps: ['npm_install_production', 'npm_build'] },
+    'React': { steps: ['npm_install', 'npm_build'], reapplyVhost: true },
+    'Node.js': { steps: ['npm_install_production', 'npm_build'] },
+    'PHP Native': { steps: [] },
+    'HTML Static': { steps: [] }
+};
+
+/**
+ * @param {string} framework - `sites.framework`
+ * @returns {{ steps: { key: string, label: string, command: string, executionMode: 'ssh'|'local', when?: Function }[], reapplyVhost: boolean }}
+ */
+const getPipeline = (framework) => {
+    const pipeline = PIPELINES[framework] || { steps: [] };
+    return {
+        steps: pipeline.steps.map(id => ({ key: id, ...STEPS[id] })),
+        reapplyVhost: !!pipeline.reapplyVhost
+    };
+};
+
+module.exports = { getPipeline };
@@ -2,17 +2,20 @@
 const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
+const { hashPassword } = require('../utils/password');
 require('dotenv').config();
 
-const SEED_SQL = `
-  INSERT IGNORE INTO users (id, username, password, email, role, plan, avatar, status) VALUES 
-  ('u1', 'demo_user', 'password', 'user@example.com', 'USER', 'Basic', '', 'ACTIVE'),
-  ('a1', 'sys_admin', 'admin', 'admin@kolabpanel.com', 'ADMIN', 'Premium', '', 'ACTIVE');
+// Demo accounts: [id, username, password, email, role, plan]. Passwords are hashed at seed time.
+const SEED_USERS = [
+  ['u1', 'demo_user', 'password', 'user@example.com', 'USER', 'Basic'],
+  ['a1', 'sys_admin', 'admin', 'admin@kolabpanel.com', 'ADMIN', 'Premium']
+];
 
+const SEED_SQL = `
   INSERT IGNORE INTO plans (id, name, price, currency, features, limits, is_popular) VALUES 
-  ('plan_basic', 'Basic', 0, 'Rp', '["1 Site", "100MB Storage", "Shared Database"]', '{"sites": 1, "storage": 100, "databases": 0}', FALSE),
-  ('plan_pro', 'Pro', 50000, 'Rp', '["5 Sites", "1GB Storage", "Private Database"]', '{"sites": 5, "storage": 1024, "databases": 1}', TRUE),
-  ('plan_premium', 'Premium', 100000, 'Rp', '["Unlimited Sites", "10GB Storage"]', '{"sites": 9999, "storage": 10240, "databases": 5}', FALSE);
+  ('plan_basic', 'Basic', 0, 'Rp', '["1 Site", "100MB Storage", "Shared Database"]', '{"sites": 1, "storage": 100, "databases": 0, "backupRetention": 3}', FALSE),
+  ('plan_pro', 'Pro', 50000, 'Rp', '["5 Sites", "1GB Storage", "Private Database"]', '{"sites": 5, "storage": 1024, "databases": 1, "backupRetention": 7}', TRUE),
+  ('plan_premium', 'Premium', 100000, 'Rp', '["Unlimited Sites", "10GB Storage"]', '{"sites": 9999, "storage": 10240, "databases": 5, "backupRetention": 30}', FALSE);
 
   INSERT IGNORE INTO domains (id, name, is_primary) VALUES ('d1', 'kolabpanel.com', TRUE);
 
@@ -67,7 +70,217 @@ const initDB = async () => {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
 
-    // 4. Schema Load (Only if tables are missing - heuristic check)
+    // 4. Ensure 'query_history' table exists (SQL console audit trail)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS query_history (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(50) NOT NULL,
+          site_id VARCHAR(50) NOT NULL,
+          db_name VARCHAR(255) NOT NULL,
+          query_text TEXT NOT NULL,
+          read_only BOOLEAN DEFAULT FALSE,
+          status ENUM('success', 'error') NOT NULL,
+          rows_returned INT,
+          rows_affected INT,
+          duration_ms INT,
+          error TEXT,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+          INDEX idx_site_executed (site_id, executed_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 5. Ensure backup tables exist (scheduled database dumps)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS backup_schedules (
+          site_id VARCHAR(50) PRIMARY KEY,
+          frequency ENUM('daily', 'weekly', 'off') NOT NULL DEFAULT 'daily',
+          hour TINYINT NOT NULL DEFAULT 2,
+          weekday TINYINT NOT NULL DEFAULT 0,
+          last_run_at DATETIME,
+          next_run_at DATETIME,
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+          INDEX idx_next_run (next_run_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS database_backups (
+          id VARCHAR(50) PRIMARY KEY,
+          site_id VARCHAR(50) NOT NULL,
+          database_id VARCHAR(50),
+          user_id VARCHAR(50) NOT NULL,
+          db_name VARCHAR(255) NOT NULL,
+          file_name VARCHAR(255),
+          size_bytes BIGINT DEFAULT 0,
+          source ENUM('manual', 'scheduled', 'pre-restore') NOT NULL,
+          status ENUM('COMPLETED', 'FAILED') NOT NULL,
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          INDEX idx_site_created (site_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 6. Ensure 'site_disk_usage' table exists (storage scanner results)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS site_disk_usage (
+          site_id VARCHAR(50) PRIMARY KEY,
+          files_bytes BIGINT NOT NULL DEFAULT 0,
+          file_count INT NOT NULL DEFAULT 0,
+          database_bytes BIGINT NOT NULL DEFAULT 0,
+          folders JSON,
+          scanned_at DATETIME,
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 7. Ensure 'plan_price_history' table exists (audit of plan price changes, kept after a plan is deleted)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS plan_price_history (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          plan_id VARCHAR(50) NOT NULL,
+          plan_name VARCHAR(100),
+          old_price INT,
+          new_price INT NOT NULL,
+          currency VARCHAR(10),
+          changed_by VARCHAR(50),
+          changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_plan_changed (plan_id, changed_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 8. Ensure 'subscriptions' table exists (paid plan periods; users.plan_expires_at mirrors the active one)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS subscriptions (
+          id VARCHAR(50) PRIMARY KEY,
+          user_id VARCHAR(50) NOT NULL,
+          plan VARCHAR(100) NOT NULL,
+          billing_cycle ENUM('monthly', 'yearly') NOT NULL DEFAULT 'monthly',
+          status ENUM('ACTIVE', 'RENEWED', 'REPLACED', 'EXPIRED') NOT NULL DEFAULT 'ACTIVE',
+          payment_id VARCHAR(50),
+          starts_at DATETIME NOT NULL,
+          ends_at DATETIME NOT NULL,
+          reminder_sent_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          UNIQUE KEY uniq_payment (payment_id),
+          INDEX idx_status_ends (status, ends_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 9. Ensure 'discounts' table exists (coupon codes applied at payment submission)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS discounts (
+          id VARCHAR(50) PRIMARY KEY,
+          code VARCHAR(50) UNIQUE NOT NULL,
+          type VARCHAR(20) NOT NULL,
+          value INT NOT NULL,
+          valid_plans JSON,
+          expires_at DATETIME DEFAULT NULL,
+          max_uses INT DEFAULT NULL,
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 10. Ensure 'invoices' table exists (numbered invoice per verified payment; billing details are snapshotted)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS invoices (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          number VARCHAR(50) NOT NULL UNIQUE,
+          payment_id VARCHAR(50) NOT NULL,
+          user_id VARCHAR(50) NOT NULL,
+          customer_name VARCHAR(100),
+          customer_email VARCHAR(255),
+          plan VARCHAR(100) NOT NULL,
+          billing_cycle VARCHAR(20) NOT NULL DEFAULT 'monthly',
+          period_start DATETIME,
+          period_end DATETIME,
+          original_amount INT NOT NULL DEFAULT 0,
+          discount_code VARCHAR(50),
+          discount_amount INT NOT NULL DEFAULT 0,
+          unique_code INT NOT NULL DEFAULT 0,
+          amount INT NOT NULL,
+          method VARCHAR(20),
+          issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          UNIQUE KEY uniq_payment (payment_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 11. Ensure 'deployments' table exists (history of releases deployed to / rolled back on a site)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS deployments (
+          id VARCHAR(50) PRIMARY KEY,
+          site_id VARCHAR(50) NOT NULL,
+          release_id VARCHAR(20) NOT NULL,
+          action VARCHAR(20) NOT NULL,
+          source VARCHAR(20),
+          file_name VARCHAR(255),
+          commit_sha VARCHAR(40),
+          size_bytes BIGINT DEFAULT 0,
+          status VARCHAR(20) NOT NULL,
+          error TEXT,
+          created_by VARCHAR(50),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_site_created (site_id, created_at),
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 12. Ensure build tables exist (post-deploy build pipeline runs and the log of each step)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS builds (
+          id VARCHAR(50) PRIMARY KEY,
+          site_id VARCHAR(50) NOT NULL,
+          deployment_id VARCHAR(50),
+          framework VARCHAR(50),
+          status VARCHAR(20) NOT NULL,
+          error TEXT,
+          created_by VARCHAR(50),
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME NULL,
+          INDEX idx_site_started (site_id, started_at),
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS build_steps (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          build_id VARCHAR(50) NOT NULL,
+          position INT NOT NULL,
+          step_key VARCHAR(50) NOT NULL,
+          label VARCHAR(100),
+          command TEXT,
+          execution_mode VARCHAR(10),
+          status VARCHAR(20) NOT NULL,
+          log MEDIUMTEXT,
+          error TEXT,
+          started_at DATETIME NULL,
+          finished_at DATETIME NULL,
+          INDEX idx_build_position (build_id, position),
+          FOREIGN KEY (build_id) REFERENCES builds(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 13. Ensure 'site_env_vars' table exists (per-site .env variables; secret values are encrypted)
+    await rootConnection.query(`
+        CREATE TABLE IF NOT EXISTS site_env_vars (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          site_id VARCHAR(50) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          value TEXT,
+          is_secret BOOLEAN DEFAULT FALSE,
+          managed BOOLEAN DEFAULT FALSE,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uniq_site_name (site_id, name),
+          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 14. Schema Load (Only if tables are missing - heuristic check)
     const schemaPath = path.resolve(__dirname, '..', 'schema.sql');
     if (fs.existsSync(schemaPath)) {
         // Uncomment below if you want to force schema sync:
@@ -75,21 +288,75 @@ const initDB = async () => {
         // await rootConnection.query(schemaSql);
     }
 
-    // 5. Migrations (Auto-patching)
+    // 15. Migrations (Auto-patching)
     try {
         await rootConnection.query("ALTER TABLE users ADD COLUMN theme VARCHAR(10) DEFAULT 'light'");
     } catch (err) {
         if (err.code !== 'ER_DUP_FIELDNAME') { /* ignore */ }
     }
 
-    // 6. Seed if empty
+    for (const ddl of [
+        "ALTER TABLE payments ADD COLUMN billing_cycle VARCHAR(10) DEFAULT 'monthly'",
+        'ALTER TABLE sites ADD COLUMN suspended_reason VARCHAR(50) DEFAULT NULL',
+        'ALTER TABLE discounts ADD COLUMN expires_at DATETIME DEFAULT NULL',
+        'ALTER TABLE discounts ADD COLUMN max_uses INT DEFAULT NULL',
+        'ALTER TABLE discounts ADD COLUMN is_active BOOLEAN DEFAULT TRUE',
+        'ALTER TABLE payments ADD COLUMN original_amount INT',
+        'ALTER TABLE payments ADD COLUMN discount_id VARCHAR(50)',
+        'ALTER TABLE payments ADD COLUMN discount_code VARCHAR(50)',
+        'ALTER TABLE payments ADD COLUMN discount_amount INT DEFAULT 0',
+        'ALTER TABLE payments ADD COLUMN unique_code INT DEFAULT 0',
+        'ALTER TABLE payments ADD COLUMN reviewed_by VARCHAR(50) DEFAULT NULL',
+        'ALTER TABLE payments ADD COLUMN reviewed_at DATETIME DEFAULT NULL',
+        'ALTER TABLE payments ADD COLUMN rejection_reason TEXT',
+        'ALTER TABLE sites ADD COLUMN port INT DEFAULT NULL',
+        'ALTER TABLE tunnels ADD COLUMN site_id VARCHAR(50) DEFAULT NULL',
+        'ALTER TABLE sites ADD COLUMN current_release VARCHAR(20) DEFAULT NULL',
+        'ALTER TABLE sites ADD COLUMN git_url VARCHAR(500) DEFAULT NULL',
+        'ALTER TABLE sites ADD COLUMN git_branch VARCHAR(255) DEFAULT NULL',
+        'ALTER TABLE sites ADD COLUMN git_commit VARCHAR(40) DEFAULT NULL',
+        'ALTER TABLE sites ADD COLUMN releases_used FLOAT DEFAULT 0',
+        'ALTER TABLE deployments ADD COLUMN commit_sha VARCHAR(40) DEFAULT NULL'
+    ]) {
+        try {
+            await rootConnection.query(ddl);
+        } catch (err) {
+            if (err.code !== 'ER_DUP_FIELDNAME') console.warn('[DB] Migration skipped:', err.message);
+        }
+    }
+
+    // Invoices used to get their number in a second statement; fill any that never got one, then enforce it
+    try {
+        await rootConnection.query(
+            "UPDATE invoices SET number = CONCAT('INV/', YEAR(issued_at), '/', LPAD(MONTH(issued_at), 2, '0'), '/', LPAD(id, 5, '0')) WHERE number IS NULL"
+        );
+        await rootConnection.query('ALTER TABLE invoices MODIFY number VARCHAR(50) NOT NULL');
+    } catch (err) {
+        console.warn('[DB] Migration skipped:', err.message);
+    }
+
+    // Backup retention per plan (number of completed backups kept per site)
+    for (const [planId, retention] of [['plan_basic', 3], ['plan_pro', 7], ['plan_premium', 30]]) {
+        await rootConnection.query(
+            "UPDATE plans SET limits = JSON_SET(limits, '$.backupRetention', ?) WHERE id = ? AND JSON_EXTRACT(limits, '$.backupRetention') IS NULL",
+            [retention, planId]
+        ).catch(() => {});
+    }
+
+    // 16. Seed if empty
     const [rows] = await rootConnection.query('SELECT COUNT(*) as count FROM users');
     if (rows[0].count === 0) {
+        for (const [id, username, password, email, role, plan] of SEED_USERS) {
+            await rootConnection.query(
+                "INSERT IGNORE INTO users (id, username, password, email, role, plan, avatar, status) VALUES (?, ?, ?, ?, ?, ?, '', 'ACTIVE')",
+                [id, username, await hashPassword(password), email, role, plan]
+            );
+        }
         await rootConnection.query(SEED_SQL);
         console.log('[DB] Seed data inserted.');
     }
 
-    // 7. Data Consistency Check (Self-Healing)
+    // 17. Data Consistency Check (Self-Healing)
     // Fix sites that think they have a DB but don't have a metadata record (e.g. from failed deployments)
     try {
         const [orphanedSites] = await rootConnection.query(`
@@ -110,6 +377,27 @@ const initDB = async () => {
         console.warn('[DB] Self-healing skipped:', healErr.message);
     }
 
+    // Detached (DB_ONLY) sites have no vhost; their subdomain would block re-creating the site under it
+    try {
+        await rootConnection.query("UPDATE sites SET subdomain = NULL WHERE status = 'DB_ONLY' AND subdomain IS NOT NULL");
+    } catch (healErr) {
+        console.warn('[DB] Self-healing skipped:', healErr.message);
+    }
+
+    // Builds run inside the server process; one that was running when it stopped will never finish
+    try {
+        const [interrupted] = await rootConnection.query(
+            "UPDATE builds SET status = 'FAILED', error = 'Interrupted by a server restart', finished_at = NOW() WHERE status = 'RUNNING'"
+        );
+        if (interrupted.affectedRows > 0) {
+            await rootConnection.query("UPDATE build_steps SET status = 'CANCELLED' WHERE status IN ('PENDING', 'RUNNING')");
+            await rootConnection.query("UPDATE sites SET status = 'FAILED' WHERE status = 'DEPLOYING'");
+            console.log(`[DB] Marked ${interrupted.affectedRows} interrupted build(s) as failed.`);
+        }
+    } catch (healErr) {
+        console.warn('[DB] Build cleanup skipped:', healErr.message);
+    }
+
     console.log('[DB] Database ready.');
   } catch (err) {
     console.error('[DB] Initialization failed:', err.message);
@@ -1,5 +1,6 @@
+const path = require('path');
 const { ensureWritableDirSync } = require('../utils/helpers');
-const { STORAGE_ROOT, AVATAR_ROOT, PAYMENT_PROOF_PATH, APACHE_SITES_PATH } = require('./paths');
+const { STORAGE_ROOT, AVATAR_ROOT, PAYMENT_PROOF_PATH, APACHE_SITES_PATH, UPLOAD_TEMP } = require('./paths');
 
 const initStorage = () => {
     const isUNCPath = (p) => p && p.startsWith('\\\\');
@@ -8,10 +9,12 @@ const initStorage = () => {
         ensureWritableDirSync(STORAGE_ROOT, isUNCPath(STORAGE_ROOT));
         ensureWritableDirSync(AVATAR_ROOT);
         ensureWritableDirSync(PAYMENT_PROOF_PATH);
+        ensureWritableDirSync(UPLOAD_TEMP);
         
         // Only create Apache path if it's set in env (not using mock internal path)
         if (process.env.APACHE_SITES_PATH) {
-            ensureWritableDirSync(APACHE_SITES_PATH);
+            // Single-file mode (Laragon httpd-vhosts.conf): only its folder has to exist
+            ensureWritableDirSync(APACHE_SITES_PATH.endsWith('.conf') ? path.dirname(APACHE_SITES_PATH) : APACHE_SITES_PATH);
         }
         
         console.log('[Storage] Directories ready.');
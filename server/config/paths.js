@@ -36,6 +36,21 @@ const APACHE_HTTPD_PATH = process.env.APACHE_HTTPD_PATH
     ? resolveEnvPath(process.env.APACHE_HTTPD_PATH)
     : path.resolve(__dirname, '..', 'apache_mock/httpd.conf');
 
+// cloudflared ingress file rendered from the tunnels table
+const CLOUDFLARED_CONFIG_PATH = process.env.CLOUDFLARED_CONFIG_PATH
+    ? resolveEnvPath(process.env.CLOUDFLARED_CONFIG_PATH)
+    : path.resolve(__dirname, '..', 'cloudflared_mock/config.yml');
+
+// STORAGE_ROOT as Apache sees it (e.g. Z:/www when Node writes through a UNC share)
+const APACHE_DOCUMENT_ROOT = process.env.APACHE_DOCUMENT_ROOT
+    ? normalizeWindowsPath(process.env.APACHE_DOCUMENT_ROOT)
+    : STORAGE_ROOT;
+
+// Temp folder for large uploads that are streamed from disk (e.g. SQL imports)
+const UPLOAD_TEMP = process.env.UPLOAD_TEMP
+    ? resolveEnvPath(process.env.UPLOAD_TEMP)
+    : path.resolve(__dirname, '..', 'uploads');
+
 const SSH_ROOT_PATH = process.env.SSH_ROOT_PATH || '/volume1/web/project/kohost_users';
 
 // ==================== LARAGON PATHS (TAMBAHAN) ====================
@@ -45,6 +60,7 @@ const PHP_BINARY = process.env.PHP_BINARY || 'C:/xampp/php/php.exe';
 // Laragon/XAMPP Composer path (opsional, bisa diambil dari PATH environment)
 const COMPOSER_BINARY = process.env.COMPOSER_BINARY || 'composer';
 const NPM_BINARY = process.env.NPM_BINARY || 'npm';
+const GIT_BINARY = process.env.GIT_BINARY || 'git';
 
 module.exports = {
     STORAGE_ROOT,
@@ -52,13 +68,45 @@ module.exports = {
     PAYMENT_PROOF_PATH,
     APACHE_SITES_PATH,
     APACHE_HTTPD_PATH,
+    APACHE_DOCUMENT_ROOT,
+    UPLOAD_TEMP,
     SSH_ROOT_PATH,
     
     // Binary paths untuk terminal execution
     PHP_BINARY,
     COMPOSER_BINARY,
     NPM_BINARY,
+    GIT_BINARY,
     
+    // Apache vhosts: listen port, `httpd` binary (for -t and reload) or explicit commands
+    APACHE_VHOST_PORT: parseInt(process.env.APACHE_VHOST_PORT) || 80,
+    APACHE_BIN: process.env.APACHE_BIN || '',
+    APACHE_CONFIGTEST_CMD: process.env.APACHE_CONFIGTEST_CMD || '',
+    APACHE_RELOAD_CMD: process.env.APACHE_RELOAD_CMD || '',
+    // First local port handed to Node.js / Next.js sites behind the reverse proxy
+    APP_PORT_START: parseInt(process.env.APP_PORT_START) || 3100,
+    // Lets git deploys use file:// or local paths (e.g. a bare repo for testing); off by default since
+    // it would let users clone any repository readable on this machine
+    GIT_ALLOW_LOCAL_REPOS: process.env.GIT_ALLOW_LOCAL_REPOS === 'true',
+    // Releases kept per site (the live one included) for rollbacks
+    KEEP_RELEASES: Math.max(1, parseInt(process.env.KEEP_RELEASES) || 5),
+    // Post-deploy build pipeline (composer / npm / artisan steps); set to false to deploy files only
+    BUILD_ON_DEPLOY: process.env.BUILD_ON_DEPLOY !== 'false',
+    BUILD_STEP_TIMEOUT_MINUTES: parseInt(process.env.BUILD_STEP_TIMEOUT_MINUTES) || 15,
+    // Encrypts secret site environment variables in the panel DB; no default, secrets are refused without it.
+    // Changing it makes stored secrets unreadable.
+    ENV_ENCRYPTION_KEY: process.env.ENV_ENCRYPTION_KEY || '',
+    // MySQL host written to a site's .env as DB_HOST (as the site sees it, not necessarily the panel)
+    SITE_DB_HOST: process.env.SITE_DB_HOST || process.env.DB_HOST || 'localhost',
+
+    // cloudflared: tunnel UUID/name and credentials JSON written into config.yml, the catch-all
+    // service and where routes added for deployed sites point (Apache, which picks the vhost by Host)
+    CLOUDFLARED_CONFIG_PATH,
+    CLOUDFLARED_TUNNEL_ID: process.env.CLOUDFLARED_TUNNEL_ID || '',
+    CLOUDFLARED_CREDENTIALS_FILE: process.env.CLOUDFLARED_CREDENTIALS_FILE ? normalizeWindowsPath(process.env.CLOUDFLARED_CREDENTIALS_FILE) : '',
+    CLOUDFLARED_CATCHALL: process.env.CLOUDFLARED_CATCHALL || 'http_status:404',
+    TUNNEL_SITE_SERVICE: process.env.TUNNEL_SITE_SERVICE || `http://localhost:${parseInt(process.env.APACHE_VHOST_PORT) || 80}`,
+
     // SSH Configuration
     SSH_HOST: process.env.SSH_HOST || '100.90.80.70',
     SSH_PORT: parseInt(process.env.SSH_PORT) || 22,
@@ -1,10 +1,9 @@
 
 const pool = require('../db');
 const os = require('os');
-const fs = require('fs');
-const path = require('path');
-const { APACHE_SITES_PATH, APACHE_HTTPD_PATH } = require('../config/paths');
 const { getCpuUsage } = require('../utils/helpers');
+const apache = require('../services/apacheService');
+const tunnels = require('../services/tunnelService');
 
 // --- STATS ---
 exports.getStats = async (req, res) => {
@@ -16,17 +15,8 @@ exports.getStats = async (req, res) => {
         
         let totalApacheSites = 0;
         try {
-            if (fs.existsSync(APACHE_SITES_PATH)) {
-                const stats = fs.statSync(APACHE_SITES_PATH);
-                if (stats.isDirectory()) {
-                    totalApacheSites = fs.readdirSync(APACHE_SITES_PATH).filter(f => f.endsWith('.conf')).length;
-                } else if (stats.isFile()) {
-                    // Single file mode (Laragon httpd-vhosts.conf)
-                    // Rudimentary count of <VirtualHost> tags
-                    const content = fs.readFileSync(APACHE_SITES_PATH, 'utf8');
-                    totalApacheSites = (content.match(/<VirtualHost/g) || []).length;
-                }
-            }
+            // One file per site, or every parsed VirtualHost of Laragon's shared httpd-vhosts.conf
+            totalApacheSites = apache.getMode() === 'file' ? apache.listVhosts().length : apache.listConfigFiles().length;
         } catch (err) {
             console.error("[Stats] Failed to count apache sites:", err.message);
         }
@@ -47,36 +37,43 @@ exports.getSystemHealth = async (req, res) => {
     } catch (e) { res.status(500).json({ message: "Failed to fetch metrics" }); }
 };
 
-// --- TUNNELS ---
+// --- TUNNELS (rendered into the cloudflared config.yml after every change) ---
 exports.listTunnels = async (req, res) => {
     try {
-        const [tunnels] = await pool.execute('SELECT * FROM tunnels ORDER BY created_at DESC');
-        res.json(tunnels);
+        res.json(await tunnels.listTunnels());
     } catch (e) { res.status(500).json({message: e.message}); }
 };
 
 exports.createTunnel = async (req, res) => {
-    const { hostname, service } = req.body;
     try {
-        await pool.execute('INSERT INTO tunnels (hostname, service) VALUES (?, ?)', [hostname, service]);
-        res.json({ success: true });
-    } catch (e) { res.status(500).json({message: e.message}); }
+        res.json({ success: true, ...await tunnels.createTunnel(req.body) });
+    } catch (e) { res.status(e.status || 500).json({message: e.message}); }
 };
 
 exports.editTunnel = async (req, res) => {
-    const { hostname, newHostname, service } = req.body;
     try {
-        await pool.execute('UPDATE tunnels SET hostname = ?, service = ? WHERE hostname = ?', [newHostname, service, hostname]);
-        res.json({ success: true });
-    } catch (e) { res.status(500).json({message: e.message}); }
+        res.json({ success: true, ...await tunnels.updateTunnel(req.body) });
+    } catch (e) { res.status(e.status || 500).json({message: e.message}); }
 };
 
 exports.deleteTunnel = async (req, res) => {
-    const { hostname } = req.body;
     try {
-        await pool.execute('DELETE FROM tunnels WHERE hostname = ?', [hostname]);
-        res.json({ success: true });
-    } catch (e) { res.status(500).json({message: e.message}); }
+        res.json({ success: true, ...await tunnels.deleteTunnel(req.body.hostname) });
+    } catch (e) { res.status(e.status || 500).json({message: e.message}); }
+};
+
+// GET /admin/tunnels/config - the config.yml the table renders to, and whether the file matches it
+exports.getTunnelConfig = async (req, res) => {
+    try {
+        res.json(await tunnels.getConfig());
+    } catch (e) { res.status(e.status || 500).json({message: e.message}); }
+};
+
+// POST /admin/tunnels/config - writes the file again (e.g. after a failed write or a manual edit)
+exports.writeTunnelConfig = async (req, res) => {
+    try {
+        res.json({ success: true, ...await tunnels.writeConfig() });
+    } catch (e) { res.status(e.status || 500).json({message: e.message}); }
 };
 
 // --- USERS & COMMON ---
@@ -88,13 +85,6 @@ exports.listUsers = async (req, res) => {
     } catch (e) { res.status(500).json({message: e.message}); }
 };
 
-exports.getPlans = async (req, res) => {
-    try {
-        const [plans] = await pool.execute('SELECT * FROM plans');
-        res.json(plans);
-    } catch (e) { res.status(500).json({message: e.message}); }
-};
-
 exports.getDomains = async (req, res) => {
     try {
         const [domains] = await pool.execute('SELECT * FROM domains');
@@ -106,54 +96,111 @@ exports.getDomains = async (req, res) => {
 exports.getPayments = async (req, res) => {
     try {
         const [payments] = await pool.execute(`
-            SELECT p.*, u.username 
+            SELECT p.*, u.username, r.username AS reviewed_by_username
             FROM payments p 
             LEFT JOIN users u ON p.user_id = u.id 
+            LEFT JOIN users r ON p.reviewed_by = r.id
             ORDER BY p.date DESC
         `);
         const mapped = payments.map(p => ({
             ...p,
             userId: p.user_id,
-            proofUrl: p.proof_url
+            proofUrl: p.proof_url,
+            billingCycle: p.billing_cycle,
+            originalAmount: p.original_amount,
+            discountCode: p.discount_code,
+            discountAmount: p.discount_amount,
+            reviewedBy: p.reviewed_by_username || p.reviewed_by,
+            reviewedAt: p.reviewed_at,
+            rejectionReason: p.rejection_reason
         }));
         res.json(mapped);
     } catch (e) { res.status(500).json({message: e.message}); }
 };
 
-// --- APACHE MANAGEMENT (Enhanced for Single File) ---
+// --- APACHE MANAGEMENT (directory or single-file Laragon mode) ---
 
 exports.listApacheSites = async (req, res) => {
     try {
-        if (!fs.existsSync(APACHE_SITES_PATH)) return res.json([]);
-        
-        const stats = fs.statSync(APACHE_SITES_PATH);
-        if (stats.isDirectory()) {
-            const files = fs.readdirSync(APACHE_SITES_PATH).filter(f => f.endsWith('.conf'));
-            res.json(files);
-        } else {
-            // If it's a single file (Laragon), just return that file name
-            res.json([path.basename(APACHE_SITES_PATH)]);
-        }
+        res.json(apache.listConfigFiles());
     } catch (e) { res.status(500).json({message: e.message}); }
 };
 
 exports.getApacheSite = async (req, res) => {
     try {
-        const stats = fs.statSync(APACHE_SITES_PATH);
-        let filePath;
-
-        if (stats.isDirectory()) {
-            filePath = path.join(APACHE_SITES_PATH, req.params.filename);
-        } else {
-            // In single file mode, ignore the filename param and read the main file
-            // But verify the param matches the basename to be safe/consistent
-            if (req.params.filename !== path.basename(APACHE_SITES_PATH)) {
-                return res.status(404).json({ message: "File mismatch in single-file mode" });
-            }
-            filePath = APACHE_SITES_PATH;
-        }
+        const content = apache.readConfigFile(req.params.filename);
+        res.json({ content, vhosts: apache.parseVhosts(content) });
+    } catch (e) { res.status(e.status || 500).json({message: e.message}); }
+};
 
-        const content = fs.readFileSync(filePath, 'utf8');
-        res.json({ content });
-    } catch (e) { res.status(500).json({message: e.message}); }
+// POST /admin/apache/sites  { filename, content } - in single-file mode the block is appended
+exports.createApacheSite = async (req, res) => {
+    try {
+        const result = await apache.createConfigFile(req.body.filename, req.body.content);
+        res.status(201).json({ success: true, ...result });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message, errors: e.errors }); }
+};
+
+// PUT /admin/apache/sites/:filename  { content }
+exports.updateApacheSite = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.updateConfigFile(req.params.filename, req.body.content) });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message, errors: e.errors }); }
+};
+
+exports.deleteApacheSite = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.deleteConfigFile(req.params.filename) });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message }); }
+};
+
+// POST /admin/apache/sites/:filename/rollback - restores the version saved before the last write
+exports.rollbackApacheSite = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.rollbackConfigFile(req.params.filename) });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message, errors: e.errors }); }
+};
+
+// GET /admin/apache/vhosts - every VirtualHost as { file, index, serverName, documentRoot, ... }
+exports.listApacheVhosts = async (req, res) => {
+    try {
+        res.json(apache.listVhosts());
+    } catch (e) { res.status(e.status || 500).json({ message: e.message }); }
+};
+
+exports.getApacheVhost = async (req, res) => {
+    try {
+        res.json(apache.getVhost(req.params.filename, req.params.index));
+    } catch (e) { res.status(e.status || 500).json({ message: e.message }); }
+};
+
+// PUT /admin/apache/vhosts/:filename/:index  { serverName?, serverAliases?, documentRoot?, proxyPass?, raw?, ifMatch? }
+exports.updateApacheVhost = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.updateVhost(req.params.filename, req.params.index, req.body) });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message, errors: e.errors }); }
+};
+
+exports.deleteApacheVhost = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.deleteVhost(req.params.filename, req.params.index) });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message, errors: e.errors }); }
+};
+
+exports.getHttpdConfig = async (req, res) => {
+    try {
+        res.json({ content: apache.readHttpdConfig() });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message }); }
+};
+
+exports.updateHttpdConfig = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.writeHttpdConfig(req.body.content) });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message, errors: e.errors }); }
+};
+
+exports.reloadApache = async (req, res) => {
+    try {
+        res.json({ success: true, ...await apache.reloadApache() });
+    } catch (e) { res.status(e.status || 500).json({ message: e.message }); }
 };
@@ -1,22 +1,32 @@
 
 const pool = require('../db');
-const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
 const { AVATAR_ROOT } = require('../config/paths');
+const { signToken } = require('../middleware/auth');
+const { hashPassword, verifyPassword, checkPasswordStrength } = require('../utils/password');
+const { getMysqlAccount } = require('../utils/mysqlAccount');
 
-const SECRET_KEY = process.env.JWT_SECRET || 'dev_secret_key';
+// Columns a user may change on their own profile (role/plan/status are admin-managed)
+const PROFILE_FIELDS = ['username', 'email', 'avatar', 'theme'];
 
 exports.login = async (req, res) => {
     const { username, password } = req.body;
     try {
         const [users] = await pool.execute('SELECT * FROM users WHERE username = ?', [username]);
         const user = users[0];
+        const check = user ? await verifyPassword(user.password, password) : { valid: false };
         
-        if (user && user.password === password) {
+        if (check.valid) {
+            // Transparently upgrade legacy plaintext (or outdated) hashes on successful login
+            if (check.needsRehash) {
+                const upgraded = await hashPassword(password);
+                await pool.execute('UPDATE users SET password = ? WHERE id = ?', [upgraded, user.id]);
+            }
+
             // Added username to payload for easier logging/debugging on backend
-            const token = jwt.sign({ id: user.id, username: user.username, role: user.role }, SECRET_KEY, { expiresIn: '12h' });
-            const { password, ...u } = user;
+            const token = signToken(user);
+            const { password: storedHash, ...u } = user;
             res.json({ token, user: u });
         } else {
             res.status(401).json({ message: 'Invalid credentials' });
@@ -37,6 +47,9 @@ exports.register = async (req, res) => {
         return res.status(400).json({ message: 'Username must contain at least 3 alphanumeric characters' });
     }
 
+    const weakness = checkPasswordStrength(password, username);
+    if (weakness) return res.status(400).json({ message: weakness });
+
     try {
         // 1. Check if user exists
         const [existing] = await pool.execute('SELECT id FROM users WHERE username = ? OR email = ?', [username, email]);
@@ -48,17 +61,14 @@ exports.register = async (req, res) => {
         const userId = `u_${Date.now().toString(36)}`;
         
         // 3. Insert into App DB
+        const passwordHash = await hashPassword(password);
         await pool.execute(
             'INSERT INTO users (id, username, email, password, role, plan, status, avatar, theme) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [userId, username, email, password, 'USER', 'Basic', 'ACTIVE', `https://ui-avatars.com/api/?name=${username}`, 'light']
+            [userId, username, email, passwordHash, 'USER', 'Basic', 'ACTIVE', `https://ui-avatars.com/api/?name=${username}`, 'light']
         );
 
         // 4. Create Real MySQL User for phpMyAdmin
-        const mysqlUser = `sql_${safeUsername.toLowerCase()}`;
-        // Ensure substring doesn't fail if strings are short
-        const idPart = userId.substring(0, 4);
-        const namePart = safeUsername.substring(0, 3).toUpperCase();
-        const mysqlPass = `kp_${idPart}@${namePart}#88`;
+        const { user: mysqlUser, password: mysqlPass } = getMysqlAccount(userId, username);
 
         try {
             // Drop if exists to be safe
@@ -83,25 +93,20 @@ exports.register = async (req, res) => {
 };
 
 exports.getMe = async (req, res) => {
-    const authHeader = req.headers.authorization;
-    if (authHeader) {
-        const token = authHeader.split(' ')[1];
-        jwt.verify(token, SECRET_KEY, async (err, userDecoded) => {
-            if (err) return res.status(403).json({ message: 'Invalid Token' });
-            try {
-                const [users] = await pool.execute('SELECT * FROM users WHERE id = ?', [userDecoded.id]);
-                if (users.length === 0) return res.status(404).json({ message: 'User not found' });
-                const { password, ...u } = users[0];
-                res.json(u);
-            } catch (e) { res.status(500).json({ message: e.message }); }
-        });
-    } else {
-        res.status(401).json({ message: 'Unauthorized' });
-    }
+    try {
+        const [users] = await pool.execute('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        if (users.length === 0) return res.status(404).json({ message: 'User not found' });
+        const { password, ...u } = users[0];
+        res.json(u);
+    } catch (e) { res.status(500).json({ message: e.message }); }
 };
 
 exports.updateProfile = async (req, res) => {
-    const { id, ...data } = req.body;
+    const id = req.user.id;
+    const data = {};
+    PROFILE_FIELDS.forEach(k => {
+        if (req.body[k] !== undefined) data[k] = req.body[k];
+    });
     if (data.avatar && data.avatar.startsWith('data:image')) {
         try {
             const matches = data.avatar.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
@@ -130,13 +135,19 @@ exports.updateProfile = async (req, res) => {
 };
 
 exports.changePassword = async (req, res) => {
-    const { userId, current, newPass } = req.body;
+    const userId = req.user.id;
+    const { current, newPass } = req.body;
     try {
-        const [users] = await pool.execute('SELECT password FROM users WHERE id = ?', [userId]);
+        const [users] = await pool.execute('SELECT username, password FROM users WHERE id = ?', [userId]);
         if (users.length === 0) return res.status(404).json({ message: 'User not found' });
         
-        if (users[0].password === current) {
-            await pool.execute('UPDATE users SET password = ? WHERE id = ?', [newPass, userId]);
+        const check = await verifyPassword(users[0].password, current);
+        if (check.valid) {
+            const weakness = checkPasswordStrength(newPass, users[0].username);
+            if (weakness) return res.status(400).json({ message: weakness });
+
+            const passwordHash = await hashPassword(newPass);
+            await pool.execute('UPDATE users SET password = ? WHERE id = ?', [passwordHash, userId]);
             res.json({ success: true });
         } else {
             res.status(400).json({ message: 'Incorrect current password' });
@@ -0,0 +1,78 @@
+const backupService = require('../services/backupService');
+const { isQuotaError, sendQuotaError } = require('../services/quotaService');
+
+const sendError = (res, e) => {
+    if (isQuotaError(e)) return sendQuotaError(res, e);
+    res.status(e.status || 500).json({ message: e.message });
+};
+
+// GET /sites/:siteId/db/backups
+exports.listBackups = async (req, res) => {
+    try {
+        res.json(await backupService.getOverview(req.site.id, req.site.user_id));
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/db/backups
+exports.createBackup = async (req, res) => {
+    try {
+        const backup = await backupService.createBackup(req.site.id, 'manual');
+        res.status(201).json({ success: true, backup });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// PUT /sites/:siteId/db/backups/schedule  { frequency: 'daily' | 'weekly' | 'off', hour?, weekday? }
+exports.updateSchedule = async (req, res) => {
+    try {
+        const schedule = await backupService.saveSchedule(req.site.id, req.body);
+        res.json({ success: true, schedule });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// GET /sites/:siteId/db/backups/:backupId/download
+exports.downloadBackup = async (req, res) => {
+    try {
+        const { backup, filePath, exists } = await backupService.getBackup(req.site.id, req.params.backupId);
+        if (!exists) return res.status(410).json({ message: 'Backup file is no longer available' });
+
+        res.download(filePath, backup.fileName);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/db/backups/:backupId/restore  { snapshot?: boolean }
+exports.restoreBackup = async (req, res) => {
+    try {
+        const snapshot = req.body.snapshot !== false && req.body.snapshot !== 'false';
+        const result = await backupService.restoreBackup(req.site.id, req.params.backupId, { snapshot });
+
+        const { report } = result;
+        const status = report.aborted ? 422 : 200;
+        res.status(status).json({
+            success: !report.aborted,
+            message: report.aborted
+                ? `Restore stopped at line ${report.failed[0]?.line}: ${report.failed[0]?.message}`
+                : `Restored ${result.backup.fileName} (${report.executed} statements)`,
+            ...result
+        });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// DELETE /sites/:siteId/db/backups/:backupId
+exports.deleteBackup = async (req, res) => {
+    try {
+        const backup = await backupService.deleteBackup(req.site.id, req.params.backupId);
+        res.json({ success: true, backup });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
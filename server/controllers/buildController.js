@@ -0,0 +1,32 @@
+const buildService = require('../services/buildService');
+
+const sendError = (res, e) => res.status(e.status || 500).json({ message: e.message });
+
+// GET /sites/:siteId/builds - recent pipeline runs with the status of each step
+exports.listBuilds = async (req, res) => {
+    try {
+        res.json(await buildService.listBuilds(req.site.id));
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// GET /sites/:siteId/builds/:buildId - one run including every step's output
+exports.getBuild = async (req, res) => {
+    try {
+        res.json(await buildService.getBuild(req.site.id, req.params.buildId));
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/builds - runs the pipeline again on the live files (e.g. after fixing a failed step)
+exports.startBuild = async (req, res) => {
+    try {
+        const build = await buildService.startBuild(req.site.id, { actorId: req.user.id });
+        if (!build) return res.json({ success: true, message: 'Nothing to build for this framework', build: null });
+        res.status(202).json({ success: true, message: 'Build started', build });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
@@ -0,0 +1,629 @@
+const mysql = require('mysql2');
+const pool = require('../db');
+const { getDbName, describeTable, listConstraintNames } = require('../utils/dbSchema');
+const { httpError } = require('../utils/helpers');
+const { connectAsOwner } = require('../utils/mysqlAccount');
+const { createSqlSplitter } = require('../utils/sqlSplitter');
+const {
+    identifier, columnDefinition, indexDefinition, indexColumnNames, foreignKeyDefinition, createTableSql
+} = require('../utils/ddlBuilder');
+
+// Read rows back the way the table browser shows them
+const ROW_OPTIONS = { dateStrings: true, supportBigNumbers: true, bigNumberStrings: true };
+
+// MySQL errors caused by the submitted data rather than by the server
+const SQL_CLIENT_ERRORS = {
+    ER_DUP_ENTRY: 409,
+    ER_ROW_IS_REFERENCED: 409,
+    ER_ROW_IS_REFERENCED_2: 409,
+    ER_NO_REFERENCED_ROW: 409,
+    ER_NO_REFERENCED_ROW_2: 409,
+    ER_BAD_NULL_ERROR: 400,
+    ER_NO_DEFAULT_FOR_FIELD: 400,
+    ER_DATA_TOO_LONG: 400,
+    ER_TRUNCATED_WRONG_VALUE: 400,
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: 400,
+    WARN_DATA_TRUNCATED: 400,
+    ER_WARN_DATA_OUT_OF_RANGE: 400,
+    ER_CHECK_CONSTRAINT_VIOLATED: 400,
+    // Schema designer
+    ER_TABLE_EXISTS_ERROR: 409,
+    ER_DUP_FIELDNAME: 409,
+    ER_DUP_KEYNAME: 409,
+    ER_MULTIPLE_PRI_KEY: 409,
+    ER_CANT_DROP_FIELD_OR_KEY: 400,
+    ER_BLOB_KEY_WITHOUT_LENGTH: 400,
+    ER_INVALID_DEFAULT: 400,
+    ER_WRONG_AUTO_KEY: 400,
+    ER_TOO_LONG_KEY: 400,
+    ER_TOO_BIG_ROWSIZE: 400,
+    ER_CANNOT_ADD_FOREIGN: 400,
+    ER_FK_INCOMPATIBLE_COLUMNS: 400,
+    ER_FK_COLUMN_CANNOT_DROP: 409,
+    ER_DROP_INDEX_FK: 409
+};
+
+// Query console limits
+const QUERY_TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS, 10) || 15000;
+const DEFAULT_RESULT_ROWS = 500;
+const MAX_RESULT_ROWS = 5000;
+const MAX_RESULT_BYTES = 8 * 1024 * 1024;
+const HISTORY_SQL_LENGTH = 10000;
+
+// First keyword of statements allowed when the console runs in read-only mode
+const READ_ONLY_STATEMENT = /^(SELECT|SHOW|DESCRIBE|DESC|EXPLAIN|WITH|HELP)\b/i;
+
+// Column definition flags (see MySQL protocol, ColumnDefinition41)
+const FIELD_FLAGS = { NOT_NULL: 1, PRI_KEY: 2, UNIQUE_KEY: 4, UNSIGNED: 32, BINARY: 128, AUTO_INCREMENT: 512 };
+
+const sendError = (res, e) => {
+    const status = e.status || SQL_CLIENT_ERRORS[e.code] || 500;
+    res.status(status).json({ message: e.sqlMessage || e.message, code: e.code });
+};
+
+// Resolves the site's database and validates the table name against information_schema
+const loadTable = async (req) => {
+    const dbName = await getDbName(req.params);
+    if (!dbName) throw httpError(404, 'Database not found for this site');
+
+    const table = await describeTable(dbName, req.params.tableName);
+    if (!table) throw httpError(404, `Table '${req.params.tableName}' not found`);
+
+    return { dbName, table, from: `${mysql.escapeId(dbName)}.${mysql.escapeId(table.name)}` };
+};
+
+// Keeps only real, writable columns from the client payload
+const pickValues = (table, values) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw httpError(400, "'values' must be an object of column: value pairs");
+    }
+    const picked = {};
+    Object.keys(values).forEach((name) => {
+        const column = table.columns.find(c => c.name === name);
+        if (!column) throw httpError(400, `Unknown column '${name}'`);
+        if (/GENERATED/i.test(column.extra)) throw httpError(400, `Column '${name}' is generated and cannot be written`);
+        picked[name] = values[name];
+    });
+    if (Object.keys(picked).length === 0) throw httpError(400, 'No column values supplied');
+    return picked;
+};
+
+// Builds `pk1 = ? AND pk2 = ?` from a primary key object supplied by the client
+const keyCondition = (table, key) => {
+    if (table.primaryKey.length === 0) {
+        throw httpError(400, `Table '${table.name}' has no primary key; rows cannot be addressed individually`);
+    }
+    if (!key || typeof key !== 'object') throw httpError(400, "'key' must be an object of primary key values");
+
+    const missing = table.primaryKey.filter(k => key[k] === undefined || key[k] === null);
+    if (missing.length > 0) throw httpError(400, `Missing primary key value(s): ${missing.join(', ')}`);
+
+    return {
+        sql: table.primaryKey.map(k => `${mysql.escapeId(k)} = ?`).join(' AND '),
+        params: table.primaryKey.map(k => key[k])
+    };
+};
+
+const fetchRow = async (conn, from, condition) => {
+    const [rows] = await conn.query({ sql: `SELECT * FROM ${from} WHERE ${condition.sql} LIMIT 1`, ...ROW_OPTIONS }, condition.params);
+    return rows[0] || null;
+};
+
+// --- ROWS ---
+
+exports.insertRow = async (req, res) => {
+    try {
+        const { table, from } = await loadTable(req);
+        const values = pickValues(table, req.body.values);
+
+        const columns = Object.keys(values);
+        const [result] = await pool.query(
+            `INSERT INTO ${from} (${columns.map(c => mysql.escapeId(c)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(c => values[c])
+        );
+
+        // Re-read the stored row so defaults and AUTO_INCREMENT values are visible to the client
+        let row = null;
+        if (table.primaryKey.length > 0) {
+            const key = {};
+            table.primaryKey.forEach((k) => {
+                const column = table.columns.find(c => c.name === k);
+                key[k] = values[k] !== undefined ? values[k] : (/auto_increment/i.test(column.extra) ? result.insertId : undefined);
+            });
+            if (table.primaryKey.every(k => key[k] !== undefined)) {
+                row = await fetchRow(pool, from, keyCondition(table, key));
+            }
+        }
+
+        res.status(201).json({ success: true, affectedRows: result.affectedRows, insertId: result.insertId || null, row });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.updateRow = async (req, res) => {
+    try {
+        const { table, from } = await loadTable(req);
+        const condition = keyCondition(table, req.body.key);
+        const values = pickValues(table, req.body.values);
+
+        const columns = Object.keys(values);
+        const [result] = await pool.query(
+            `UPDATE ${from} SET ${columns.map(c => `${mysql.escapeId(c)} = ?`).join(', ')} WHERE ${condition.sql} LIMIT 1`,
+            [...columns.map(c => values[c]), ...condition.params]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'Row not found' });
+
+        // The primary key itself may have been edited
+        const newKey = {};
+        table.primaryKey.forEach((k) => { newKey[k] = values[k] !== undefined ? values[k] : req.body.key[k]; });
+        const row = await fetchRow(pool, from, keyCondition(table, newKey));
+
+        res.json({ success: true, affectedRows: result.affectedRows, changedRows: result.changedRows, row });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.deleteRows = async (req, res) => {
+    const { keys } = req.body;
+    if (!Array.isArray(keys) || keys.length === 0) {
+        return res.status(400).json({ message: "'keys' must be a non-empty array of primary key objects" });
+    }
+
+    let connection;
+    try {
+        const { table, from } = await loadTable(req);
+        const conditions = keys.map(key => keyCondition(table, key));
+
+        // All-or-nothing: a failing row (e.g. FK restriction) leaves the others untouched
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const deleted = [];
+        for (const condition of conditions) {
+            const row = await fetchRow(connection, from, condition);
+            if (!row) continue;
+            await connection.query(`DELETE FROM ${from} WHERE ${condition.sql} LIMIT 1`, condition.params);
+            deleted.push(row);
+        }
+
+        await connection.commit();
+        res.json({ success: true, affectedRows: deleted.length, rows: deleted });
+    } catch (e) {
+        if (connection) await connection.rollback().catch(() => {});
+        sendError(res, e);
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// --- SCHEMA DESIGNER ---
+
+const wantsPreview = (req) => [req.query.preview, req.body.preview].some(v => v === true || v === 'true' || v === '1');
+
+// Positions a new or changed column: { first: true } or { after: 'column' }
+const columnPosition = (table, spec) => {
+    if (spec.first) return ' FIRST';
+    if (spec.after) {
+        if (!table.columns.some(c => c.name === spec.after)) throw httpError(400, `Unknown column '${spec.after}' in 'after'`);
+        return ` AFTER ${mysql.escapeId(spec.after)}`;
+    }
+    return '';
+};
+
+const requireColumns = (table, names, label) => {
+    names.forEach((name) => {
+        if (!table.columns.some(c => c.name === name)) throw httpError(400, `${label} references unknown column '${name}'`);
+    });
+};
+
+// Referenced tables must live in the same database; a table may reference itself while being created
+const checkReferences = async (dbName, foreignKeys, selfTable) => {
+    for (const fk of foreignKeys) {
+        const ref = (fk && fk.references) || {};
+        const target = selfTable && ref.table === selfTable.name ? selfTable : await describeTable(dbName, ref.table);
+        if (!target) throw httpError(400, `Referenced table '${ref.table}' not found`);
+        requireColumns(target, ref.columns || [], `Foreign key on '${target.name}'`);
+    }
+};
+
+/**
+ * Returns the generated statements when `preview` is set, otherwise runs them in order.
+ * DDL commits implicitly, so on failure the response lists which statements already ran.
+ */
+const applyDdl = async (req, res, dbName, statements, resultTable) => {
+    if (wantsPreview(req)) return res.json({ preview: true, statements });
+
+    const executed = [];
+    try {
+        for (const sql of statements) {
+            await pool.query(sql);
+            executed.push(sql);
+        }
+    } catch (e) {
+        const status = e.status || SQL_CLIENT_ERRORS[e.code] || 500;
+        return res.status(status).json({ message: e.sqlMessage || e.message, code: e.code, statements, executed });
+    }
+
+    const table = resultTable ? await describeTable(dbName, resultTable) : null;
+    res.json({ success: true, statements, table });
+};
+
+exports.createTable = async (req, res) => {
+    try {
+        const dbName = await getDbName(req.params);
+        if (!dbName) throw httpError(404, 'Database not found for this site');
+
+        const spec = req.body;
+        const sql = createTableSql(dbName, spec);
+        if (await describeTable(dbName, spec.name)) throw httpError(409, `Table '${spec.name}' already exists`);
+
+        const draft = { name: spec.name, columns: spec.columns.map(c => ({ name: c.name })) };
+        await checkReferences(dbName, spec.foreignKeys || [], draft);
+
+        await applyDdl(req, res, dbName, [sql], spec.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.renameTable = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const { newName } = req.body;
+        const target = identifier(newName, 'table');
+        if (newName !== table.name && await describeTable(dbName, newName)) throw httpError(409, `Table '${newName}' already exists`);
+
+        await applyDdl(req, res, dbName, [`RENAME TABLE ${from} TO ${mysql.escapeId(dbName)}.${target}`], newName);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.truncateTable = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        await applyDdl(req, res, dbName, [`TRUNCATE TABLE ${from}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.dropTable = async (req, res) => {
+    try {
+        const { dbName, from } = await loadTable(req);
+        await applyDdl(req, res, dbName, [`DROP TABLE ${from}`], null);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.addColumn = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const spec = req.body;
+        const definition = columnDefinition(spec);
+        if (table.columns.some(c => c.name === spec.name)) throw httpError(409, `Column '${spec.name}' already exists`);
+
+        await applyDdl(req, res, dbName, [`ALTER TABLE ${from} ADD COLUMN ${definition}${columnPosition(table, spec)}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// The body is the complete new definition; a different `name` renames the column
+exports.modifyColumn = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const { columnName } = req.params;
+        requireColumns(table, [columnName], 'Request');
+
+        const spec = { ...req.body, name: req.body.name || columnName };
+        if (spec.name !== columnName && table.columns.some(c => c.name === spec.name)) {
+            throw httpError(409, `Column '${spec.name}' already exists`);
+        }
+
+        const sql = `ALTER TABLE ${from} CHANGE COLUMN ${mysql.escapeId(columnName)} ${columnDefinition(spec)}${columnPosition(table, spec)}`;
+        await applyDdl(req, res, dbName, [sql], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.dropColumn = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const { columnName } = req.params;
+        requireColumns(table, [columnName], 'Request');
+        if (table.columns.length === 1) throw httpError(400, 'Cannot drop the only column of a table; drop the table instead');
+
+        await applyDdl(req, res, dbName, [`ALTER TABLE ${from} DROP COLUMN ${mysql.escapeId(columnName)}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.addIndex = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const spec = req.body;
+        const definition = indexDefinition(spec);
+        requireColumns(table, indexColumnNames(spec.columns), 'Index');
+
+        const { indexes } = await listConstraintNames(dbName, table.name);
+        const name = String(spec.type).toUpperCase() === 'PRIMARY' ? 'PRIMARY' : spec.name;
+        if (name && indexes.includes(name)) throw httpError(409, `Index '${name}' already exists`);
+
+        await applyDdl(req, res, dbName, [`ALTER TABLE ${from} ADD ${definition}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.dropIndex = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const { indexName } = req.params;
+        const { indexes } = await listConstraintNames(dbName, table.name);
+        if (!indexes.includes(indexName)) throw httpError(404, `Index '${indexName}' not found`);
+
+        const clause = indexName === 'PRIMARY' ? 'DROP PRIMARY KEY' : `DROP INDEX ${mysql.escapeId(indexName)}`;
+        await applyDdl(req, res, dbName, [`ALTER TABLE ${from} ${clause}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.addForeignKey = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const spec = req.body;
+        const definition = foreignKeyDefinition(dbName, spec);
+        requireColumns(table, spec.columns, 'Foreign key');
+        await checkReferences(dbName, [spec], table);
+
+        const { foreignKeys } = await listConstraintNames(dbName, table.name);
+        if (spec.name && foreignKeys.includes(spec.name)) throw httpError(409, `Foreign key '${spec.name}' already exists`);
+
+        await applyDdl(req, res, dbName, [`ALTER TABLE ${from} ADD ${definition}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+exports.dropForeignKey = async (req, res) => {
+    try {
+        const { dbName, table, from } = await loadTable(req);
+        const { constraintName } = req.params;
+        const { foreignKeys } = await listConstraintNames(dbName, table.name);
+        if (!foreignKeys.includes(constraintName)) throw httpError(404, `Foreign key '${constraintName}' not found`);
+
+        await applyDdl(req, res, dbName, [`ALTER TABLE ${from} DROP FOREIGN KEY ${mysql.escapeId(constraintName)}`], table.name);
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// --- QUERY CONSOLE ---
+
+// Splits the console input so a request can only ever carry a single statement
+const parseStatement = (sql) => {
+    if (typeof sql !== 'string' || !sql.trim()) throw httpError(400, "'sql' is required");
+
+    const splitter = createSqlSplitter();
+    const statements = [...splitter.write(sql), ...splitter.end()];
+    if (statements.length === 0) throw httpError(400, 'Query contains no statement');
+    if (statements.length > 1) throw httpError(400, 'Only one statement can be run at a time');
+
+    return statements[0].sql;
+};
+
+// Leading keyword, ignoring comments and opening parentheses: `/* x */ (SELECT ...` -> SELECT
+const statementKeyword = (sql) => {
+    const stripped = sql.replace(/^(\s+|\/\*(?!!)[\s\S]*?\*\/|\()+/, '');
+    const match = stripped.match(/^[A-Za-z]+/);
+    return match ? match[0].toUpperCase() : '';
+};
+
+const describeField = (field) => ({
+    name: field.name,
+    table: field.orgTable || field.table || null,
+    column: field.orgName || null,
+    type: mysql.Types[field.columnType] || String(field.columnType),
+    length: field.columnLength,
+    decimals: field.decimals,
+    nullable: !(field.flags & FIELD_FLAGS.NOT_NULL),
+    primaryKey: !!(field.flags & FIELD_FLAGS.PRI_KEY),
+    unique: !!(field.flags & FIELD_FLAGS.UNIQUE_KEY),
+    unsigned: !!(field.flags & FIELD_FLAGS.UNSIGNED),
+    binary: !!(field.flags & FIELD_FLAGS.BINARY),
+    autoIncrement: !!(field.flags & FIELD_FLAGS.AUTO_INCREMENT)
+});
+
+const approximateSize = (row) => row.reduce((size, value) => {
+    if (value === null || value === undefined) return size + 4;
+    if (Buffer.isBuffer(value)) return size + value.length;
+    return size + String(value).length;
+}, 0);
+
+// Asks the server to stop a statement still running on another connection
+const killQuery = (threadId) => pool.query(`KILL QUERY ${parseInt(threadId, 10)}`).catch(() => {});
+
+/**
+ * Runs one statement on the restricted connection and collects at most `maxRows` rows.
+ * Once a limit is hit the statement is killed server-side and the rows read so far are returned.
+ */
+const executeLimited = (connection, sql, maxRows) => new Promise((resolve, reject) => {
+    const result = { columns: null, rows: [], truncated: false, header: null };
+    let bytes = 0;
+    let settled = false;
+
+    const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        if (err && !(result.truncated && err.code === 'ER_QUERY_INTERRUPTED')) return reject(err);
+        resolve(result);
+    };
+
+    const query = connection.connection.query({ sql, rowsAsArray: true, timeout: QUERY_TIMEOUT_MS, ...ROW_OPTIONS });
+
+    query.on('fields', (fields) => {
+        // Procedures can return several result sets; the console shows the first one
+        if (fields && !result.columns) result.columns = fields.map(describeField);
+    });
+
+    query.on('result', (row, index) => {
+        if (!Array.isArray(row)) {
+            if (!result.header) result.header = row;
+            return;
+        }
+        if (result.truncated || index > 0) return;
+
+        bytes += approximateSize(row);
+        if (result.rows.length >= maxRows || bytes > MAX_RESULT_BYTES) {
+            result.truncated = true;
+            killQuery(connection.connection.threadId);
+            return;
+        }
+        result.rows.push(row);
+    });
+
+    query.on('error', finish);
+    query.on('end', () => finish());
+});
+
+const recordQuery = (entry) => pool.execute(
+    `INSERT INTO query_history (user_id, site_id, db_name, query_text, read_only, status, rows_returned, rows_affected, duration_ms, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+        entry.userId, entry.siteId, entry.dbName, entry.sql.slice(0, HISTORY_SQL_LENGTH), entry.readOnly,
+        entry.error ? 'error' : 'success', entry.rowsReturned ?? null, entry.rowsAffected ?? null,
+        entry.durationMs, entry.error || null
+    ]
+).then(([result]) => result.insertId).catch((err) => {
+    console.error('[Query] Failed to record history:', err.message);
+    return null;
+});
+
+/**
+ * POST /sites/:siteId/db/query
+ * Body: { sql, readOnly?: boolean, maxRows?: number }
+ *
+ * The statement runs as the site owner's MySQL user, never through the panel's root pool,
+ * so MySQL grants decide what it may touch. Every attempt is written to query_history.
+ */
+exports.runQuery = async (req, res) => {
+    const readOnly = req.body.readOnly === true || req.body.readOnly === 'true';
+    const maxRows = Math.min(Math.max(parseInt(req.body.maxRows, 10) || DEFAULT_RESULT_ROWS, 1), MAX_RESULT_ROWS);
+
+    let sql;
+    let dbName;
+    let owner;
+    try {
+        sql = parseStatement(req.body.sql);
+        if (readOnly && !READ_ONLY_STATEMENT.test(statementKeyword(sql))) {
+            throw httpError(400, 'Read-only mode only allows SELECT, SHOW, DESCRIBE and EXPLAIN statements');
+        }
+
+        dbName = await getDbName(req.params);
+        if (!dbName) throw httpError(404, 'Database not found for this site');
+
+        const [owners] = await pool.execute('SELECT id, username FROM users WHERE id = ?', [req.site.user_id]);
+        if (owners.length === 0) throw httpError(404, 'Site owner not found');
+        owner = owners[0];
+    } catch (e) {
+        return sendError(res, e);
+    }
+
+    let connection;
+    try {
+        connection = await connectAsOwner(owner, dbName);
+    } catch (e) {
+        console.error('[Query] Restricted connection failed:', e.message);
+        return res.status(502).json({ message: 'Could not connect with the site database user', code: e.code });
+    }
+
+    const startedAt = Date.now();
+    const entry = { userId: req.user.id, siteId: req.site.id, dbName, sql, readOnly };
+    try {
+        // Server-side limits as a second line behind the client timeout (MySQL / MariaDB variants)
+        await connection.query(`SET SESSION max_execution_time = ${QUERY_TIMEOUT_MS}`).catch(() => {});
+        await connection.query(`SET SESSION max_statement_time = ${QUERY_TIMEOUT_MS / 1000}`).catch(() => {});
+        if (readOnly) await connection.query('START TRANSACTION READ ONLY');
+
+        const result = await executeLimited(connection, sql, maxRows);
+        entry.durationMs = Date.now() - startedAt;
+
+        if (readOnly) await connection.query('ROLLBACK').catch(() => {});
+
+        const header = result.header || {};
+        entry.rowsReturned = result.columns ? result.rows.length : null;
+        entry.rowsAffected = result.columns ? null : (header.affectedRows ?? 0);
+        const historyId = await recordQuery(entry);
+
+        res.json({
+            success: true,
+            type: result.columns ? 'resultset' : 'ok',
+            columns: result.columns || [],
+            rows: result.rows,
+            rowCount: result.rows.length,
+            truncated: result.truncated,
+            maxRows,
+            affectedRows: header.affectedRows ?? null,
+            insertId: header.insertId || null,
+            warningCount: header.warningStatus ?? 0,
+            info: header.info || null,
+            readOnly,
+            durationMs: entry.durationMs,
+            historyId
+        });
+    } catch (e) {
+        entry.durationMs = Date.now() - startedAt;
+        const timedOut = e.code === 'PROTOCOL_SEQUENCE_TIMEOUT' || e.code === 'ER_QUERY_TIMEOUT' || e.errno === 3024 || e.errno === 1969;
+        if (timedOut) {
+            killQuery(connection.connection.threadId);
+            entry.error = `Query exceeded the ${QUERY_TIMEOUT_MS / 1000}s time limit`;
+        } else {
+            entry.error = e.sqlMessage || e.message;
+        }
+        await recordQuery(entry);
+
+        // Errors here come from the user's own SQL, not from the panel
+        res.status(timedOut ? 408 : 400).json({
+            message: entry.error,
+            code: e.code,
+            errno: e.errno,
+            sqlState: e.sqlState,
+            durationMs: entry.durationMs
+        });
+    } finally {
+        connection.destroy();
+    }
+};
+
+/**
+ * GET /sites/:siteId/db/query/history?limit=50&before=<id>
+ */
+exports.getQueryHistory = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const before = parseInt(req.query.before, 10);
+
+        const [rows] = await pool.query(
+            `SELECT id, user_id, db_name, query_text, read_only, status, rows_returned, rows_affected, duration_ms, error, executed_at
+             FROM query_history
+             WHERE site_id = ?${before ? ' AND id < ?' : ''}
+             ORDER BY id DESC
+             LIMIT ${limit}`,
+            before ? [req.site.id, before] : [req.site.id]
+        );
+
+        res.json({
+            history: rows.map(r => ({ ...r, read_only: !!r.read_only })),
+            nextBefore: rows.length === limit ? rows[rows.length - 1].id : null
+        });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
@@ -0,0 +1,59 @@
+const deployService = require('../services/deployService');
+const { buildAfterDeploy } = require('../services/buildService');
+const { isQuotaError, sendQuotaError } = require('../services/quotaService');
+
+const sendError = (res, e) => {
+    if (isQuotaError(e)) return sendQuotaError(res, e);
+    res.status(e.status || 500).json({ message: e.message });
+};
+
+// GET /sites/:siteId/deployments - history plus the releases still available for rollback
+exports.listDeployments = async (req, res) => {
+    try {
+        res.json(await deployService.getDeployments(req.site.id));
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/deploy  (multipart, field "file": zip of the new version)
+exports.redeploySite = async (req, res) => {
+    try {
+        const result = await deployService.redeploySite(req.site.id, req.file, req.user.id);
+        const build = await buildAfterDeploy(req.site.id, { deploymentId: result.deploymentId, actorId: req.user.id });
+        res.status(201).json({ success: true, message: 'Deployed successfully', ...result, ...build });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/rollback/:releaseId
+exports.rollbackSite = async (req, res) => {
+    try {
+        const result = await deployService.rollbackSite(req.site.id, req.params.releaseId, req.user.id);
+        res.json({ success: true, message: `Release ${result.releaseId} is live again`, ...result });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// GET /sites/:siteId/git/incoming - fetches the branch and lists commits not deployed yet
+exports.getIncomingCommits = async (req, res) => {
+    try {
+        res.json(await deployService.getIncomingCommits(req.site.id));
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/git/pull - deploys the branch tip (no-op when it is already live)
+exports.pullAndRedeploy = async (req, res) => {
+    try {
+        const result = await deployService.pullAndRedeploy(req.site.id, req.user.id);
+        if (result.upToDate) return res.json({ success: true, message: 'Already up to date', ...result });
+        const build = await buildAfterDeploy(req.site.id, { deploymentId: result.deploymentId, actorId: req.user.id });
+        res.status(201).json({ success: true, message: `Deployed ${result.commit.slice(0, 7)}`, ...result, ...build });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
@@ -0,0 +1,112 @@
+const pool = require('../db');
+const { httpError } = require('../utils/helpers');
+const discounts = require('../services/discountService');
+
+const validateDiscount = async (input) => {
+    const code = discounts.normalizeCode(input.code);
+    if (!discounts.CODE_PATTERN.test(code)) {
+        throw httpError(400, 'Code must be 3-50 characters: letters, numbers, dashes or underscores');
+    }
+
+    const type = String(input.type || '').toUpperCase();
+    if (!discounts.DISCOUNT_TYPES.includes(type)) throw httpError(400, 'Type must be PERCENT or FIXED');
+
+    const value = Number(input.value);
+    if (!Number.isInteger(value) || value <= 0) throw httpError(400, 'Value must be a whole number above 0');
+    if (type === 'PERCENT' && value > 100) throw httpError(400, 'A percentage discount cannot exceed 100');
+
+    const validPlans = input.validPlans ?? [];
+    if (!Array.isArray(validPlans) || validPlans.some(p => typeof p !== 'string')) {
+        throw httpError(400, 'validPlans must be a list of plan names');
+    }
+    if (validPlans.length > 0) {
+        const [plans] = await pool.query('SELECT name FROM plans WHERE name IN (?)', [validPlans]);
+        const known = plans.map(p => p.name);
+        const unknown = validPlans.filter(p => !known.includes(p));
+        if (unknown.length) throw httpError(400, `Unknown plan: ${unknown.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (input.expiresAt) {
+        expiresAt = new Date(input.expiresAt);
+        if (Number.isNaN(expiresAt.getTime())) throw httpError(400, 'Invalid expiry date');
+    }
+
+    let maxUses = null;
+    if (input.maxUses !== undefined && input.maxUses !== null && input.maxUses !== '') {
+        maxUses = Number(input.maxUses);
+        if (!Number.isInteger(maxUses) || maxUses < 1) throw httpError(400, 'Usage cap must be a whole number of 1 or more');
+    }
+
+    return { code, type, value, validPlans, expiresAt, maxUses, isActive: input.isActive !== false };
+};
+
+const assertCodeAvailable = async (code, exceptId = null) => {
+    const [rows] = await pool.execute('SELECT id FROM discounts WHERE code = ? AND id <> ?', [code, exceptId || '']);
+    if (rows.length) throw httpError(409, `Coupon ${code} already exists`);
+};
+
+// GET /admin/discounts
+exports.listDiscounts = async (req, res) => {
+    try {
+        res.json(await discounts.listDiscounts());
+    } catch (e) { res.status(500).json({ message: e.message }); }
+};
+
+// POST /admin/discounts
+exports.createDiscount = async (req, res) => {
+    try {
+        const d = await validateDiscount(req.body);
+        if (d.expiresAt && d.expiresAt <= new Date()) throw httpError(400, 'Expiry date must be in the future');
+        await assertCodeAvailable(d.code);
+
+        const id = `d_${Date.now()}`;
+        await pool.execute(
+            'INSERT INTO discounts (id, code, type, value, valid_plans, expires_at, max_uses, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [id, d.code, d.type, d.value, JSON.stringify(d.validPlans), d.expiresAt, d.maxUses, d.isActive]
+        );
+        res.status(201).json(await discounts.getDiscount(id));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// PUT /admin/discounts/:id - partial updates are merged over the stored coupon
+exports.updateDiscount = async (req, res) => {
+    try {
+        const existing = await discounts.getDiscount(req.params.id);
+        const d = await validateDiscount({ ...existing, ...req.body });
+        if (d.code !== existing.code) await assertCodeAvailable(d.code, existing.id);
+
+        await pool.execute(
+            'UPDATE discounts SET code = ?, type = ?, value = ?, valid_plans = ?, expires_at = ?, max_uses = ?, is_active = ? WHERE id = ?',
+            [d.code, d.type, d.value, JSON.stringify(d.validPlans), d.expiresAt, d.maxUses, d.isActive, existing.id]
+        );
+        res.json(await discounts.getDiscount(existing.id));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// DELETE /admin/discounts/:id - payments keep the code they were made with
+exports.deleteDiscount = async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM discounts WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'Coupon not found' });
+        res.json({ success: true });
+    } catch (e) { res.status(500).json({ message: e.message }); }
+};
+
+// POST /discounts/validate  { code, plan, billingCycle? } - the price the server will charge
+exports.validateDiscount = async (req, res) => {
+    try {
+        const plan = await discounts.findPlanByName(req.body.plan);
+        const discount = await discounts.findUsableDiscount(req.body.code, plan.name);
+        const quote = discounts.quotePrice({ plan, billingCycle: req.body.billingCycle, discount });
+
+        const { usedCount, maxUses, isActive, createdAt, ...publicFields } = discount;
+        res.json({ discount: publicFields, quote });
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
@@ -0,0 +1,41 @@
+const envService = require('../services/envService');
+
+const sendError = (res, e) => res.status(e.status || 500).json({ message: e.message });
+
+// GET /sites/:siteId/env - variables (secrets masked) and whether .env matches them
+exports.listEnv = async (req, res) => {
+    try {
+        res.json(await envService.listEnv(req.site.id));
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// PUT /sites/:siteId/env  { variables: [{ name, value, secret? }] } or a single { name, value, secret? }
+exports.setEnv = async (req, res) => {
+    const { variables, name, value, secret } = req.body || {};
+    try {
+        const list = Array.isArray(variables) ? variables : (name !== undefined ? [{ name, value, secret }] : null);
+        res.json({ success: true, ...await envService.setEnv(req.site.id, list) });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// DELETE /sites/:siteId/env/:name
+exports.unsetEnv = async (req, res) => {
+    try {
+        res.json({ success: true, ...await envService.unsetEnv(req.site.id, req.params.name) });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
+
+// POST /sites/:siteId/env/sync - writes .env from the stored variables again
+exports.syncEnv = async (req, res) => {
+    try {
+        res.json({ success: true, ...await envService.applyEnvFile(req.site.id) });
+    } catch (e) {
+        sendError(res, e);
+    }
+};
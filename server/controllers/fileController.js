@@ -2,15 +2,21 @@ const fs = require('fs');
 const path = require('path');
 const { getSafePath } = require('../utils/helpers');
 const pool = require('../db');
+const quota = require('../services/quotaService');
+const { measurePath } = require('../services/diskUsageService');
+
+// Resolves an item name inside the current directory, refusing names that escape the site root
+const resolveItemPath = (pathInfo, name) => {
+    if (!pathInfo || !name) return null;
+    const target = path.resolve(pathInfo.fullPath, String(name));
+    return target.startsWith(pathInfo.siteDir + path.sep) ? target : null;
+};
 
 exports.listFiles = async (req, res) => {
-    const { siteId, path: queryPath } = req.query;
-    if (!siteId) return res.status(400).json({ message: 'Missing siteId' });
+    const { path: queryPath } = req.query;
 
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        if (sites.length === 0) return res.status(404).json({ message: 'Site not found' });
-        const site = sites[0];
+        const site = req.site;
 
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
         if (!pathInfo) return res.status(403).json({ message: 'Invalid path' });
@@ -49,16 +55,15 @@ exports.listFiles = async (req, res) => {
 };
 
 exports.createFolder = async (req, res) => {
-    const { siteId, path: queryPath, folderName } = req.body;
+    const { path: queryPath, folderName } = req.body;
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        if (sites.length === 0) return res.status(404).json({ message: 'Site not found' });
-        const site = sites[0];
+        const site = req.site;
 
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
         if (!pathInfo) return res.status(403).json({ message: 'Invalid path' });
 
-        const newFolderPath = path.join(pathInfo.fullPath, folderName);
+        const newFolderPath = resolveItemPath(pathInfo, folderName);
+        if (!newFolderPath) return res.status(403).json({ message: 'Invalid folder name' });
         if (!fs.existsSync(newFolderPath)) {
             fs.mkdirSync(newFolderPath, { recursive: true });
         }
@@ -68,15 +73,27 @@ exports.createFolder = async (req, res) => {
     }
 };
 
+// Writes a file only if the growth fits the owner's plan storage, then tracks it on the site.
+// Overwrites count only the difference from the existing file.
+const writeWithinQuota = async (site, filePath, data) => {
+    const previousSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    const delta = data.length - previousSize;
+    if (delta > 0) await quota.assertStorageAvailable(site.user_id, delta);
+
+    fs.writeFileSync(filePath, data);
+
+    if (delta !== 0) {
+        await pool.execute('UPDATE sites SET storage_used = GREATEST(0, storage_used + ?) WHERE id = ?', [delta / (1024 * 1024), site.id]);
+    }
+};
+
 exports.uploadFile = async (req, res) => {
-    const { siteId, path: queryPath } = req.body;
+    const { path: queryPath } = req.body;
     const file = req.file;
     if (!file) return res.status(400).json({ message: 'No file uploaded' });
 
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        if (sites.length === 0) return res.status(404).json({ message: 'Site not found' });
-        const site = sites[0];
+        const site = req.site;
 
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
         if (!pathInfo) return res.status(403).json({ message: 'Invalid path' });
@@ -85,36 +102,34 @@ exports.uploadFile = async (req, res) => {
             fs.mkdirSync(pathInfo.fullPath, { recursive: true });
         }
 
-        const filePath = path.join(pathInfo.fullPath, file.originalname);
-        fs.writeFileSync(filePath, file.buffer);
-        
-        const sizeMB = file.size / (1024 * 1024);
-        await pool.execute('UPDATE sites SET storage_used = storage_used + ? WHERE id = ?', [sizeMB, siteId]);
+        const filePath = resolveItemPath(pathInfo, path.basename(file.originalname));
+        if (!filePath) return res.status(403).json({ message: 'Invalid file name' });
+        await writeWithinQuota(site, filePath, file.buffer);
 
         res.json({ success: true });
     } catch (e) {
+        if (quota.isQuotaError(e)) return quota.sendQuotaError(res, e);
         res.status(500).json({ message: e.message });
     }
 };
 
 exports.deleteItem = async (req, res) => {
-    const { siteId, path: queryPath, name } = req.body;
+    const { path: queryPath, name } = req.body;
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        if (sites.length === 0) return res.status(404).json({ message: 'Site not found' });
-        const site = sites[0];
+        const site = req.site;
 
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
         if (!pathInfo) return res.status(403).json({ message: 'Invalid path' });
 
-        const targetPath = path.join(pathInfo.fullPath, name);
+        const targetPath = resolveItemPath(pathInfo, name);
+        if (!targetPath) return res.status(403).json({ message: 'Invalid path' });
         if (fs.existsSync(targetPath)) {
-            const stats = fs.statSync(targetPath);
+            const { bytes } = await measurePath(targetPath);
             fs.rmSync(targetPath, { recursive: true, force: true });
             
-            const sizeMB = stats.size / (1024 * 1024);
+            const sizeMB = bytes / (1024 * 1024);
             if (sizeMB > 0) {
-                 await pool.execute('UPDATE sites SET storage_used = GREATEST(0, storage_used - ?) WHERE id = ?', [sizeMB, siteId]);
+                 await pool.execute('UPDATE sites SET storage_used = GREATEST(0, storage_used - ?) WHERE id = ?', [sizeMB, site.id]);
             }
         }
         res.json({ success: true });
@@ -124,14 +139,14 @@ exports.deleteItem = async (req, res) => {
 };
 
 exports.renameItem = async (req, res) => {
-    const { siteId, path: queryPath, oldName, newName } = req.body;
+    const { path: queryPath, oldName, newName } = req.body;
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        const site = sites[0];
+        const site = req.site;
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
         
-        const oldPath = path.join(pathInfo.fullPath, oldName);
-        const newPath = path.join(pathInfo.fullPath, newName);
+        const oldPath = resolveItemPath(pathInfo, oldName);
+        const newPath = resolveItemPath(pathInfo, newName);
+        if (!oldPath || !newPath) return res.status(403).json({ message: 'Invalid path' });
         
         if (fs.existsSync(oldPath)) {
             fs.renameSync(oldPath, newPath);
@@ -141,12 +156,12 @@ exports.renameItem = async (req, res) => {
 };
 
 exports.getContent = async (req, res) => {
-    const { siteId, path: queryPath, name } = req.query;
+    const { path: queryPath, name } = req.query;
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        const site = sites[0];
+        const site = req.site;
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
-        const filePath = path.join(pathInfo.fullPath, name);
+        const filePath = resolveItemPath(pathInfo, name);
+        if (!filePath) return res.status(403).send('Invalid path');
         
         if (fs.existsSync(filePath)) {
             const content = fs.readFileSync(filePath, 'utf8');
@@ -158,14 +173,17 @@ exports.getContent = async (req, res) => {
 };
 
 exports.saveContent = async (req, res) => {
-    const { siteId, path: queryPath, name, content } = req.body;
+    const { path: queryPath, name, content } = req.body;
     try {
-        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
-        const site = sites[0];
+        const site = req.site;
         const pathInfo = await getSafePath(site.user_id, site.name, queryPath);
-        const filePath = path.join(pathInfo.fullPath, name);
+        const filePath = resolveItemPath(pathInfo, name);
+        if (!filePath) return res.status(403).json({ message: 'Invalid path' });
         
-        fs.writeFileSync(filePath, content);
+        await writeWithinQuota(site, filePath, Buffer.from(String(content ?? ''), 'utf8'));
         res.json({ success: true });
-    } catch (e) { res.status(500).json({ message: e.message }); }
+    } catch (e) {
+        if (quota.isQuotaError(e)) return quota.sendQuotaError(res, e);
+        res.status(500).json({ message: e.message });
+    }
 };
\ No newline at end of file
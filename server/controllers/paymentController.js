@@ -2,34 +2,71 @@ const pool = require('../db');
 const fs = require('fs');
 const path = require('path');
 const { PAYMENT_PROOF_PATH } = require('../config/paths');
+const { httpError } = require('../utils/helpers');
+const subscriptions = require('../services/subscriptionService');
+const discounts = require('../services/discountService');
+const invoices = require('../services/invoiceService');
+const { reviewPayment } = require('../services/paymentReviewService');
+const { isAdmin } = require('../middleware/auth');
 
+// POST /payments  { plan, method, billingCycle?, couponCode?, uniqueCode?, proof }
+// The amount is computed here from the plan price and coupon; a client-sent `amount` is ignored.
 exports.submitPayment = async (req, res) => {
-    const { userId, plan, amount, method } = req.body;
+    const { method } = req.body;
+    const userId = req.user.id;
     const file = req.file;
     
-    if (!file) return res.status(400).json({ message: "Proof file required" });
-
+    let connection;
     try {
-        if (!fs.existsSync(PAYMENT_PROOF_PATH)) {
-            fs.mkdirSync(PAYMENT_PROOF_PATH, { recursive: true });
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const plan = await discounts.findPlanByName(req.body.plan, connection);
+        const couponCode = discounts.normalizeCode(req.body.couponCode);
+        const discount = couponCode
+            ? await discounts.findUsableDiscount(couponCode, plan.name, { db: connection, lock: true })
+            : null;
+        const quote = discounts.quotePrice({ plan, billingCycle: req.body.billingCycle, discount, uniqueCode: req.body.uniqueCode });
+
+        // Fully discounted periods have nothing to transfer, so nothing to prove
+        const isFree = quote.amount === 0;
+        if (!file && !isFree) throw httpError(400, "Proof file required");
+
+        let proofUrl = null;
+        if (file) {
+            if (!fs.existsSync(PAYMENT_PROOF_PATH)) {
+                fs.mkdirSync(PAYMENT_PROOF_PATH, { recursive: true });
+            }
+            
+            // Save file to disk
+            const filename = `proof_${userId}_${Date.now()}${path.extname(file.originalname)}`;
+            fs.writeFileSync(path.join(PAYMENT_PROOF_PATH, filename), file.buffer);
+            proofUrl = `/uploads/proofs/${filename}`; // Served to the owner and admins by GET /payments/:id/proof
         }
-        
-        // Save file to disk
-        const filename = `proof_${userId}_${Date.now()}${path.extname(file.originalname)}`;
-        fs.writeFileSync(path.join(PAYMENT_PROOF_PATH, filename), file.buffer);
-        
-        const proofUrl = `/uploads/proofs/${filename}`; // Public URL pattern
+
         const id = `pay_${Date.now()}_${Math.random().toString(36).substr(2, 3)}`;
-        
-        await pool.execute(
-            'INSERT INTO payments (id, user_id, amount, plan, method, status, date, proof_url) VALUES (?, ?, ?, ?, ?, "PENDING", NOW(), ?)',
-            [id, userId, amount, plan, method, proofUrl]
+        await connection.execute(
+            `INSERT INTO payments (id, user_id, amount, original_amount, discount_id, discount_code, discount_amount, unique_code,
+                plan, method, billing_cycle, status, date, proof_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?)`,
+            [id, userId, quote.amount, quote.basePrice, discount ? discount.id : null, discount ? discount.code : null,
+                quote.discountAmount, quote.uniqueCode, plan.name, method, quote.billingCycle, isFree ? 'VERIFIED' : 'PENDING', proofUrl]
         );
-        
-        res.json({ success: true, id });
+        await connection.commit();
+
+        const subscription = isFree ? await subscriptions.activateFromPayment(id) : null;
+        const invoice = isFree ? await invoices.createInvoiceForPayment(id) : null;
+        res.json({
+            success: true, id, status: isFree ? 'VERIFIED' : 'PENDING', ...quote,
+            discountCode: discount ? discount.code : null, subscription, invoiceNumber: invoice ? invoice.number : null
+        });
     } catch (e) {
+        if (connection) await connection.rollback().catch(() => {});
+        if (e.status) return res.status(e.status).json({ message: e.message });
         console.error("Payment Submit Error:", e);
         res.status(500).json({ message: e.message });
+    } finally {
+        if (connection) connection.release();
     }
 };
 
@@ -37,9 +74,12 @@ exports.getHistory = async (req, res) => {
     const { userId } = req.params;
     try {
         const [payments] = await pool.execute(`
-            SELECT p.id, p.user_id as userId, u.username, p.amount, p.plan, p.method, p.status, p.date, p.proof_url as proofUrl
+            SELECT p.id, p.user_id as userId, u.username, p.amount, p.plan, p.method, p.billing_cycle as billingCycle,
+                p.original_amount as originalAmount, p.discount_code as discountCode, p.discount_amount as discountAmount, p.status, p.date, p.proof_url as proofUrl,
+                p.reviewed_at as reviewedAt, p.rejection_reason as rejectionReason, i.number as invoiceNumber
             FROM payments p
             LEFT JOIN users u ON p.user_id = u.id
+            LEFT JOIN invoices i ON i.payment_id = p.id
             WHERE p.user_id = ?
             ORDER BY p.date DESC
         `, [userId]);
@@ -48,4 +88,73 @@ exports.getHistory = async (req, res) => {
     } catch (e) {
         res.status(500).json({ message: e.message });
     }
-};
\ No newline at end of file
+};
+// PUT /admin/payments/:id/verify  { status: 'VERIFIED' | 'REJECTED', reason? }
+exports.verifyPayment = async (req, res) => {
+    try {
+        const result = await reviewPayment({
+            paymentId: req.params.id,
+            decision: req.body.status,
+            reason: req.body.reason,
+            reviewerId: req.user.id
+        });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// Owners and admins only; anyone else gets the same 404 as a missing payment
+const findOwnPayment = async (req) => {
+    const [payments] = await pool.execute('SELECT id, user_id, status, proof_url FROM payments WHERE id = ?', [req.params.id]);
+    const payment = payments[0];
+    if (!payment || (payment.user_id !== req.user.id && !isAdmin(req))) throw httpError(404, 'Payment not found');
+    return payment;
+};
+
+// GET /payments/:id/proof
+exports.getProof = async (req, res) => {
+    try {
+        const payment = await findOwnPayment(req);
+        if (!payment.proof_url) throw httpError(404, 'This payment has no proof file');
+
+        // Only the file name is trusted from the stored URL
+        const filePath = path.join(PAYMENT_PROOF_PATH, path.basename(payment.proof_url));
+        if (!fs.existsSync(filePath)) throw httpError(404, 'Proof file not found');
+
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.sendFile(filePath);
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// GET /payments/:id/invoice?format=pdf|html
+exports.downloadInvoice = async (req, res) => {
+    try {
+        const payment = await findOwnPayment(req);
+
+        // Payments verified before invoicing existed get theirs on first download
+        const invoice = await invoices.createInvoiceForPayment(payment.id);
+        const fileName = invoice.number.replace(/\//g, '-');
+
+        if (req.query.format === 'html') {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.send(invoices.renderInvoiceHtml(invoice));
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+        res.send(invoices.renderInvoicePdf(invoice));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// GET /subscriptions/:userId
+exports.getSubscription = async (req, res) => {
+    try {
+        res.json(await subscriptions.getSubscriptionOverview(req.params.userId));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
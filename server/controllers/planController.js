@@ -0,0 +1,260 @@
+const pool = require('../db');
+const { httpError } = require('../utils/helpers');
+const { DEFAULT_PLAN } = require('../services/subscriptionService');
+const { renamePlanInDiscounts } = require('../services/discountService');
+
+const LIMIT_KEYS = ['sites', 'storage', 'databases'];
+const OPTIONAL_LIMIT_KEYS = ['backupRetention'];
+const MAX_FEATURES = 30;
+
+const parseJson = (raw, fallback) => {
+    if (raw === null || raw === undefined) return fallback;
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const mapPlan = (row) => ({
+    id: row.id,
+    name: row.name,
+    price: Number(row.price),
+    currency: row.currency,
+    features: parseJson(row.features, []),
+    limits: parseJson(row.limits, {}),
+    isPopular: !!row.is_popular
+});
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const validateFeatures = (features) => {
+    if (!Array.isArray(features)) throw httpError(400, 'features must be an array of strings');
+    if (features.some(f => typeof f !== 'string')) throw httpError(400, 'Every feature must be a string');
+
+    // The editor keeps empty rows around while typing; they are not features
+    const cleaned = features.map(f => f.trim()).filter(Boolean);
+    if (cleaned.length > MAX_FEATURES) throw httpError(400, `A plan can list at most ${MAX_FEATURES} features`);
+    if (cleaned.some(f => f.length > 200)) throw httpError(400, 'Features must be 200 characters or less');
+    return cleaned;
+};
+
+const validateLimits = (limits) => {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        throw httpError(400, `limits must be an object with ${LIMIT_KEYS.join(', ')}`);
+    }
+    const unknown = Object.keys(limits).filter(k => !LIMIT_KEYS.includes(k) && !OPTIONAL_LIMIT_KEYS.includes(k));
+    if (unknown.length) throw httpError(400, `Unknown limit: ${unknown.join(', ')}`);
+
+    const result = {};
+    for (const key of LIMIT_KEYS) {
+        const value = Number(limits[key]);
+        if (limits[key] === undefined || limits[key] === '' || !isCount(value)) {
+            throw httpError(400, `limits.${key} must be a whole number of 0 or more`);
+        }
+        result[key] = value;
+    }
+    if (limits.backupRetention !== undefined && limits.backupRetention !== null) {
+        const value = Number(limits.backupRetention);
+        if (!Number.isInteger(value) || value < 1 || value > 365) {
+            throw httpError(400, 'limits.backupRetention must be between 1 and 365');
+        }
+        result.backupRetention = value;
+    }
+    return result;
+};
+
+/**
+ * Validates a full plan (an update is merged over the stored plan first).
+ */
+const validatePlan = (input) => {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) throw httpError(400, 'Plan name is required');
+    if (name.length > 100) throw httpError(400, 'Plan name must be 100 characters or less');
+
+    const price = Number(input.price);
+    if (input.price === '' || !isCount(price)) throw httpError(400, 'Price must be a whole number of 0 or more');
+
+    const currency = typeof input.currency === 'string' ? input.currency.trim() : '';
+    if (!currency || currency.length > 10) throw httpError(400, 'Currency is required (max 10 characters)');
+
+    return {
+        name,
+        price,
+        currency,
+        features: validateFeatures(input.features ?? []),
+        limits: validateLimits(input.limits),
+        isPopular: input.isPopular === true || input.isPopular === 'true'
+    };
+};
+
+// Plan names are stored on users, so they must stay unique
+const assertNameAvailable = async (name, exceptId = null) => {
+    const [rows] = await pool.execute('SELECT id FROM plans WHERE name = ? AND id <> ?', [name, exceptId || '']);
+    if (rows.length) throw httpError(409, `A plan named "${name}" already exists`);
+};
+
+const findPlan = async (id) => {
+    const [rows] = await pool.execute('SELECT * FROM plans WHERE id = ?', [id]);
+    if (rows.length === 0) throw httpError(404, 'Plan not found');
+    return rows[0];
+};
+
+// GET /plans
+exports.listPlans = async (req, res) => {
+    try {
+        const [plans] = await pool.execute('SELECT * FROM plans ORDER BY price ASC');
+        res.json(plans.map(mapPlan));
+    } catch (e) { res.status(500).json({ message: e.message }); }
+};
+
+// POST /plans
+exports.createPlan = async (req, res) => {
+    try {
+        const plan = validatePlan(req.body);
+        await assertNameAvailable(plan.name);
+
+        const id = `plan_${Date.now()}`;
+        await pool.execute(
+            'INSERT INTO plans (id, name, price, currency, features, limits, is_popular) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id, plan.name, plan.price, plan.currency, JSON.stringify(plan.features), JSON.stringify(plan.limits), plan.isPopular]
+        );
+        await pool.execute(
+            'INSERT INTO plan_price_history (plan_id, plan_name, old_price, new_price, currency, changed_by) VALUES (?, ?, NULL, ?, ?, ?)',
+            [id, plan.name, plan.price, plan.currency, req.user.id]
+        );
+
+        res.status(201).json(mapPlan(await findPlan(id)));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// PUT /plans/:id - partial updates are merged over the stored plan
+exports.updatePlan = async (req, res) => {
+    let connection;
+    try {
+        const existing = mapPlan(await findPlan(req.params.id));
+        const plan = validatePlan({
+            ...existing,
+            ...req.body,
+            limits: req.body.limits ? { ...existing.limits, ...req.body.limits } : existing.limits
+        });
+        if (plan.name !== existing.name) {
+            // Expired subscriptions fall back to this plan by name
+            if (existing.name === DEFAULT_PLAN) throw httpError(409, `The ${DEFAULT_PLAN} plan is the fallback for expired subscriptions and cannot be renamed`);
+            await assertNameAvailable(plan.name, existing.id);
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.execute(
+            'UPDATE plans SET name = ?, price = ?, currency = ?, features = ?, limits = ?, is_popular = ? WHERE id = ?',
+            [plan.name, plan.price, plan.currency, JSON.stringify(plan.features), JSON.stringify(plan.limits), plan.isPopular, existing.id]
+        );
+        // Users, subscriptions, payments awaiting review and coupons reference the plan by name
+        if (plan.name !== existing.name) {
+            await connection.execute('UPDATE users SET plan = ? WHERE plan = ?', [plan.name, existing.name]);
+            await connection.execute('UPDATE subscriptions SET plan = ? WHERE plan = ?', [plan.name, existing.name]);
+            await connection.execute("UPDATE payments SET plan = ? WHERE plan = ? AND status = 'PENDING'", [plan.name, existing.name]);
+            await renamePlanInDiscounts(existing.name, plan.name, connection);
+        }
+        if (plan.price !== existing.price || plan.currency !== existing.currency) {
+            await connection.execute(
+                'INSERT INTO plan_price_history (plan_id, plan_name, old_price, new_price, currency, changed_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [existing.id, plan.name, existing.price, plan.price, plan.currency, req.user.id]
+            );
+        }
+
+        await connection.commit();
+        res.json(mapPlan(await findPlan(existing.id)));
+    } catch (e) {
+        if (connection) await connection.rollback().catch(() => {});
+        res.status(e.status || 500).json({ message: e.message });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// Live references to a plan by name; each would point at nothing once the plan is gone
+const countPlanReferences = async (name) => {
+    const [[counts]] = await pool.execute(
+        `SELECT (SELECT COUNT(*) FROM users WHERE plan = ?) AS users,
+                (SELECT COUNT(*) FROM subscriptions WHERE plan = ? AND status = 'ACTIVE') AS subscriptions,
+                (SELECT COUNT(*) FROM payments WHERE plan = ? AND status = 'PENDING') AS payments,
+                (SELECT COUNT(*) FROM discounts WHERE JSON_CONTAINS(valid_plans, JSON_QUOTE(?))) AS discounts`,
+        [name, name, name, name]
+    );
+    return Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, Number(value)]));
+};
+
+// DELETE /plans/:id?migrateTo=<planId> - users, subscriptions, pending payments and coupons on the plan move to another plan
+exports.deletePlan = async (req, res) => {
+    let connection;
+    try {
+        const plan = await findPlan(req.params.id);
+        if (plan.name === DEFAULT_PLAN) throw httpError(409, `The ${DEFAULT_PLAN} plan is the fallback for expired subscriptions and cannot be deleted`);
+        const migrateTo = req.query.migrateTo || req.body?.migrateTo;
+
+        const references = await countPlanReferences(plan.name);
+        const usersOnPlan = references.users;
+
+        let target = null;
+        if (migrateTo) {
+            if (migrateTo === plan.id) throw httpError(400, 'Users cannot be moved to the plan being deleted');
+            target = await findPlan(migrateTo).catch(() => { throw httpError(400, 'Migration target plan not found'); });
+        } else if (Object.values(references).some(count => count > 0)) {
+            return res.status(409).json({
+                message: usersOnPlan > 0
+                    ? `${usersOnPlan} user${usersOnPlan === 1 ? ' is' : 's are'} on the ${plan.name} plan. Choose a plan to move them to first`
+                    : `Subscriptions, pending payments or coupons still use the ${plan.name} plan. Choose a plan to move them to first`,
+                usersOnPlan
+            });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        // Same carry-over as a rename; only ACTIVE subscriptions move, so past periods keep the plan they were for
+        if (target) {
+            await connection.execute('UPDATE users SET plan = ? WHERE plan = ?', [target.name, plan.name]);
+            await connection.execute("UPDATE subscriptions SET plan = ? WHERE plan = ? AND status = 'ACTIVE'", [target.name, plan.name]);
+            await connection.execute("UPDATE payments SET plan = ? WHERE plan = ? AND status = 'PENDING'", [target.name, plan.name]);
+            await renamePlanInDiscounts(plan.name, target.name, connection);
+        }
+        await connection.execute('DELETE FROM plans WHERE id = ?', [plan.id]);
+        await connection.commit();
+
+        res.json({ success: true, migratedUsers: target ? usersOnPlan : 0, migratedTo: target ? target.name : null });
+    } catch (e) {
+        if (connection) await connection.rollback().catch(() => {});
+        res.status(e.status || 500).json({ message: e.message });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// GET /plans/:id/price-history
+exports.getPriceHistory = async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT h.*, u.username AS changed_by_username
+             FROM plan_price_history h
+             LEFT JOIN users u ON u.id = h.changed_by
+             WHERE h.plan_id = ?
+             ORDER BY h.changed_at DESC, h.id DESC`,
+            [req.params.id]
+        );
+        res.json(rows.map(r => ({
+            id: r.id,
+            planId: r.plan_id,
+            planName: r.plan_name,
+            oldPrice: r.old_price === null ? null : Number(r.old_price),
+            newPrice: Number(r.new_price),
+            currency: r.currency,
+            changedBy: r.changed_by_username || r.changed_by,
+            changedAt: r.changed_at
+        })));
+    } catch (e) { res.status(500).json({ message: e.message }); }
+};
@@ -1,85 +1,149 @@
 
 const pool = require('../db');
 const fs = require('fs');
-const path = require('path');
-const { extractZip } = require('../extract');
-const { STORAGE_ROOT } = require('../config/paths');
-const { getSafePath } = require('../utils/helpers');
-
-// Helper to resolve DB Name from siteId or databaseId
-const getDbName = async (params) => {
-    const { siteId, databaseId } = params;
-    
-    if (databaseId) {
-        const [dbs] = await pool.execute('SELECT db_name FROM `databases` WHERE id = ?', [databaseId]);
-        return dbs.length ? dbs[0].db_name : null;
-    }
-    
-    if (siteId) {
-        // Find database linked to this site
-        const [dbs] = await pool.execute('SELECT db_name FROM `databases` WHERE site_id = ?', [siteId]);
-        return dbs.length ? dbs[0].db_name : null;
-    }
-    
-    return null;
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { getUncompressedSize } = require('../extract');
+const { getSafePath, httpError } = require('../utils/helpers');
+const { dumpDatabase, listDumpableTables } = require('../utils/sqlDump');
+const { SQL_FILE_PATTERN, importSqlStream, openSqlFile } = require('../utils/sqlImport');
+const { getDbName, describeTable, loadSchema } = require('../utils/dbSchema');
+const { buildPageQuery } = require('../utils/tableQuery');
+const { getMysqlAccount } = require('../utils/mysqlAccount');
+const { isAdmin, resolveUserId } = require('../middleware/auth');
+const { removeSiteBackups } = require('../services/backupService');
+const quota = require('../services/quotaService');
+const apache = require('../services/apacheService');
+const tunnels = require('../services/tunnelService');
+const deploys = require('../services/deployService');
+const git = require('../services/gitService');
+const builds = require('../services/buildService');
+const { FRAMEWORKS, inspectProject } = require('../utils/frameworkDetect');
+
+// Interprets query-string booleans such as "true", "1", "false", "0"
+const parseFlag = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
 };
 
 exports.listSites = async (req, res) => {
-    const { userId } = req.query;
-    if (!userId) return res.status(400).json({ message: 'userId is required' });
+    const userId = resolveUserId(req, req.query.userId);
     try {
         const [sites] = await pool.execute('SELECT * FROM sites WHERE user_id = ? ORDER BY created_at DESC', [userId]);
         const mapped = sites.map((s) => ({
             id: s.id, userId: s.user_id, name: s.name, subdomain: s.subdomain, framework: s.framework,
             status: s.status, createdAt: s.created_at, storageUsed: s.storage_used, hasDatabase: !!s.has_database,
+            currentRelease: s.current_release || null,
+            gitUrl: s.git_url || null, gitBranch: s.git_branch || null, gitCommit: s.git_commit || null,
         }));
         res.json(mapped);
     } catch (err) { res.status(500).json({ message: err.message }); }
 };
 
+// GET /sites/quota - plan limits, usage and remaining allowance for the dashboard
+exports.getQuota = async (req, res) => {
+    const userId = resolveUserId(req, req.query.userId);
+    try {
+        res.json(await quota.getQuota(userId));
+    } catch (err) { res.status(500).json({ message: err.message }); }
+};
+
 exports.deploySite = async (req, res) => {
-    const { userId, name, subdomain, framework, needsDatabase, attachedDatabaseId } = req.body;
+    const { name, subdomain, framework, needsDatabase, attachedDatabaseId, repoUrl, branch, deployKey } = req.body;
+    const userId = resolveUserId(req, req.body.userId);
     const file = req.file;
 
-    if (!userId || !name) return res.status(400).json({ message: 'Missing required fields' });
+    if (!name) return res.status(400).json({ message: 'Missing required fields' });
 
     try {
+        // Deploy from git instead of a zip: the branch tip is fetched and exported into the first release
+        let repo = null;
+        if (!file && repoUrl) {
+            repo = { url: git.validateRepoUrl(repoUrl), branch: git.validateBranch(branch) };
+            if (deployKey) repo.deployKey = git.validateDeployKey(deployKey);
+        }
+
         const [users] = await pool.execute('SELECT username FROM users WHERE id = ?', [userId]);
         if (users.length === 0) return res.status(404).json({ message: 'User not found' });
         const username = users[0].username;
+        const siteSubdomain = subdomain ? await apache.validateSiteSubdomain(subdomain, { admin: isAdmin(req) }) : null;
+
+        if (attachedDatabaseId) {
+            // Only databases from the caller's own (DB-only) sites may be re-attached
+            const [owned] = await pool.execute(
+                'SELECT d.id FROM `databases` d JOIN sites s ON d.site_id = s.id WHERE d.id = ? AND s.user_id = ?',
+                [attachedDatabaseId, userId]
+            );
+            if (owned.length === 0) return res.status(403).json({ message: 'You do not have access to this database' });
+        }
 
-        const siteFolderName = name.trim().replace(/[^a-z0-9_-]/gi, '_');
-        const userDir = path.join(STORAGE_ROOT, username);
-        const siteDir = path.join(userDir, siteFolderName);
-
-        if (!fs.existsSync(userDir)) fs.mkdirSync(userDir, { recursive: true });
-        if (!fs.existsSync(siteDir)) fs.mkdirSync(siteDir, { recursive: true });
+        // Plan limits: site count, database count and storage (against the unzipped size)
+        const hasDb = needsDatabase === 'true';
+        await quota.assertCanCreateSite(userId);
+        if (hasDb) await quota.assertCanCreateDatabase(userId);
+        if (file) await quota.assertStorageAvailable(userId, getUncompressedSize(file.buffer));
 
-        if (file) {
-            await extractZip(file.buffer, siteDir);
-        } else {
-            fs.writeFileSync(path.join(siteDir, 'index.html'), `<h1>Welcome to ${name}</h1><p>Deployed via KolabPanel</p>`);
+        const siteFolderName = name.trim().replace(/[^a-z0-9_-]/gi, '_');
+        const owner = { username, siteName: siteFolderName };
+
+        // Switching in the first release would otherwise archive another site's live folder and take it over.
+        // A DB_ONLY site has no files left, so its name is free again (CreateSite re-attaches its database).
+        const folderTaken = () => fs.existsSync(deploys.getSiteDir(username, siteFolderName));
+        const nameTaken = httpError(409, `You already have a site named ${siteFolderName}`);
+        const [sameName] = await pool.execute(
+            "SELECT id FROM sites WHERE user_id = ? AND name = ? AND status <> 'DB_ONLY'",
+            [userId, siteFolderName]
+        );
+        if (sameName.length > 0 || folderTaken()) throw nameTaken;
+
+        // The first release is staged and switched in like any redeploy
+        const placeholder = `<h1>Welcome to ${name}</h1><p>Deployed via KolabPanel</p>`;
+        let source = file ? { buffer: file.buffer } : { placeholder };
+        let commit = null;
+        if (repo) {
+            const fetched = await deploys.fetchGitRelease(owner, repo, userId);
+            source = { buffer: fetched.buffer };
+            commit = fetched.commit;
+        }
+        const { releaseId, dir, sizeBytes, hoisted } = await deploys.stageRelease(owner, source);
+
+        // The uploaded files decide the framework; the form's choice is the fallback
+        let siteFramework = framework || FRAMEWORKS.HTML;
+        let detection = null;
+        if (source.buffer) {
+            const { framework: resolved, detected, reason, warnings } = inspectProject(dir, framework);
+            siteFramework = resolved;
+            detection = { framework: resolved, detected, reason, hoistedFolder: hoisted, warnings };
+        }
+        // Checked again right before the switch: another deploy of the same name may have finished meanwhile
+        if (folderTaken()) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            throw nameTaken;
         }
+        deploys.switchRelease(owner, releaseId, null);
 
         const siteId = `s_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-        const hasDb = needsDatabase === 'true';
-        const sizeMB = file ? (file.size / (1024 * 1024)) : 0;
+        const sizeMB = sizeBytes / (1024 * 1024);
 
         await pool.execute(
-            `INSERT INTO sites (id, user_id, name, subdomain, framework, status, created_at, storage_used, has_database) 
-             VALUES (?, ?, ?, ?, ?, 'ACTIVE', NOW(), ?, ?)`,
-            [siteId, userId, siteFolderName, subdomain, framework || 'HTML', sizeMB, hasDb || !!attachedDatabaseId]
+            `INSERT INTO sites (id, user_id, name, subdomain, framework, status, created_at, storage_used, has_database, current_release, git_url, git_branch, git_commit) 
+             VALUES (?, ?, ?, ?, ?, 'ACTIVE', NOW(), ?, ?, ?, ?, ?, ?)`,
+            [siteId, userId, siteFolderName, siteSubdomain, siteFramework, sizeMB, hasDb || !!attachedDatabaseId, releaseId,
+                repo ? repo.url : null, repo ? repo.branch : null, commit]
         );
+        const deploymentId = await deploys.recordDeployment({
+            siteId, releaseId, action: 'deploy', source: file ? 'upload' : (repo ? 'git' : 'placeholder'),
+            fileName: file ? file.originalname : null, commitSha: commit, sizeBytes, status: 'SUCCESS', actorId: req.user.id
+        });
+        // A git site's mirror already lives under .releases
+        await deploys.recordReleaseUsage(siteId, owner);
 
         if (hasDb) {
             const suffix = Math.random().toString(36).substr(2, 6);
             const uPart = username.substring(0, 3).toLowerCase();
             const sPart = name.substring(0, 3).toLowerCase();
             const realDbName = `db_${uPart}_${sPart}_${suffix}`.replace(/[^a-z0-9_]/g, '');
-            const mysqlUser = `sql_${username.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()}`;
-            const idPart = userId.substring(0, 4);
-            const namePart = username.replace(/[^a-zA-Z0-9]/g, '').substring(0, 3).toUpperCase();
-            const mysqlPass = `kp_${idPart}@${namePart}#88`;
+            const { user: mysqlUser, password: mysqlPass } = getMysqlAccount(userId, username);
 
             try {
                 // 1. Create DB
@@ -113,28 +177,80 @@ exports.deploySite = async (req, res) => {
              await pool.execute('UPDATE sites SET has_database = TRUE WHERE id = ?', [siteId]);
         }
 
-        res.json({ success: true, id: siteId, message: 'Deployed successfully' });
+        // The site is deployed either way; a vhost problem is reported so it can be fixed and re-applied
+        let vhost = null;
+        let vhostError = null;
+        try {
+            vhost = await apache.applySiteVhost(siteId);
+        } catch (vhostErr) {
+            console.error(`[Apache] Vhost for ${siteFolderName} failed:`, vhostErr.message);
+            vhostError = vhostErr.message;
+        }
+
+        // Same for the tunnel route that makes the subdomain reachable from outside
+        let tunnel = null;
+        let tunnelError = null;
+        if (siteSubdomain) {
+            try {
+                tunnel = await tunnels.ensureSiteTunnel(siteId);
+            } catch (tunnelErr) {
+                console.error(`[Tunnels] Route for ${siteFolderName} failed:`, tunnelErr.message);
+                tunnelError = tunnelErr.message;
+            }
+        }
+
+        // composer / npm / artisan steps run in the background; the site stays DEPLOYING until they finish
+        const { build, buildError } = await builds.buildAfterDeploy(siteId, { deploymentId, actorId: req.user.id });
+
+        res.json({ success: true, id: siteId, message: 'Deployed successfully', framework: siteFramework, detection, commit, vhost, vhostError, tunnel, tunnelError, build, buildError });
 
     } catch (e) {
+        if (quota.isQuotaError(e)) return quota.sendQuotaError(res, e);
         console.error("[Deploy] Error:", e);
-        res.status(500).json({ message: e.message });
+        res.status(e.status || 500).json({ message: e.message });
     }
 };
 
 exports.updateSite = async (req, res) => {
     const { siteId } = req.params;
     const data = req.body;
-    const allowed = ['subdomain', 'hasDatabase', 'status', 'framework'];
+    // Status changes (e.g. lifting a suspension) are reserved for admins
+    const allowed = isAdmin(req)
+        ? ['subdomain', 'hasDatabase', 'status', 'framework']
+        : ['subdomain', 'hasDatabase', 'framework'];
     const updates = Object.keys(data).filter(k => allowed.includes(k));
     if (updates.length === 0) return res.json({ success: true });
 
     try {
+        if (updates.includes('subdomain')) {
+            data.subdomain = data.subdomain ? await apache.validateSiteSubdomain(data.subdomain, { siteId, admin: isAdmin(req) }) : null;
+        }
         const setClause = updates.map(k => k === 'hasDatabase' ? 'has_database = ?' : `${k} = ?`).join(', ');
         const values = updates.map(k => data[k]);
         await pool.execute(`UPDATE sites SET ${setClause} WHERE id = ?`, [...values, siteId]);
-        res.json({ success: true });
+
+        // Host name and template come from these, so the vhost is rendered again
+        const result = { success: true };
+        if (updates.includes('subdomain') || updates.includes('framework')) {
+            try {
+                result.vhost = await apache.applySiteVhost(siteId);
+            } catch (vhostErr) {
+                result.vhostError = vhostErr.message;
+            }
+        }
+        // The tunnel route follows the host name
+        if (updates.includes('subdomain')) {
+            try {
+                result.tunnel = data.subdomain
+                    ? await tunnels.ensureSiteTunnel(siteId)
+                    : await tunnels.removeSiteTunnels(siteId);
+            } catch (tunnelErr) {
+                result.tunnelError = tunnelErr.message;
+            }
+        }
+        res.json(result);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ message: err.message });
     }
 };
 
@@ -153,6 +269,10 @@ exports.deleteSite = async (req, res) => {
             } catch(e) {}
         }
 
+        await apache.removeSiteVhost(siteId).catch(err => console.error("Failed to remove vhost:", err.message));
+        await deploys.removeSiteReleases(siteId).catch(err => console.error("Failed to remove releases:", err.message));
+        await tunnels.removeSiteTunnels(siteId).catch(err => console.error("Failed to remove tunnel route:", err.message));
+
         if (deleteDb) {
             const [dbs] = await pool.execute('SELECT db_name FROM `databases` WHERE site_id = ?', [siteId]);
             for (const db of dbs) {
@@ -160,10 +280,12 @@ exports.deleteSite = async (req, res) => {
                     await pool.query(`DROP DATABASE IF EXISTS \`${db.db_name}\``);
                 } catch (dbErr) { console.error("Failed to drop DB:", dbErr); }
             }
+            await removeSiteBackups(siteId).catch(err => console.error("Failed to remove backups:", err));
             await pool.execute('DELETE FROM sites WHERE id = ?', [siteId]);
             await pool.execute('DELETE FROM `databases` WHERE site_id = ?', [siteId]);
         } else {
-            await pool.execute("UPDATE sites SET status = 'DB_ONLY', storage_used = 0 WHERE id = ?", [siteId]);
+            // The host name goes with the vhost, so the site can be re-created under it
+            await pool.execute("UPDATE sites SET status = 'DB_ONLY', storage_used = 0, subdomain = NULL WHERE id = ?", [siteId]);
         }
         res.json({ success: true });
     } catch (err) {
@@ -194,6 +316,8 @@ exports.createDatabase = async (req, res) => {
         if (sites.length === 0) return res.status(404).json({ message: 'Site not found' });
         const site = sites[0];
 
+        await quota.assertCanCreateDatabase(site.user_id);
+
         const [users] = await pool.execute('SELECT username FROM users WHERE id = ?', [site.user_id]);
         const username = users[0].username;
 
@@ -201,7 +325,7 @@ exports.createDatabase = async (req, res) => {
         const uPart = username.substring(0, 3).toLowerCase();
         const sPart = site.name.substring(0, 3).toLowerCase();
         const realDbName = `db_${uPart}_${sPart}_${suffix}`.replace(/[^a-z0-9_]/g, '');
-        const mysqlUser = `sql_${username.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()}`;
+        const { user: mysqlUser } = getMysqlAccount(site.user_id, username);
 
         await pool.query(`CREATE DATABASE IF NOT EXISTS \`${realDbName}\``);
         await pool.query(`GRANT ALL PRIVILEGES ON \`${realDbName}\`.* TO '${mysqlUser}'@'%'`);
@@ -216,6 +340,7 @@ exports.createDatabase = async (req, res) => {
 
         res.json({ success: true, id: dbId, name, db_name: realDbName });
     } catch (e) {
+        if (quota.isQuotaError(e)) return quota.sendQuotaError(res, e);
         res.status(500).json({ message: e.message });
     }
 };
@@ -291,114 +416,174 @@ exports.getDatabasetables = async (req, res) => {
     }
 };
 
-// FIX: Handle siteId param to resolve DB
+// Paginated table browser.
+// Query: limit, offset | cursor (keyset), sort, order=asc|desc,
+//        filters=[{"column":"email","op":"like","value":"@gmail"}, {"column":"age","op":"between","value":[18,30]}]
 exports.getTableData = async (req, res) => {
     const { tableName } = req.params;
     try {
         const dbName = await getDbName(req.params);
         if (!dbName) return res.status(404).json({ message: 'Database not found' });
 
-        // 1. Get Columns Structure
-        const [columns] = await pool.query(`SHOW COLUMNS FROM \`${dbName}\`.\`${tableName}\``);
-        const mappedColumns = columns.map(c => ({
-            name: c.Field,
-            type: c.Type,
-            null: c.Null,
-            key: c.Key,
-            default: c.Default,
-            extra: c.Extra
-        }));
+        const table = await describeTable(dbName, tableName);
+        if (!table) return res.status(404).json({ message: `Table '${tableName}' not found` });
 
-        // 2. Get Data Rows (Limit 100 for performance)
-        const [rows] = await pool.query(`SELECT * FROM \`${dbName}\`.\`${tableName}\` LIMIT 100`);
+        const page = buildPageQuery(dbName, table, req.query);
+        const rowOptions = { dateStrings: true, supportBigNumbers: true, bigNumberStrings: true };
+
+        const [rows] = await pool.query({ sql: page.select.sql, ...rowOptions }, page.select.params);
+        const [[{ total }]] = await pool.query(page.count.sql, page.count.params);
+        const { data, hasMore, nextCursor } = page.paginate(rows);
 
         res.json({
-            columns: mappedColumns,
-            data: rows
+            columns: table.columns,
+            primaryKey: table.primaryKey,
+            data,
+            pagination: { total, limit: page.limit, offset: page.offset, hasMore, nextCursor },
+            sort: page.sort
         });
     } catch (e) {
         console.error("Get Table Data Error:", e);
-        res.status(500).json({ message: e.message });
+        res.status(e.status || 500).json({ message: e.message });
     }
 };
 
+// Tables, columns, indexes, foreign keys and size estimates in a few bulk queries (ER diagram)
 exports.getDatabaseSchema = async (req, res) => {
     try {
         const dbName = await getDbName(req.params);
         if (!dbName) return res.status(404).json({ message: 'Database not found' });
 
-        // 1. Get All Tables
-        const [tables] = await pool.query(`SHOW TABLES FROM \`${dbName}\``);
-        const tableNames = tables.map(t => Object.values(t)[0]);
-
-        // 2. Get Columns for each table
-        const fullSchema = [];
-        for (const tableName of tableNames) {
-            const [cols] = await pool.query(`SHOW COLUMNS FROM \`${dbName}\`.\`${tableName}\``);
-            fullSchema.push({
-                tableName: tableName,
-                columns: cols.map(c => ({
-                    name: c.Field,
-                    type: c.Type,
-                    key: c.Key
-                }))
-            });
-        }
-
-        res.json(fullSchema);
+        res.json(await loadSchema(dbName));
     } catch (e) {
         res.status(500).json({ message: e.message });
     }
 };
 
-// FIX: Handle siteId param to resolve DB
+// Streams the uploaded dump from disk, executing it statement by statement.
+// Progress is pushed to the uploader over Socket.IO ('db_import_progress').
 exports.importDatabase = async (req, res) => {
-    console.log('[importDatabase] Called with siteId:', req.params.siteId);
     const file = req.file;
-    if (!file) {
-        console.log('[importDatabase] No file uploaded');
-        return res.status(400).json({ message: 'No file uploaded' });
+    if (!file) return res.status(400).json({ message: 'No file uploaded' });
+
+    const cleanup = () => fs.unlink(file.path, () => {});
+    if (!SQL_FILE_PATTERN.test(file.originalname)) {
+        cleanup();
+        return res.status(400).json({ message: 'Unsupported file type. Upload a .sql, .sql.gz or .zip file' });
     }
 
+    const { siteId } = req.params;
+    const importId = req.body.importId || `imp_${Date.now()}`;
+    const continueOnError = parseFlag(req.body.continueOnError, false);
+    const io = req.app.get('io');
+
     try {
-        console.log('[importDatabase] Looking up database for siteId:', req.params.siteId);
         const dbName = await getDbName(req.params);
-        console.log('[importDatabase] Found dbName:', dbName);
         if (!dbName) return res.status(404).json({ message: 'Database not found. Please create one first.' });
-        
-        const sqlContent = file.buffer.toString('utf-8');
 
-        const connection = await pool.getConnection();
-        try {
-            await connection.query(`USE \`${dbName}\``);
-            await connection.query(sqlContent);
-            console.log(`[Database] Imported ${file.originalname} into ${dbName}`);
-        } finally {
-            connection.release();
+        const [owners] = await pool.execute('SELECT id, username FROM users WHERE id = ?', [req.site.user_id]);
+        if (owners.length === 0) return res.status(404).json({ message: 'Site owner not found' });
+
+        const source = openSqlFile(file.path, file.originalname);
+
+        let lastEmit = 0;
+        const emitProgress = (progress, done = false) => {
+            const now = Date.now();
+            if (!io || (!done && now - lastEmit < 250)) return;
+            lastEmit = now;
+            io.to(`user:${req.user.id}`).emit('db_import_progress', {
+                importId,
+                siteId,
+                done,
+                bytesRead: source.bytesRead(),
+                totalBytes: source.totalBytes,
+                percent: source.totalBytes ? Math.min(100, Math.round((source.bytesRead() / source.totalBytes) * 100)) : 0,
+                ...progress
+            });
+        };
+
+        const report = await importSqlStream(owners[0], dbName, source.stream, {
+            continueOnError,
+            onProgress: (progress) => emitProgress(progress)
+        });
+        emitProgress({ statements: report.statements, executed: report.executed, failed: report.failedCount }, true);
+        console.log(`[Database] Imported ${file.originalname} into ${dbName}: ${report.executed}/${report.statements} statements`);
+
+        if (report.aborted) {
+            const first = report.failed[0];
+            return res.status(422).json({
+                success: false,
+                message: `Import failed at line ${first.line}: ${first.message}`,
+                importId,
+                report
+            });
         }
 
-        res.json({ success: true, message: 'Database imported successfully' });
+        res.json({
+            success: report.failedCount === 0,
+            message: report.failedCount === 0
+                ? 'Database imported successfully'
+                : `Database imported with ${report.failedCount} failed statement(s)`,
+            importId,
+            report
+        });
     } catch (e) {
         console.error("[Database] Import Failed:", e);
-        res.status(500).json({ message: 'Import failed: ' + e.message });
+        res.status(e.status || 500).json({ message: 'Import failed: ' + e.message });
+    } finally {
+        cleanup();
     }
 };
 
-// FIX: Handle siteId param to resolve DB
+// Streams a real dump built from SHOW CREATE TABLE + batched INSERTs.
+// Query: ?structure=false | ?data=false | ?tables=users,posts | ?gzip=true
 exports.exportDatabase = async (req, res) => {
+    const { tables, gzip } = req.query;
+    const options = {
+        structure: parseFlag(req.query.structure, true),
+        data: parseFlag(req.query.data, true),
+        tables: tables ? String(tables).split(',').map(t => t.trim()).filter(Boolean) : undefined
+    };
+    if (!options.structure && !options.data) {
+        return res.status(400).json({ message: 'Nothing to export: enable structure or data' });
+    }
+
     try {
         const dbName = await getDbName(req.params);
         if (!dbName) return res.status(404).send("Database not found");
 
+        const available = await listDumpableTables(dbName);
+        const unknown = (options.tables || []).filter(t => !available.some(a => a.name === t));
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown table(s): ${unknown.join(', ')}` });
+        }
+
+        const compress = parseFlag(gzip, false);
+        const suffix = options.structure && !options.data ? '_structure' : (!options.structure ? '_data' : '');
+        const filename = `${dbName}${suffix}_${new Date().toISOString().slice(0, 10)}.sql${compress ? '.gz' : ''}`;
+
         console.log(`[Database] Exporting ${dbName}`);
-        // In a real app, we would spawn `mysqldump` here.
-        // For now, we return a mock SQL file with basic structure.
-        const sql = `-- KolabPanel Database Dump\n-- DB: ${dbName}\n-- Date: ${new Date().toISOString()}\n\n-- Mock Export: Real export requires mysqldump binary execution --`;
-        
-        res.setHeader('Content-disposition', `attachment; filename=${dbName}.sql`);
-        res.setHeader('Content-type', 'application/sql');
-        res.send(sql);
+        res.setHeader('Content-disposition', `attachment; filename=${filename}`);
+        res.setHeader('Content-type', compress ? 'application/gzip' : 'application/sql');
+
+        let output = res;
+        if (compress) {
+            // pipeline() destroys the gzip stream when the client goes away, which stops the dump
+            output = zlib.createGzip();
+            pipeline(output, res, () => {});
+        }
+
+        try {
+            const result = await dumpDatabase(dbName, output, options);
+            console.log(`[Database] Exported ${result.tables} tables / ${result.rows} rows from ${dbName}`);
+            output.end();
+        } catch (streamErr) {
+            // Headers are already sent; abort the download so the client sees a failed transfer
+            console.error("[Database] Export aborted:", streamErr.message);
+            output.destroy();
+            res.destroy(streamErr);
+        }
     } catch (e) {
         res.status(500).send("Export failed: " + e.message);
     }
-};
+};
\ No newline at end of file
@@ -0,0 +1,31 @@
+const diskUsage = require('../services/diskUsageService');
+
+// GET /sites/:siteId/storage?refresh=true
+exports.getSiteStorage = async (req, res) => {
+    try {
+        const refresh = req.query.refresh === 'true';
+        res.json(await diskUsage.getSiteUsage(req.site.id, { refresh }));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// POST /sites/:siteId/storage/scan
+exports.scanSiteStorage = async (req, res) => {
+    try {
+        res.json(await diskUsage.scanSite(req.site.id));
+    } catch (e) {
+        res.status(e.status || 500).json({ message: e.message });
+    }
+};
+
+// POST /admin/storage/scan - rescan every site now
+exports.scanAllStorage = async (req, res) => {
+    try {
+        const result = await diskUsage.scanAllSites();
+        if (!result) return res.status(409).json({ message: 'A storage scan is already running' });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+};
@@ -1,20 +1,8 @@
 
 // server/controllers/terminalController.js
-const { spawn } = require('child_process');
-const { Client } = require('ssh2');
-const path = require('path');
 const db = require('../db');
-const {
-    STORAGE_ROOT,
-    SSH_ROOT_PATH,
-    SSH_HOST,
-    SSH_PORT,
-    SSH_USER,
-    SSH_PASSWORD,
-    PHP_BINARY,
-    COMPOSER_BINARY,
-    NPM_BINARY
-} = require('../config/paths');
+const { scanSite } = require('../services/diskUsageService');
+const { executeWindowsCommand, executeSSHCommand } = require('../services/commandService');
 
 // Command whitelist configuration
 // IMPORTANT: These must match or be prefixes of commands defined in frontend constants.ts
@@ -105,155 +93,6 @@ async function getUserInfo(userId) {
     return users[0];
 }
 
-async function executeWindowsCommand(socket, command, site, user) {
-    return new Promise((resolve, reject) => {
-        // Path di Windows (UNC atau Local): \\100.90.80.70\web\project\kohost_users\username\sitename
-        const projectPath = path.join(STORAGE_ROOT, user.username, site.name); 
-        
-        // HIDE PATH: Send generic info instead of raw path
-        socket.emit('command_output', {
-            type: 'info',
-            data: `[Windows] Environment Ready. Executing...\n`
-        });
-        
-        // Parse command - replace 'php' with PHP_BINARY path
-        let fullCommand = command.replace(/^php\s/, `"${PHP_BINARY}" `);
-        
-        // Execute via cmd.exe
-        // BUG FIX: Renamed variable from 'process' to 'cmdProcess' to avoid shadowing global process
-        const cmdProcess = spawn('cmd.exe', ['/c', fullCommand], {
-            cwd: projectPath,
-            shell: true,
-            env: {
-                ...process.env,
-                // Add PHP to PATH jika belum ada
-                PATH: `${path.dirname(PHP_BINARY)};${process.env.PATH}`
-            }
-        });
-        
-        // Stream stdout
-        cmdProcess.stdout.on('data', (data) => {
-            socket.emit('command_output', {
-                type: 'stdout',
-                data: data.toString()
-            });
-        });
-        
-        // Stream stderr
-        cmdProcess.stderr.on('data', (data) => {
-            socket.emit('command_output', {
-                type: 'stderr',
-                data: data.toString()
-            });
-        });
-        
-        // Handle completion
-        cmdProcess.on('close', (code) => {
-            if (code === 0) {
-                resolve();
-            } else {
-                reject(new Error(`Process exited with code ${code}`));
-            }
-        });
-        
-        // Handle errors
-        cmdProcess.on('error', (error) => {
-            reject(error);
-        });
-        
-        // Timeout protection (5 minutes)
-        const timeout = setTimeout(() => {
-            cmdProcess.kill();
-            reject(new Error('Command timeout (5 minutes)'));
-        }, 300000);
-        
-        cmdProcess.on('close', () => clearTimeout(timeout));
-    });
-}
-
-async function executeSSHCommand(socket, command, site, user) {
-    return new Promise((resolve, reject) => {
-        // SSH ke Synology/Linux
-        const sshConfig = {
-            host: SSH_HOST,
-            port: SSH_PORT,
-            username: SSH_USER,
-            password: SSH_PASSWORD
-        };
-        
-        const conn = new Client();
-        
-        conn.on('ready', () => {
-            // Path di Linux: /volume1/web/project/kohost_users/username/sitename
-            // Use site.name as folder name
-            const workingDir = path.posix.join(SSH_ROOT_PATH, user.username, site.name);
-            
-            const fullCommand = `cd "${workingDir}" && ${command}`;
-            
-            // HIDE PATH & IP: Send generic secure info
-            socket.emit('command_output', {
-                type: 'info',
-                data: `[SSH] Establishing secure connection to node...\n`
-            });
-            socket.emit('command_output', {
-                type: 'info',
-                data: `[SSH] Environment: ${site.framework} Container\n`
-            });
-            
-            conn.exec(fullCommand, (err, stream) => {
-                if (err) {
-                    conn.end();
-                    return reject(err);
-                }
-                
-                // Stream stdout
-                stream.on('data', (data) => {
-                    socket.emit('command_output', {
-                        type: 'stdout',
-                        data: data.toString()
-                    });
-                });
-                
-                // Stream stderr
-                stream.stderr.on('data', (data) => {
-                    socket.emit('command_output', {
-                        type: 'stderr',
-                        data: data.toString()
-                    });
-                });
-                
-                stream.on('close', (code) => {
-                    conn.end();
-                    
-                    if (code === 0) {
-                        resolve();
-                    } else {
-                        reject(new Error(`SSH command exited with code ${code}`));
-                    }
-                });
-            });
-        });
-        
-        conn.on('error', (err) => {
-            reject(err);
-        });
-        
-        // Timeout untuk SSH connection
-        setTimeout(() => {
-            if (!conn._sock || !conn._sock.readable) {
-                // Only reject if not connected
-                // reject(new Error('SSH connection timeout'));
-            }
-        }, 10000);
-        
-        try {
-            conn.connect(sshConfig);
-        } catch (err) {
-            reject(err);
-        }
-    });
-}
-
 async function logCommand(userId, siteId, command, type, status, error = null) {
     try {
         await db.query(
@@ -304,15 +143,19 @@ function handleTerminalConnection(socket) {
                 site: site.name
             });
             
-            // Execute command based on type
+            // Execute command based on type, streaming output to the terminal
+            const onOutput = (type, output) => socket.emit('command_output', { type, data: output });
             if (commandType === 'windows') {
-                await executeWindowsCommand(socket, command, site, user);
+                await executeWindowsCommand(command, site, user, onOutput);
             } else if (commandType === 'ssh') {
-                await executeSSHCommand(socket, command, site, user);
+                await executeSSHCommand(command, site, user, onOutput);
             }
             
             // Log success
             await logCommand(socketUser.id, siteId, command, commandType, 'success');
+
+            // Installs/builds change the site's size; refresh its storage usage in the background
+            scanSite(siteId).catch(err => console.error('[DiskUsage] Post-command scan failed:', err.message));
             
             // Emit completion
             socket.emit('command_completed', {
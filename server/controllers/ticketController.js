@@ -1,7 +1,9 @@
 const pool = require('../db');
+const { isAdmin, resolveUserId } = require('../middleware/auth');
 
 exports.listTickets = async (req, res) => {
-    const { userId } = req.query;
+    // Admins see every ticket (optionally filtered), users only their own
+    const userId = isAdmin(req) ? req.query.userId : req.user.id;
     try {
         let query = `
             SELECT t.id, t.user_id as userId, u.username, t.subject, t.status, t.created_at as createdAt, t.last_message_at as lastMessageAt
@@ -25,7 +27,9 @@ exports.listTickets = async (req, res) => {
 };
 
 exports.createTicket = async (req, res) => {
-    const { userId, username, subject } = req.body;
+    const { subject } = req.body;
+    const userId = resolveUserId(req, req.body.userId);
+    const username = userId === req.user.id ? req.user.username : req.body.username;
     const ticketId = `t_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
     
     try {
@@ -71,13 +75,15 @@ exports.getMessages = async (req, res) => {
 
 exports.sendMessage = async (req, res) => {
     const { ticketId } = req.params;
-    const { senderId, text, isAdmin } = req.body;
+    const { text } = req.body;
+    const senderId = req.user.id;
+    const fromAdmin = isAdmin(req);
     const msgId = `m_${Date.now()}`;
     
     try {
         await pool.execute(
             'INSERT INTO messages (id, ticket_id, sender_id, text, timestamp, is_admin) VALUES (?, ?, ?, ?, NOW(), ?)',
-            [msgId, ticketId, senderId, text, isAdmin]
+            [msgId, ticketId, senderId, text, fromAdmin]
         );
         
         // Update ticket last_message_at
@@ -85,7 +91,7 @@ exports.sendMessage = async (req, res) => {
         
         // Fetch username for response
         let senderName = 'Support Agent';
-        if (!isAdmin) {
+        if (!fromAdmin) {
             const [users] = await pool.execute('SELECT username FROM users WHERE id = ?', [senderId]);
             if (users.length > 0) senderName = users[0].username;
         }
@@ -97,7 +103,7 @@ exports.sendMessage = async (req, res) => {
             senderName,
             text,
             timestamp: new Date().toISOString(),
-            isAdmin
+            isAdmin: fromAdmin
         });
     } catch (e) {
         res.status(500).json({ message: e.message });
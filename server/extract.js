@@ -9,7 +9,7 @@ const path = require('path');
  * 
  * @param {Buffer} buffer - The zip file buffer.
  * @param {string} destination - The target directory path.
- * @returns {Promise<void>}
+ * @returns {Promise<number>} Total uncompressed bytes written.
  */
 const extractZip = async (buffer, destination) => {
     try {
@@ -102,6 +102,7 @@ const extractZip = async (buffer, destination) => {
         }
         
         console.log(`[Extract] Successfully extracted ${entries.length} items.`);
+        return fileEntries.reduce((sum, entry) => sum + (entry.header.size || 0), 0);
         
     } catch (error) {
         console.error('[Extract] Critical Error:', error);
@@ -112,4 +113,21 @@ const extractZip = async (buffer, destination) => {
     }
 };
 
-module.exports = { extractZip };
\ No newline at end of file
+/**
+ * Uncompressed size declared by the archive's entries, read from the headers only.
+ * Lets callers enforce storage quotas before anything is written to disk.
+ *
+ * @param {Buffer} buffer - The zip file buffer.
+ * @returns {number} Total size in bytes.
+ */
+const getUncompressedSize = (buffer) => {
+    try {
+        return new AdmZip(buffer).getEntries()
+            .filter(entry => !entry.isDirectory && !entry.entryName.includes('..'))
+            .reduce((sum, entry) => sum + (entry.header.size || 0), 0);
+    } catch (error) {
+        throw new Error('Failed to read zip file: ' + error.message);
+    }
+};
+
+module.exports = { extractZip, getUncompressedSize };
\ No newline at end of file
@@ -15,6 +15,9 @@ loadEnv();
 const initDB = require('./config/dbInit');
 const initStorage = require('./config/initStorage');
 const createApp = require('./app');
+const { startBackupScheduler } = require('./services/backupService');
+const { startDiskUsageScanner } = require('./services/diskUsageService');
+const { startSubscriptionScheduler } = require('./services/subscriptionService');
 
 const PORT = process.env.PORT || 5000;
 
@@ -25,7 +28,7 @@ const startServer = async () => {
         await initDB();
 
         // 2. Create Express Application with WebSocket
-        const { app, server } = createApp();
+        const { app, server, io } = createApp();
 
         // 3. Start Listening (using server instead of app for WebSocket support)
         server.listen(PORT, () => {
@@ -36,6 +39,11 @@ const startServer = async () => {
             console.log(`   SSH Host: ${process.env.SSH_HOST || '100.90.80.70'}\n`);
         });
 
+        // 4. Background Jobs
+        startBackupScheduler();
+        startDiskUsageScanner();
+        startSubscriptionScheduler({ io });
+
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -0,0 +1,112 @@
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_key';
+
+const signToken = (user) => jwt.sign(
+    { id: user.id, username: user.username, role: user.role },
+    JWT_SECRET,
+    { expiresIn: '12h' }
+);
+
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+const isAdmin = (req) => !!req.user && req.user.role === 'ADMIN';
+
+/**
+ * Resolves which user an action is performed for.
+ * Regular users always act as themselves; admins may act on behalf of `requestedId`.
+ */
+const resolveUserId = (req, requestedId) => {
+    if (isAdmin(req) && requestedId) return requestedId;
+    return req.user.id;
+};
+
+// Verifies the Bearer token and attaches the decoded payload to req.user
+const authenticate = (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    const [scheme, token] = authHeader.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    try {
+        req.user = verifyToken(token);
+        next();
+    } catch (err) {
+        res.status(401).json({ message: 'Invalid or expired token' });
+    }
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Forbidden: insufficient privileges' });
+    }
+    next();
+};
+
+/**
+ * Loads the site referenced by the request (route param, body or query `siteId`)
+ * and rejects the request unless the caller owns it. Admins may access any site.
+ * The loaded row is attached to req.site for the controller.
+ */
+const requireSiteOwner = async (req, res, next) => {
+    const siteId = req.params.siteId || (req.body && req.body.siteId) || req.query.siteId;
+    if (!siteId) return res.status(400).json({ message: 'Missing siteId' });
+
+    try {
+        const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
+        if (sites.length === 0) return res.status(404).json({ message: 'Site not found' });
+
+        const site = sites[0];
+        if (site.user_id !== req.user.id && !isAdmin(req)) {
+            return res.status(403).json({ message: 'You do not have access to this site' });
+        }
+
+        req.site = site;
+        next();
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+};
+
+const requireTicketOwner = async (req, res, next) => {
+    const { ticketId } = req.params;
+    try {
+        const [tickets] = await pool.execute('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+        if (tickets.length === 0) return res.status(404).json({ message: 'Ticket not found' });
+
+        const ticket = tickets[0];
+        if (ticket.user_id !== req.user.id && !isAdmin(req)) {
+            return res.status(403).json({ message: 'You do not have access to this ticket' });
+        }
+
+        req.ticket = ticket;
+        next();
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+};
+
+// Guards routes that carry a user id in the URL (e.g. /payments/history/:userId)
+const requireSelfOrAdmin = (param = 'userId') => (req, res, next) => {
+    if (req.params[param] !== req.user.id && !isAdmin(req)) {
+        return res.status(403).json({ message: 'You can only access your own data' });
+    }
+    next();
+};
+
+module.exports = {
+    JWT_SECRET,
+    signToken,
+    verifyToken,
+    isAdmin,
+    resolveUserId,
+    authenticate,
+    requireRole,
+    requireSiteOwner,
+    requireTicketOwner,
+    requireSelfOrAdmin
+};
@@ -0,0 +1,19 @@
+const multer = require('multer');
+const fs = require('fs');
+const { UPLOAD_TEMP } = require('../config/paths');
+
+// Large uploads (SQL dumps) are written to UPLOAD_TEMP and streamed from disk instead of held in memory.
+// Handlers are responsible for deleting req.file.path when they are done.
+const diskUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(UPLOAD_TEMP, { recursive: true }, (err) => cb(err, UPLOAD_TEMP));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `upload_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`);
+    }
+  }),
+  limits: { fileSize: 512 * 1024 * 1024 } // 512MB limit
+});
+
+module.exports = diskUpload;
@@ -2,10 +2,30 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/upload');
+const diskUpload = require('../middleware/diskUpload');
+const {
+    authenticate,
+    requireRole,
+    requireSiteOwner,
+    requireTicketOwner,
+    requireSelfOrAdmin
+} = require('../middleware/auth');
+
+// Middleware chains
+const siteOwner = [authenticate, requireSiteOwner];
+const adminOnly = [authenticate, requireRole('ADMIN')];
 
 // Controllers
 const authController = require('../controllers/authController');
 const siteController = require('../controllers/siteController');
+const databaseController = require('../controllers/databaseController');
+const backupController = require('../controllers/backupController');
+const deployController = require('../controllers/deployController');
+const buildController = require('../controllers/buildController');
+const envController = require('../controllers/envController');
+const storageController = require('../controllers/storageController');
+const planController = require('../controllers/planController');
+const discountController = require('../controllers/discountController');
 const fileController = require('../controllers/fileController');
 const adminController = require('../controllers/adminController');
 const ticketController = require('../controllers/ticketController');
@@ -14,26 +34,63 @@ const paymentController = require('../controllers/paymentController');
 // Auth Routes
 router.post('/auth/login', authController.login);
 router.post('/auth/register', authController.register); // Added Register
-router.get('/auth/me', authController.getMe);
-router.put('/auth/profile', authController.updateProfile);
-router.post('/auth/change-password', authController.changePassword);
+router.get('/auth/me', authenticate, authController.getMe);
+router.put('/auth/profile', authenticate, authController.updateProfile);
+router.post('/auth/change-password', authenticate, authController.changePassword);
 
 // Database Routes (Specific Routes First)
-router.get('/sites/:siteId/db/tables', siteController.getDatabasetables);
-router.get('/sites/:siteId/db/schema', siteController.getDatabaseSchema); // NEW: Full Schema
-router.get('/sites/:siteId/db/tables/:tableName', siteController.getTableData);
-router.post('/sites/:siteId/db/create', siteController.createDatabase);
-router.delete('/sites/:siteId/db', siteController.dropDatabase);
-router.post('/sites/:siteId/db/import', upload.single('file'), siteController.importDatabase);
-router.get('/sites/:siteId/db/export', siteController.exportDatabase);
+router.get('/sites/:siteId/db/tables', siteOwner, siteController.getDatabasetables);
+router.get('/sites/:siteId/db/schema', siteOwner, siteController.getDatabaseSchema); // NEW: Full Schema
+router.get('/sites/:siteId/db/tables/:tableName', siteOwner, siteController.getTableData);
+router.post('/sites/:siteId/db/tables', siteOwner, databaseController.createTable);
+router.delete('/sites/:siteId/db/tables/:tableName', siteOwner, databaseController.dropTable);
+router.post('/sites/:siteId/db/tables/:tableName/rename', siteOwner, databaseController.renameTable);
+router.post('/sites/:siteId/db/tables/:tableName/truncate', siteOwner, databaseController.truncateTable);
+router.post('/sites/:siteId/db/tables/:tableName/columns', siteOwner, databaseController.addColumn);
+router.put('/sites/:siteId/db/tables/:tableName/columns/:columnName', siteOwner, databaseController.modifyColumn);
+router.delete('/sites/:siteId/db/tables/:tableName/columns/:columnName', siteOwner, databaseController.dropColumn);
+router.post('/sites/:siteId/db/tables/:tableName/indexes', siteOwner, databaseController.addIndex);
+router.delete('/sites/:siteId/db/tables/:tableName/indexes/:indexName', siteOwner, databaseController.dropIndex);
+router.post('/sites/:siteId/db/tables/:tableName/foreign-keys', siteOwner, databaseController.addForeignKey);
+router.delete('/sites/:siteId/db/tables/:tableName/foreign-keys/:constraintName', siteOwner, databaseController.dropForeignKey);
+router.post('/sites/:siteId/db/tables/:tableName/rows', siteOwner, databaseController.insertRow);
+router.put('/sites/:siteId/db/tables/:tableName/rows', siteOwner, databaseController.updateRow);
+router.delete('/sites/:siteId/db/tables/:tableName/rows', siteOwner, databaseController.deleteRows);
+router.post('/sites/:siteId/db/query', siteOwner, databaseController.runQuery);
+router.get('/sites/:siteId/db/query/history', siteOwner, databaseController.getQueryHistory);
+router.post('/sites/:siteId/db/create', siteOwner, siteController.createDatabase);
+router.delete('/sites/:siteId/db', siteOwner, siteController.dropDatabase);
+router.post('/sites/:siteId/db/import', siteOwner, diskUpload.single('file'), siteController.importDatabase);
+router.get('/sites/:siteId/db/export', siteOwner, siteController.exportDatabase);
+router.get('/sites/:siteId/db/backups', siteOwner, backupController.listBackups);
+router.post('/sites/:siteId/db/backups', siteOwner, backupController.createBackup);
+router.put('/sites/:siteId/db/backups/schedule', siteOwner, backupController.updateSchedule);
+router.get('/sites/:siteId/db/backups/:backupId/download', siteOwner, backupController.downloadBackup);
+router.post('/sites/:siteId/db/backups/:backupId/restore', siteOwner, backupController.restoreBackup);
+router.delete('/sites/:siteId/db/backups/:backupId', siteOwner, backupController.deleteBackup);
 
 // Site Routes
-router.get('/sites', siteController.listSites);
-router.post('/sites/deploy', upload.single('file'), siteController.deploySite);
-router.put('/sites/:siteId', siteController.updateSite);
-router.delete('/sites/:siteId', siteController.deleteSite);
+router.get('/sites', authenticate, siteController.listSites);
+router.get('/sites/quota', authenticate, siteController.getQuota);
+router.post('/sites/deploy', authenticate, upload.single('file'), siteController.deploySite);
+router.put('/sites/:siteId', siteOwner, siteController.updateSite);
+router.delete('/sites/:siteId', siteOwner, siteController.deleteSite);
+router.get('/sites/:siteId/deployments', siteOwner, deployController.listDeployments);
+router.post('/sites/:siteId/deploy', siteOwner, upload.single('file'), deployController.redeploySite);
+router.post('/sites/:siteId/rollback/:releaseId', siteOwner, deployController.rollbackSite);
+router.get('/sites/:siteId/git/incoming', siteOwner, deployController.getIncomingCommits);
+router.post('/sites/:siteId/git/pull', siteOwner, deployController.pullAndRedeploy);
+router.get('/sites/:siteId/builds', siteOwner, buildController.listBuilds);
+router.post('/sites/:siteId/builds', siteOwner, buildController.startBuild);
+router.get('/sites/:siteId/builds/:buildId', siteOwner, buildController.getBuild);
+router.get('/sites/:siteId/env', siteOwner, envController.listEnv);
+router.put('/sites/:siteId/env', siteOwner, envController.setEnv);
+router.delete('/sites/:siteId/env/:name', siteOwner, envController.unsetEnv);
+router.post('/sites/:siteId/env/sync', siteOwner, envController.syncEnv);
+router.get('/sites/:siteId/storage', siteOwner, storageController.getSiteStorage);
+router.post('/sites/:siteId/storage/scan', siteOwner, storageController.scanSiteStorage);
 
-router.get('/debug/site/:siteId', async (req, res) => { 
+router.get('/debug/site/:siteId', adminOnly, async (req, res) => { 
     const pool = require('../db');
     const {siteId} = req.params;
     const [sites] = await pool.execute('SELECT * FROM sites WHERE id = ?', [siteId]);
@@ -44,30 +101,35 @@ router.get('/debug/site/:siteId', async (req, res) => {
 console.log('[Routes] Database routes registered');
 
 // File Manager Routes
-router.get('/files', fileController.listFiles);
-router.post('/files/folder', fileController.createFolder);
-router.post('/files/upload', upload.single('file'), fileController.uploadFile);
-router.delete('/files', fileController.deleteItem);
-router.put('/files/rename', fileController.renameItem);
-router.get('/files/content', fileController.getContent);
-router.post('/files/content', fileController.saveContent);
+router.get('/files', siteOwner, fileController.listFiles);
+router.post('/files/folder', siteOwner, fileController.createFolder);
+router.post('/files/upload', authenticate, upload.single('file'), requireSiteOwner, fileController.uploadFile);
+router.delete('/files', siteOwner, fileController.deleteItem);
+router.put('/files/rename', siteOwner, fileController.renameItem);
+router.get('/files/content', siteOwner, fileController.getContent);
+router.post('/files/content', siteOwner, fileController.saveContent);
 
 // Ticket / Support Routes
-router.post('/tickets', ticketController.createTicket);
-router.get('/tickets', ticketController.listTickets);
-router.get('/tickets/:ticketId/messages', ticketController.getMessages);
-router.post('/tickets/:ticketId/messages', ticketController.sendMessage);
-router.put('/tickets/:ticketId/close', ticketController.closeTicket);
+router.post('/tickets', authenticate, ticketController.createTicket);
+router.get('/tickets', authenticate, ticketController.listTickets);
+router.get('/tickets/:ticketId/messages', authenticate, requireTicketOwner, ticketController.getMessages);
+router.post('/tickets/:ticketId/messages', authenticate, requireTicketOwner, ticketController.sendMessage);
+router.put('/tickets/:ticketId/close', authenticate, requireTicketOwner, ticketController.closeTicket);
 
 // Payment Routes
-router.post('/payments', upload.single('proof'), paymentController.submitPayment);
-router.get('/payments/history/:userId', paymentController.getHistory);
+router.post('/payments', authenticate, upload.single('proof'), paymentController.submitPayment);
+router.get('/payments/history/:userId', authenticate, requireSelfOrAdmin('userId'), paymentController.getHistory);
+router.get('/payments/:id/invoice', authenticate, paymentController.downloadInvoice);
+router.get('/payments/:id/proof', authenticate, paymentController.getProof);
+router.post('/discounts/validate', authenticate, discountController.validateDiscount);
+router.get('/subscriptions/:userId', authenticate, requireSelfOrAdmin('userId'), paymentController.getSubscription);
 
 // Admin Routes
-router.get('/admin/stats', adminController.getStats);
-router.get('/admin/system-health', adminController.getSystemHealth);
-router.get('/admin/users', adminController.listUsers);
-router.put('/admin/users/:userId/toggle', async (req, res) => {
+router.get('/admin/stats', adminOnly, adminController.getStats);
+router.get('/admin/system-health', adminOnly, adminController.getSystemHealth);
+router.post('/admin/storage/scan', adminOnly, storageController.scanAllStorage);
+router.get('/admin/users', adminOnly, adminController.listUsers);
+router.put('/admin/users/:userId/toggle', adminOnly, async (req, res) => {
     // Quick inline toggle for simplicity or move to controller
     const { userId } = req.params;
     try {
@@ -82,47 +144,37 @@ router.put('/admin/users/:userId/toggle', async (req, res) => {
         }
     } catch(e) { res.status(500).json({message: e.message}); }
 });
-router.get('/admin/payments', adminController.getPayments);
-router.put('/admin/payments/:id/verify', async (req, res) => {
-    const { id } = req.params;
-    const { status } = req.body;
-    try {
-        const pool = require('../db');
-        await pool.execute('UPDATE payments SET status = ? WHERE id = ?', [status, id]);
-        
-        // If Verified, update user plan logic could go here
-        if (status === 'VERIFIED') {
-            const [rows] = await pool.execute('SELECT user_id, plan FROM payments WHERE id = ?', [id]);
-            if (rows.length > 0) {
-                await pool.execute('UPDATE users SET plan = ? WHERE id = ?', [rows[0].plan, rows[0].user_id]);
-            }
-        }
-        
-        res.json({ success: true });
-    } catch(e) { res.status(500).json({message: e.message}); }
-});
+router.get('/admin/payments', adminOnly, adminController.getPayments);
+router.put('/admin/payments/:id/verify', adminOnly, paymentController.verifyPayment);
+router.get('/admin/discounts', adminOnly, discountController.listDiscounts);
+router.post('/admin/discounts', adminOnly, discountController.createDiscount);
+router.put('/admin/discounts/:id', adminOnly, discountController.updateDiscount);
+router.delete('/admin/discounts/:id', adminOnly, discountController.deleteDiscount);
 
 // Admin Tunnels
-router.get('/admin/tunnels', adminController.listTunnels);
-router.post('/admin/tunnels', adminController.createTunnel);
-router.put('/admin/tunnels/edit', adminController.editTunnel);
-router.delete('/admin/tunnels', adminController.deleteTunnel);
+router.get('/admin/tunnels', adminOnly, adminController.listTunnels);
+router.post('/admin/tunnels', adminOnly, adminController.createTunnel);
+router.put('/admin/tunnels/edit', adminOnly, adminController.editTunnel);
+router.delete('/admin/tunnels', adminOnly, adminController.deleteTunnel);
+router.get('/admin/tunnels/config', adminOnly, adminController.getTunnelConfig);
+router.post('/admin/tunnels/config', adminOnly, adminController.writeTunnelConfig);
 
 // Common
-router.get('/plans', adminController.getPlans);
-router.post('/plans', async (req, res) => { /* Mock create plan */ res.json({id: 'p_'+Date.now()}); });
-router.put('/plans/:id', async (req, res) => { /* Mock update plan */ res.json({success: true}); });
-router.delete('/plans/:id', async (req, res) => { /* Mock delete plan */ res.json({success: true}); });
+router.get('/plans', planController.listPlans);
+router.post('/plans', adminOnly, planController.createPlan);
+router.put('/plans/:id', adminOnly, planController.updatePlan);
+router.delete('/plans/:id', adminOnly, planController.deletePlan);
+router.get('/plans/:id/price-history', adminOnly, planController.getPriceHistory);
 
 router.get('/domains', adminController.getDomains);
-router.post('/domains', async (req, res) => { 
+router.post('/domains', adminOnly, async (req, res) => { 
     const { name } = req.body;
     const pool = require('../db');
     const id = `d_${Date.now()}`;
     await pool.execute('INSERT INTO domains (id, name, is_primary) VALUES (?, ?, ?)', [id, name, false]);
     res.json({ id, name, isPrimary: false });
 });
-router.delete('/domains/:id', async (req, res) => { 
+router.delete('/domains/:id', adminOnly, async (req, res) => { 
     const { id } = req.params;
     const pool = require('../db');
     await pool.execute('DELETE FROM domains WHERE id = ?', [id]);
@@ -130,13 +182,18 @@ router.delete('/domains/:id', async (req, res) => {
 });
 
 // Apache
-router.get('/admin/apache/sites', adminController.listApacheSites);
-router.get('/admin/apache/sites/:filename', adminController.getApacheSite);
-// Stub routes for full CRUD on apache if needed
-router.post('/admin/apache/sites', (req, res) => res.json({success:true}));
-router.put('/admin/apache/sites/:filename', (req, res) => res.json({success:true}));
-router.delete('/admin/apache/sites/:filename', (req, res) => res.json({success:true}));
-router.get('/admin/apache/httpd', (req, res) => res.json({content: '# Mock httpd.conf'}));
-router.post('/admin/apache/reload', (req, res) => res.json({success:true}));
+router.get('/admin/apache/sites', adminOnly, adminController.listApacheSites);
+router.get('/admin/apache/sites/:filename', adminOnly, adminController.getApacheSite);
+router.post('/admin/apache/sites', adminOnly, adminController.createApacheSite);
+router.put('/admin/apache/sites/:filename', adminOnly, adminController.updateApacheSite);
+router.delete('/admin/apache/sites/:filename', adminOnly, adminController.deleteApacheSite);
+router.post('/admin/apache/sites/:filename/rollback', adminOnly, adminController.rollbackApacheSite);
+router.get('/admin/apache/vhosts', adminOnly, adminController.listApacheVhosts);
+router.get('/admin/apache/vhosts/:filename/:index', adminOnly, adminController.getApacheVhost);
+router.put('/admin/apache/vhosts/:filename/:index', adminOnly, adminController.updateApacheVhost);
+router.delete('/admin/apache/vhosts/:filename/:index', adminOnly, adminController.deleteApacheVhost);
+router.get('/admin/apache/httpd', adminOnly, adminController.getHttpdConfig);
+router.put('/admin/apache/httpd', adminOnly, adminController.updateHttpdConfig);
+router.post('/admin/apache/reload', adminOnly, adminController.reloadApache);
 
 module.exports = router;
@@ -25,7 +25,14 @@ CREATE TABLE IF NOT EXISTS sites (
   status VARCHAR(50),
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   storage_used FLOAT DEFAULT 0,
+  releases_used FLOAT DEFAULT 0, -- MB in .releases/<site>: archived releases and the git mirror
   has_database BOOLEAN DEFAULT FALSE,
+  suspended_reason VARCHAR(50) DEFAULT NULL,
+  port INT DEFAULT NULL, -- local app port for reverse-proxied Node.js / Next.js sites
+  current_release VARCHAR(20) DEFAULT NULL, -- live release under .releases/<site>
+  git_url VARCHAR(500) DEFAULT NULL, -- set for sites deployed from a git repository
+  git_branch VARCHAR(255) DEFAULT NULL,
+  git_commit VARCHAR(40) DEFAULT NULL, -- commit the live release was built from
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -49,11 +56,20 @@ CREATE TABLE IF NOT EXISTS payments (
   id VARCHAR(50) PRIMARY KEY,
   user_id VARCHAR(50),
   amount INT,
+  original_amount INT,
+  discount_id VARCHAR(50),
+  discount_code VARCHAR(50),
+  discount_amount INT DEFAULT 0,
+  unique_code INT DEFAULT 0,
   plan VARCHAR(50),
   method VARCHAR(10) DEFAULT 'BANK',
+  billing_cycle VARCHAR(10) DEFAULT 'monthly',
   status VARCHAR(50),
   date DATETIME DEFAULT CURRENT_TIMESTAMP,
   proof_url VARCHAR(255),
+  reviewed_by VARCHAR(50) DEFAULT NULL,
+  reviewed_at DATETIME DEFAULT NULL,
+  rejection_reason TEXT,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -80,6 +96,7 @@ CREATE TABLE IF NOT EXISTS messages (
 CREATE TABLE IF NOT EXISTS tunnels (
   hostname VARCHAR(255) PRIMARY KEY,
   service VARCHAR(255) NOT NULL,
+  site_id VARCHAR(50) DEFAULT NULL, -- set on routes added automatically for a deployed site
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -89,6 +106,9 @@ CREATE TABLE IF NOT EXISTS discounts (
   type VARCHAR(20) NOT NULL, -- 'PERCENT' or 'FIXED'
   value INT NOT NULL,
   valid_plans JSON,
+  expires_at DATETIME DEFAULT NULL,
+  max_uses INT DEFAULT NULL, -- NULL = unlimited
+  is_active BOOLEAN DEFAULT TRUE,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -107,5 +127,171 @@ CREATE TABLE IF NOT EXISTS command_logs (
   INDEX idx_executed_at (executed_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS query_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(50) NOT NULL,
+  site_id VARCHAR(50) NOT NULL,
+  db_name VARCHAR(255) NOT NULL,
+  query_text TEXT NOT NULL,
+  read_only BOOLEAN DEFAULT FALSE,
+  status ENUM('success', 'error') NOT NULL,
+  rows_returned INT,
+  rows_affected INT,
+  duration_ms INT,
+  error TEXT,
+  executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+  INDEX idx_site_executed (site_id, executed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS backup_schedules (
+  site_id VARCHAR(50) PRIMARY KEY,
+  frequency ENUM('daily', 'weekly', 'off') NOT NULL DEFAULT 'daily',
+  hour TINYINT NOT NULL DEFAULT 2,
+  weekday TINYINT NOT NULL DEFAULT 0,
+  last_run_at DATETIME,
+  next_run_at DATETIME,
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+  INDEX idx_next_run (next_run_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS database_backups (
+  id VARCHAR(50) PRIMARY KEY,
+  site_id VARCHAR(50) NOT NULL,
+  database_id VARCHAR(50),
+  user_id VARCHAR(50) NOT NULL,
+  db_name VARCHAR(255) NOT NULL,
+  file_name VARCHAR(255),
+  size_bytes BIGINT DEFAULT 0,
+  source ENUM('manual', 'scheduled', 'pre-restore') NOT NULL,
+  status ENUM('COMPLETED', 'FAILED') NOT NULL,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_site_created (site_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS site_disk_usage (
+  site_id VARCHAR(50) PRIMARY KEY,
+  files_bytes BIGINT NOT NULL DEFAULT 0,
+  file_count INT NOT NULL DEFAULT 0,
+  database_bytes BIGINT NOT NULL DEFAULT 0,
+  folders JSON,
+  scanned_at DATETIME,
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS plan_price_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id VARCHAR(50) NOT NULL,
+  plan_name VARCHAR(100),
+  old_price INT,
+  new_price INT NOT NULL,
+  currency VARCHAR(10),
+  changed_by VARCHAR(50),
+  changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_plan_changed (plan_id, changed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id VARCHAR(50) PRIMARY KEY,
+  user_id VARCHAR(50) NOT NULL,
+  plan VARCHAR(100) NOT NULL,
+  billing_cycle ENUM('monthly', 'yearly') NOT NULL DEFAULT 'monthly',
+  status ENUM('ACTIVE', 'RENEWED', 'REPLACED', 'EXPIRED') NOT NULL DEFAULT 'ACTIVE',
+  payment_id VARCHAR(50),
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  reminder_sent_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_payment (payment_id),
+  INDEX idx_status_ends (status, ends_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  number VARCHAR(50) NOT NULL UNIQUE, -- INV/YYYY/MM/00001
+  payment_id VARCHAR(50) NOT NULL,
+  user_id VARCHAR(50) NOT NULL,
+  customer_name VARCHAR(100),
+  customer_email VARCHAR(255),
+  plan VARCHAR(100) NOT NULL,
+  billing_cycle VARCHAR(20) NOT NULL DEFAULT 'monthly',
+  period_start DATETIME,
+  period_end DATETIME,
+  original_amount INT NOT NULL DEFAULT 0,
+  discount_code VARCHAR(50),
+  discount_amount INT NOT NULL DEFAULT 0,
+  unique_code INT NOT NULL DEFAULT 0,
+  amount INT NOT NULL,
+  method VARCHAR(20),
+  issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_payment (payment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS deployments (
+  id VARCHAR(50) PRIMARY KEY,
+  site_id VARCHAR(50) NOT NULL,
+  release_id VARCHAR(20) NOT NULL, -- folder name under .releases/<site> (UTC timestamp)
+  action VARCHAR(20) NOT NULL, -- deploy | rollback
+  source VARCHAR(20), -- upload | placeholder | git
+  file_name VARCHAR(255),
+  commit_sha VARCHAR(40),
+  size_bytes BIGINT DEFAULT 0,
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  created_by VARCHAR(50),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_site_created (site_id, created_at),
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS builds (
+  id VARCHAR(50) PRIMARY KEY,
+  site_id VARCHAR(50) NOT NULL,
+  deployment_id VARCHAR(50), -- deploy that triggered the build (NULL when re-run by hand)
+  framework VARCHAR(50),
+  status VARCHAR(20) NOT NULL, -- RUNNING | SUCCESS | FAILED
+  error TEXT,
+  created_by VARCHAR(50),
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL,
+  INDEX idx_site_started (site_id, started_at),
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS build_steps (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  build_id VARCHAR(50) NOT NULL,
+  position INT NOT NULL,
+  step_key VARCHAR(50) NOT NULL, -- command id from SAFE_COMMANDS (constants.ts)
+  label VARCHAR(100),
+  command TEXT,
+  execution_mode VARCHAR(10), -- ssh | local
+  status VARCHAR(20) NOT NULL, -- PENDING | RUNNING | SUCCESS | FAILED | SKIPPED | CANCELLED
+  log MEDIUMTEXT,
+  error TEXT,
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  INDEX idx_build_position (build_id, position),
+  FOREIGN KEY (build_id) REFERENCES builds(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS site_env_vars (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  site_id VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  value TEXT, -- AES-256-GCM ciphertext (v1:iv:tag:data) when is_secret
+  is_secret BOOLEAN DEFAULT FALSE,
+  managed BOOLEAN DEFAULT FALSE, -- DB_* keys filled in from the site's database
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_site_name (site_id, name),
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- RE-ENABLE FOREIGN KEY CHECKS
 SET FOREIGN_KEY_CHECKS = 1;
\ No newline at end of file
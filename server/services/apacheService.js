@@ -0,0 +1,487 @@
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const pool = require('../db');
+const { httpError, loadSiteWithOwner, createSerialQueue } = require('../utils/helpers');
+const apacheConfig = require('../utils/apacheConfig');
+const { validateApacheConfig } = apacheConfig;
+const {
+    STORAGE_ROOT,
+    APACHE_SITES_PATH,
+    APACHE_HTTPD_PATH,
+    APACHE_DOCUMENT_ROOT,
+    APACHE_VHOST_PORT,
+    APACHE_BIN,
+    APACHE_CONFIGTEST_CMD,
+    APACHE_RELOAD_CMD,
+    APP_PORT_START
+} = require('../config/paths');
+
+const FILENAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*\.conf$/;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+// Names users cannot take under the panel's domains; admins can still assign them
+const RESERVED_LABELS = new Set(['www', 'admin', 'api', 'panel', 'mail', 'webmail', 'ftp', 'ns1', 'ns2']);
+const COMMAND_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_DOMAIN = 'kolabpanel.com';
+
+// Generated vhosts are wrapped in these markers, so a site's block can be found again in either mode
+const beginMarker = (siteId) => `# BEGIN KolabPanel site ${siteId}`;
+const endMarker = (siteId) => `# END KolabPanel site ${siteId}`;
+
+/**
+ * APACHE_SITES_PATH is either a folder with one .conf per site (sites-enabled style) or a single
+ * vhosts file shared by every site (Laragon's httpd-vhosts.conf).
+ */
+const getMode = () => {
+    if (fs.existsSync(APACHE_SITES_PATH)) return fs.statSync(APACHE_SITES_PATH).isDirectory() ? 'directory' : 'file';
+    return APACHE_SITES_PATH.endsWith('.conf') ? 'file' : 'directory';
+};
+
+// Writes to the same file are queued, so two deploys cannot overwrite each other's vhost
+const withConfigLock = createSerialQueue();
+
+const runCommand = (command) => new Promise((resolve) => {
+    exec(command, { timeout: COMMAND_TIMEOUT_MS, windowsHide: true }, (err, stdout, stderr) => {
+        resolve({ ok: !err, output: `${stdout || ''}${stderr || ''}`.trim() || (err ? err.message : '') });
+    });
+});
+
+const configTestCommand = () => APACHE_CONFIGTEST_CMD || (APACHE_BIN ? `"${APACHE_BIN}" -t` : '');
+const reloadCommand = () => APACHE_RELOAD_CMD
+    || (APACHE_BIN ? `"${APACHE_BIN}" -k ${process.platform === 'win32' ? 'restart' : 'graceful'}` : '');
+
+const invalidConfig = (errors) => {
+    const err = httpError(422, `Invalid Apache config: ${errors.slice(0, 5).join('; ')}`);
+    err.errors = errors;
+    return err;
+};
+
+/**
+ * Checks `content`, keeps the previous version as `<file>.bak` and writes the new one.
+ * When a config test is configured (`httpd -t`) and fails, the previous file is put back.
+ */
+const writeConfigFile = async (filePath, content, options = {}) => {
+    const errors = validateApacheConfig(content, options);
+    if (errors.length) throw invalidConfig(errors);
+
+    const backupPath = `${filePath}.bak`;
+    const existed = fs.existsSync(filePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (existed) fs.copyFileSync(filePath, backupPath);
+
+    const tempPath = `${filePath}.tmp-${Date.now()}`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+
+    const testCommand = configTestCommand();
+    if (testCommand) {
+        const test = await runCommand(testCommand);
+        if (!test.ok) {
+            if (existed) fs.copyFileSync(backupPath, filePath);
+            else fs.rmSync(filePath, { force: true });
+            throw httpError(422, `Apache config test failed, previous config restored: ${test.output}`);
+        }
+    }
+    return { path: filePath, backup: existed ? backupPath : null, tested: !!testCommand };
+};
+
+// Deleting keeps a .bak too, and is undone if Apache no longer accepts its config
+const removeConfigFile = async (filePath) => {
+    const backupPath = `${filePath}.bak`;
+    fs.copyFileSync(filePath, backupPath);
+    fs.rmSync(filePath, { force: true });
+
+    const testCommand = configTestCommand();
+    if (testCommand) {
+        const test = await runCommand(testCommand);
+        if (!test.ok) {
+            fs.copyFileSync(backupPath, filePath);
+            throw httpError(422, `Apache config test failed, file restored: ${test.output}`);
+        }
+    }
+    return { path: filePath, backup: backupPath };
+};
+
+/**
+ * Reloads Apache so config changes take effect. With `optional`, a missing reload command is
+ * not an error (vhosts are still written; Apache picks them up on its next restart).
+ */
+const reloadApache = async ({ optional = false } = {}) => {
+    const command = reloadCommand();
+    if (!command) {
+        if (optional) return { reloaded: false };
+        throw httpError(400, 'No Apache reload command configured (set APACHE_BIN or APACHE_RELOAD_CMD)');
+    }
+    const result = await runCommand(command);
+    if (!result.ok) throw httpError(500, `Apache reload failed: ${result.output}`);
+    return { reloaded: true, output: result.output };
+};
+
+// --- Admin file access ---
+
+const resolveConfigFile = (filename) => {
+    if (getMode() === 'file') {
+        if (filename !== path.basename(APACHE_SITES_PATH)) throw httpError(404, 'File mismatch in single-file mode');
+        return APACHE_SITES_PATH;
+    }
+    if (!FILENAME_PATTERN.test(filename || '')) throw httpError(400, 'Filename must end in .conf and use only letters, numbers, dots, dashes or underscores');
+    return path.join(APACHE_SITES_PATH, filename);
+};
+
+const listConfigFiles = () => {
+    if (!fs.existsSync(APACHE_SITES_PATH)) return [];
+    if (getMode() === 'file') return [path.basename(APACHE_SITES_PATH)];
+    return fs.readdirSync(APACHE_SITES_PATH).filter(f => f.endsWith('.conf')).sort();
+};
+
+const readConfigFile = (filename) => {
+    const filePath = resolveConfigFile(filename);
+    if (!fs.existsSync(filePath)) throw httpError(404, 'Config file not found');
+    return fs.readFileSync(filePath, 'utf8');
+};
+
+const siteFileOptions = () => (getMode() === 'file' ? { allowEmpty: true } : { requireVirtualHost: true });
+const NEW_VHOST_OPTIONS = { requireVirtualHost: true, requireServerName: true };
+
+const createConfigFile = (filename, content) => withConfigLock(async () => {
+    const filePath = resolveConfigFile(filename);
+    const errors = validateApacheConfig(content, NEW_VHOST_OPTIONS);
+    if (errors.length) throw invalidConfig(errors);
+
+    if (getMode() === 'file') {
+        // The shared vhosts file always exists conceptually; new vhosts are appended to it
+        const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+        const eol = current.includes('\r\n') ? '\r\n' : '\n';
+        const joined = current.trim() ? `${current.replace(/\s*$/, '')}${eol}${eol}${content.trim()}${eol}` : `${content.trim()}${eol}`;
+        return writeConfigFile(filePath, joined, { requireVirtualHost: true });
+    }
+    if (fs.existsSync(filePath)) throw httpError(409, `${filename} already exists`);
+    return writeConfigFile(filePath, content, NEW_VHOST_OPTIONS);
+});
+
+const updateConfigFile = (filename, content) => withConfigLock(() => writeConfigFile(resolveConfigFile(filename), content, siteFileOptions()));
+
+const deleteConfigFile = (filename) => withConfigLock(async () => {
+    if (getMode() === 'file') throw httpError(400, 'The shared vhosts file cannot be deleted; remove its VirtualHost blocks instead');
+    const filePath = resolveConfigFile(filename);
+    if (!fs.existsSync(filePath)) throw httpError(404, 'Config file not found');
+    return removeConfigFile(filePath);
+});
+
+// Puts the .bak back; the replaced version becomes the new .bak, so a rollback can itself be undone
+const rollbackConfigFile = (filename) => withConfigLock(async () => {
+    const filePath = resolveConfigFile(filename);
+    const backupPath = `${filePath}.bak`;
+    if (!fs.existsSync(backupPath)) throw httpError(404, 'No previous version to roll back to');
+    return writeConfigFile(filePath, fs.readFileSync(backupPath, 'utf8'), siteFileOptions());
+});
+
+// --- Individual vhosts (mainly for a single shared httpd-vhosts.conf) ---
+
+// Every vhost of every site file, parsed; `file` + `index` address one for the calls below
+const listVhosts = () => listConfigFiles().flatMap((file) => {
+    const filePath = resolveConfigFile(file);
+    if (!fs.existsSync(filePath)) return [];
+    return apacheConfig.listVhosts(fs.readFileSync(filePath, 'utf8')).map(vhost => ({ file, ...vhost }));
+});
+
+const findVhost = (content, index) => {
+    const vhost = apacheConfig.listVhosts(content)[index];
+    if (!vhost) throw httpError(404, `VirtualHost #${index} not found`);
+    return vhost;
+};
+
+const getVhost = (filename, index) => ({ file: filename, ...findVhost(readConfigFile(filename), Number(index)) });
+
+/**
+ * Edits one vhost in place: either structured `changes` (see utils/apacheConfig updateVhost) or a
+ * full `raw` block. With `ifMatch` set to the checksum from a previous read, a vhost that was
+ * changed in the meantime is a 409 instead of being overwritten.
+ */
+const updateVhost = (filename, index, { raw, ifMatch, ...changes } = {}) => withConfigLock(async () => {
+    const filePath = resolveConfigFile(filename);
+    const content = readConfigFile(filename);
+    const position = Number(index);
+    const current = findVhost(content, position);
+    if (ifMatch && ifMatch !== current.checksum) throw httpError(409, 'The VirtualHost was changed by someone else; reload it and try again');
+
+    const updated = typeof raw === 'string'
+        ? apacheConfig.replaceVhost(content, position, raw)
+        : apacheConfig.updateVhost(content, position, changes);
+    const result = await writeConfigFile(filePath, updated, siteFileOptions());
+    return { ...result, vhost: { file: filename, ...findVhost(updated, position) } };
+});
+
+const deleteVhost = (filename, index) => withConfigLock(async () => {
+    const filePath = resolveConfigFile(filename);
+    const content = readConfigFile(filename);
+    const updated = apacheConfig.removeVhost(content, Number(index));
+    // A per-site file without any vhost left has no reason to exist
+    if (getMode() === 'directory' && apacheConfig.listVhosts(updated).length === 0) return removeConfigFile(filePath);
+    return writeConfigFile(filePath, updated, { allowEmpty: true });
+});
+
+const readHttpdConfig = () => {
+    if (!fs.existsSync(APACHE_HTTPD_PATH)) throw httpError(404, `httpd.conf not found at ${APACHE_HTTPD_PATH}`);
+    return fs.readFileSync(APACHE_HTTPD_PATH, 'utf8');
+};
+
+const writeHttpdConfig = (content) => withConfigLock(() => writeConfigFile(APACHE_HTTPD_PATH, content));
+
+// --- Site vhosts ---
+
+/**
+ * Templates per framework. `docRoot` is relative to the site folder; `proxy` templates forward
+ * to the app's local port instead of serving files.
+ */
+const TEMPLATES = {
+    laravel: { docRoot: 'public', index: 'index.php index.html' },
+    php: { docRoot: '', index: 'index.php index.html index.htm' },
+    static: { docRoot: '', index: 'index.html index.htm' },
+    // Client-side routing: unknown paths fall back to the app shell
+    spa: { docRoot: '', index: 'index.html', fallback: '/index.html', buildDirs: ['dist', 'build'] },
+    proxy: { proxy: true }
+};
+
+const resolveTemplate = (framework) => {
+    const value = String(framework || '').toLowerCase();
+    if (value.startsWith('laravel')) return 'laravel';
+    if (value.startsWith('next') || value.startsWith('node')) return 'proxy';
+    if (value.startsWith('react')) return 'spa';
+    if (value.startsWith('php')) return 'php';
+    return 'static';
+};
+
+// Path of a local folder as Apache sees it, with forward slashes (Apache accepts them on Windows too)
+const toApachePath = (localPath) => {
+    const relative = path.relative(STORAGE_ROOT, localPath).split(path.sep).join('/');
+    const root = String(APACHE_DOCUMENT_ROOT).replace(/\\/g, '/').replace(/\/+$/, '');
+    return relative ? `${root}/${relative}` : root;
+};
+
+const getPrimaryDomain = async () => {
+    const [rows] = await pool.execute('SELECT name FROM domains WHERE is_primary = TRUE LIMIT 1');
+    return rows[0]?.name || DEFAULT_DOMAIN;
+};
+
+// A subdomain containing a dot is taken as a full host name (custom domains)
+const toHostname = (subdomain, primaryDomain) => {
+    const sub = String(subdomain || '').trim().toLowerCase();
+    return sub.includes('.') ? sub : `${sub}.${primaryDomain}`;
+};
+
+const getSiteHostname = async (site) => {
+    const hostname = toHostname(site.subdomain, await getPrimaryDomain());
+    if (!HOSTNAME_PATTERN.test(hostname)) throw httpError(400, `"${hostname}" is not a valid host name`);
+    return hostname;
+};
+
+/**
+ * Checks a subdomain before it is stored on a site. Users get a single label under one of the
+ * panel's domains (`blog` or `blog.<domain>`); only admins may use any other host name. The host
+ * name it resolves to must not belong to another site or to a tunnel route the admin created.
+ * @param {string} subdomain
+ * @param {{ siteId?: string, admin?: boolean }} [options] - siteId of the site being changed, if any
+ * @returns {Promise<string>} value to store; `<label>.<primary domain>` becomes just the label
+ */
+const validateSiteSubdomain = async (subdomain, { siteId = null, admin = false } = {}) => {
+    const primary = await getPrimaryDomain();
+    let sub = String(subdomain || '').trim().toLowerCase().replace(/\.$/, '');
+    if (sub.endsWith(`.${primary}`)) sub = sub.slice(0, -primary.length - 1);
+
+    if (!admin) {
+        const [label, ...zone] = sub.split('.');
+        if (!LABEL_PATTERN.test(label)) throw httpError(400, `"${label}" is not a valid subdomain`);
+        if (zone.length) {
+            const [domains] = await pool.execute('SELECT id FROM domains WHERE name = ?', [zone.join('.')]);
+            if (domains.length === 0) throw httpError(403, "Only admins can use a host name outside the panel's domains");
+        }
+        if (RESERVED_LABELS.has(label)) throw httpError(403, `The subdomain "${label}" is reserved`);
+    }
+
+    const hostname = toHostname(sub, primary);
+    if (!HOSTNAME_PATTERN.test(hostname)) throw httpError(400, `"${hostname}" is not a valid host name`);
+
+    // `foo` and `foo.<primary domain>` are the same host, which the UNIQUE column alone does not see
+    // DB_ONLY sites have no vhost any more, so their host name is free
+    const [sites] = await pool.execute(
+        "SELECT id, subdomain FROM sites WHERE subdomain IS NOT NULL AND status <> 'DB_ONLY' AND id <> ?",
+        [siteId || '']
+    );
+    if (sites.some(other => toHostname(other.subdomain, primary) === hostname)) {
+        throw httpError(409, `${hostname} is already used by another site`);
+    }
+    const [routes] = await pool.execute('SELECT site_id FROM tunnels WHERE hostname = ?', [hostname]);
+    if (routes.some(route => !route.site_id || route.site_id !== siteId)) throw httpError(409, `${hostname} is already routed elsewhere`);
+    return sub;
+};
+
+const allocateAppPort = async (site) => {
+    if (site.port) return Number(site.port);
+    const [[{ maxPort }]] = await pool.execute('SELECT MAX(port) AS maxPort FROM sites');
+    const port = Math.max(APP_PORT_START, (Number(maxPort) || 0) + 1);
+    await pool.execute('UPDATE sites SET port = ? WHERE id = ?', [port, site.id]);
+    return port;
+};
+
+const renderSiteVhost = ({ siteId, hostname, templateName, siteDir, appPort }) => {
+    const template = TEMPLATES[templateName];
+    const lines = [
+        beginMarker(siteId),
+        `# Generated from the "${templateName}" template. Manual edits are replaced on the next deploy.`,
+        `<VirtualHost *:${APACHE_VHOST_PORT}>`,
+        `    ServerName ${hostname}`
+    ];
+
+    if (template.proxy) {
+        const target = `127.0.0.1:${appPort}`;
+        lines.push(
+            '    ProxyPreserveHost On',
+            '    ProxyRequests Off',
+            '    RewriteEngine On',
+            '    RewriteCond %{HTTP:Upgrade} =websocket [NC]',
+            `    RewriteRule ^/(.*) ws://${target}/$1 [P,L]`,
+            `    ProxyPass / http://${target}/`,
+            `    ProxyPassReverse / http://${target}/`
+        );
+    } else {
+        let docDir = template.docRoot ? path.join(siteDir, template.docRoot) : siteDir;
+        const buildDir = (template.buildDirs || []).map(d => path.join(siteDir, d)).find(d => fs.existsSync(d));
+        if (buildDir) docDir = buildDir;
+
+        const docRoot = toApachePath(docDir);
+        lines.push(
+            `    DocumentRoot "${docRoot}"`,
+            `    <Directory "${docRoot}">`,
+            '        Options FollowSymLinks',
+            '        AllowOverride All',
+            '        Require all granted',
+            `        DirectoryIndex ${template.index}`
+        );
+        if (template.fallback) lines.push(`        FallbackResource ${template.fallback}`);
+        // .env (with the managed DB credentials), .htaccess and other dotfiles sit in the DocumentRoot for php/static/spa
+        lines.push(
+            '        <FilesMatch "^\\.">',
+            '            Require all denied',
+            '        </FilesMatch>',
+            '    </Directory>'
+        );
+    }
+
+    lines.push('</VirtualHost>', endMarker(siteId));
+    return lines.join('\n');
+};
+
+const lineIndex = (lines, marker) => lines.findIndex(l => l.trim() === marker);
+
+// Replaces (or with `block` null, removes) a site's marked block in a shared vhosts file
+const spliceSiteBlock = (content, siteId, block) => {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content ? content.split(/\r?\n/) : [];
+    const start = lineIndex(lines, beginMarker(siteId));
+    const end = lineIndex(lines, endMarker(siteId));
+    const blockLines = block ? block.split('\n') : [];
+
+    if (start !== -1 && end >= start) {
+        lines.splice(start, end - start + 1, ...blockLines);
+        // Removing a block also drops the blank line that separated it from the previous one
+        if (!blockLines.length && start > 0 && !lines[start - 1].trim() && !(lines[start] || '').trim()) {
+            lines.splice(start - 1, 1);
+        }
+    } else if (blockLines.length) {
+        while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+        if (lines.length) lines.push('');
+        lines.push(...blockLines, '');
+    }
+    return lines.join(eol);
+};
+
+const findSiteConfigFile = (siteId) => {
+    if (!fs.existsSync(APACHE_SITES_PATH)) return null;
+    for (const file of fs.readdirSync(APACHE_SITES_PATH).filter(f => f.endsWith('.conf'))) {
+        const content = fs.readFileSync(path.join(APACHE_SITES_PATH, file), 'utf8');
+        if (lineIndex(content.split(/\r?\n/), beginMarker(siteId)) !== -1) return file;
+    }
+    return null;
+};
+
+/**
+ * Renders the site's vhost from its framework template and writes it (own file in directory mode,
+ * marked block in single-file mode), then reloads Apache when a reload command is configured.
+ */
+const applySiteVhost = async (siteId) => {
+    const site = await loadSiteWithOwner(siteId);
+    const hostname = await getSiteHostname(site);
+    const templateName = resolveTemplate(site.framework);
+    const appPort = TEMPLATES[templateName].proxy ? await allocateAppPort(site) : null;
+    const siteDir = path.join(STORAGE_ROOT, site.username, site.name);
+    const block = renderSiteVhost({ siteId, hostname, templateName, siteDir, appPort });
+    const mode = getMode();
+
+    const written = await withConfigLock(async () => {
+        if (mode === 'file') {
+            const current = fs.existsSync(APACHE_SITES_PATH) ? fs.readFileSync(APACHE_SITES_PATH, 'utf8') : '';
+            return writeConfigFile(APACHE_SITES_PATH, spliceSiteBlock(current, siteId, block), { requireVirtualHost: true });
+        }
+
+        const filename = `${hostname}.conf`;
+        const filePath = path.join(APACHE_SITES_PATH, filename);
+        const previous = findSiteConfigFile(siteId);
+        if (previous !== filename && fs.existsSync(filePath)) {
+            throw httpError(409, `${filename} already exists and belongs to another site`);
+        }
+        const result = await writeConfigFile(filePath, `${block}\n`, NEW_VHOST_OPTIONS);
+        // The host name changed: the old file would keep serving the old name
+        if (previous && previous !== filename) await removeConfigFile(path.join(APACHE_SITES_PATH, previous));
+        return result;
+    });
+
+    const reload = await reloadApache({ optional: true }).catch(err => ({ reloaded: false, error: err.message }));
+    console.log(`[Apache] Wrote ${templateName} vhost for ${hostname} (${mode} mode)`);
+    return { mode, file: path.basename(written.path), hostname, template: templateName, appPort, ...reload };
+};
+
+const removeSiteVhost = async (siteId) => {
+    const removed = await withConfigLock(async () => {
+        if (getMode() === 'file') {
+            if (!fs.existsSync(APACHE_SITES_PATH)) return false;
+            const current = fs.readFileSync(APACHE_SITES_PATH, 'utf8');
+            const next = spliceSiteBlock(current, siteId, null);
+            if (next === current) return false;
+            await writeConfigFile(APACHE_SITES_PATH, next, { allowEmpty: true });
+            return true;
+        }
+        const file = findSiteConfigFile(siteId);
+        if (!file) return false;
+        await removeConfigFile(path.join(APACHE_SITES_PATH, file));
+        return true;
+    });
+    if (removed) await reloadApache({ optional: true }).catch(err => console.error('[Apache] Reload failed:', err.message));
+    return removed;
+};
+
+module.exports = {
+    TEMPLATES,
+    getMode,
+    resolveTemplate,
+    renderSiteVhost,
+    listConfigFiles,
+    readConfigFile,
+    createConfigFile,
+    updateConfigFile,
+    deleteConfigFile,
+    rollbackConfigFile,
+    parseVhosts: apacheConfig.listVhosts,
+    listVhosts,
+    getVhost,
+    updateVhost,
+    deleteVhost,
+    readHttpdConfig,
+    writeHttpdConfig,
+    reloadApache,
+    getSiteHostname,
+    validateSiteSubdomain,
+    applySiteVhost,
+    removeSiteVhost
+};
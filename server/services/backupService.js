@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const pool = require('../db');
+const { STORAGE_ROOT } = require('../config/paths');
+const { httpError } = require('../utils/helpers');
+const { dumpDatabase } = require('../utils/sqlDump');
+const { importSqlStream, openSqlFile } = require('../utils/sqlImport');
+const { getPlanLimits, getStorageUsage, assertStorageAvailable } = require('./quotaService');
+
+// Lives next to the site folders, so the file manager never exposes it
+const BACKUP_DIR = '.backups';
+
+const FREQUENCIES = ['daily', 'weekly', 'off'];
+const DEFAULT_SCHEDULE = { frequency: 'daily', hour: 2, weekday: 0 };
+const DEFAULT_RETENTION = 3;
+const SCHEDULER_INTERVAL_MS = 10 * 60 * 1000;
+
+// Sites with a backup or restore in progress; both touch the same files and database
+const busySites = new Set();
+
+const withSiteLock = async (siteId, task) => {
+    if (busySites.has(siteId)) throw httpError(409, 'A backup or restore is already running for this site');
+    busySites.add(siteId);
+    try {
+        return await task();
+    } finally {
+        busySites.delete(siteId);
+    }
+};
+
+const getBackupDir = (username, siteName) => path.join(STORAGE_ROOT, username, BACKUP_DIR, siteName);
+
+// Site, owner and database in one row; null when the site has no database
+const loadSiteDatabase = async (siteId) => {
+    const [rows] = await pool.execute(
+        `SELECT s.id AS site_id, s.name AS site_name, s.user_id, u.username, u.plan, d.id AS database_id, d.db_name
+         FROM sites s
+         JOIN users u ON u.id = s.user_id
+         JOIN \`databases\` d ON d.site_id = s.id
+         WHERE s.id = ?
+         LIMIT 1`,
+        [siteId]
+    );
+    return rows[0] || null;
+};
+
+// --- SCHEDULE ---
+
+/**
+ * Next time a schedule is due, in server local time.
+ * Weekly schedules run on `weekday` (0 = Sunday) at `hour`.
+ */
+const computeNextRun = (schedule, from = new Date()) => {
+    if (schedule.frequency === 'off') return null;
+
+    const next = new Date(from);
+    next.setMinutes(0, 0, 0);
+    next.setHours(schedule.hour);
+    if (schedule.frequency === 'weekly') {
+        next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+    }
+    if (next <= from) next.setDate(next.getDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    return next;
+};
+
+const getSchedule = async (siteId) => {
+    const [rows] = await pool.execute('SELECT * FROM backup_schedules WHERE site_id = ?', [siteId]);
+    if (rows.length === 0) return { ...DEFAULT_SCHEDULE, lastRunAt: null, nextRunAt: computeNextRun(DEFAULT_SCHEDULE) };
+    const row = rows[0];
+    return { frequency: row.frequency, hour: row.hour, weekday: row.weekday, lastRunAt: row.last_run_at, nextRunAt: row.next_run_at };
+};
+
+const saveSchedule = async (siteId, input) => {
+    const current = await getSchedule(siteId);
+    const schedule = {
+        frequency: input.frequency ?? current.frequency,
+        hour: input.hour !== undefined ? Number(input.hour) : current.hour,
+        weekday: input.weekday !== undefined ? Number(input.weekday) : current.weekday
+    };
+    if (!FREQUENCIES.includes(schedule.frequency)) throw httpError(400, `Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    if (!Number.isInteger(schedule.hour) || schedule.hour < 0 || schedule.hour > 23) throw httpError(400, 'Hour must be between 0 and 23');
+    if (!Number.isInteger(schedule.weekday) || schedule.weekday < 0 || schedule.weekday > 6) throw httpError(400, 'Weekday must be between 0 (Sunday) and 6');
+
+    const nextRunAt = computeNextRun(schedule);
+    await pool.execute(
+        `INSERT INTO backup_schedules (site_id, frequency, hour, weekday, next_run_at) VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE frequency = VALUES(frequency), hour = VALUES(hour), weekday = VALUES(weekday), next_run_at = VALUES(next_run_at)`,
+        [siteId, schedule.frequency, schedule.hour, schedule.weekday, nextRunAt]
+    );
+    return { ...schedule, lastRunAt: current.lastRunAt, nextRunAt };
+};
+
+// --- BACKUPS ---
+
+const mapBackup = (row) => ({
+    id: row.id,
+    siteId: row.site_id,
+    databaseName: row.db_name,
+    fileName: row.file_name,
+    size: Number(row.size_bytes) || 0,
+    source: row.source,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at
+});
+
+const listBackups = async (siteId) => {
+    const [rows] = await pool.execute('SELECT * FROM database_backups WHERE site_id = ? ORDER BY created_at DESC, id DESC', [siteId]);
+    return rows.map(mapBackup);
+};
+
+const getBackup = async (siteId, backupId) => {
+    const [rows] = await pool.execute(
+        `SELECT b.*, u.username, s.name AS site_name
+         FROM database_backups b JOIN users u ON u.id = b.user_id JOIN sites s ON s.id = b.site_id
+         WHERE b.id = ? AND b.site_id = ?`,
+        [backupId, siteId]
+    );
+    if (rows.length === 0) throw httpError(404, 'Backup not found');
+
+    const row = rows[0];
+    const filePath = row.file_name ? path.join(getBackupDir(row.username, row.site_name), row.file_name) : null;
+    return { backup: mapBackup(row), filePath, exists: !!filePath && fs.existsSync(filePath) };
+};
+
+/**
+ * Backups of a site together with its schedule, retention and the owner's storage usage.
+ */
+const getOverview = async (siteId, userId) => {
+    const [users] = await pool.execute('SELECT plan FROM users WHERE id = ?', [userId]);
+    const limits = users.length ? await getPlanLimits(users[0].plan) : {};
+    const [backups, schedule, usage] = await Promise.all([listBackups(siteId), getSchedule(siteId), getStorageUsage(userId)]);
+
+    return {
+        backups,
+        schedule,
+        retention: Number(limits.backupRetention) || DEFAULT_RETENTION,
+        storage: { usedMB: usage.totalMB, backupsMB: usage.backupsMB, limitMB: limits.storage ? Number(limits.storage) : null }
+    };
+};
+
+const removeBackupRow = async (row, dir) => {
+    if (row.file_name) fs.rmSync(path.join(dir, row.file_name), { force: true });
+    await pool.execute('DELETE FROM database_backups WHERE id = ?', [row.id]);
+};
+
+// Keeps the newest `keep` completed backups of a site; failed attempts older than those go too
+const pruneBackups = async (site, keep) => {
+    const [rows] = await pool.execute('SELECT * FROM database_backups WHERE site_id = ? ORDER BY created_at DESC, id DESC', [site.site_id]);
+    const dir = getBackupDir(site.username, site.site_name);
+
+    let kept = 0;
+    const removed = [];
+    for (const row of rows) {
+        if (row.status === 'COMPLETED' && kept < keep) {
+            kept++;
+            continue;
+        }
+        if (kept < keep) continue;
+        await removeBackupRow(row, dir);
+        removed.push(row.id);
+    }
+    return removed;
+};
+
+// Bytes pruneBackups() will free once one more completed backup is recorded
+const getPrunableBytes = async (site, keep) => {
+    const [rows] = await pool.execute(
+        "SELECT size_bytes FROM database_backups WHERE site_id = ? AND status = 'COMPLETED' ORDER BY created_at DESC, id DESC",
+        [site.site_id]
+    );
+    return rows.slice(Math.max(0, keep - 1)).reduce((sum, row) => sum + (Number(row.size_bytes) || 0), 0);
+};
+
+const runBackup = async (site, source, { prune = true } = {}) => {
+    const dir = getBackupDir(site.username, site.site_name);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const id = `bk_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    const fileName = `${site.db_name}_${new Date().toISOString().replace(/[:.]/g, '-')}.sql.gz`;
+    const filePath = path.join(dir, fileName);
+
+    const record = (status, size, error) => pool.execute(
+        `INSERT INTO database_backups (id, site_id, database_id, user_id, db_name, file_name, size_bytes, source, status, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, site.site_id, site.database_id, site.user_id, site.db_name, status === 'COMPLETED' ? fileName : null, size, source, status, error]
+    );
+
+    let retention;
+    try {
+        const gzip = zlib.createGzip();
+        const written = pipeline(gzip, fs.createWriteStream(filePath));
+        await dumpDatabase(site.db_name, gzip);
+        gzip.end();
+        await written;
+
+        const size = fs.statSync(filePath).size;
+        const limits = await getPlanLimits(site.plan);
+        retention = Number(limits.backupRetention) || DEFAULT_RETENTION;
+
+        // Backups share the plan's storage limit with the site files. The ones this backup pushes out of
+        // retention are deleted right after it, so only the difference has to fit.
+        const freed = prune ? await getPrunableBytes(site, retention) : 0;
+        if (size > freed) await assertStorageAvailable(site.user_id, size - freed);
+
+        await record('COMPLETED', size, null);
+    } catch (err) {
+        fs.rmSync(filePath, { force: true });
+        await record('FAILED', 0, err.message).catch(() => {});
+        throw err;
+    }
+
+    // The backup is complete and recorded by now; a failed prune must not take it down with it
+    if (prune) {
+        await pruneBackups(site, retention)
+            .catch(err => console.error(`[Backup] Pruning backups of ${site.site_name} failed:`, err.message));
+    }
+
+    const { backup } = await getBackup(site.site_id, id);
+    return backup;
+};
+
+/**
+ * Dumps the site's database to `STORAGE_ROOT/<username>/.backups/<site>/*.sql.gz`.
+ * @param {string} siteId
+ * @param {'manual' | 'scheduled' | 'pre-restore'} [source='manual']
+ */
+const createBackup = async (siteId, source = 'manual') => {
+    const site = await loadSiteDatabase(siteId);
+    if (!site) throw httpError(404, 'Database not found for this site');
+    return withSiteLock(siteId, () => runBackup(site, source));
+};
+
+/**
+ * Replays a backup into the site's current database.
+ * A `pre-restore` snapshot is taken first unless `snapshot` is false, so a restore can itself be undone.
+ * Tables created after the backup was taken are left in place.
+ */
+const restoreBackup = async (siteId, backupId, { snapshot = true } = {}) => {
+    const site = await loadSiteDatabase(siteId);
+    if (!site) throw httpError(404, 'Database not found for this site');
+
+    const { backup, filePath, exists } = await getBackup(siteId, backupId);
+    if (backup.status !== 'COMPLETED' || !exists) throw httpError(410, 'Backup file is no longer available');
+
+    return withSiteLock(siteId, async () => {
+        // Prune only afterwards: the snapshot could otherwise push the backup being restored out of retention
+        const safety = snapshot ? await runBackup(site, 'pre-restore', { prune: false }) : null;
+        const { stream } = openSqlFile(filePath, backup.fileName);
+        const report = await importSqlStream({ id: site.user_id, username: site.username }, site.db_name, stream);
+
+        const limits = await getPlanLimits(site.plan);
+        await pruneBackups(site, Number(limits.backupRetention) || DEFAULT_RETENTION);
+        return { backup, snapshot: safety, report };
+    });
+};
+
+const deleteBackup = async (siteId, backupId) => {
+    if (busySites.has(siteId)) throw httpError(409, 'A backup or restore is already running for this site');
+
+    const { backup, filePath } = await getBackup(siteId, backupId);
+    if (filePath) fs.rmSync(filePath, { force: true });
+    await pool.execute('DELETE FROM database_backups WHERE id = ?', [backup.id]);
+    return backup;
+};
+
+// Used when a site is deleted together with its database
+const removeSiteBackups = async (siteId) => {
+    const [owner] = await pool.execute('SELECT u.username, s.name FROM sites s JOIN users u ON u.id = s.user_id WHERE s.id = ?', [siteId]);
+    if (owner.length === 0) return;
+    fs.rmSync(getBackupDir(owner[0].username, owner[0].name), { recursive: true, force: true });
+    await pool.execute('DELETE FROM database_backups WHERE site_id = ?', [siteId]);
+};
+
+// --- SCHEDULER ---
+
+let schedulerRunning = false;
+
+/**
+ * Runs every backup whose schedule is due. Sites with a database but no schedule row
+ * get the default (daily) schedule, first due at its next slot rather than immediately.
+ */
+const runDueBackups = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+        const [unscheduled] = await pool.execute(
+            `SELECT d.site_id FROM \`databases\` d
+             LEFT JOIN backup_schedules b ON b.site_id = d.site_id
+             WHERE d.site_id IS NOT NULL AND b.site_id IS NULL`
+        );
+        for (const { site_id: siteId } of unscheduled) {
+            await pool.execute(
+                'INSERT IGNORE INTO backup_schedules (site_id, frequency, hour, weekday, next_run_at) VALUES (?, ?, ?, ?, ?)',
+                [siteId, DEFAULT_SCHEDULE.frequency, DEFAULT_SCHEDULE.hour, DEFAULT_SCHEDULE.weekday, computeNextRun(DEFAULT_SCHEDULE)]
+            );
+        }
+
+        const [due] = await pool.execute(
+            `SELECT b.* FROM backup_schedules b
+             JOIN \`databases\` d ON d.site_id = b.site_id
+             WHERE b.frequency <> 'off' AND b.next_run_at <= NOW()`
+        );
+        for (const schedule of due) {
+            try {
+                await createBackup(schedule.site_id, 'scheduled');
+                console.log(`[Backup] Scheduled backup completed for site ${schedule.site_id}`);
+            } catch (err) {
+                console.error(`[Backup] Scheduled backup failed for site ${schedule.site_id}:`, err.message);
+            }
+            await pool.execute(
+                'UPDATE backup_schedules SET last_run_at = NOW(), next_run_at = ? WHERE site_id = ?',
+                [computeNextRun(schedule), schedule.site_id]
+            );
+        }
+    } catch (err) {
+        console.error('[Backup] Scheduler run failed:', err.message);
+    } finally {
+        schedulerRunning = false;
+    }
+};
+
+const startBackupScheduler = () => {
+    runDueBackups();
+    const timer = setInterval(runDueBackups, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    console.log(`[Backup] Scheduler started (every ${SCHEDULER_INTERVAL_MS / 60000} min)`);
+    return timer;
+};
+
+module.exports = {
+    getBackupDir,
+    getSchedule,
+    saveSchedule,
+    computeNextRun,
+    listBackups,
+    getOverview,
+    getBackup,
+    createBackup,
+    restoreBackup,
+    deleteBackup,
+    removeSiteBackups,
+    runDueBackups,
+    startBackupScheduler
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { httpError, loadSiteWithOwner } = require('../utils/helpers');
+const { STORAGE_ROOT, BUILD_ON_DEPLOY, BUILD_STEP_TIMEOUT_MINUTES } = require('../config/paths');
+const { getPipeline } = require('../config/buildPipelines');
+const { executeWindowsCommand, executeSSHCommand } = require('./commandService');
+const { withSiteLock } = require('./deployService');
+const { applySiteVhost } = require('./apacheService');
+const { scanSite } = require('./diskUsageService');
+
+/**
+ * Post-deploy build pipeline. The framework's steps run one after another in the live site folder,
+ * through the same runners as the web terminal; the first failing step stops the build. While it
+ * runs the site is DEPLOYING, afterwards ACTIVE or FAILED. Each step's output is stored with it.
+ *
+ * Builds run in the background under the site's deploy lock, so a redeploy or rollback cannot
+ * switch the folder away mid-build.
+ */
+
+// Output kept per step; long installs keep their tail, where the error usually is
+const MAX_LOG_CHARS = 64 * 1024;
+const LOG_FLUSH_MS = 2000;
+const LISTED_BUILDS = 20;
+
+const RUNNERS = { ssh: executeSSHCommand, local: executeWindowsCommand };
+
+// Evaluates each step's `when` against the deployed files
+const planSteps = (site) => {
+    const siteDir = path.join(STORAGE_ROOT, site.username, site.name);
+    let scripts = null;
+    const hasFile = name => fs.existsSync(path.join(siteDir, name));
+    const hasScript = (name) => {
+        if (scripts === null) {
+            try {
+                scripts = JSON.parse(fs.readFileSync(path.join(siteDir, 'package.json'), 'utf8')).scripts || {};
+            } catch {
+                scripts = {};
+            }
+        }
+        return typeof scripts[name] === 'string';
+    };
+
+    const pipeline = getPipeline(site.framework);
+    const steps = pipeline.steps.map(step => ({
+        ...step,
+        skip: step.when ? !step.when({ site, hasFile, hasScript }) : false
+    }));
+    return { steps, reapplyVhost: pipeline.reapplyVhost };
+};
+
+const appendLog = (log, text) => {
+    const next = log + text;
+    return next.length > MAX_LOG_CHARS ? `[... earlier output truncated ...]\n${next.slice(-MAX_LOG_CHARS)}` : next;
+};
+
+const mapStep = (row, { withLog = false } = {}) => ({
+    id: row.id,
+    key: row.step_key,
+    label: row.label,
+    command: row.command,
+    executionMode: row.execution_mode,
+    status: row.status,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    ...(withLog ? { log: row.log || '' } : {})
+});
+
+const mapBuild = (row, steps) => ({
+    id: row.id,
+    siteId: row.site_id,
+    deploymentId: row.deployment_id,
+    framework: row.framework,
+    status: row.status,
+    error: row.error,
+    createdBy: row.created_by_username || row.created_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    steps
+});
+
+const createBuild = async (site, { deploymentId, actorId }, steps) => {
+    const id = `bld_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    await pool.execute(
+        "INSERT INTO builds (id, site_id, deployment_id, framework, status, created_by) VALUES (?, ?, ?, ?, 'RUNNING', ?)",
+        [id, site.id, deploymentId || null, site.framework, actorId || null]
+    );
+    for (const [position, step] of steps.entries()) {
+        const [result] = await pool.execute(
+            `INSERT INTO build_steps (build_id, position, step_key, label, command, execution_mode, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, position, step.key, step.label, step.command, step.executionMode, step.skip ? 'SKIPPED' : 'PENDING']
+        );
+        step.id = result.insertId;
+    }
+    await pool.execute("UPDATE sites SET status = 'DEPLOYING' WHERE id = ?", [site.id]);
+    return id;
+};
+
+const runStep = async (site, step) => {
+    await pool.execute("UPDATE build_steps SET status = 'RUNNING', started_at = NOW() WHERE id = ?", [step.id]);
+
+    let log = `$ ${step.command}\n`;
+    let lastFlush = Date.now();
+    const onOutput = (type, data) => {
+        log = appendLog(log, data);
+        // Partial output for anyone watching the build
+        if (Date.now() - lastFlush > LOG_FLUSH_MS) {
+            lastFlush = Date.now();
+            pool.execute('UPDATE build_steps SET log = ? WHERE id = ?', [log, step.id]).catch(() => {});
+        }
+    };
+
+    let error = null;
+    try {
+        await RUNNERS[step.executionMode](step.command, site, { username: site.username }, onOutput, { timeoutMs: BUILD_STEP_TIMEOUT_MINUTES * 60000 });
+    } catch (err) {
+        error = err.message;
+        log = appendLog(log, `\n${err.message}\n`);
+    }
+    await pool.execute(
+        'UPDATE build_steps SET status = ?, log = ?, error = ?, finished_at = NOW() WHERE id = ?',
+        [error ? 'FAILED' : 'SUCCESS', log, error, step.id]
+    );
+    return error;
+};
+
+const runBuild = async (site, buildId, { steps, reapplyVhost }) => {
+    let failedStep = null;
+    for (const step of steps) {
+        if (step.skip) continue;
+        if (failedStep) {
+            await pool.execute("UPDATE build_steps SET status = 'CANCELLED' WHERE id = ?", [step.id]);
+            continue;
+        }
+        const error = await runStep(site, step);
+        if (error) failedStep = { step, error };
+    }
+
+    const error = failedStep ? `${failedStep.step.label} failed: ${failedStep.error}` : null;
+    await pool.execute(
+        'UPDATE builds SET status = ?, error = ?, finished_at = NOW() WHERE id = ?',
+        [error ? 'FAILED' : 'SUCCESS', error, buildId]
+    );
+    // An admin may have suspended the site in the meantime; that status wins
+    await pool.execute(
+        "UPDATE sites SET status = ? WHERE id = ? AND status = 'DEPLOYING'",
+        [error ? 'FAILED' : 'ACTIVE', site.id]
+    );
+    console.log(`[Build] ${buildId} for site ${site.id} ${error ? `failed (${error})` : 'succeeded'}`);
+
+    if (!error && reapplyVhost) {
+        await applySiteVhost(site.id).catch(err => console.error(`[Build] Vhost for ${site.name} failed:`, err.message));
+    }
+    // Installs and builds change the site's size
+    scanSite(site.id).catch(err => console.error('[DiskUsage] Post-build scan failed:', err.message));
+};
+
+/**
+ * Starts the framework's pipeline for a site. Resolves once the build is recorded (the steps keep
+ * running in the background), or with null when the framework has nothing to build.
+ * @param {string} siteId
+ * @param {{ deploymentId?: string, actorId?: string }} options
+ */
+const startBuild = (siteId, options = {}) => new Promise((resolve, reject) => {
+    withSiteLock(siteId, async () => {
+        const site = await loadSiteWithOwner(siteId);
+        if (site.status === 'SUSPENDED') throw httpError(403, 'This site is suspended');
+        if (site.status === 'DB_ONLY') throw httpError(409, 'This site has no web files any more');
+
+        const plan = planSteps(site);
+        if (!plan.steps.some(step => !step.skip)) {
+            // Nothing to build, so the new files are all it takes to recover from a failed build
+            await pool.execute("UPDATE sites SET status = 'ACTIVE' WHERE id = ? AND status = 'FAILED'", [siteId]);
+            return;
+        }
+
+        const buildId = await createBuild(site, options, plan.steps);
+        try {
+            resolve(await getBuild(siteId, buildId));
+            await runBuild(site, buildId, plan);
+        } catch (err) {
+            // Only database errors get here; do not leave the site stuck in DEPLOYING
+            reject(err);
+            console.error(`[Build] ${buildId} aborted:`, err.message);
+            await pool.execute("UPDATE builds SET status = 'FAILED', error = ?, finished_at = NOW() WHERE id = ?", [err.message, buildId]).catch(() => {});
+            await pool.execute("UPDATE sites SET status = 'FAILED' WHERE id = ? AND status = 'DEPLOYING'", [siteId]).catch(() => {});
+        }
+    }).then(() => resolve(null), reject); // no-ops once the started build was handed out
+});
+
+// Deploy responses report a build that could not start instead of failing: the files are live either way
+const buildAfterDeploy = async (siteId, options) => {
+    if (!BUILD_ON_DEPLOY) return { build: null };
+    try {
+        return { build: await startBuild(siteId, options) };
+    } catch (err) {
+        console.error(`[Build] Could not start the build for site ${siteId}:`, err.message);
+        return { build: null, buildError: err.message };
+    }
+};
+
+const listBuilds = async (siteId) => {
+    const [builds] = await pool.execute(
+        `SELECT b.*, u.username AS created_by_username FROM builds b
+         LEFT JOIN users u ON u.id = b.created_by
+         WHERE b.site_id = ? ORDER BY b.started_at DESC, b.id DESC LIMIT ${LISTED_BUILDS}`,
+        [siteId]
+    );
+    if (builds.length === 0) return [];
+    const [steps] = await pool.query(
+        'SELECT id, build_id, step_key, label, command, execution_mode, status, error, started_at, finished_at FROM build_steps WHERE build_id IN (?) ORDER BY position',
+        [builds.map(b => b.id)]
+    );
+    return builds.map(b => mapBuild(b, steps.filter(s => s.build_id === b.id).map(s => mapStep(s))));
+};
+
+// One build with the full log of every step
+const getBuild = async (siteId, buildId) => {
+    const [builds] = await pool.execute(
+        `SELECT b.*, u.username AS created_by_username FROM builds b
+         LEFT JOIN users u ON u.id = b.created_by
+         WHERE b.id = ? AND b.site_id = ?`,
+        [buildId, siteId]
+    );
+    if (builds.length === 0) throw httpError(404, 'Build not found');
+    const [steps] = await pool.execute('SELECT * FROM build_steps WHERE build_id = ? ORDER BY position', [buildId]);
+    return mapBuild(builds[0], steps.map(s => mapStep(s, { withLog: true })));
+};
+
+module.exports = {
+    startBuild,
+    buildAfterDeploy,
+    listBuilds,
+    getBuild
+};
@@ -0,0 +1,150 @@
+const { spawn } = require('child_process');
+const { Client } = require('ssh2');
+const path = require('path');
+const {
+    STORAGE_ROOT,
+    SSH_ROOT_PATH,
+    SSH_HOST,
+    SSH_PORT,
+    SSH_USER,
+    SSH_PASSWORD,
+    PHP_BINARY
+} = require('../config/paths');
+
+/**
+ * Runs a command inside a site's folder, either locally through cmd.exe (database commands need
+ * the Windows PHP that can reach MySQL) or over SSH on the storage node (installs and builds).
+ * Output is handed to `onOutput(type, data)` with type 'info' | 'stdout' | 'stderr'; used by the
+ * web terminal and the post-deploy build pipeline.
+ */
+
+const WINDOWS_TIMEOUT_MS = 300000;
+
+function executeWindowsCommand(command, site, user, onOutput, { timeoutMs = WINDOWS_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        // Path di Windows (UNC atau Local): \\100.90.80.70\web\project\kohost_users\username\sitename
+        const projectPath = path.join(STORAGE_ROOT, user.username, site.name);
+
+        // HIDE PATH: Send generic info instead of raw path
+        onOutput('info', `[Windows] Environment Ready. Executing...\n`);
+
+        // Parse command - replace 'php' with PHP_BINARY path
+        let fullCommand = command.replace(/^php\s/, `"${PHP_BINARY}" `);
+
+        // Execute via cmd.exe
+        // BUG FIX: Renamed variable from 'process' to 'cmdProcess' to avoid shadowing global process
+        const cmdProcess = spawn('cmd.exe', ['/c', fullCommand], {
+            cwd: projectPath,
+            shell: true,
+            env: {
+                ...process.env,
+                // Add PHP to PATH jika belum ada
+                PATH: `${path.dirname(PHP_BINARY)};${process.env.PATH}`
+            }
+        });
+
+        // Stream stdout
+        cmdProcess.stdout.on('data', (data) => onOutput('stdout', data.toString()));
+
+        // Stream stderr
+        cmdProcess.stderr.on('data', (data) => onOutput('stderr', data.toString()));
+
+        // Handle completion
+        cmdProcess.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Process exited with code ${code}`));
+            }
+        });
+
+        // Handle errors
+        cmdProcess.on('error', (error) => {
+            reject(error);
+        });
+
+        // Timeout protection (5 minutes by default)
+        const timeout = setTimeout(() => {
+            cmdProcess.kill();
+            reject(new Error(`Command timeout (${Math.round(timeoutMs / 60000)} minutes)`));
+        }, timeoutMs);
+
+        cmdProcess.on('close', () => clearTimeout(timeout));
+    });
+}
+
+// Without `timeoutMs` the command may run as long as it needs (interactive terminal use)
+function executeSSHCommand(command, site, user, onOutput, { timeoutMs = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+        // SSH ke Synology/Linux
+        const sshConfig = {
+            host: SSH_HOST,
+            port: SSH_PORT,
+            username: SSH_USER,
+            password: SSH_PASSWORD
+        };
+
+        const conn = new Client();
+        let timer = null;
+
+        conn.on('ready', () => {
+            // Path di Linux: /volume1/web/project/kohost_users/username/sitename
+            // Use site.name as folder name
+            const workingDir = path.posix.join(SSH_ROOT_PATH, user.username, site.name);
+
+            const fullCommand = `cd "${workingDir}" && ${command}`;
+
+            // HIDE PATH & IP: Send generic secure info
+            onOutput('info', `[SSH] Establishing secure connection to node...\n`);
+            onOutput('info', `[SSH] Environment: ${site.framework} Container\n`);
+
+            conn.exec(fullCommand, (err, stream) => {
+                if (err) {
+                    conn.end();
+                    return reject(err);
+                }
+
+                // Stream stdout
+                stream.on('data', (data) => onOutput('stdout', data.toString()));
+
+                // Stream stderr
+                stream.stderr.on('data', (data) => onOutput('stderr', data.toString()));
+
+                stream.on('close', (code) => {
+                    clearTimeout(timer);
+                    conn.end();
+
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        reject(new Error(`SSH command exited with code ${code}`));
+                    }
+                });
+            });
+        });
+
+        conn.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+
+        if (timeoutMs) {
+            timer = setTimeout(() => {
+                conn.end();
+                reject(new Error(`Command timeout (${Math.round(timeoutMs / 60000)} minutes)`));
+            }, timeoutMs);
+        }
+
+        try {
+            conn.connect(sshConfig);
+        } catch (err) {
+            clearTimeout(timer);
+            reject(err);
+        }
+    });
+}
+
+module.exports = {
+    executeWindowsCommand,
+    executeSSHCommand
+};
@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { STORAGE_ROOT, KEEP_RELEASES } = require('../config/paths');
+const { httpError, loadSiteWithOwner } = require('../utils/helpers');
+const { extractZip, getUncompressedSize } = require('../extract');
+const { assertStorageAvailable } = require('./quotaService');
+const git = require('./gitService');
+const { hoistSingleFolder, detectFramework, checkProject } = require('../utils/frameworkDetect');
+const { syncEnvFile } = require('./envService');
+const { measurePath } = require('./diskUsageService');
+
+/**
+ * Versioned releases. Every deploy is extracted into `STORAGE_ROOT/<username>/.releases/<site>/<releaseId>`
+ * and only then switched in, so a broken upload never touches the live files.
+ *
+ * The live site stays a real folder at `STORAGE_ROOT/<username>/<site>` (Apache, the file manager and
+ * backups all use that path). Switching renames the live folder back into `.releases` under its own
+ * release id and renames the new release into place: two renames on the same volume, so the site is
+ * never half-written. Renames are used rather than a symlink because symlinks need extra privileges on
+ * Windows and do not work on the UNC shares STORAGE_ROOT often points to.
+ *
+ * Sites deployed from git keep a bare mirror of their branch in the same `.releases` folder; each
+ * deploy exports one commit into a release exactly like an uploaded zip (see gitService).
+ */
+
+// Lives next to the site folders, so the file manager never exposes it
+const RELEASES_DIR = '.releases';
+const RELEASE_ID_PATTERN = /^\d{17}$/;
+
+// Sites with a deploy or rollback in progress
+const busySites = new Set();
+
+const withSiteLock = async (siteId, task) => {
+    if (busySites.has(siteId)) throw httpError(409, 'A deployment is already running for this site');
+    busySites.add(siteId);
+    try {
+        return await task();
+    } finally {
+        busySites.delete(siteId);
+    }
+};
+
+const getSiteDir = (username, siteName) => path.join(STORAGE_ROOT, username, siteName);
+const getReleasesDir = (username, siteName) => path.join(STORAGE_ROOT, username, RELEASES_DIR, siteName);
+
+// UTC timestamp down to the millisecond (20261019093015123), so ids sort by age
+const formatReleaseId = (date) => date.toISOString().replace(/\D/g, '').slice(0, 17);
+
+const releaseDate = (releaseId) => {
+    const [, y, mo, d, h, mi, s, ms] = releaseId.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{3})$/);
+    return new Date(Date.UTC(y, mo - 1, d, h, mi, s, ms));
+};
+
+const newReleaseId = (releasesDir, from = new Date()) => {
+    let time = from.getTime();
+    while (fs.existsSync(path.join(releasesDir, formatReleaseId(new Date(time))))) time++;
+    return formatReleaseId(new Date(time));
+};
+
+/**
+ * Extracts an upload (or writes the placeholder page) into a new release folder. A zip that wraps
+ * everything in one folder is unwrapped. Nothing is live yet; on failure the half-written folder
+ * is removed.
+ * @param {{ username: string, siteName: string }} owner
+ * @param {{ buffer?: Buffer, placeholder?: string }} source
+ * @returns {Promise<{ releaseId: string, dir: string, sizeBytes: number, hoisted: string|null }>}
+ */
+const stageRelease = async ({ username, siteName }, { buffer, placeholder }) => {
+    const releasesDir = getReleasesDir(username, siteName);
+    fs.mkdirSync(releasesDir, { recursive: true });
+    const releaseId = newReleaseId(releasesDir);
+    const dir = path.join(releasesDir, releaseId);
+
+    try {
+        let sizeBytes;
+        let hoisted = null;
+        if (buffer) {
+            sizeBytes = await extractZip(buffer, dir);
+            hoisted = hoistSingleFolder(dir);
+        } else {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'index.html'), placeholder);
+            sizeBytes = Buffer.byteLength(placeholder);
+        }
+        return { releaseId, dir, sizeBytes, hoisted };
+    } catch (err) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw err;
+    }
+};
+
+/**
+ * Makes `releaseId` the live folder. The folder it replaces is kept as release `currentReleaseId`
+ * (sites deployed before releases existed get an id from the folder's modification time).
+ * @returns {string|null} id the previous live folder was archived under
+ */
+const switchRelease = ({ username, siteName }, releaseId, currentReleaseId) => {
+    const siteDir = getSiteDir(username, siteName);
+    const releasesDir = getReleasesDir(username, siteName);
+    const incoming = path.join(releasesDir, releaseId);
+    if (!fs.existsSync(incoming)) throw httpError(404, `Release ${releaseId} is no longer available`);
+
+    let archivedAs = null;
+    if (fs.existsSync(siteDir)) {
+        archivedAs = currentReleaseId && !fs.existsSync(path.join(releasesDir, currentReleaseId))
+            ? currentReleaseId
+            : newReleaseId(releasesDir, fs.statSync(siteDir).mtime);
+        fs.renameSync(siteDir, path.join(releasesDir, archivedAs));
+    }
+
+    try {
+        fs.renameSync(incoming, siteDir);
+    } catch (err) {
+        // Put the previous version back rather than leave the site without files
+        if (archivedAs) fs.renameSync(path.join(releasesDir, archivedAs), siteDir);
+        throw err;
+    }
+    return archivedAs;
+};
+
+// Keeps the live release plus the newest `keep - 1` archived ones
+const pruneReleases = ({ username, siteName }, keep = KEEP_RELEASES) => {
+    const releasesDir = getReleasesDir(username, siteName);
+    if (!fs.existsSync(releasesDir)) return [];
+    const archived = fs.readdirSync(releasesDir).filter(name => RELEASE_ID_PATTERN.test(name)).sort().reverse();
+    const removed = archived.slice(Math.max(0, keep - 1));
+    removed.forEach(name => fs.rmSync(path.join(releasesDir, name), { recursive: true, force: true }));
+    return removed;
+};
+
+/**
+ * Bytes the next deploy frees by pruning: the live folder becomes one more archived release, so
+ * the oldest archives beyond `keep` go (and with `keep` 1 the replaced live folder too).
+ */
+const measurePrunable = async ({ username, siteName }, keep = KEEP_RELEASES) => {
+    const releasesDir = getReleasesDir(username, siteName);
+    if (!fs.existsSync(releasesDir)) return 0;
+    const archived = fs.readdirSync(releasesDir).filter(name => RELEASE_ID_PATTERN.test(name)).sort().reverse();
+    const doomed = archived.slice(Math.max(0, keep - 2)).map(name => path.join(releasesDir, name));
+    if (keep <= 1) doomed.push(getSiteDir(username, siteName));
+
+    let bytes = 0;
+    for (const dir of doomed) bytes += (await measurePath(dir)).bytes;
+    return bytes;
+};
+
+// Archived releases and the git mirror count against the owner's storage like the live files
+const recordReleaseUsage = async (siteId, { username, siteName }) => {
+    const { bytes } = await measurePath(getReleasesDir(username, siteName));
+    await pool.execute('UPDATE sites SET releases_used = ? WHERE id = ?', [bytes / (1024 * 1024), siteId]);
+};
+
+// The new live folder gets the variables kept in the panel; a failure is reported, not fatal
+const restoreEnvFile = siteId => syncEnvFile(siteId)
+    .then(() => ({}))
+    .catch((err) => {
+        console.error(`[Deploy] Writing .env for site ${siteId} failed:`, err.message);
+        return { envError: err.message };
+    });
+
+const recordDeployment = async ({ siteId, releaseId, action, source = null, fileName = null, commitSha = null, sizeBytes = 0, status, error = null, actorId = null }) => {
+    const id = `dep_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    await pool.execute(
+        `INSERT INTO deployments (id, site_id, release_id, action, source, file_name, commit_sha, size_bytes, status, error, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, siteId, releaseId, action, source, fileName, commitSha, sizeBytes, status, error, actorId]
+    );
+    return id;
+};
+
+const mapDeployment = (row) => ({
+    id: row.id,
+    siteId: row.site_id,
+    releaseId: row.release_id,
+    action: row.action,
+    source: row.source,
+    fileName: row.file_name,
+    commitSha: row.commit_sha || null,
+    size: Number(row.size_bytes) || 0,
+    status: row.status,
+    error: row.error,
+    createdBy: row.created_by_username || row.created_by,
+    createdAt: row.created_at
+});
+
+/**
+ * Deployment history of a site plus the releases that can still be rolled back to.
+ */
+const getDeployments = async (siteId) => {
+    const site = await loadSiteWithOwner(siteId);
+    const [rows] = await pool.execute(
+        `SELECT d.*, u.username AS created_by_username FROM deployments d
+         LEFT JOIN users u ON u.id = d.created_by
+         WHERE d.site_id = ? ORDER BY d.created_at DESC, d.id DESC`,
+        [siteId]
+    );
+
+    const releasesDir = getReleasesDir(site.username, site.name);
+    const archived = fs.existsSync(releasesDir)
+        ? fs.readdirSync(releasesDir).filter(name => RELEASE_ID_PATTERN.test(name))
+        : [];
+    const releases = [...new Set([...(site.current_release ? [site.current_release] : []), ...archived])]
+        .sort().reverse()
+        .map(id => ({ id, createdAt: releaseDate(id), current: id === site.current_release }));
+
+    return {
+        currentRelease: site.current_release || null,
+        keep: KEEP_RELEASES,
+        git: site.git_url ? { url: site.git_url, branch: site.git_branch, commit: site.git_commit || null } : null,
+        releases,
+        deployments: rows.map(mapDeployment)
+    };
+};
+
+const assertDeployable = (site) => {
+    if (site.status === 'SUSPENDED') throw httpError(403, 'This site is suspended');
+    // Detached databases no longer count as sites; bringing files back goes through a new deploy
+    if (site.status === 'DB_ONLY') throw httpError(409, 'This site has no web files any more; deploy it as a new site');
+};
+
+/**
+ * Fetches `branch` into the site's git mirror and exports its tip as a zip once its files fit the
+ * owner's storage. A mirror and deploy key saved by a failed first fetch (bad URL, missing branch,
+ * rejected key, no room) are removed again.
+ * @param {{ username: string, siteName: string }} owner
+ * @param {{ url: string, branch: string, deployKey?: string }} repo - already validated
+ * @param {string} userId - whose storage quota the files count against
+ * @returns {Promise<{ commit: string, buffer: Buffer }>}
+ */
+const fetchGitRelease = async ({ username, siteName }, { url, branch, deployKey }, userId) => {
+    const releasesDir = getReleasesDir(username, siteName);
+    const isNew = !fs.existsSync(git.getRepoDir(releasesDir));
+    try {
+        if (deployKey) git.saveDeployKey(releasesDir, deployKey);
+        const commit = await git.fetchBranch(releasesDir, { url, branch });
+        const treeBytes = await git.getTreeSize(releasesDir, commit);
+        await assertStorageAvailable(userId, treeBytes);
+        return { commit, buffer: await git.archiveCommit(releasesDir, commit, treeBytes) };
+    } catch (err) {
+        if (isNew) {
+            fs.rmSync(git.getRepoDir(releasesDir), { recursive: true, force: true });
+            fs.rmSync(git.getKeyPath(releasesDir), { force: true });
+        }
+        throw err;
+    }
+};
+
+// A failed deploy is kept in the history, so the owner can see why nothing changed
+const recordFailure = async (siteId, { source, fileName = null, commitSha = null }, err, actorId) => {
+    await recordDeployment({
+        siteId, releaseId: formatReleaseId(new Date()), action: 'deploy', source,
+        fileName, commitSha, status: 'FAILED', error: err.message, actorId
+    }).catch(() => {});
+    return httpError(err.status && err.status < 500 ? err.status : 422, err.message);
+};
+
+/**
+ * Stage, switch, then prune old releases. A broken archive is recorded and leaves the live site
+ * untouched. Must run inside the site lock.
+ */
+const deployArchive = async (site, { buffer, source, fileName = null, commitSha = null }, actorId) => {
+    const owner = { username: site.username, siteName: site.name };
+    const meta = { source, fileName, commitSha };
+
+    let incomingBytes;
+    try {
+        incomingBytes = getUncompressedSize(buffer);
+    } catch (err) {
+        throw await recordFailure(site.id, meta, err, actorId);
+    }
+    // The current files stay as an archived release, so only what pruning frees makes room
+    await assertStorageAvailable(site.user_id, incomingBytes - await measurePrunable(owner));
+
+    let staged;
+    try {
+        staged = await stageRelease(owner, { buffer });
+    } catch (err) {
+        throw await recordFailure(site.id, meta, err, actorId);
+    }
+
+    // The site keeps its framework (vhost and build depend on it); a mismatch is only reported
+    const { framework: detected, reason } = detectFramework(staged.dir);
+    const warnings = checkProject(staged.dir, site.framework);
+    if (detected && detected !== site.framework) {
+        warnings.unshift(`The files look like ${detected} (${reason}) but the site is set up as ${site.framework}`);
+    }
+    const detection = { framework: site.framework, detected, reason, hoistedFolder: staged.hoisted, warnings };
+
+    switchRelease(owner, staged.releaseId, site.current_release);
+    // An uploaded zip is not a commit, so the site stops pointing at one
+    await pool.execute(
+        'UPDATE sites SET current_release = ?, storage_used = ?, git_commit = ? WHERE id = ?',
+        [staged.releaseId, staged.sizeBytes / (1024 * 1024), commitSha, site.id]
+    );
+    const deploymentId = await recordDeployment({
+        siteId: site.id, releaseId: staged.releaseId, action: 'deploy', ...meta,
+        sizeBytes: staged.sizeBytes, status: 'SUCCESS', actorId
+    });
+    const pruned = pruneReleases(owner);
+    await recordReleaseUsage(site.id, owner);
+    const env = await restoreEnvFile(site.id);
+    console.log(`[Deploy] Site ${site.id} switched to release ${staged.releaseId}`);
+    return { deploymentId, releaseId: staged.releaseId, previousRelease: site.current_release || null, pruned, detection, ...env };
+};
+
+/**
+ * Deploys a new upload to an existing site.
+ * @param {string} siteId
+ * @param {{ buffer: Buffer, originalname?: string }} file - multer upload
+ * @param {string} actorId
+ */
+const redeploySite = async (siteId, file, actorId) => {
+    if (!file) throw httpError(400, 'A zip file is required');
+
+    return withSiteLock(siteId, async () => {
+        const site = await loadSiteWithOwner(siteId);
+        assertDeployable(site);
+        return deployArchive(site, { buffer: file.buffer, source: 'upload', fileName: file.originalname || null }, actorId);
+    });
+};
+
+const getGitRepo = (site) => {
+    if (!site.git_url) throw httpError(409, 'This site is not deployed from a git repository');
+    return {
+        releasesDir: getReleasesDir(site.username, site.name),
+        url: site.git_url,
+        branch: site.git_branch || 'main'
+    };
+};
+
+/**
+ * Fetches the site's branch and lists the commits a pull would deploy (newest first).
+ */
+const getIncomingCommits = async (siteId) => withSiteLock(siteId, async () => {
+    const site = await loadSiteWithOwner(siteId);
+    const { releasesDir, url, branch } = getGitRepo(site);
+    const head = await git.fetchBranch(releasesDir, { url, branch });
+    const upToDate = head === site.git_commit;
+    return {
+        url,
+        branch,
+        currentCommit: site.git_commit || null,
+        head,
+        upToDate,
+        commits: upToDate ? [] : await git.listCommits(releasesDir, site.git_commit, head)
+    };
+});
+
+/**
+ * Fetches the site's branch and deploys its tip as a new release. Nothing is deployed when the
+ * live release already is that commit.
+ */
+const pullAndRedeploy = async (siteId, actorId) => withSiteLock(siteId, async () => {
+    const site = await loadSiteWithOwner(siteId);
+    assertDeployable(site);
+    const { releasesDir, url, branch } = getGitRepo(site);
+
+    let head;
+    try {
+        head = await git.fetchBranch(releasesDir, { url, branch });
+    } catch (err) {
+        throw await recordFailure(site.id, { source: 'git' }, err, actorId);
+    }
+    if (head === site.git_commit) return { upToDate: true, commit: head, commits: [] };
+
+    const commits = await git.listCommits(releasesDir, site.git_commit, head);
+    let treeBytes;
+    try {
+        treeBytes = await git.getTreeSize(releasesDir, head);
+    } catch (err) {
+        throw await recordFailure(site.id, { source: 'git', commitSha: head }, err, actorId);
+    }
+    // Checked before git builds the archive in memory; deployArchive checks the result again
+    const owner = { username: site.username, siteName: site.name };
+    await assertStorageAvailable(site.user_id, treeBytes - await measurePrunable(owner));
+
+    let buffer;
+    try {
+        buffer = await git.archiveCommit(releasesDir, head, treeBytes);
+    } catch (err) {
+        throw await recordFailure(site.id, { source: 'git', commitSha: head }, err, actorId);
+    }
+    const result = await deployArchive(site, { buffer, source: 'git', commitSha: head }, actorId);
+    return { ...result, upToDate: false, commit: head, commits };
+});
+
+/**
+ * Makes an earlier release live again. The release being replaced stays available,
+ * so a rollback can itself be rolled back.
+ */
+const rollbackSite = async (siteId, releaseId, actorId) => {
+    if (!RELEASE_ID_PATTERN.test(String(releaseId || ''))) throw httpError(400, 'Invalid release id');
+
+    return withSiteLock(siteId, async () => {
+        const site = await loadSiteWithOwner(siteId);
+        assertDeployable(site);
+        if (site.current_release === releaseId) throw httpError(409, `Release ${releaseId} is already live`);
+
+        const owner = { username: site.username, siteName: site.name };
+        switchRelease(owner, releaseId, site.current_release);
+
+        // Size and commit as recorded when the release was deployed (unknown for releases that predate the history)
+        const [deployed] = await pool.execute(
+            "SELECT size_bytes, commit_sha FROM deployments WHERE site_id = ? AND release_id = ? AND action = 'deploy' AND status = 'SUCCESS' LIMIT 1",
+            [siteId, releaseId]
+        );
+        const sizeBytes = deployed.length ? Number(deployed[0].size_bytes) : null;
+        const commitSha = deployed.length ? deployed[0].commit_sha || null : null;
+        await pool.execute(
+            'UPDATE sites SET current_release = ?, storage_used = COALESCE(?, storage_used), git_commit = ? WHERE id = ?',
+            [releaseId, sizeBytes === null ? null : sizeBytes / (1024 * 1024), commitSha, siteId]
+        );
+        const deploymentId = await recordDeployment({ siteId, releaseId, action: 'rollback', commitSha, sizeBytes: sizeBytes || 0, status: 'SUCCESS', actorId });
+        await recordReleaseUsage(siteId, owner);
+        const env = await restoreEnvFile(siteId);
+        console.log(`[Deploy] Site ${siteId} rolled back to release ${releaseId}`);
+        return { deploymentId, releaseId, previousRelease: site.current_release || null, ...env };
+    });
+};
+
+// Used when a site's files are deleted
+const removeSiteReleases = async (siteId) => {
+    const [owner] = await pool.execute('SELECT u.username, s.name FROM sites s JOIN users u ON u.id = s.user_id WHERE s.id = ?', [siteId]);
+    if (owner.length === 0) return;
+    fs.rmSync(getReleasesDir(owner[0].username, owner[0].name), { recursive: true, force: true });
+    await pool.execute('UPDATE sites SET releases_used = 0 WHERE id = ?', [siteId]);
+};
+
+module.exports = {
+    withSiteLock,
+    getSiteDir,
+    getReleasesDir,
+    stageRelease,
+    switchRelease,
+    pruneReleases,
+    recordDeployment,
+    getDeployments,
+    fetchGitRelease,
+    redeploySite,
+    getIncomingCommits,
+    pullAndRedeploy,
+    rollbackSite,
+    recordReleaseUsage,
+    removeSiteReleases
+};
@@ -0,0 +1,132 @@
+const pool = require('../db');
+const { httpError } = require('../utils/helpers');
+const { BILLING_CYCLES, normalizeCycle } = require('./subscriptionService');
+
+const DISCOUNT_TYPES = ['PERCENT', 'FIXED'];
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,49}$/;
+
+// Added to transfer amounts so admins can match a bank mutation to its payment
+const MAX_UNIQUE_CODE = 500;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const parsePlans = (raw) => {
+    if (!raw) return [];
+    if (Array.isArray(raw)) return raw;
+    try {
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const mapDiscount = (row) => ({
+    id: row.id,
+    code: row.code,
+    type: row.type,
+    value: Number(row.value),
+    validPlans: parsePlans(row.valid_plans),
+    expiresAt: row.expires_at || null,
+    maxUses: row.max_uses === null || row.max_uses === undefined ? null : Number(row.max_uses),
+    usedCount: Number(row.used_count || 0),
+    isActive: row.is_active === undefined ? true : !!row.is_active,
+    createdAt: row.created_at
+});
+
+// Uses are counted from payments, so a rejected payment gives its use back
+const USED_COUNT_SQL = "(SELECT COUNT(*) FROM payments p WHERE p.discount_id = d.id AND p.status <> 'REJECTED')";
+
+const listDiscounts = async () => {
+    const [rows] = await pool.execute(`SELECT d.*, ${USED_COUNT_SQL} AS used_count FROM discounts d ORDER BY d.created_at DESC`);
+    return rows.map(mapDiscount);
+};
+
+const getDiscount = async (id) => {
+    const [rows] = await pool.execute(`SELECT d.*, ${USED_COUNT_SQL} AS used_count FROM discounts d WHERE d.id = ?`, [id]);
+    if (rows.length === 0) throw httpError(404, 'Coupon not found');
+    return mapDiscount(rows[0]);
+};
+
+/**
+ * Looks up a coupon and checks it can be used for `planName` right now.
+ * Pass a transaction connection with `lock` to hold the coupon row until the payment is recorded,
+ * so two submissions cannot both take the last use.
+ */
+const findUsableDiscount = async (code, planName, { db = pool, lock = false } = {}) => {
+    const [rows] = await db.execute(
+        `SELECT d.*, ${USED_COUNT_SQL} AS used_count FROM discounts d WHERE d.code = ?${lock ? ' FOR UPDATE' : ''}`,
+        [normalizeCode(code)]
+    );
+    if (rows.length === 0) throw httpError(404, 'Invalid coupon code');
+    const discount = mapDiscount(rows[0]);
+
+    if (!discount.isActive) throw httpError(400, 'This coupon is no longer active');
+    if (discount.expiresAt && new Date(discount.expiresAt) <= new Date()) throw httpError(400, 'This coupon has expired');
+    if (discount.maxUses !== null && discount.usedCount >= discount.maxUses) {
+        throw httpError(400, 'This coupon has reached its usage limit');
+    }
+    if (discount.validPlans.length > 0 && !discount.validPlans.includes(planName)) {
+        throw httpError(400, `This coupon is only valid for: ${discount.validPlans.join(', ')}`);
+    }
+    return discount;
+};
+
+const normalizeUniqueCode = (value) => {
+    const code = Number(value ?? 0);
+    if (!Number.isInteger(code) || code < 0 || code > MAX_UNIQUE_CODE) {
+        throw httpError(400, `Unique code must be a whole number between 0 and ${MAX_UNIQUE_CODE}`);
+    }
+    return code;
+};
+
+/**
+ * Amount due for a plan period. Plan prices are monthly; the coupon applies to the whole period,
+ * and the unique code is dropped when nothing is left to transfer.
+ */
+const quotePrice = ({ plan, billingCycle, discount = null, uniqueCode = 0 }) => {
+    const cycle = normalizeCycle(billingCycle);
+    const basePrice = Number(plan.price) * BILLING_CYCLES[cycle];
+
+    let discountAmount = 0;
+    if (discount) {
+        discountAmount = discount.type === 'PERCENT'
+            ? Math.round(basePrice * discount.value / 100)
+            : discount.value;
+        discountAmount = Math.min(basePrice, discountAmount);
+    }
+
+    const afterDiscount = basePrice - discountAmount;
+    const code = afterDiscount === 0 ? 0 : normalizeUniqueCode(uniqueCode);
+    return { billingCycle: cycle, basePrice, discountAmount, uniqueCode: code, amount: afterDiscount + code };
+};
+
+const findPlanByName = async (name, db = pool) => {
+    const [rows] = await db.execute('SELECT * FROM plans WHERE name = ?', [name]);
+    if (rows.length === 0) throw httpError(400, 'Unknown plan');
+    return rows[0];
+};
+
+// Coupons list the plans they are valid for by name; keeps those lists pointing at a renamed plan
+const renamePlanInDiscounts = async (oldName, newName, db = pool) => {
+    const [rows] = await db.execute('SELECT id, valid_plans FROM discounts WHERE valid_plans IS NOT NULL');
+    for (const row of rows) {
+        const plans = parsePlans(row.valid_plans);
+        if (!plans.includes(oldName)) continue;
+        const renamed = [...new Set(plans.map(name => (name === oldName ? newName : name)))];
+        await db.execute('UPDATE discounts SET valid_plans = ? WHERE id = ?', [JSON.stringify(renamed), row.id]);
+    }
+};
+
+module.exports = {
+    DISCOUNT_TYPES,
+    CODE_PATTERN,
+    normalizeCode,
+    mapDiscount,
+    listDiscounts,
+    getDiscount,
+    findUsableDiscount,
+    quotePrice,
+    findPlanByName,
+    renamePlanInDiscounts
+};
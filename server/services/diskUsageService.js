@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { STORAGE_ROOT } = require('../config/paths');
+const { loadSiteWithOwner } = require('../utils/helpers');
+
+const MB = 1024 * 1024;
+const SCAN_INTERVAL_MS = (Number(process.env.DISK_SCAN_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Breakdown entry that groups the files sitting directly in the site root
+const ROOT_FILES = '(root files)';
+
+// Scans in progress; concurrent requests for the same site share one walk
+const inFlight = new Map();
+
+/**
+ * Total size of a file or directory tree.
+ * Symlinks are counted as links and never followed, so they cannot loop or pull in other folders.
+ *
+ * @param {string} target
+ * @returns {Promise<{ bytes: number, files: number }>}
+ */
+const measurePath = async (target) => {
+    let stats;
+    try {
+        stats = await fs.promises.lstat(target);
+    } catch (e) {
+        return { bytes: 0, files: 0 };
+    }
+    if (!stats.isDirectory()) return { bytes: stats.size, files: 1 };
+
+    let bytes = 0;
+    let files = 0;
+    const pending = [target];
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (e) {
+            continue; // Unreadable folder (permissions, removed mid-scan)
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(fullPath);
+                continue;
+            }
+            try {
+                bytes += (await fs.promises.lstat(fullPath)).size;
+                files++;
+            } catch (e) { /* removed mid-scan */ }
+        }
+    }
+    return { bytes, files };
+};
+
+/**
+ * Walks a site folder and breaks its usage down by top-level entry, largest first.
+ */
+const scanSiteDirectory = async (siteDir) => {
+    let entries = [];
+    try {
+        entries = await fs.promises.readdir(siteDir, { withFileTypes: true });
+    } catch (e) {
+        return { bytes: 0, files: 0, folders: [] };
+    }
+
+    const folders = [];
+    const rootFiles = { name: ROOT_FILES, type: 'files', bytes: 0, files: 0 };
+    for (const entry of entries) {
+        const usage = await measurePath(path.join(siteDir, entry.name));
+        if (entry.isDirectory()) {
+            folders.push({ name: entry.name, type: 'folder', ...usage });
+        } else {
+            rootFiles.bytes += usage.bytes;
+            rootFiles.files += usage.files;
+        }
+    }
+    if (rootFiles.files > 0) folders.push(rootFiles);
+    folders.sort((a, b) => b.bytes - a.bytes);
+
+    return {
+        bytes: folders.reduce((sum, f) => sum + f.bytes, 0),
+        files: folders.reduce((sum, f) => sum + f.files, 0),
+        folders
+    };
+};
+
+// Data + index size of the site's databases as reported by MySQL (InnoDB figures are estimates)
+const getDatabaseBytes = async (siteId) => {
+    const [[row]] = await pool.execute(
+        `SELECT COALESCE(SUM(t.DATA_LENGTH + t.INDEX_LENGTH), 0) AS bytes
+         FROM \`databases\` d
+         JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = d.db_name
+         WHERE d.site_id = ?`,
+        [siteId]
+    );
+    return Number(row.bytes);
+};
+
+const parseFolders = (raw) => {
+    if (!raw) return [];
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return [];
+    }
+};
+
+const mapUsage = (row) => ({
+    siteId: row.site_id,
+    totalBytes: Number(row.files_bytes) + Number(row.database_bytes),
+    filesBytes: Number(row.files_bytes),
+    fileCount: Number(row.file_count),
+    databaseBytes: Number(row.database_bytes),
+    folders: parseFolders(row.folders),
+    scannedAt: row.scanned_at
+});
+
+const runScan = async (siteId) => {
+    const site = await loadSiteWithOwner(siteId);
+    const siteDir = path.join(STORAGE_ROOT, site.username, site.name);
+
+    const [files, databaseBytes] = await Promise.all([scanSiteDirectory(siteDir), getDatabaseBytes(siteId)]);
+    const totalMB = (files.bytes + databaseBytes) / MB;
+
+    await pool.execute(
+        `INSERT INTO site_disk_usage (site_id, files_bytes, file_count, database_bytes, folders, scanned_at)
+         VALUES (?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE files_bytes = VALUES(files_bytes), file_count = VALUES(file_count),
+            database_bytes = VALUES(database_bytes), folders = VALUES(folders), scanned_at = VALUES(scanned_at)`,
+        [siteId, files.bytes, files.files, databaseBytes, JSON.stringify(files.folders)]
+    );
+    // Replaces the running total kept by deploy/upload/delete with the measured figure
+    await pool.execute('UPDATE sites SET storage_used = ? WHERE id = ?', [totalMB, siteId]);
+
+    const [rows] = await pool.execute('SELECT * FROM site_disk_usage WHERE site_id = ?', [siteId]);
+    return mapUsage(rows[0]);
+};
+
+/**
+ * Measures a site's folder and database now and stores the result (including `sites.storage_used`).
+ */
+const scanSite = (siteId) => {
+    if (!inFlight.has(siteId)) {
+        inFlight.set(siteId, runScan(siteId).finally(() => inFlight.delete(siteId)));
+    }
+    return inFlight.get(siteId);
+};
+
+/**
+ * Last stored scan of a site, scanning first when there is none yet or `refresh` is set.
+ */
+const getSiteUsage = async (siteId, { refresh = false } = {}) => {
+    if (!refresh) {
+        const [rows] = await pool.execute('SELECT * FROM site_disk_usage WHERE site_id = ?', [siteId]);
+        if (rows.length > 0) return mapUsage(rows[0]);
+    }
+    return scanSite(siteId);
+};
+
+// --- SCANNER ---
+
+let scannerRunning = false;
+
+/**
+ * Rescans every site one after another. Returns how many scans succeeded and failed.
+ */
+const scanAllSites = async () => {
+    if (scannerRunning) return null;
+    scannerRunning = true;
+
+    const result = { scanned: 0, failed: 0 };
+    try {
+        const [sites] = await pool.execute('SELECT id FROM sites');
+        for (const { id } of sites) {
+            try {
+                await scanSite(id);
+                result.scanned++;
+            } catch (err) {
+                result.failed++;
+                console.error(`[DiskUsage] Scan failed for site ${id}:`, err.message);
+            }
+        }
+    } catch (err) {
+        console.error('[DiskUsage] Scanner run failed:', err.message);
+    } finally {
+        scannerRunning = false;
+    }
+    return result;
+};
+
+const startDiskUsageScanner = () => {
+    scanAllSites();
+    const timer = setInterval(scanAllSites, SCAN_INTERVAL_MS);
+    timer.unref();
+    console.log(`[DiskUsage] Scanner started (every ${SCAN_INTERVAL_MS / 60000} min)`);
+    return timer;
+};
+
+module.exports = {
+    measurePath,
+    scanSiteDirectory,
+    scanSite,
+    getSiteUsage,
+    scanAllSites,
+    startDiskUsageScanner
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { httpError, loadSiteWithOwner } = require('../utils/helpers');
+const { STORAGE_ROOT, SITE_DB_HOST } = require('../config/paths');
+const { getMysqlAccount } = require('../utils/mysqlAccount');
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+const { NAME_PATTERN, parseEnvFile, updateEnvFile } = require('../utils/dotenvFile');
+
+/**
+ * Per-site environment variables. The `site_env_vars` table is the source of truth; the live site's
+ * `.env` is rendered from it after every change and after each deploy or rollback (a new release
+ * brings its own .env, or none). Keys the table does not know about are left alone in the file.
+ *
+ * Secret values are encrypted at rest and only ever returned masked. DB_* keys are filled in from
+ * the site's row in `databases` and cannot be edited.
+ */
+
+const MASK = '********';
+const SECRET_NAME = /PASS|SECRET|TOKEN|KEY|PRIVATE|CREDENTIAL/i;
+const MANAGED_KEYS = ['DB_HOST', 'DB_DATABASE', 'DB_USERNAME', 'DB_PASSWORD'];
+const MAX_VALUE_LENGTH = 8192;
+
+const getEnvPath = site => path.join(STORAGE_ROOT, site.username, site.name, '.env');
+
+const getRows = async (siteId) => {
+    const [rows] = await pool.execute('SELECT * FROM site_env_vars WHERE site_id = ? ORDER BY name', [siteId]);
+    return rows;
+};
+
+const readValue = (row) => {
+    if (!row.is_secret) return row.value;
+    try {
+        return decryptSecret(row.value);
+    } catch (err) {
+        if (err.status) throw err;
+        throw httpError(500, `${row.name} cannot be decrypted; was ENV_ENCRYPTION_KEY changed?`);
+    }
+};
+
+const mapVariable = (row) => ({
+    name: row.name,
+    value: row.is_secret ? MASK : row.value,
+    secret: !!row.is_secret,
+    managed: !!row.managed,
+    updatedAt: row.updated_at
+});
+
+const upsert = (siteId, name, value, secret, managed = false) => pool.execute(
+    `INSERT INTO site_env_vars (site_id, name, value, is_secret, managed) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE value = VALUES(value), is_secret = VALUES(is_secret), managed = VALUES(managed)`,
+    [siteId, name, secret ? encryptSecret(value) : value, secret, managed]
+);
+
+// The first time a site is opened here, whatever its .env already contains is taken over
+const importEnvFile = async (site) => {
+    const [[{ count }]] = await pool.execute('SELECT COUNT(*) AS count FROM site_env_vars WHERE site_id = ?', [site.id]);
+    const envPath = getEnvPath(site);
+    if (count > 0 || !fs.existsSync(envPath)) return;
+    for (const { name, value } of parseEnvFile(fs.readFileSync(envPath, 'utf8')).entries) {
+        if (MANAGED_KEYS.includes(name)) continue;
+        await upsert(site.id, name, value, SECRET_NAME.test(name));
+    }
+};
+
+/**
+ * Fills the DB_* keys from the site's linked database, or drops them when there is none.
+ * @returns {Promise<string[]>} keys that were removed
+ */
+const refreshDatabaseKeys = async (site) => {
+    const [dbs] = await pool.execute('SELECT db_name FROM `databases` WHERE site_id = ? LIMIT 1', [site.id]);
+    if (dbs.length === 0) {
+        const [managed] = await pool.execute('SELECT name FROM site_env_vars WHERE site_id = ? AND managed = TRUE', [site.id]);
+        if (managed.length) await pool.execute('DELETE FROM site_env_vars WHERE site_id = ? AND managed = TRUE', [site.id]);
+        return managed.map(row => row.name);
+    }
+
+    const account = getMysqlAccount(site.user_id, site.username);
+    const values = { DB_HOST: SITE_DB_HOST, DB_DATABASE: dbs[0].db_name, DB_USERNAME: account.user, DB_PASSWORD: account.password };
+    for (const name of MANAGED_KEYS) await upsert(site.id, name, values[name], name === 'DB_PASSWORD', true);
+    return [];
+};
+
+const renderEnvFile = async (site) => {
+    const values = Object.create(null);
+    for (const row of await getRows(site.id)) values[row.name] = readValue(row);
+    const envPath = getEnvPath(site);
+    const current = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+    return { envPath, current, values };
+};
+
+// Rewrites .env through a temp file; `removed` keys are taken out of it
+const writeEnvFile = async (site, removed = []) => {
+    const { envPath, current, values } = await renderEnvFile(site);
+    if (!fs.existsSync(path.dirname(envPath))) return { written: false };
+    const next = updateEnvFile(current, values, removed);
+    if (next === current) return { written: false };
+
+    const tempPath = `${envPath}.tmp-${Date.now()}`;
+    fs.writeFileSync(tempPath, next);
+    fs.renameSync(tempPath, envPath);
+    return { written: true };
+};
+
+const prepare = async (siteId) => {
+    const site = await loadSiteWithOwner(siteId);
+    await importEnvFile(site);
+    const removed = await refreshDatabaseKeys(site);
+    return { site, removed };
+};
+
+const describe = async (site) => {
+    const rows = await getRows(site.id);
+    const { envPath, current, values } = await renderEnvFile(site);
+    return {
+        variables: rows.map(mapVariable),
+        file: { exists: fs.existsSync(envPath), inSync: updateEnvFile(current, values) === current }
+    };
+};
+
+const listEnv = async (siteId) => {
+    const { site } = await prepare(siteId);
+    return describe(site);
+};
+
+const validateName = (name) => {
+    const value = String(name || '').trim();
+    if (!NAME_PATTERN.test(value) || value.length > 255) throw httpError(400, `"${value}" is not a valid variable name`);
+    if (MANAGED_KEYS.includes(value)) throw httpError(409, `${value} is filled in from the site's database`);
+    return value;
+};
+
+/**
+ * @param {string} siteId
+ * @param {{ name: string, value: string, secret?: boolean }[]} variables - a secret sent back as
+ *        the mask keeps its stored value (so only the secret flag can change)
+ */
+const setEnv = async (siteId, variables) => {
+    if (!Array.isArray(variables) || variables.length === 0) throw httpError(400, 'No variables given');
+    const changes = variables.map(({ name, value, secret }) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text.length > MAX_VALUE_LENGTH) throw httpError(400, `Value of ${name} is longer than ${MAX_VALUE_LENGTH} characters`);
+        return { name: validateName(name), value: text, secret };
+    });
+
+    const { site, removed } = await prepare(siteId);
+    const existing = new Map((await getRows(siteId)).map(row => [row.name, row]));
+    for (const change of changes) {
+        const row = existing.get(change.name);
+        const value = row && row.is_secret && change.value === MASK ? readValue(row) : change.value;
+        const secret = change.secret !== undefined ? !!change.secret : (row ? !!row.is_secret : SECRET_NAME.test(change.name));
+        await upsert(siteId, change.name, value, secret);
+    }
+    const file = await writeEnvFile(site, removed);
+    return { ...await describe(site), ...file };
+};
+
+const unsetEnv = async (siteId, name) => {
+    const key = validateName(name);
+    const { site, removed } = await prepare(siteId);
+    const [result] = await pool.execute('DELETE FROM site_env_vars WHERE site_id = ? AND name = ?', [siteId, key]);
+    if (result.affectedRows === 0) throw httpError(404, `${key} is not set`);
+    const file = await writeEnvFile(site, [...removed, key]);
+    return { ...await describe(site), ...file };
+};
+
+// Writes .env from the stored variables, e.g. after it was edited by hand
+const applyEnvFile = async (siteId) => {
+    const { site, removed } = await prepare(siteId);
+    if (site.status === 'DB_ONLY') throw httpError(409, 'This site has no web files');
+    const file = await writeEnvFile(site, removed);
+    return { ...await describe(site), ...file };
+};
+
+/**
+ * Renders .env again, e.g. after a deploy replaced the site folder. Sites that never used the
+ * variables manager are left alone.
+ */
+const syncEnvFile = async (siteId) => {
+    const site = await loadSiteWithOwner(siteId);
+    const [[{ count }]] = await pool.execute('SELECT COUNT(*) AS count FROM site_env_vars WHERE site_id = ?', [siteId]);
+    if (count === 0 || site.status === 'DB_ONLY') return null;
+    const removed = await refreshDatabaseKeys(site);
+    return writeEnvFile(site, removed);
+};
+
+module.exports = {
+    listEnv,
+    setEnv,
+    unsetEnv,
+    applyEnvFile,
+    syncEnvFile
+};
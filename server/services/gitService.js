@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { httpError } = require('../utils/helpers');
+const { GIT_BINARY, GIT_ALLOW_LOCAL_REPOS } = require('../config/paths');
+
+/**
+ * Git access for git-based deploys. Each site keeps a bare mirror of its branch next to its releases
+ * (`.releases/<site>/repo.git`); a deploy exports one commit with `git archive`, so release folders
+ * (and the live site Apache serves) never contain a `.git` directory.
+ */
+
+const GIT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_LISTED_COMMITS = 50;
+// Same cap as an uploaded site zip (middleware/upload.js)
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+
+// https/ssh/git transports and scp-style git@host:repo; local paths only when explicitly allowed
+const REMOTE_URL_PATTERN = /^(https?|ssh|git):\/\/[^\s]+$|^[\w.-]+@[\w.-]+:[^\s]+$/;
+const LOCAL_URL_PATTERN = /^file:\/\/\S+$|^(\/|[A-Za-z]:[\\/])\S*$/;
+const BRANCH_PATTERN = /^(?!-)(?!.*\.\.)(?!.*\/\/)(?!.*\.lock$)[A-Za-z0-9._\/-]+(?<![/.])$/;
+const SHA_PATTERN = /^[0-9a-f]{40}$/;
+
+const getRepoDir = (releasesDir) => path.join(releasesDir, 'repo.git');
+const getKeyPath = (releasesDir) => path.join(releasesDir, 'deploy_key');
+
+const validateRepoUrl = (url) => {
+    const value = String(url || '').trim();
+    if (!value) throw httpError(400, 'Repository URL is required');
+    if (REMOTE_URL_PATTERN.test(value)) return value;
+    if (LOCAL_URL_PATTERN.test(value)) {
+        if (GIT_ALLOW_LOCAL_REPOS) return value;
+        throw httpError(400, 'Local repository paths are disabled on this server');
+    }
+    throw httpError(400, 'Repository URL must be https://, ssh://, git:// or git@host:path');
+};
+
+const validateBranch = (branch) => {
+    const value = String(branch || '').trim() || 'main';
+    if (value.length > 255 || !BRANCH_PATTERN.test(value)) throw httpError(400, `"${value}" is not a valid branch name`);
+    return value;
+};
+
+const validateDeployKey = (key) => {
+    const value = String(key || '').replace(/\r\n/g, '\n').trim();
+    if (!/^-----BEGIN [A-Z ]*PRIVATE KEY-----\n[\s\S]+\n-----END [A-Z ]*PRIVATE KEY-----$/.test(value)) {
+        throw httpError(400, 'Deploy key must be a private key in PEM / OpenSSH format');
+    }
+    if (/ENCRYPTED/.test(value)) throw httpError(400, 'Deploy key must not be protected by a passphrase');
+    return `${value}\n`;
+};
+
+// Written next to the mirror, outside the web root; ssh refuses keys readable by others
+const saveDeployKey = (releasesDir, key) => {
+    fs.mkdirSync(releasesDir, { recursive: true });
+    const keyPath = getKeyPath(releasesDir);
+    fs.writeFileSync(keyPath, validateDeployKey(key), { mode: 0o600 });
+    fs.chmodSync(keyPath, 0o600);
+    return keyPath;
+};
+
+// Tenants must never borrow the panel's own identity: no ssh config, agent or default keys, only the site's key
+const gitEnv = (keyPath) => {
+    const { SSH_AUTH_SOCK, SSH_ASKPASS, ...env } = process.env;
+    const identity = keyPath && fs.existsSync(keyPath) ? `"${keyPath.replace(/\\/g, '/')}"` : 'none';
+    const noConfig = process.platform === 'win32' ? 'NUL' : '/dev/null';
+    return {
+        ...env,
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_ASKPASS: 'echo',
+        GIT_SSH_COMMAND: `ssh -F ${noConfig} -o IdentitiesOnly=yes -o IdentityFile=${identity} -o IdentityAgent=none `
+            + '-o StrictHostKeyChecking=accept-new -o BatchMode=yes'
+    };
+};
+
+/**
+ * Runs git without a shell. Resolves with stdout as a Buffer; a non-zero exit becomes a 422 with
+ * git's own message (credentials in URLs are masked). Output beyond `maxBytes` kills git with a 413.
+ * Credential helpers from the panel's git config are switched off for the same reason as in gitEnv.
+ */
+const runGit = (args, { cwd, keyPath, maxBytes = Infinity } = {}) => new Promise((resolve, reject) => {
+    const child = spawn(GIT_BINARY, ['-c', 'credential.helper=', ...args], { cwd, env: gitEnv(keyPath), windowsHide: true });
+    const command = args[0] === '--git-dir' ? args[2] : args[0];
+    const stdout = [];
+    const stderr = [];
+    let received = 0;
+    let tooLarge = false;
+    const timer = setTimeout(() => child.kill(), GIT_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => {
+        if (tooLarge) return;
+        received += chunk.length;
+        if (received > maxBytes) {
+            tooLarge = true;
+            stdout.length = 0;
+            child.kill();
+            return;
+        }
+        stdout.push(chunk);
+    });
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(httpError(500, `Could not run git (${GIT_BINARY}): ${err.message}`));
+    });
+    child.on('close', (code) => {
+        clearTimeout(timer);
+        if (tooLarge) return reject(httpError(413, `git ${command} output is larger than ${Math.round(maxBytes / (1024 * 1024))} MB`));
+        if (code === 0) return resolve(Buffer.concat(stdout));
+        const message = Buffer.concat(stderr).toString().trim().replace(/\/\/[^/@\s]+@/g, '//***@') || `exit code ${code}`;
+        reject(httpError(422, `git ${command} failed: ${message}`));
+    });
+});
+
+/**
+ * Fetches `branch` from `url` into the site's bare mirror (created on first use).
+ * @returns {Promise<string>} commit SHA at the tip of the branch
+ */
+const fetchBranch = async (releasesDir, { url, branch }) => {
+    const repoDir = getRepoDir(releasesDir);
+    if (!fs.existsSync(path.join(repoDir, 'HEAD'))) {
+        fs.mkdirSync(repoDir, { recursive: true });
+        await runGit(['init', '--bare', '--quiet', repoDir]);
+    }
+    // The URL is passed on every fetch rather than stored as a remote, so changing it needs no cleanup
+    await runGit(
+        ['--git-dir', repoDir, 'fetch', '--quiet', '--prune', '--no-tags', '--', url, `+refs/heads/${branch}:refs/heads/${branch}`],
+        { keyPath: getKeyPath(releasesDir) }
+    );
+    return resolveCommit(releasesDir, `refs/heads/${branch}`);
+};
+
+const resolveCommit = async (releasesDir, ref) => {
+    const out = await runGit(['--git-dir', getRepoDir(releasesDir), 'rev-parse', '--verify', `${ref}^{commit}`]);
+    return out.toString().trim();
+};
+
+/**
+ * Commits reachable from `to` but not from `from` (newest first); everything up to the limit when
+ * `from` is unknown or no longer in the mirror (e.g. after a force push).
+ */
+const listCommits = async (releasesDir, from, to, limit = MAX_LISTED_COMMITS) => {
+    const repoDir = getRepoDir(releasesDir);
+    let range = to;
+    if (from && SHA_PATTERN.test(from)) {
+        const known = await runGit(['--git-dir', repoDir, 'cat-file', '-e', `${from}^{commit}`]).then(() => true, () => false);
+        if (known) range = `${from}..${to}`;
+    }
+    const out = await runGit(['--git-dir', repoDir, 'log', `--max-count=${limit}`, '--format=%H%x1f%an%x1f%aI%x1f%s', range]);
+    return out.toString().split('\n').filter(Boolean).map((line) => {
+        const [sha, author, date, subject] = line.split('\x1f');
+        return { sha, shortSha: sha.slice(0, 7), author, date, subject };
+    });
+};
+
+// Unpacked size of one commit's files, known before any archive is built (submodules count as 0)
+const getTreeSize = async (releasesDir, sha) => {
+    const out = await runGit(['--git-dir', getRepoDir(releasesDir), 'ls-tree', '-r', '-l', '--full-tree', sha]);
+    return out.toString().split('\n').reduce((total, line) => {
+        const size = Number(line.split('\t')[0].split(/\s+/)[3]);
+        return Number.isFinite(size) ? total + size : total;
+    }, 0);
+};
+
+/**
+ * The tree of one commit as a zip buffer, ready for the regular release extraction.
+ * @param {number} treeBytes - getTreeSize of the commit, which callers already need for the quota check
+ */
+const archiveCommit = async (releasesDir, sha, treeBytes) => {
+    if (treeBytes > MAX_ARCHIVE_BYTES) {
+        throw httpError(413, `This commit has more than ${MAX_ARCHIVE_BYTES / (1024 * 1024)} MB of files`);
+    }
+    return runGit(['--git-dir', getRepoDir(releasesDir), 'archive', '--format=zip', sha], { maxBytes: MAX_ARCHIVE_BYTES });
+};
+
+module.exports = {
+    SHA_PATTERN,
+    getRepoDir,
+    getKeyPath,
+    validateRepoUrl,
+    validateBranch,
+    validateDeployKey,
+    saveDeployKey,
+    fetchBranch,
+    resolveCommit,
+    listCommits,
+    getTreeSize,
+    archiveCommit
+};
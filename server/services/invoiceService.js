@@ -0,0 +1,213 @@
+const pool = require('../db');
+const { httpError } = require('../utils/helpers');
+const { createPdfDocument } = require('../utils/pdfDocument');
+
+// Seller details printed on every invoice
+const COMPANY = {
+    name: process.env.COMPANY_NAME || 'KolabPanel',
+    address: process.env.COMPANY_ADDRESS || '',
+    email: process.env.COMPANY_EMAIL || '',
+    phone: process.env.COMPANY_PHONE || '',
+    taxId: process.env.COMPANY_TAX_ID || ''
+};
+
+const METHOD_LABELS = { BANK: 'Bank Transfer', QR: 'QRIS / E-Wallet' };
+const CYCLE_LABELS = { monthly: 'Monthly', yearly: 'Yearly' };
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const formatRupiah = (value) => {
+    const amount = Math.round(Number(value) || 0);
+    const digits = String(Math.abs(amount)).replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `${amount < 0 ? '-' : ''}Rp ${digits}`;
+};
+
+const formatDate = (value) => {
+    if (!value) return '-';
+    const date = new Date(value);
+    return `${date.getDate()} ${MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+};
+
+// Sequential by insert id, grouped by the month of issue: INV/2026/10/00042
+const formatInvoiceNumber = (id, issuedAt) => {
+    const date = new Date(issuedAt);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `INV/${date.getFullYear()}/${month}/${String(id).padStart(5, '0')}`;
+};
+
+const mapInvoice = (row) => ({
+    id: row.id,
+    number: row.number,
+    paymentId: row.payment_id,
+    userId: row.user_id,
+    customerName: row.customer_name,
+    customerEmail: row.customer_email,
+    plan: row.plan,
+    billingCycle: row.billing_cycle,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    originalAmount: Number(row.original_amount),
+    discountCode: row.discount_code,
+    discountAmount: Number(row.discount_amount),
+    uniqueCode: Number(row.unique_code),
+    amount: Number(row.amount),
+    method: row.method,
+    issuedAt: row.issued_at
+});
+
+const findInvoiceByPayment = async (paymentId) => {
+    const [rows] = await pool.execute('SELECT * FROM invoices WHERE payment_id = ?', [paymentId]);
+    return rows.length ? mapInvoice(rows[0]) : null;
+};
+
+/**
+ * Issues the invoice of a verified payment. Customer and billing details are copied at issue time,
+ * so later plan, price or profile changes do not alter it. Calling it again returns the same invoice.
+ */
+const createInvoiceForPayment = async (paymentId) => {
+    const existing = await findInvoiceByPayment(paymentId);
+    if (existing) return existing;
+
+    const [payments] = await pool.execute(
+        `SELECT p.*, u.username, u.email FROM payments p LEFT JOIN users u ON u.id = p.user_id WHERE p.id = ?`,
+        [paymentId]
+    );
+    if (payments.length === 0) throw httpError(404, 'Payment not found');
+    const payment = payments[0];
+    if (payment.status !== 'VERIFIED') throw httpError(409, 'Invoices are only issued for verified payments');
+
+    const [subs] = await pool.execute('SELECT starts_at, ends_at FROM subscriptions WHERE payment_id = ?', [paymentId]);
+    const period = subs[0] || {};
+    const originalAmount = payment.original_amount === null || payment.original_amount === undefined
+        ? Number(payment.amount)
+        : Number(payment.original_amount);
+
+    // The number comes from the insert id, so the row is inserted with a placeholder and numbered
+    // in the same transaction; nobody ever reads an invoice without its number
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const issuedAt = new Date();
+        const [result] = await connection.execute(
+            `INSERT INTO invoices (number, payment_id, user_id, customer_name, customer_email, plan, billing_cycle, period_start, period_end,
+                original_amount, discount_code, discount_amount, unique_code, amount, method, issued_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [`DRAFT-${paymentId}`.slice(0, 50), paymentId, payment.user_id, payment.username || null, payment.email || null, payment.plan, payment.billing_cycle || 'monthly',
+                period.starts_at || null, period.ends_at || null, originalAmount, payment.discount_code || null,
+                Number(payment.discount_amount) || 0, Number(payment.unique_code) || 0, Number(payment.amount), payment.method, issuedAt]
+        );
+        await connection.execute('UPDATE invoices SET number = ? WHERE id = ?', [formatInvoiceNumber(result.insertId, issuedAt), result.insertId]);
+        await connection.commit();
+    } catch (e) {
+        await connection.rollback().catch(() => {});
+        // Two verifications racing: the other one already issued it
+        if (e.code !== 'ER_DUP_ENTRY') throw e;
+    } finally {
+        connection.release();
+    }
+    return findInvoiceByPayment(paymentId);
+};
+
+const invoiceLines = (invoice) => {
+    const cycle = CYCLE_LABELS[invoice.billingCycle] || invoice.billingCycle;
+    const lines = [{ label: `${invoice.plan} plan - ${cycle}`, amount: invoice.originalAmount }];
+    if (invoice.discountAmount > 0) {
+        lines.push({ label: `Discount${invoice.discountCode ? ` (${invoice.discountCode})` : ''}`, amount: -invoice.discountAmount });
+    }
+    if (invoice.uniqueCode > 0) lines.push({ label: 'Unique transfer code', amount: invoice.uniqueCode });
+    return lines;
+};
+
+const companyLines = () => [COMPANY.address, COMPANY.email, COMPANY.phone, COMPANY.taxId && `NPWP: ${COMPANY.taxId}`].filter(Boolean);
+
+const renderInvoicePdf = (invoice) => {
+    const doc = createPdfDocument();
+    const left = 50;
+    const right = doc.width - 50;
+    const muted = '#64748b';
+
+    doc.text(left, 50, COMPANY.name, { size: 18, bold: true, color: '#4f46e5' });
+    companyLines().forEach((line, i) => doc.text(left, 74 + i * 13, line, { size: 9, color: muted }));
+
+    doc.text(right, 50, 'INVOICE', { size: 22, bold: true, align: 'right' });
+    doc.text(right, 78, invoice.number, { size: 10, align: 'right' });
+    doc.text(right, 92, `Issued ${formatDate(invoice.issuedAt)}`, { size: 9, color: muted, align: 'right' });
+    doc.rect(right - 52, 108, 52, 16, { fill: '#dcfce7' });
+    doc.text(right - 26, 112, 'PAID', { size: 9, bold: true, color: '#15803d', align: 'center' });
+
+    doc.line(left, 150, right, 150, { color: '#e2e8f0' });
+
+    doc.text(left, 165, 'BILLED TO', { size: 8, bold: true, color: muted });
+    doc.text(left, 178, invoice.customerName || invoice.userId, { size: 11, bold: true });
+    if (invoice.customerEmail) doc.text(left, 193, invoice.customerEmail, { size: 9, color: muted });
+
+    const detailsX = 330;
+    const details = [
+        ['Payment ID', invoice.paymentId],
+        ['Payment method', METHOD_LABELS[invoice.method] || invoice.method || '-'],
+        ['Period', invoice.periodStart ? `${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}` : '-']
+    ];
+    details.forEach(([label, value], i) => {
+        doc.text(detailsX, 165 + i * 15, label, { size: 9, color: muted });
+        doc.text(right, 165 + i * 15, value, { size: 9, align: 'right' });
+    });
+
+    let y = 240;
+    doc.rect(left, y, right - left, 22, { fill: '#f1f5f9' });
+    doc.text(left + 10, y + 7, 'DESCRIPTION', { size: 8, bold: true, color: muted });
+    doc.text(right - 10, y + 7, 'AMOUNT', { size: 8, bold: true, color: muted, align: 'right' });
+    y += 32;
+
+    for (const line of invoiceLines(invoice)) {
+        doc.text(left + 10, y, line.label, { size: 10 });
+        doc.text(right - 10, y, formatRupiah(line.amount), { size: 10, align: 'right' });
+        y += 20;
+        doc.line(left, y - 6, right, y - 6, { color: '#e2e8f0' });
+    }
+
+    y += 6;
+    doc.text(detailsX, y, 'Total paid', { size: 11, bold: true });
+    doc.text(right - 10, y, formatRupiah(invoice.amount), { size: 11, bold: true, align: 'right' });
+
+    doc.text(left, doc.height - 70, `Thank you for using ${COMPANY.name}.`, { size: 9, color: muted });
+    doc.text(left, doc.height - 56, 'This invoice was generated electronically and is valid without a signature.', { size: 8, color: muted });
+
+    return doc.toBuffer({ title: `Invoice ${invoice.number}`, author: COMPANY.name });
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Printable HTML version of the same invoice (the browser's "Save as PDF" gives an equivalent file)
+const renderInvoiceHtml = (invoice) => {
+    const rows = invoiceLines(invoice)
+        .map(l => `<tr><td>${escapeHtml(l.label)}</td><td class="num">${escapeHtml(formatRupiah(l.amount))}</td></tr>`)
+        .join('');
+    const period = invoice.periodStart ? `${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}` : '-';
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+body{font-family:Helvetica,Arial,sans-serif;color:#0f172a;max-width:720px;margin:40px auto;padding:0 24px}
+.muted{color:#64748b;font-size:12px}.head{display:flex;justify-content:space-between}
+h1{margin:0;color:#4f46e5}h2{margin:0;font-size:28px;text-align:right}
+table{width:100%;border-collapse:collapse;margin-top:24px}th{background:#f1f5f9;text-align:left;font-size:11px;color:#64748b;padding:8px}
+td{padding:8px;border-bottom:1px solid #e2e8f0}.num{text-align:right}.total td{font-weight:bold;border:none}
+</style></head><body>
+<div class="head"><div><h1>${escapeHtml(COMPANY.name)}</h1>${companyLines().map(l => `<div class="muted">${escapeHtml(l)}</div>`).join('')}</div>
+<div><h2>INVOICE</h2><div class="num">${escapeHtml(invoice.number)}</div><div class="muted num">Issued ${escapeHtml(formatDate(invoice.issuedAt))}</div></div></div>
+<hr>
+<div class="head"><div><div class="muted">BILLED TO</div><strong>${escapeHtml(invoice.customerName || invoice.userId)}</strong><div class="muted">${escapeHtml(invoice.customerEmail || '')}</div></div>
+<div class="muted">Payment ID: ${escapeHtml(invoice.paymentId)}<br>Payment method: ${escapeHtml(METHOD_LABELS[invoice.method] || invoice.method || '-')}<br>Period: ${escapeHtml(period)}</div></div>
+<table><thead><tr><th>DESCRIPTION</th><th class="num">AMOUNT</th></tr></thead><tbody>${rows}
+<tr class="total"><td class="num">Total paid</td><td class="num">${escapeHtml(formatRupiah(invoice.amount))}</td></tr></tbody></table>
+<p class="muted">Thank you for using ${escapeHtml(COMPANY.name)}.</p>
+</body></html>`;
+};
+
+module.exports = {
+    formatRupiah,
+    formatInvoiceNumber,
+    findInvoiceByPayment,
+    createInvoiceForPayment,
+    renderInvoicePdf,
+    renderInvoiceHtml
+};
@@ -0,0 +1,110 @@
+const pool = require('../db');
+const { httpError } = require('../utils/helpers');
+const subscriptions = require('./subscriptionService');
+const invoices = require('./invoiceService');
+const { sendTicketNotice } = require('./ticketNoticeService');
+
+// Only pending payments can be reviewed; a review is final
+const TRANSITIONS = {
+    PENDING: ['VERIFIED', 'REJECTED'],
+    VERIFIED: [],
+    REJECTED: []
+};
+const MAX_REASON_LENGTH = 500;
+
+const mapReview = (row) => ({
+    id: row.id,
+    userId: row.user_id,
+    plan: row.plan,
+    amount: Number(row.amount),
+    status: row.status,
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: row.reviewed_at || null,
+    rejectionReason: row.rejection_reason || null
+});
+
+/**
+ * Tells the user about the review through a support ticket, so it shows up in their inbox
+ * and they can reply to it (e.g. to contest a rejection).
+ */
+const notifyReview = async (payment, reviewerId) => {
+    const amount = `Rp ${Number(payment.amount).toLocaleString('id-ID')}`;
+    const verified = payment.status === 'VERIFIED';
+    const subject = `Payment ${payment.id} ${verified ? 'verified' : 'rejected'}`;
+    const text = verified
+        ? `Your payment of ${amount} for the ${payment.plan} plan has been verified. Your plan is now active and the invoice is available on the Billing page.`
+        : `Your payment of ${amount} for the ${payment.plan} plan was rejected.\n\nReason: ${payment.rejection_reason}\n\nReply to this ticket if you believe this is a mistake, or submit a new payment.`;
+    return sendTicketNotice(payment.user_id, subject, text, reviewerId);
+};
+
+/**
+ * Moves a pending payment to VERIFIED or REJECTED (rejections need a reason).
+ * Repeating the same decision is a no-op that returns the stored review; contradicting an earlier
+ * review is a 409. Verifying activates the plan and issues the invoice.
+ */
+const reviewPayment = async ({ paymentId, decision, reason, reviewerId }) => {
+    const status = String(decision || '').toUpperCase();
+    if (!TRANSITIONS.PENDING.includes(status)) throw httpError(400, 'Status must be VERIFIED or REJECTED');
+
+    const rejectionReason = typeof reason === 'string' ? reason.trim() : '';
+    if (status === 'REJECTED' && !rejectionReason) throw httpError(400, 'A reason is required to reject a payment');
+    if (rejectionReason.length > MAX_REASON_LENGTH) throw httpError(400, `Reason must be ${MAX_REASON_LENGTH} characters or less`);
+
+    const connection = await pool.getConnection();
+    let payment;
+    let changed = false;
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute('SELECT * FROM payments WHERE id = ? FOR UPDATE', [paymentId]);
+        if (rows.length === 0) throw httpError(404, 'Payment not found');
+        payment = rows[0];
+
+        if (payment.status !== status) {
+            const allowed = TRANSITIONS[payment.status] || [];
+            if (!allowed.includes(status)) {
+                throw httpError(409, `Payment is already ${String(payment.status).toLowerCase()} and cannot be ${status.toLowerCase()}`);
+            }
+            await connection.execute(
+                'UPDATE payments SET status = ?, reviewed_by = ?, reviewed_at = NOW(), rejection_reason = ? WHERE id = ?',
+                [status, reviewerId, status === 'REJECTED' ? rejectionReason : null, paymentId]
+            );
+            changed = true;
+        }
+        await connection.commit();
+    } catch (e) {
+        await connection.rollback().catch(() => {});
+        throw e;
+    } finally {
+        connection.release();
+    }
+
+    const [rows] = await pool.execute('SELECT * FROM payments WHERE id = ?', [paymentId]);
+    payment = rows[0];
+
+    // Both are idempotent, so a repeated verify also completes a review that failed halfway
+    let subscription = null;
+    let invoice = null;
+    if (status === 'VERIFIED') {
+        subscription = await subscriptions.activateFromPayment(paymentId);
+        invoice = await invoices.createInvoiceForPayment(paymentId);
+    }
+
+    let ticketId = null;
+    if (changed) {
+        ticketId = await notifyReview(payment, reviewerId).catch((err) => {
+            console.error(`[Payments] Review notice for ${paymentId} failed:`, err.message);
+            return null;
+        });
+    }
+
+    return {
+        payment: mapReview(payment),
+        alreadyReviewed: !changed,
+        subscription,
+        invoiceNumber: invoice ? invoice.number : null,
+        ticketId
+    };
+};
+
+module.exports = { TRANSITIONS, reviewPayment };
@@ -0,0 +1,150 @@
+const pool = require('../db');
+
+const MB = 1024 * 1024;
+
+const parseLimits = (raw) => {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return {};
+    }
+};
+
+/**
+ * Error raised when an action would exceed the user's plan.
+ * 402 when an upgrade would allow it, 403 when the plan does not include the resource at all.
+ */
+const quotaError = (resource, limit, used, message) => {
+    const err = new Error(message);
+    err.status = limit === 0 ? 403 : 402;
+    err.code = limit === 0 ? 'PLAN_FEATURE_UNAVAILABLE' : 'QUOTA_EXCEEDED';
+    err.quota = { resource, limit, used };
+    return err;
+};
+
+const isQuotaError = (e) => !!(e && e.quota);
+
+// Response body for quota violations, so the dashboard can show what ran out
+const sendQuotaError = (res, e) => res.status(e.status).json({ message: e.message, code: e.code, quota: e.quota });
+
+const getPlanLimits = async (planName) => {
+    const [plans] = await pool.execute('SELECT limits FROM plans WHERE name = ? LIMIT 1', [planName]);
+    return plans.length ? parseLimits(plans[0].limits) : {};
+};
+
+const getUserLimits = async (userId) => {
+    const [users] = await pool.execute('SELECT plan FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) return { plan: null, limits: {} };
+    return { plan: users[0].plan, limits: await getPlanLimits(users[0].plan) };
+};
+
+/**
+ * Storage used by a user in MB: deployed site files, the releases kept for rollback (with git
+ * mirrors) and stored database backups.
+ */
+const getStorageUsage = async (userId) => {
+    const [[sites]] = await pool.execute(
+        'SELECT COALESCE(SUM(storage_used), 0) AS used, COALESCE(SUM(releases_used), 0) AS releases FROM sites WHERE user_id = ?',
+        [userId]
+    );
+    const [[backups]] = await pool.execute(
+        "SELECT COALESCE(SUM(size_bytes), 0) AS used FROM database_backups WHERE user_id = ? AND status = 'COMPLETED'",
+        [userId]
+    );
+    const backupsMB = Number(backups.used) / MB;
+    const releasesMB = Number(sites.releases);
+    return { sitesMB: Number(sites.used), releasesMB, backupsMB, totalMB: Number(sites.used) + releasesMB + backupsMB };
+};
+
+// Detached databases (DB_ONLY) are not web sites any more, but their databases still count
+const countSites = async (userId) => {
+    const [[row]] = await pool.execute("SELECT COUNT(*) AS total FROM sites WHERE user_id = ? AND status <> 'DB_ONLY'", [userId]);
+    return Number(row.total);
+};
+
+const countDatabases = async (userId) => {
+    const [[row]] = await pool.execute(
+        'SELECT COUNT(*) AS total FROM `databases` d JOIN sites s ON s.id = d.site_id WHERE s.user_id = ?',
+        [userId]
+    );
+    return Number(row.total);
+};
+
+const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+const limitOf = (limits, key) => (limits[key] === undefined || limits[key] === null ? null : Number(limits[key]));
+
+/**
+ * Plan limits, current usage and what is left, as shown on the dashboard.
+ * A `null` limit means the plan does not restrict that resource.
+ */
+const getQuota = async (userId) => {
+    const { plan, limits } = await getUserLimits(userId);
+    const [sites, databases, storage] = await Promise.all([countSites(userId), countDatabases(userId), getStorageUsage(userId)]);
+
+    const limit = { sites: limitOf(limits, 'sites'), storageMB: limitOf(limits, 'storage'), databases: limitOf(limits, 'databases') };
+    return {
+        plan,
+        limits: limit,
+        usage: { sites, databases, storageMB: storage.totalMB, sitesStorageMB: storage.sitesMB, releasesMB: storage.releasesMB, backupsMB: storage.backupsMB },
+        remaining: {
+            sites: remaining(limit.sites, sites),
+            databases: remaining(limit.databases, databases),
+            storageMB: remaining(limit.storageMB, storage.totalMB)
+        }
+    };
+};
+
+const assertCanCreateSite = async (userId) => {
+    const { limits } = await getUserLimits(userId);
+    const limit = limitOf(limits, 'sites');
+    if (limit === null) return;
+
+    const used = await countSites(userId);
+    if (used >= limit) {
+        throw quotaError('sites', limit, used, limit === 0
+            ? 'Your plan does not include hosting sites'
+            : `Your plan allows ${limit} site${limit === 1 ? '' : 's'}. Upgrade your plan to deploy more`);
+    }
+};
+
+const assertCanCreateDatabase = async (userId) => {
+    const { limits } = await getUserLimits(userId);
+    const limit = limitOf(limits, 'databases');
+    if (limit === null) return;
+
+    const used = await countDatabases(userId);
+    if (used >= limit) {
+        throw quotaError('databases', limit, used, limit === 0
+            ? 'Your plan does not include private databases. Upgrade your plan to create one'
+            : `Your plan allows ${limit} database${limit === 1 ? '' : 's'}. Upgrade your plan to create more`);
+    }
+};
+
+/**
+ * Throws when storing `additionalBytes` more would go over the plan's storage limit.
+ */
+const assertStorageAvailable = async (userId, additionalBytes) => {
+    const { limits } = await getUserLimits(userId);
+    const limit = limitOf(limits, 'storage');
+    if (limit === null) return;
+
+    const { totalMB } = await getStorageUsage(userId);
+    if (totalMB + Math.max(0, additionalBytes) / MB > limit) {
+        throw quotaError('storage', limit, Number(totalMB.toFixed(2)),
+            `Storage limit of ${limit} MB reached (${totalMB.toFixed(1)} MB used). Free up space or upgrade your plan`);
+    }
+};
+
+module.exports = {
+    getPlanLimits,
+    getStorageUsage,
+    getQuota,
+    assertCanCreateSite,
+    assertCanCreateDatabase,
+    assertStorageAvailable,
+    quotaError,
+    isQuotaError,
+    sendQuotaError
+};
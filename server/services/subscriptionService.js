@@ -0,0 +1,289 @@
+const pool = require('../db');
+const { httpError } = require('../utils/helpers');
+const { getPlanLimits } = require('./quotaService');
+const { sendTicketNotice } = require('./ticketNoticeService');
+
+// Plan everyone falls back to when a paid period ends
+const DEFAULT_PLAN = 'Basic';
+const BILLING_CYCLES = { monthly: 1, yearly: 12 };
+const REMINDER_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Marks sites suspended by a downgrade, so an upgrade only brings those back
+const PLAN_LIMIT_REASON = 'PLAN_LIMIT';
+
+const normalizeCycle = (cycle) => {
+    const value = String(cycle || 'monthly').toLowerCase();
+    if (!BILLING_CYCLES[value]) throw httpError(400, `Billing cycle must be one of: ${Object.keys(BILLING_CYCLES).join(', ')}`);
+    return value;
+};
+
+// Same day of month N months later, clamped to the month's last day (Jan 31 + 1 month = Feb 28/29)
+const addCycle = (from, cycle) => {
+    const months = BILLING_CYCLES[cycle];
+    const date = new Date(from);
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return date;
+};
+
+const daysUntil = (date, now = new Date()) => (date ? Math.max(0, Math.ceil((new Date(date) - now) / DAY_MS)) : null);
+
+const mapSubscription = (row) => ({
+    id: row.id,
+    userId: row.user_id,
+    plan: row.plan,
+    billingCycle: row.billing_cycle,
+    status: row.status,
+    paymentId: row.payment_id,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    daysRemaining: row.status === 'ACTIVE' ? daysUntil(row.ends_at) : 0
+});
+
+const getActiveSubscription = async (userId, db = pool) => {
+    const [rows] = await db.execute(
+        "SELECT * FROM subscriptions WHERE user_id = ? AND status = 'ACTIVE' ORDER BY ends_at DESC LIMIT 1",
+        [userId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Current plan and period of a user, plus past subscriptions (newest first).
+ * Users on the default plan have no period and `current` is null.
+ */
+const getSubscriptionOverview = async (userId) => {
+    const [users] = await pool.execute('SELECT plan, plan_expires_at FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) throw httpError(404, 'User not found');
+
+    const [rows] = await pool.execute('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY starts_at DESC LIMIT 20', [userId]);
+    const active = rows.find(r => r.status === 'ACTIVE');
+    return {
+        plan: users[0].plan,
+        expiresAt: users[0].plan_expires_at,
+        daysRemaining: daysUntil(users[0].plan_expires_at),
+        current: active ? mapSubscription(active) : null,
+        history: rows.map(mapSubscription)
+    };
+};
+
+/**
+ * Brings back sites that a downgrade suspended, as far as the user's (new) plan allows.
+ */
+const restoreSuspendedSites = async (userId) => {
+    const [users] = await pool.execute('SELECT plan FROM users WHERE id = ?', [userId]);
+    const limits = await getPlanLimits(users[0]?.plan);
+    const maxSites = limits.sites === undefined ? Infinity : Number(limits.sites);
+
+    const [[{ total }]] = await pool.execute("SELECT COUNT(*) AS total FROM sites WHERE user_id = ? AND status = 'ACTIVE'", [userId]);
+    const slots = maxSites - Number(total);
+    if (slots <= 0) return 0;
+
+    const [suspended] = await pool.execute(
+        "SELECT id FROM sites WHERE user_id = ? AND status = 'SUSPENDED' AND suspended_reason = ? ORDER BY created_at ASC",
+        [userId, PLAN_LIMIT_REASON]
+    );
+    const restore = suspended.slice(0, slots);
+    for (const site of restore) {
+        await pool.execute("UPDATE sites SET status = 'ACTIVE', suspended_reason = NULL WHERE id = ?", [site.id]);
+    }
+    return restore.length;
+};
+
+/**
+ * Starts (or renews) the subscription paid for by a verified payment and switches the user's plan.
+ * Paying for the plan the user already has extends the current period; another plan starts a new
+ * period today and replaces the old one.
+ */
+const activateFromPayment = async (paymentId) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [payments] = await connection.execute('SELECT * FROM payments WHERE id = ? FOR UPDATE', [paymentId]);
+        if (payments.length === 0) throw httpError(404, 'Payment not found');
+        const payment = payments[0];
+
+        // A payment only ever buys one period
+        const [existing] = await connection.execute('SELECT * FROM subscriptions WHERE payment_id = ?', [paymentId]);
+        if (existing.length) {
+            await connection.commit();
+            return mapSubscription(existing[0]);
+        }
+
+        const cycle = normalizeCycle(payment.billing_cycle);
+        const current = await getActiveSubscription(payment.user_id, connection);
+        const now = new Date();
+
+        // Renewals stack on top of the time still left
+        let periodFrom = now;
+        if (current && current.plan === payment.plan && new Date(current.ends_at) > now) {
+            periodFrom = new Date(current.ends_at);
+        }
+        const endsAt = addCycle(periodFrom, cycle);
+
+        if (current) {
+            const status = current.plan === payment.plan ? 'RENEWED' : 'REPLACED';
+            await connection.execute('UPDATE subscriptions SET status = ? WHERE id = ?', [status, current.id]);
+        }
+
+        const id = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
+        await connection.execute(
+            `INSERT INTO subscriptions (id, user_id, plan, billing_cycle, status, payment_id, starts_at, ends_at)
+             VALUES (?, ?, ?, ?, 'ACTIVE', ?, ?, ?)`,
+            [id, payment.user_id, payment.plan, cycle, paymentId, periodFrom, endsAt]
+        );
+        await connection.execute('UPDATE users SET plan = ?, plan_expires_at = ? WHERE id = ?', [payment.plan, endsAt, payment.user_id]);
+
+        await connection.commit();
+
+        await restoreSuspendedSites(payment.user_id);
+        const [rows] = await pool.execute('SELECT * FROM subscriptions WHERE id = ?', [id]);
+        return mapSubscription(rows[0]);
+    } catch (e) {
+        await connection.rollback().catch(() => {});
+        throw e;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Suspends the newest sites that no longer fit the user's plan (site count, then storage).
+ * The oldest sites are kept running.
+ */
+const suspendSitesOverLimit = async (userId) => {
+    const [users] = await pool.execute('SELECT plan FROM users WHERE id = ?', [userId]);
+    const limits = await getPlanLimits(users[0]?.plan);
+    const maxSites = limits.sites === undefined ? Infinity : Number(limits.sites);
+    const maxStorage = limits.storage === undefined ? Infinity : Number(limits.storage);
+
+    const [sites] = await pool.execute(
+        "SELECT id, name, storage_used FROM sites WHERE user_id = ? AND status = 'ACTIVE' ORDER BY created_at ASC",
+        [userId]
+    );
+
+    let kept = 0;
+    let storage = 0;
+    const suspended = [];
+    for (const site of sites) {
+        const size = Number(site.storage_used) || 0;
+        if (kept < maxSites && storage + size <= maxStorage) {
+            kept++;
+            storage += size;
+            continue;
+        }
+        await pool.execute("UPDATE sites SET status = 'SUSPENDED', suspended_reason = ? WHERE id = ?", [PLAN_LIMIT_REASON, site.id]);
+        suspended.push(site.name);
+    }
+    return suspended;
+};
+
+// Delivered as a support ticket, so users who are offline still see it; open dashboard tabs also get it live
+const notifyUser = async (io, userId, subject, payload) => {
+    await sendTicketNotice(userId, subject, payload.message);
+    if (io) io.to(`user:${userId}`).emit('subscription_notice', payload);
+};
+
+/**
+ * Daily housekeeping: reminds users whose plan ends soon, and moves expired users back to the
+ * default plan, suspending the sites that no longer fit.
+ */
+const processSubscriptions = async ({ io = null } = {}) => {
+    const result = { reminded: 0, downgraded: 0, suspendedSites: 0 };
+
+    const [dueSoon] = await pool.execute(
+        `SELECT * FROM subscriptions
+         WHERE status = 'ACTIVE' AND reminder_sent_at IS NULL
+           AND ends_at > NOW() AND ends_at <= DATE_ADD(NOW(), INTERVAL ? DAY)`,
+        [REMINDER_DAYS]
+    );
+    for (const sub of dueSoon) {
+        const days = daysUntil(sub.ends_at);
+        try {
+            await notifyUser(io, sub.user_id, `Your ${sub.plan} plan ends soon`, {
+                type: 'RENEWAL_REMINDER',
+                plan: sub.plan,
+                endsAt: sub.ends_at,
+                daysRemaining: days,
+                message: `Your ${sub.plan} plan ends in ${days} day${days === 1 ? '' : 's'}. Renew it to keep your current limits.`
+            });
+        } catch (err) {
+            // Left unmarked, so the next daily run tries again
+            console.error(`[Subscription] Reminder for ${sub.id} failed:`, err.message);
+            continue;
+        }
+        await pool.execute('UPDATE subscriptions SET reminder_sent_at = NOW() WHERE id = ?', [sub.id]);
+        result.reminded++;
+    }
+
+    // plan_expires_at is the source of truth, so users upgraded before subscriptions existed expire too
+    const [expired] = await pool.execute(
+        'SELECT id, plan FROM users WHERE plan <> ? AND plan_expires_at IS NOT NULL AND plan_expires_at <= NOW()',
+        [DEFAULT_PLAN]
+    );
+    for (const user of expired) {
+        await pool.execute("UPDATE subscriptions SET status = 'EXPIRED' WHERE user_id = ? AND status = 'ACTIVE'", [user.id]);
+        await pool.execute('UPDATE users SET plan = ?, plan_expires_at = NULL WHERE id = ?', [DEFAULT_PLAN, user.id]);
+
+        const suspended = await suspendSitesOverLimit(user.id);
+        result.downgraded++;
+        result.suspendedSites += suspended.length;
+
+        await notifyUser(io, user.id, `Your ${user.plan} plan has expired`, {
+            type: 'PLAN_EXPIRED',
+            plan: user.plan,
+            suspendedSites: suspended,
+            message: `Your ${user.plan} plan has expired and your account is now on ${DEFAULT_PLAN}.` +
+                (suspended.length ? ` Suspended sites over the ${DEFAULT_PLAN} limits: ${suspended.join(', ')}.` : '')
+        }).catch(err => console.error(`[Subscription] Expiry notice for ${user.id} failed:`, err.message));
+        console.log(`[Subscription] User ${user.id} downgraded from ${user.plan} to ${DEFAULT_PLAN} (${suspended.length} sites suspended)`);
+    }
+
+    return result;
+};
+
+let schedulerRunning = false;
+let lastRunDay = null;
+
+// Checked hourly, but the work runs once per calendar day
+const runDailySubscriptionJob = async (options) => {
+    const today = new Date().toDateString();
+    if (schedulerRunning || lastRunDay === today) return;
+    schedulerRunning = true;
+    try {
+        const result = await processSubscriptions(options);
+        lastRunDay = today;
+        if (result.reminded || result.downgraded) console.log('[Subscription] Daily run:', result);
+    } catch (err) {
+        console.error('[Subscription] Daily run failed:', err.message);
+    } finally {
+        schedulerRunning = false;
+    }
+};
+
+const startSubscriptionScheduler = (options = {}) => {
+    runDailySubscriptionJob(options);
+    const timer = setInterval(() => runDailySubscriptionJob(options), SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    console.log('[Subscription] Scheduler started (daily expiry check)');
+    return timer;
+};
+
+module.exports = {
+    DEFAULT_PLAN,
+    BILLING_CYCLES,
+    normalizeCycle,
+    addCycle,
+    getSubscriptionOverview,
+    activateFromPayment,
+    suspendSitesOverLimit,
+    restoreSuspendedSites,
+    processSubscriptions,
+    startSubscriptionScheduler
+};
@@ -0,0 +1,36 @@
+const pool = require('../db');
+
+/**
+ * Notices the panel sends users as support tickets: they wait in the user's inbox until read, even
+ * when nobody was online when they were sent, and the user can reply to them.
+ */
+
+/**
+ * Opens a ticket for `userId` whose first message is `text`, sent as support.
+ * @param {string|null} [senderId] - admin behind the notice; null for automatic ones ("Support Agent")
+ * @returns {Promise<string>} ticket id
+ */
+const sendTicketNotice = async (userId, subject, text, senderId = null) => {
+    const ticketId = `t_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.execute(
+            'INSERT INTO tickets (id, user_id, subject, status, created_at, last_message_at) VALUES (?, ?, ?, "OPEN", NOW(), NOW())',
+            [ticketId, userId, subject]
+        );
+        await connection.execute(
+            'INSERT INTO messages (id, ticket_id, sender_id, text, timestamp, is_admin) VALUES (?, ?, ?, ?, NOW(), TRUE)',
+            [`m_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`, ticketId, senderId, text]
+        );
+        await connection.commit();
+        return ticketId;
+    } catch (err) {
+        await connection.rollback().catch(() => {});
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = { sendTicketNotice };
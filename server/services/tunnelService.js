@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { httpError, createSerialQueue } = require('../utils/helpers');
+const {
+    normalizeHostname,
+    validateTunnelHostname,
+    validateTunnelService,
+    renderTunnelConfig
+} = require('../utils/tunnelConfig');
+const { getSiteHostname } = require('./apacheService');
+const {
+    CLOUDFLARED_CONFIG_PATH,
+    CLOUDFLARED_TUNNEL_ID,
+    CLOUDFLARED_CREDENTIALS_FILE,
+    CLOUDFLARED_CATCHALL,
+    TUNNEL_SITE_SERVICE
+} = require('../config/paths');
+
+/**
+ * The `tunnels` table is the source of truth; config.yml is rendered from it after every change.
+ * Routes created for deployed sites carry their site_id so they follow the site's host name and
+ * disappear with it. Nothing here talks to Cloudflare: cloudflared picks the file up on restart.
+ */
+
+// Serialises config writes so two route changes cannot interleave
+const withWriteLock = createSerialQueue();
+
+const mapTunnel = (row) => ({
+    hostname: row.hostname,
+    service: row.service,
+    siteId: row.site_id || null,
+    createdAt: row.created_at
+});
+
+const listTunnels = async () => {
+    const [rows] = await pool.execute('SELECT * FROM tunnels ORDER BY created_at DESC');
+    return rows.map(mapTunnel);
+};
+
+const getDomainNames = async () => {
+    const [rows] = await pool.execute('SELECT name FROM domains');
+    return rows.map(r => r.name).filter(Boolean);
+};
+
+const assertValidRoute = async (hostname, service) => {
+    const error = validateTunnelHostname(hostname, await getDomainNames()) || validateTunnelService(service);
+    if (error) throw httpError(400, error);
+};
+
+const renderConfig = async () => {
+    const [rows] = await pool.execute('SELECT hostname, service FROM tunnels');
+    const content = renderTunnelConfig({
+        routes: rows,
+        tunnel: CLOUDFLARED_TUNNEL_ID,
+        credentialsFile: CLOUDFLARED_CREDENTIALS_FILE,
+        catchAll: CLOUDFLARED_CATCHALL
+    });
+    return { content, routes: rows.length };
+};
+
+const getConfig = async () => {
+    const { content, routes } = await renderConfig();
+    const onDisk = fs.existsSync(CLOUDFLARED_CONFIG_PATH) ? fs.readFileSync(CLOUDFLARED_CONFIG_PATH, 'utf8') : null;
+    return { path: CLOUDFLARED_CONFIG_PATH, content, routes, inSync: onDisk === content };
+};
+
+// Writes config.yml via a temp file (cloudflared never sees half a file); the old one is kept as .bak
+const writeConfig = () => withWriteLock(async () => {
+    const { content, routes } = await renderConfig();
+    fs.mkdirSync(path.dirname(CLOUDFLARED_CONFIG_PATH), { recursive: true });
+    if (fs.existsSync(CLOUDFLARED_CONFIG_PATH)) fs.copyFileSync(CLOUDFLARED_CONFIG_PATH, `${CLOUDFLARED_CONFIG_PATH}.bak`);
+
+    const tempPath = `${CLOUDFLARED_CONFIG_PATH}.tmp-${Date.now()}`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, CLOUDFLARED_CONFIG_PATH);
+    return { path: CLOUDFLARED_CONFIG_PATH, routes };
+});
+
+// The table change has already happened; a failed write is reported and can be retried from the API
+const syncConfig = () => writeConfig()
+    .then(config => ({ config }))
+    .catch((err) => {
+        console.error('[Tunnels] Writing cloudflared config failed:', err.message);
+        return { configError: err.message };
+    });
+
+const createTunnel = async ({ hostname, service }) => {
+    const host = normalizeHostname(hostname);
+    const target = String(service || '').trim();
+    await assertValidRoute(host, target);
+    try {
+        await pool.execute('INSERT INTO tunnels (hostname, service) VALUES (?, ?)', [host, target]);
+    } catch (e) {
+        if (e.code === 'ER_DUP_ENTRY') throw httpError(409, `A route for ${host} already exists`);
+        throw e;
+    }
+    return syncConfig();
+};
+
+const updateTunnel = async ({ hostname, newHostname, service }) => {
+    const host = normalizeHostname(hostname);
+    const nextHost = normalizeHostname(newHostname || hostname);
+    const target = String(service || '').trim();
+    await assertValidRoute(nextHost, target);
+    try {
+        const [result] = await pool.execute(
+            'UPDATE tunnels SET hostname = ?, service = ? WHERE hostname = ?',
+            [nextHost, target, host]
+        );
+        if (result.affectedRows === 0) throw httpError(404, `No route for ${host}`);
+    } catch (e) {
+        if (e.code === 'ER_DUP_ENTRY') throw httpError(409, `A route for ${nextHost} already exists`);
+        throw e;
+    }
+    return syncConfig();
+};
+
+const deleteTunnel = async (hostname) => {
+    const host = normalizeHostname(hostname);
+    const [result] = await pool.execute('DELETE FROM tunnels WHERE hostname = ?', [host]);
+    if (result.affectedRows === 0) throw httpError(404, `No route for ${host}`);
+    return syncConfig();
+};
+
+/**
+ * Makes sure a deployed site is reachable through the tunnel under its host name. A route the
+ * admin already created for that host is left alone; the site's previous route (old subdomain)
+ * is dropped.
+ */
+const ensureSiteTunnel = async (siteId) => {
+    const [sites] = await pool.execute('SELECT id, subdomain FROM sites WHERE id = ?', [siteId]);
+    if (sites.length === 0) throw httpError(404, 'Site not found');
+    const hostname = await getSiteHostname(sites[0]);
+
+    const error = validateTunnelHostname(hostname, await getDomainNames());
+    if (error) throw httpError(400, error);
+
+    const [existing] = await pool.execute('SELECT * FROM tunnels WHERE hostname = ?', [hostname]);
+    if (existing.length && existing[0].site_id && existing[0].site_id !== siteId) {
+        throw httpError(409, `${hostname} is already routed to another site`);
+    }
+    await pool.execute('DELETE FROM tunnels WHERE site_id = ? AND hostname <> ?', [siteId, hostname]);
+    let created = false;
+    if (existing.length === 0) {
+        await pool.execute(
+            'INSERT INTO tunnels (hostname, service, site_id) VALUES (?, ?, ?)',
+            [hostname, TUNNEL_SITE_SERVICE, siteId]
+        );
+        created = true;
+    }
+
+    const service = existing.length ? existing[0].service : TUNNEL_SITE_SERVICE;
+    return { hostname, service, created, ...await syncConfig() };
+};
+
+const removeSiteTunnels = async (siteId) => {
+    const [result] = await pool.execute('DELETE FROM tunnels WHERE site_id = ?', [siteId]);
+    if (result.affectedRows === 0) return { removed: 0 };
+    return { removed: result.affectedRows, ...await syncConfig() };
+};
+
+module.exports = {
+    listTunnels,
+    getConfig,
+    writeConfig,
+    createTunnel,
+    updateTunnel,
+    deleteTunnel,
+    ensureSiteTunnel,
+    removeSiteTunnels
+};
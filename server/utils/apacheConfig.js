@@ -0,0 +1,339 @@
+/**
+ * Apache config helpers: static validation, run before anything is written to disk, and a
+ * line-preserving parser/editor for VirtualHost blocks.
+ * Validation catches the mistakes that would stop Apache from starting (unbalanced sections,
+ * stray closing tags, malformed directives); `httpd -t` is still the final word when configured.
+ */
+
+const crypto = require('crypto');
+const { httpError } = require('./helpers');
+
+const SECTION_OPEN = /^<\s*([A-Za-z][\w.-]*)(\s[^>]*)?>\s*$/;
+const SECTION_CLOSE = /^<\/\s*([A-Za-z][\w.-]*)\s*>\s*$/;
+
+// Joins "\"-continued lines, keeping the number of the line each logical line starts on
+const logicalLines = (content) => {
+    const result = [];
+    let buffer = '';
+    let startLine = 0;
+    content.split(/\r?\n/).forEach((raw, i) => {
+        if (!buffer) startLine = i + 1;
+        if (raw.endsWith('\\')) {
+            buffer += raw.slice(0, -1) + ' ';
+            return;
+        }
+        result.push({ line: startLine, text: (buffer + raw).trim() });
+        buffer = '';
+    });
+    if (buffer) result.push({ line: startLine, text: buffer.trim() });
+    return result;
+};
+
+/**
+ * @param {string} content
+ * @param {{ requireVirtualHost?: boolean, requireServerName?: boolean, allowEmpty?: boolean }} [options] - site files
+ *   must define a VirtualHost, new ones also a ServerName; a shared vhosts file may be empty once its last site is removed
+ * @returns {string[]} problems, each prefixed with its line number; empty when the config looks valid
+ */
+const validateApacheConfig = (content, { requireVirtualHost = false, requireServerName = false, allowEmpty = false } = {}) => {
+    const errors = [];
+    if (typeof content !== 'string') return ['Config must be text'];
+    if (!content.trim()) return allowEmpty ? [] : ['Config is empty'];
+    if (content.includes('\0')) return ['Config contains a NUL byte'];
+
+    const stack = [];
+    let virtualHosts = 0;
+    let currentVhost = null;
+
+    for (const { line, text } of logicalLines(content)) {
+        if (!text || text.startsWith('#')) continue;
+
+        if (text.startsWith('</')) {
+            const match = text.match(SECTION_CLOSE);
+            if (!match) {
+                errors.push(`line ${line}: malformed closing tag "${text}"`);
+                continue;
+            }
+            const open = stack.pop();
+            if (!open) {
+                errors.push(`line ${line}: </${match[1]}> has no matching opening tag`);
+            } else if (open.name.toLowerCase() !== match[1].toLowerCase()) {
+                errors.push(`line ${line}: </${match[1]}> closes <${open.name}> opened on line ${open.line}`);
+            }
+            if (open && open.name.toLowerCase() === 'virtualhost' && currentVhost) {
+                if (!currentVhost.hasServerName && requireServerName) {
+                    errors.push(`line ${currentVhost.line}: <VirtualHost> has no ServerName`);
+                }
+                currentVhost = null;
+            }
+            continue;
+        }
+
+        if (text.startsWith('<')) {
+            const match = text.match(SECTION_OPEN);
+            if (!match) {
+                errors.push(`line ${line}: malformed section tag "${text}"`);
+                continue;
+            }
+            const name = match[1];
+            if (name.toLowerCase() === 'virtualhost') {
+                if (currentVhost) errors.push(`line ${line}: <VirtualHost> cannot be nested`);
+                if (!match[2] || !match[2].trim()) errors.push(`line ${line}: <VirtualHost> needs an address, e.g. <VirtualHost *:80>`);
+                virtualHosts++;
+                currentVhost = { line, hasServerName: false };
+            }
+            stack.push({ name, line });
+            continue;
+        }
+
+        const [directive, ...args] = text.split(/\s+/);
+        if (!/^[A-Za-z][\w-]*$/.test(directive)) {
+            errors.push(`line ${line}: "${directive}" is not a directive name`);
+            continue;
+        }
+        if (currentVhost && directive.toLowerCase() === 'servername') {
+            if (!args.length) errors.push(`line ${line}: ServerName needs a host name`);
+            currentVhost.hasServerName = true;
+        }
+    }
+
+    for (const open of stack.reverse()) errors.push(`line ${open.line}: <${open.name}> is never closed`);
+    if (requireVirtualHost && virtualHosts === 0) errors.push('No <VirtualHost> section found');
+    return errors;
+};
+
+
+// --- Parser ---
+
+const SITE_BEGIN = /^# BEGIN KolabPanel site (\S+)$/;
+const SITE_END = /^# END KolabPanel site (\S+)$/;
+
+// Splits directive arguments, honouring "double quoted" values
+const splitArgs = (text) => {
+    const args = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text))) args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+    return args;
+};
+
+const formatArg = (value, quote = false) => {
+    const text = String(value);
+    return quote || /[\s"]/.test(text) || text === '' ? `"${text.replace(/(["\\])/g, '\\$1')}"` : text;
+};
+
+/**
+ * Parses config text into a tree of sections and directives. Every node keeps the physical line
+ * range it came from (`start`/`end`, 0-based, inclusive), so edits can replace exactly those lines
+ * and leave comments, blank lines and formatting elsewhere untouched.
+ */
+const parseApacheConfig = (content) => {
+    const lines = String(content || '').split(/\r?\n/);
+    const root = { type: 'section', name: '', args: [], children: [], start: 0, end: lines.length - 1 };
+    const stack = [root];
+
+    for (let i = 0; i < lines.length; i++) {
+        const start = i;
+        let text = lines[i];
+        while (text.endsWith('\\') && i + 1 < lines.length) text = text.slice(0, -1) + ' ' + lines[++i];
+        const trimmed = text.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        const indent = lines[start].match(/^\s*/)[0];
+        const parent = stack[stack.length - 1];
+
+        const close = trimmed.match(SECTION_CLOSE);
+        if (close) {
+            if (stack.length > 1) {
+                parent.end = i;
+                stack.pop();
+            }
+            continue;
+        }
+        const open = trimmed.match(SECTION_OPEN);
+        if (open) {
+            const section = { type: 'section', name: open[1], args: splitArgs(open[2] || ''), children: [], start, end: i, indent };
+            parent.children.push(section);
+            stack.push(section);
+            continue;
+        }
+        const [name] = trimmed.split(/\s+/, 1);
+        parent.children.push({
+            type: 'directive', name, args: splitArgs(trimmed.slice(name.length)), start, end: i, indent,
+            quoted: trimmed.slice(name.length).trim().startsWith('"')
+        });
+    }
+    return { lines, eol: String(content || '').includes('\r\n') ? '\r\n' : '\n', root };
+};
+
+const isNamed = (node, name) => node.name.toLowerCase() === name.toLowerCase();
+const directivesNamed = (section, name) => section.children.filter(n => n.type === 'directive' && isNamed(n, name));
+const firstArg = (section, name) => directivesNamed(section, name)[0]?.args[0] ?? null;
+
+// VirtualHost sections at any depth (they may sit inside <IfModule> or <IfDefine>)
+const findVhostSections = (section, found = []) => {
+    for (const node of section.children) {
+        if (node.type !== 'section') continue;
+        if (isNamed(node, 'VirtualHost')) found.push(node);
+        else findVhostSections(node, found);
+    }
+    return found;
+};
+
+// The KolabPanel markers around a generated vhost, if any (comment lines directly above/below it)
+const findSiteMarkers = (lines, vhost) => {
+    let begin = vhost.start - 1;
+    while (begin >= 0 && lines[begin].trim().startsWith('#') && !SITE_BEGIN.test(lines[begin].trim())) begin--;
+    const beginMatch = begin >= 0 ? lines[begin].trim().match(SITE_BEGIN) : null;
+    const endMatch = (lines[vhost.end + 1] || '').trim().match(SITE_END);
+    if (!beginMatch || !endMatch || beginMatch[1] !== endMatch[1]) return null;
+    return { siteId: beginMatch[1], start: begin, end: vhost.end + 1 };
+};
+
+const describeVhost = (parsed, vhost, index) => {
+    const raw = parsed.lines.slice(vhost.start, vhost.end + 1).join('\n');
+    const markers = findSiteMarkers(parsed.lines, vhost);
+    const pairs = (name) => directivesNamed(vhost, name).map(d => ({ path: d.args[0] ?? null, url: d.args[1] ?? null }));
+
+    return {
+        index,
+        address: vhost.args.join(' '),
+        serverName: firstArg(vhost, 'ServerName'),
+        serverAliases: directivesNamed(vhost, 'ServerAlias').flatMap(d => d.args),
+        documentRoot: firstArg(vhost, 'DocumentRoot'),
+        directories: vhost.children
+            .filter(n => n.type === 'section' && /^directory(match)?$/i.test(n.name))
+            .map(d => ({
+                path: d.args[0] ?? null,
+                directives: d.children.filter(n => n.type === 'directive').map(n => ({ name: n.name, args: n.args }))
+            })),
+        proxyPass: pairs('ProxyPass'),
+        proxyPassReverse: pairs('ProxyPassReverse'),
+        directives: vhost.children.filter(n => n.type === 'directive').map(n => ({ name: n.name, args: n.args })),
+        siteId: markers ? markers.siteId : null,
+        startLine: vhost.start + 1,
+        endLine: vhost.end + 1,
+        // Lets a client detect that the block changed since it was read
+        checksum: crypto.createHash('sha1').update(raw).digest('hex').slice(0, 12),
+        raw
+    };
+};
+
+/**
+ * @returns {object[]} every VirtualHost of the config as a structured object (see describeVhost)
+ */
+const listVhosts = (content) => {
+    const parsed = parseApacheConfig(content);
+    return findVhostSections(parsed.root).map((vhost, i) => describeVhost(parsed, vhost, i));
+};
+
+// --- Editor ---
+
+const applyEdits = (parsed, edits) => {
+    const lines = [...parsed.lines];
+    // Bottom-up, so earlier line numbers stay valid; an insert lands before a replaced line at the same spot
+    edits
+        .sort((a, b) => b.start - a.start || (a.insert ? 1 : 0) - (b.insert ? 1 : 0))
+        .forEach(edit => lines.splice(edit.start, edit.insert ? 0 : edit.end - edit.start + 1, ...edit.lines));
+    return lines.join(parsed.eol);
+};
+
+const getVhostSection = (parsed, index) => {
+    const vhost = findVhostSections(parsed.root)[index];
+    if (!vhost) throw httpError(404, `VirtualHost #${index} not found`);
+    return vhost;
+};
+
+/**
+ * Rewrites the directive lines of one vhost from structured changes. Only the lines of changed
+ * directives are touched; new directives go after the vhost's last directive, indented like it.
+ *
+ * Supported changes: address, serverName, serverAliases[], documentRoot (a <Directory> for the old
+ * root follows it), proxyPass[] and proxyPassReverse[] ({ path, url }). `null`/[] removes.
+ */
+const updateVhost = (content, index, changes) => {
+    const parsed = parseApacheConfig(content);
+    const vhost = getVhostSection(parsed, index);
+    const edits = [];
+
+    const directives = vhost.children.filter(n => n.type === 'directive');
+    const innerIndent = vhost.children[0]?.indent ?? `${vhost.indent}    `;
+    const lastDirective = directives[directives.length - 1];
+    const insertAt = lastDirective ? lastDirective.end + 1 : vhost.start + 1;
+
+    // Replaces every `name` line with one line per entry of `values` (each an args array)
+    const setDirective = (name, values, { quote = false, after } = {}) => {
+        const existing = directivesNamed(vhost, name);
+        const indent = existing[0]?.indent ?? innerIndent;
+        const useQuotes = quote || existing.some(d => d.quoted);
+        const newLines = values.map(args => `${indent}${existing[0]?.name || name} ${args.map(a => formatArg(a, useQuotes)).join(' ')}`);
+
+        if (existing.length) {
+            edits.push({ start: existing[0].start, end: existing[0].end, lines: newLines });
+            existing.slice(1).forEach(d => edits.push({ start: d.start, end: d.end, lines: [] }));
+        } else if (newLines.length) {
+            const anchor = after && directivesNamed(vhost, after)[0];
+            edits.push({ start: anchor ? anchor.end + 1 : insertAt, insert: true, lines: newLines });
+        }
+    };
+
+    if (changes.address !== undefined) {
+        if (!String(changes.address || '').trim()) throw httpError(400, 'VirtualHost address is required');
+        edits.push({ start: vhost.start, end: vhost.start, lines: [`${vhost.indent}<VirtualHost ${String(changes.address).trim()}>`] });
+    }
+    if (changes.serverName !== undefined) setDirective('ServerName', changes.serverName ? [[changes.serverName]] : []);
+    if (changes.serverAliases !== undefined) {
+        const aliases = (changes.serverAliases || []).filter(Boolean);
+        setDirective('ServerAlias', aliases.length ? [aliases] : [], { after: 'ServerName' });
+    }
+    if (changes.documentRoot !== undefined) {
+        const oldRoot = firstArg(vhost, 'DocumentRoot');
+        setDirective('DocumentRoot', changes.documentRoot ? [[changes.documentRoot]] : [], { quote: true });
+
+        const directory = vhost.children.find(n => n.type === 'section' && isNamed(n, 'Directory') && n.args[0] === oldRoot);
+        if (directory && oldRoot && changes.documentRoot) {
+            edits.push({ start: directory.start, end: directory.start, lines: [`${directory.indent}<${directory.name} ${formatArg(changes.documentRoot, true)}>`] });
+        }
+    }
+    for (const [key, name] of [['proxyPass', 'ProxyPass'], ['proxyPassReverse', 'ProxyPassReverse']]) {
+        if (changes[key] === undefined) continue;
+        const entries = changes[key] || [];
+        if (!Array.isArray(entries) || entries.some(e => !e || !e.path || !e.url)) {
+            throw httpError(400, `${key} must be a list of { path, url }`);
+        }
+        setDirective(name, entries.map(e => [e.path, e.url]), { after: name === 'ProxyPassReverse' ? 'ProxyPass' : undefined });
+    }
+
+    return applyEdits(parsed, edits);
+};
+
+// Swaps one vhost for new raw text (which must hold exactly one VirtualHost)
+const replaceVhost = (content, index, raw) => {
+    const parsed = parseApacheConfig(content);
+    const vhost = getVhostSection(parsed, index);
+    if (findVhostSections(parseApacheConfig(raw).root).length !== 1) {
+        throw httpError(400, 'The replacement must contain exactly one <VirtualHost> section');
+    }
+    return applyEdits(parsed, [{ start: vhost.start, end: vhost.end, lines: String(raw).replace(/\s+$/, '').split(/\r?\n/) }]);
+};
+
+// Removes one vhost, with the KolabPanel markers around it when it was generated
+const removeVhost = (content, index) => {
+    const parsed = parseApacheConfig(content);
+    const vhost = getVhostSection(parsed, index);
+    const markers = findSiteMarkers(parsed.lines, vhost);
+    let start = markers ? markers.start : vhost.start;
+    const end = markers ? markers.end : vhost.end;
+    // Take the blank line that separated it from the previous block too
+    if (start > 0 && !parsed.lines[start - 1].trim() && !(parsed.lines[end + 1] || '').trim()) start--;
+    return applyEdits(parsed, [{ start, end, lines: [] }]);
+};
+
+module.exports = {
+    validateApacheConfig,
+    parseApacheConfig,
+    listVhosts,
+    updateVhost,
+    replaceVhost,
+    removeVhost
+};
@@ -0,0 +1,225 @@
+const pool = require('../db');
+
+// Helper to resolve DB Name from siteId or databaseId
+const getDbName = async (params) => {
+    const { siteId, databaseId } = params;
+    
+    if (databaseId) {
+        const [dbs] = await pool.execute('SELECT db_name FROM `databases` WHERE id = ?', [databaseId]);
+        return dbs.length ? dbs[0].db_name : null;
+    }
+    
+    if (siteId) {
+        // Find database linked to this site
+        const [dbs] = await pool.execute('SELECT db_name FROM `databases` WHERE site_id = ?', [siteId]);
+        return dbs.length ? dbs[0].db_name : null;
+    }
+    
+    return null;
+};
+
+// Same shape the table browser already receives from SHOW COLUMNS
+const mapColumn = (c) => ({
+    name: c.COLUMN_NAME,
+    type: c.COLUMN_TYPE,
+    dataType: c.DATA_TYPE,
+    collation: c.COLLATION_NAME,
+    null: c.IS_NULLABLE,
+    key: c.COLUMN_KEY,
+    default: c.COLUMN_DEFAULT,
+    extra: c.EXTRA
+});
+
+/**
+ * Reads a table definition from information_schema so identifiers coming from
+ * the client can be checked against the real schema before they reach SQL.
+ *
+ * @returns {Promise<{ name: string, columns: Object[], primaryKey: string[] } | null>} null when the table does not exist
+ */
+const describeTable = async (dbName, tableName) => {
+    if (!tableName) return null;
+
+    const [columns] = await pool.execute(
+        `SELECT COLUMN_NAME, COLUMN_TYPE, DATA_TYPE, COLLATION_NAME, IS_NULLABLE, COLUMN_KEY, COLUMN_DEFAULT, EXTRA
+         FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+         ORDER BY ORDINAL_POSITION`,
+        [dbName, tableName]
+    );
+    if (columns.length === 0) return null;
+
+    const [pk] = await pool.execute(
+        `SELECT COLUMN_NAME FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = 'PRIMARY'
+         ORDER BY SEQ_IN_INDEX`,
+        [dbName, tableName]
+    );
+
+    return {
+        name: tableName,
+        columns: columns.map(mapColumn),
+        primaryKey: pk.map(k => k.COLUMN_NAME)
+    };
+};
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+    (groups[row[key]] = groups[row[key]] || []).push(row);
+    return groups;
+}, {});
+
+// STATISTICS has one row per index column; fold them into one entry per index
+const mapIndexes = (rows) => Object.values(groupBy(rows, 'INDEX_NAME')).map(parts => ({
+    name: parts[0].INDEX_NAME,
+    primary: parts[0].INDEX_NAME === 'PRIMARY',
+    unique: Number(parts[0].NON_UNIQUE) === 0,
+    type: parts[0].INDEX_TYPE,
+    columns: parts
+        .sort((a, b) => a.SEQ_IN_INDEX - b.SEQ_IN_INDEX)
+        .map(p => ({ name: p.COLUMN_NAME, length: p.SUB_PART, order: p.COLLATION === 'D' ? 'desc' : 'asc' }))
+}));
+
+// Same shape the schema designer accepts when adding a foreign key
+const mapForeignKeys = (rows) => Object.values(groupBy(rows, 'CONSTRAINT_NAME')).map((parts) => {
+    const ordered = parts.sort((a, b) => a.ORDINAL_POSITION - b.ORDINAL_POSITION);
+    return {
+        name: ordered[0].CONSTRAINT_NAME,
+        columns: ordered.map(p => p.COLUMN_NAME),
+        references: {
+            schema: ordered[0].REFERENCED_TABLE_SCHEMA,
+            table: ordered[0].REFERENCED_TABLE_NAME,
+            columns: ordered.map(p => p.REFERENCED_COLUMN_NAME)
+        },
+        onUpdate: ordered[0].UPDATE_RULE,
+        onDelete: ordered[0].DELETE_RULE
+    };
+});
+
+/**
+ * Full schema of a database for the ER diagram: tables with columns, indexes, foreign keys
+ * and size estimates, plus a flat list of relationships between tables.
+ *
+ * Everything comes from four information_schema queries regardless of the table count.
+ * Row counts are InnoDB estimates (TABLE_ROWS), not exact COUNT(*) values.
+ */
+const loadSchema = async (dbName) => {
+    const [[tables], [columns], [statistics], [foreignKeys]] = await Promise.all([
+        pool.execute(
+            `SELECT TABLE_NAME, TABLE_TYPE, ENGINE, TABLE_ROWS, AVG_ROW_LENGTH, DATA_LENGTH, INDEX_LENGTH,
+                    AUTO_INCREMENT, TABLE_COLLATION, TABLE_COMMENT, CREATE_TIME, UPDATE_TIME
+             FROM information_schema.TABLES
+             WHERE TABLE_SCHEMA = ?
+             ORDER BY TABLE_NAME`,
+            [dbName]
+        ),
+        pool.execute(
+            `SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, DATA_TYPE, COLLATION_NAME, IS_NULLABLE, COLUMN_KEY,
+                    COLUMN_DEFAULT, EXTRA, COLUMN_COMMENT
+             FROM information_schema.COLUMNS
+             WHERE TABLE_SCHEMA = ?
+             ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+            [dbName]
+        ),
+        pool.execute(
+            `SELECT TABLE_NAME, INDEX_NAME, NON_UNIQUE, SEQ_IN_INDEX, COLUMN_NAME, SUB_PART, COLLATION, INDEX_TYPE
+             FROM information_schema.STATISTICS
+             WHERE TABLE_SCHEMA = ?
+             ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX`,
+            [dbName]
+        ),
+        pool.execute(
+            `SELECT k.TABLE_NAME, k.CONSTRAINT_NAME, k.COLUMN_NAME, k.ORDINAL_POSITION,
+                    k.REFERENCED_TABLE_SCHEMA, k.REFERENCED_TABLE_NAME, k.REFERENCED_COLUMN_NAME,
+                    r.UPDATE_RULE, r.DELETE_RULE
+             FROM information_schema.KEY_COLUMN_USAGE k
+             JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+               ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME AND r.TABLE_NAME = k.TABLE_NAME
+             WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL
+             ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION`,
+            [dbName]
+        )
+    ]);
+
+    const columnsByTable = groupBy(columns, 'TABLE_NAME');
+    const indexesByTable = groupBy(statistics, 'TABLE_NAME');
+    const fksByTable = groupBy(foreignKeys, 'TABLE_NAME');
+
+    const result = tables.map((t) => {
+        const dataSize = Number(t.DATA_LENGTH) || 0;
+        const indexSize = Number(t.INDEX_LENGTH) || 0;
+        const indexes = mapIndexes(indexesByTable[t.TABLE_NAME] || []);
+        const primary = indexes.find(i => i.primary);
+
+        return {
+            tableName: t.TABLE_NAME,
+            type: t.TABLE_TYPE === 'VIEW' ? 'VIEW' : 'TABLE',
+            engine: t.ENGINE,
+            collation: t.TABLE_COLLATION,
+            comment: t.TABLE_COMMENT || '',
+            columns: (columnsByTable[t.TABLE_NAME] || []).map(c => ({
+                ...mapColumn(c),
+                nullable: c.IS_NULLABLE === 'YES',
+                comment: c.COLUMN_COMMENT || ''
+            })),
+            primaryKey: primary ? primary.columns.map(c => c.name) : [],
+            indexes,
+            foreignKeys: mapForeignKeys(fksByTable[t.TABLE_NAME] || []),
+            stats: {
+                rowsEstimate: Number(t.TABLE_ROWS) || 0,
+                avgRowLength: Number(t.AVG_ROW_LENGTH) || 0,
+                dataSize,
+                indexSize,
+                totalSize: dataSize + indexSize,
+                autoIncrement: t.AUTO_INCREMENT === null ? null : Number(t.AUTO_INCREMENT),
+                createdAt: t.CREATE_TIME,
+                updatedAt: t.UPDATE_TIME
+            }
+        };
+    });
+
+    // A foreign key covered exactly by a unique index can match at most one row on each side
+    const relationships = [];
+    result.forEach((table) => {
+        table.foreignKeys.forEach((fk) => {
+            const oneToOne = table.indexes.some(i => i.unique
+                && i.columns.length === fk.columns.length
+                && i.columns.every(c => fk.columns.includes(c.name)));
+            relationships.push({
+                name: fk.name,
+                source: table.tableName,
+                sourceColumns: fk.columns,
+                target: fk.references.table,
+                targetColumns: fk.references.columns,
+                crossDatabase: fk.references.schema !== dbName,
+                cardinality: oneToOne ? '1:1' : 'N:1',
+                onDelete: fk.onDelete,
+                onUpdate: fk.onUpdate
+            });
+        });
+    });
+
+    return { database: dbName, tables: result, relationships };
+};
+
+// Index and foreign key names of one table, used to validate DROP requests
+const listConstraintNames = async (dbName, tableName) => {
+    const [indexes] = await pool.execute(
+        'SELECT DISTINCT INDEX_NAME FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?',
+        [dbName, tableName]
+    );
+    const [foreignKeys] = await pool.execute(
+        `SELECT CONSTRAINT_NAME FROM information_schema.TABLE_CONSTRAINTS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+        [dbName, tableName]
+    );
+    return {
+        indexes: indexes.map(i => i.INDEX_NAME),
+        foreignKeys: foreignKeys.map(f => f.CONSTRAINT_NAME)
+    };
+};
+
+module.exports = {
+    getDbName,
+    describeTable,
+    listConstraintNames,
+    loadSchema
+};
@@ -0,0 +1,218 @@
+const mysql = require('mysql2');
+const { httpError } = require('./helpers');
+
+// New identifiers created through the designer; existing ones are checked against information_schema instead
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]{0,63}$/;
+
+const INTEGER_TYPES = ['TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'BIGINT'];
+const FLOAT_TYPES = ['FLOAT', 'DOUBLE'];
+const STRING_TYPES = ['CHAR', 'VARCHAR', 'BINARY', 'VARBINARY'];
+const LOB_TYPES = ['TINYTEXT', 'TEXT', 'MEDIUMTEXT', 'LONGTEXT', 'TINYBLOB', 'BLOB', 'MEDIUMBLOB', 'LONGBLOB', 'JSON'];
+const TEMPORAL_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP', 'TIME', 'YEAR'];
+const LIST_TYPES = ['ENUM', 'SET'];
+const COLUMN_TYPES = [...INTEGER_TYPES, ...FLOAT_TYPES, 'DECIMAL', 'BOOLEAN', ...STRING_TYPES, ...LOB_TYPES, ...TEMPORAL_TYPES, ...LIST_TYPES];
+
+const INDEX_TYPES = { INDEX: 'INDEX', UNIQUE: 'UNIQUE INDEX', FULLTEXT: 'FULLTEXT INDEX', PRIMARY: 'PRIMARY KEY' };
+const FK_ACTIONS = ['RESTRICT', 'CASCADE', 'SET NULL', 'NO ACTION', 'SET DEFAULT'];
+const ENGINES = ['InnoDB', 'MyISAM'];
+
+const identifier = (name, label) => {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+        throw httpError(400, `Invalid ${label} name '${name}'. Use letters, digits and underscores (max 64 characters), not starting with a digit`);
+    }
+    return mysql.escapeId(name);
+};
+
+const integerIn = (value, min, max, label) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) throw httpError(400, `${label} must be an integer between ${min} and ${max}`);
+    return n;
+};
+
+const collation = (value) => {
+    if (!/^[a-z0-9]+_[a-z0-9_]+$/i.test(value)) throw httpError(400, `Invalid collation '${value}'`);
+    return value;
+};
+
+// e.g. VARCHAR(255), DECIMAL(10,2), ENUM('a','b'), INT UNSIGNED
+const columnType = (column) => {
+    const type = String(column.type || '').toUpperCase();
+    const label = `Column '${column.name}'`;
+    if (!COLUMN_TYPES.includes(type)) throw httpError(400, `${label} has unsupported type '${column.type}'`);
+
+    let sql = type;
+    if (type === 'BOOLEAN') return 'TINYINT(1)';
+
+    if (INTEGER_TYPES.includes(type) && column.length !== undefined) {
+        sql += `(${integerIn(column.length, 1, 255, `${label} display width`)})`;
+    } else if (type === 'DECIMAL') {
+        const precision = integerIn(column.length ?? 10, 1, 65, `${label} precision`);
+        const scale = integerIn(column.scale ?? 0, 0, Math.min(30, precision), `${label} scale`);
+        sql += `(${precision},${scale})`;
+    } else if (STRING_TYPES.includes(type)) {
+        const max = type.startsWith('VAR') ? 65535 : 255;
+        if (type.startsWith('VAR') && column.length === undefined) throw httpError(400, `${label} needs a length`);
+        sql += `(${integerIn(column.length ?? 1, 1, max, `${label} length`)})`;
+    } else if (['DATETIME', 'TIMESTAMP', 'TIME'].includes(type) && column.length !== undefined) {
+        sql += `(${integerIn(column.length, 0, 6, `${label} fractional seconds`)})`;
+    } else if (LIST_TYPES.includes(type)) {
+        if (!Array.isArray(column.values) || column.values.length === 0) throw httpError(400, `${label} needs a non-empty 'values' list`);
+        sql += `(${column.values.map(v => mysql.escape(String(v))).join(',')})`;
+    }
+
+    if (column.unsigned) {
+        if (![...INTEGER_TYPES, ...FLOAT_TYPES, 'DECIMAL'].includes(type)) throw httpError(400, `${label}: only numeric columns can be unsigned`);
+        sql += ' UNSIGNED';
+    }
+    return sql;
+};
+
+const columnDefault = (column, type) => {
+    const value = column.default;
+    if (value === undefined) return '';
+    if (value === null) {
+        if (column.nullable === false) throw httpError(400, `Column '${column.name}' is NOT NULL and cannot default to NULL`);
+        return ' DEFAULT NULL';
+    }
+    if (typeof value === 'object') {
+        // Only CURRENT_TIMESTAMP is accepted as an expression default
+        if (String(value.expression || '').toUpperCase() !== 'CURRENT_TIMESTAMP' || !['DATETIME', 'TIMESTAMP'].includes(type)) {
+            throw httpError(400, `Column '${column.name}': only DATETIME/TIMESTAMP columns accept a CURRENT_TIMESTAMP default`);
+        }
+        return column.length ? ` DEFAULT CURRENT_TIMESTAMP(${column.length})` : ' DEFAULT CURRENT_TIMESTAMP';
+    }
+    if (LOB_TYPES.includes(type)) throw httpError(400, `Column '${column.name}': ${type} columns cannot have a literal default`);
+    return ` DEFAULT ${mysql.escape(typeof value === 'boolean' ? Number(value) : value)}`;
+};
+
+/**
+ * Column definition as used by CREATE TABLE / ADD COLUMN / CHANGE COLUMN.
+ *
+ * Spec: `{ name, type, length?, scale?, values?, unsigned?, nullable? (default true),
+ *          default?: literal | null | { expression: 'CURRENT_TIMESTAMP' },
+ *          onUpdateCurrentTimestamp?, autoIncrement?, collation?, comment? }`
+ */
+const columnDefinition = (column) => {
+    if (!column || typeof column !== 'object') throw httpError(400, 'Column definition must be an object');
+    const type = String(column.type || '').toUpperCase();
+
+    let sql = `${identifier(column.name, 'column')} ${columnType(column)}`;
+    if (column.collation) {
+        if (![...STRING_TYPES, ...LOB_TYPES, ...LIST_TYPES].includes(type) || /BLOB|BINARY|JSON/.test(type)) {
+            throw httpError(400, `Column '${column.name}': collation only applies to text columns`);
+        }
+        sql += ` COLLATE ${collation(column.collation)}`;
+    }
+    sql += column.nullable === false || column.autoIncrement ? ' NOT NULL' : ' NULL';
+    sql += columnDefault(column, type);
+    if (column.onUpdateCurrentTimestamp) {
+        if (!['DATETIME', 'TIMESTAMP'].includes(type)) throw httpError(400, `Column '${column.name}': ON UPDATE CURRENT_TIMESTAMP needs DATETIME or TIMESTAMP`);
+        sql += column.length ? ` ON UPDATE CURRENT_TIMESTAMP(${column.length})` : ' ON UPDATE CURRENT_TIMESTAMP';
+    }
+    if (column.autoIncrement) {
+        if (!INTEGER_TYPES.includes(type)) throw httpError(400, `Column '${column.name}': only integer columns can auto-increment`);
+        sql += ' AUTO_INCREMENT';
+    }
+    if (column.comment) sql += ` COMMENT ${mysql.escape(String(column.comment))}`;
+    return sql;
+};
+
+// Index parts: 'col' or { name: 'col', length?: n, order?: 'asc' | 'desc' }
+const indexParts = (columns, label) => {
+    if (!Array.isArray(columns) || columns.length === 0) throw httpError(400, `${label} needs at least one column`);
+    return columns.map((part) => {
+        const spec = typeof part === 'string' ? { name: part } : (part || {});
+        let sql = mysql.escapeId(String(spec.name));
+        if (spec.length !== undefined) sql += `(${integerIn(spec.length, 1, 3072, `${label} prefix length`)})`;
+        if (spec.order) sql += String(spec.order).toLowerCase() === 'desc' ? ' DESC' : ' ASC';
+        return sql;
+    }).join(', ');
+};
+
+const indexColumnNames = (columns) => (columns || []).map(part => (typeof part === 'string' ? part : part && part.name));
+
+/**
+ * Index definition, without the leading ADD.
+ * Spec: `{ name?, type?: 'INDEX' | 'UNIQUE' | 'FULLTEXT' | 'PRIMARY', columns: [...] }`
+ */
+const indexDefinition = (index) => {
+    const type = String(index.type || 'INDEX').toUpperCase();
+    if (!INDEX_TYPES[type]) throw httpError(400, `Unsupported index type '${index.type}'`);
+
+    const parts = indexParts(index.columns, `Index '${index.name || type}'`);
+    if (type === 'PRIMARY') return `PRIMARY KEY (${parts})`;
+    return `${INDEX_TYPES[type]}${index.name ? ` ${identifier(index.name, 'index')}` : ''} (${parts})`;
+};
+
+/**
+ * Foreign key definition, without the leading ADD. The referenced table is in the same database
+ * and is qualified explicitly, since the pool's default database is the panel's own.
+ * Spec: `{ name?, columns: [...], references: { table, columns: [...] }, onDelete?, onUpdate? }`
+ */
+const foreignKeyDefinition = (dbName, fk) => {
+    const ref = fk.references || {};
+    if (!Array.isArray(fk.columns) || fk.columns.length === 0) throw httpError(400, 'Foreign key needs at least one column');
+    if (!Array.isArray(ref.columns) || ref.columns.length !== fk.columns.length) {
+        throw httpError(400, 'Foreign key must reference the same number of columns it declares');
+    }
+
+    const action = (value, clause) => {
+        if (!value) return '';
+        const normalized = String(value).toUpperCase().replace(/_/g, ' ');
+        if (!FK_ACTIONS.includes(normalized)) throw httpError(400, `Unsupported ${clause} action '${value}'`);
+        return ` ${clause} ${normalized}`;
+    };
+
+    return `${fk.name ? `CONSTRAINT ${identifier(fk.name, 'constraint')} ` : ''}FOREIGN KEY (${fk.columns.map(c => mysql.escapeId(String(c))).join(', ')})`
+        + ` REFERENCES ${mysql.escapeId(dbName)}.${mysql.escapeId(String(ref.table))} (${ref.columns.map(c => mysql.escapeId(String(c))).join(', ')})`
+        + action(fk.onDelete, 'ON DELETE') + action(fk.onUpdate, 'ON UPDATE');
+};
+
+/**
+ * CREATE TABLE statement for a full table spec:
+ * `{ name, columns: [...], primaryKey?: [...], indexes?: [...], foreignKeys?: [...], engine?, collation?, comment? }`
+ */
+const createTableSql = (dbName, spec) => {
+    if (!Array.isArray(spec.columns) || spec.columns.length === 0) throw httpError(400, 'A table needs at least one column');
+
+    const names = spec.columns.map(c => c && c.name);
+    const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+    if (duplicate) throw httpError(400, `Duplicate column '${duplicate}'`);
+
+    const checkColumns = (list, label) => indexColumnNames(list).forEach((c) => {
+        if (!names.includes(c)) throw httpError(400, `${label} references unknown column '${c}'`);
+    });
+
+    const lines = spec.columns.map(columnDefinition);
+    if (spec.primaryKey && spec.primaryKey.length) {
+        checkColumns(spec.primaryKey, 'Primary key');
+        lines.push(indexDefinition({ type: 'PRIMARY', columns: spec.primaryKey }));
+    }
+    (spec.indexes || []).forEach((index) => {
+        checkColumns(index.columns, `Index '${index.name || ''}'`);
+        lines.push(indexDefinition(index));
+    });
+    (spec.foreignKeys || []).forEach((fk) => {
+        checkColumns(fk.columns, 'Foreign key');
+        lines.push(foreignKeyDefinition(dbName, fk));
+    });
+
+    const engine = spec.engine || 'InnoDB';
+    if (!ENGINES.includes(engine)) throw httpError(400, `Unsupported engine '${spec.engine}'`);
+
+    let options = `ENGINE=${engine} DEFAULT CHARSET=utf8mb4 COLLATE=${collation(spec.collation || 'utf8mb4_unicode_ci')}`;
+    if (spec.comment) options += ` COMMENT=${mysql.escape(String(spec.comment))}`;
+
+    return `CREATE TABLE ${mysql.escapeId(dbName)}.${identifier(spec.name, 'table')} (\n  ${lines.join(',\n  ')}\n) ${options}`;
+};
+
+module.exports = {
+    IDENTIFIER_PATTERN,
+    COLUMN_TYPES,
+    identifier,
+    columnDefinition,
+    indexDefinition,
+    indexColumnNames,
+    foreignKeyDefinition,
+    createTableSql
+};
@@ -0,0 +1,106 @@
+/**
+ * Reads and edits `.env` files line by line, so comments, blank lines and the order of keys survive
+ * an update. Understands what phpdotenv (Laravel) and the `dotenv` package both accept: `export`
+ * prefixes, inline comments, single quotes (literal) and double quotes (escapes, may span lines).
+ */
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+const LINE_PATTERN = /^(\s*)(export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)$/;
+const PLAIN_VALUE = /^[A-Za-z0-9_./:@+,-]*$/;
+
+const unescapeDouble = (value) => value.replace(/\\([nrt"\\])/g, (_, c) => ({ n: '\n', r: '\r', t: '\t' }[c] || c));
+
+// Index of the closing quote in `text`, skipping backslash-escaped ones in double quotes
+const findClosingQuote = (text, quote, from) => {
+    for (let i = from; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') { i++; continue; }
+        if (text[i] === quote) return i;
+    }
+    return -1;
+};
+
+/**
+ * @param {string} content
+ * @returns {{ lines: string[], eol: string, entries: { name: string, value: string, start: number, end: number, exported: boolean }[] }}
+ */
+const parseEnvFile = (content) => {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(LINE_PATTERN);
+        if (!match) continue;
+        const [, , exported, name, rest] = match;
+        const start = i;
+        let value;
+
+        const quote = rest[0] === '"' || rest[0] === "'" ? rest[0] : null;
+        if (quote) {
+            let text = rest;
+            let close = findClosingQuote(text, quote, 1);
+            // Double-quoted values may continue on the following lines
+            while (close === -1 && quote === '"' && i + 1 < lines.length) {
+                i++;
+                text += `\n${lines[i]}`;
+                close = findClosingQuote(text, quote, 1);
+            }
+            const inner = close === -1 ? text.slice(1) : text.slice(1, close);
+            value = quote === '"' ? unescapeDouble(inner) : inner;
+        } else {
+            value = rest.replace(/\s+#.*$/, '').trim();
+        }
+        entries.push({ name, value, start, end: i, exported: !!exported });
+    }
+    return { lines, eol, entries };
+};
+
+// Plain when safe, single quotes when that needs no escaping, otherwise double quotes
+const formatEnvValue = (value) => {
+    const text = String(value ?? '');
+    if (PLAIN_VALUE.test(text)) return text;
+    if (!/['\n\r]/.test(text)) return `'${text}'`;
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+};
+
+/**
+ * Sets and removes keys in an existing `.env` text. Keys already present are rewritten in place
+ * (every occurrence), new ones are appended; anything else is left as it was.
+ * @param {string} content - current file content ('' for a new file)
+ * @param {Record<string, string>} values
+ * @param {string[]} [removed]
+ * @returns {string}
+ */
+const updateEnvFile = (content, values, removed = []) => {
+    const { lines, eol, entries } = parseEnvFile(content);
+    const drop = new Set(removed);
+    const seen = new Set();
+    // Own keys only: `constructor` or `toString` in a .env must not match Object.prototype
+    const has = name => Object.prototype.hasOwnProperty.call(values, name);
+
+    // Bottom-up, so earlier line numbers stay valid
+    for (const entry of [...entries].reverse()) {
+        const count = entry.end - entry.start + 1;
+        if (drop.has(entry.name) && !has(entry.name)) {
+            lines.splice(entry.start, count);
+        } else if (has(entry.name)) {
+            const indent = lines[entry.start].match(/^\s*/)[0];
+            lines.splice(entry.start, count, `${indent}${entry.exported ? 'export ' : ''}${entry.name}=${formatEnvValue(values[entry.name])}`);
+            seen.add(entry.name);
+        }
+    }
+
+    const added = Object.keys(values).filter(name => !seen.has(name));
+    if (added.length) {
+        while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+        lines.push(...added.map(name => `${name}=${formatEnvValue(values[name])}`), '');
+    }
+    return lines.join(eol);
+};
+
+module.exports = {
+    NAME_PATTERN,
+    parseEnvFile,
+    formatEnvValue,
+    updateEnvFile
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Looks at a deployed file tree and works out which framework it is, so the vhost template and
+ * build pipeline do not depend on what was picked in the deploy form. Names are the `Framework`
+ * enum values from types.ts.
+ */
+
+const FRAMEWORKS = {
+    LARAVEL: 'Laravel',
+    NEXTJS: 'Next.js',
+    REACT: 'React',
+    NODEJS: 'Node.js',
+    PHP: 'PHP Native',
+    HTML: 'HTML Static'
+};
+
+// Added by archivers (macOS Finder, Windows Explorer) and meaningless on the server
+const JUNK_ENTRIES = new Set(['__MACOSX', '.DS_Store', 'Thumbs.db', 'desktop.ini']);
+
+const readJson = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Zips made by right-clicking a project folder contain just that folder. When `dir` holds a single
+ * directory (archiver junk aside), its contents are moved up one level.
+ * @returns {string|null} name of the folder that was hoisted
+ */
+const hoistSingleFolder = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    const real = entries.filter(entry => !JUNK_ENTRIES.has(entry.name));
+    if (real.length !== 1 || !real[0].isDirectory()) return null;
+
+    entries.filter(entry => JUNK_ENTRIES.has(entry.name))
+        .forEach(entry => fs.rmSync(path.join(dir, entry.name), { recursive: true, force: true }));
+
+    // Renamed first, so a child with the folder's own name (app/app/...) cannot collide with it
+    const wrapper = path.join(dir, `.hoist-${Date.now()}`);
+    fs.renameSync(path.join(dir, real[0].name), wrapper);
+    for (const name of fs.readdirSync(wrapper)) {
+        if (JUNK_ENTRIES.has(name)) continue;
+        fs.renameSync(path.join(wrapper, name), path.join(dir, name));
+    }
+    fs.rmSync(wrapper, { recursive: true, force: true });
+    return real[0].name;
+};
+
+const getDependencies = (pkg) => ({ ...(pkg && pkg.dependencies), ...(pkg && pkg.devDependencies) });
+
+/**
+ * @param {string} dir - root of the deployed files
+ * @returns {{ framework: string|null, reason: string|null, weak?: boolean }} null when nothing matched;
+ *   `weak` when only a bare package.json pointed at Node.js
+ */
+const detectFramework = (dir) => {
+    const has = name => fs.existsSync(path.join(dir, name));
+    const composer = has('composer.json') ? readJson(path.join(dir, 'composer.json')) : null;
+    const pkg = has('package.json') ? readJson(path.join(dir, 'package.json')) : null;
+    const deps = getDependencies(pkg);
+
+    const requiresLaravel = !!(composer && composer.require && composer.require['laravel/framework']);
+    if (has('artisan') && requiresLaravel) return { framework: FRAMEWORKS.LARAVEL, reason: 'artisan and laravel/framework in composer.json' };
+    if (has('artisan')) return { framework: FRAMEWORKS.LARAVEL, reason: 'artisan' };
+    if (requiresLaravel) return { framework: FRAMEWORKS.LARAVEL, reason: 'laravel/framework in composer.json' };
+
+    if (deps.next) return { framework: FRAMEWORKS.NEXTJS, reason: '"next" in package.json' };
+    if (deps['react-scripts']) return { framework: FRAMEWORKS.REACT, reason: '"react-scripts" in package.json' };
+    if (deps.vite) return { framework: FRAMEWORKS.REACT, reason: '"vite" in package.json' };
+    if (deps.react) return { framework: FRAMEWORKS.REACT, reason: '"react" in package.json' };
+
+    // PHP and static sites often carry a package.json just for asset tooling (Tailwind, Mix, ...)
+    if (has('index.php')) return { framework: FRAMEWORKS.PHP, reason: 'index.php' };
+    if (has('index.html') || has('index.htm')) return { framework: FRAMEWORKS.HTML, reason: 'index.html' };
+    if (pkg) return { framework: FRAMEWORKS.NODEJS, reason: 'package.json', weak: true };
+    return { framework: null, reason: null };
+};
+
+/**
+ * Things that will probably break the site once it is live, for the deploy response.
+ * @param {string} dir
+ * @param {string} framework
+ * @returns {string[]}
+ */
+const checkProject = (dir, framework) => {
+    const has = name => fs.existsSync(path.join(dir, name));
+    const pkg = has('package.json') ? readJson(path.join(dir, 'package.json')) : null;
+    const scripts = (pkg && pkg.scripts) || {};
+    const warnings = [];
+
+    if (has('package.json') && !pkg) warnings.push('package.json is not valid JSON');
+
+    switch (framework) {
+        case FRAMEWORKS.LARAVEL:
+            if (!has('.env')) {
+                warnings.push(has('.env.example')
+                    ? 'No .env file; copy .env.example to .env and set APP_KEY and the database settings'
+                    : 'No .env file; Laravel will not boot without one');
+            } else if (/^APP_KEY=\s*$/m.test(fs.readFileSync(path.join(dir, '.env'), 'utf8'))) {
+                warnings.push('APP_KEY in .env is empty; run php artisan key:generate');
+            }
+            if (!has('vendor')) warnings.push('No vendor folder; composer install has to run before the site works');
+            if (!has('public/index.php')) warnings.push('public/index.php is missing; the site is served from the public folder');
+            break;
+        case FRAMEWORKS.NEXTJS:
+        case FRAMEWORKS.REACT:
+            if (!scripts.build && !has('dist') && !has('build')) warnings.push('No "build" script in package.json and no dist/ or build/ folder');
+            break;
+        case FRAMEWORKS.NODEJS:
+            if (!scripts.start && !(pkg && pkg.main) && !has('index.js') && !has('server.js')) {
+                warnings.push('No "start" script or entry file (main, index.js, server.js) found');
+            }
+            if (!has('.env') && has('.env.example')) warnings.push('No .env file; copy .env.example to .env');
+            break;
+        case FRAMEWORKS.PHP:
+            if (!has('index.php')) warnings.push('No index.php in the site root');
+            break;
+        case FRAMEWORKS.HTML:
+            if (!has('index.html') && !has('index.htm')) warnings.push('No index.html in the site root');
+            break;
+        default:
+            break;
+    }
+    return warnings;
+};
+
+/**
+ * Detection plus warnings for a freshly extracted release.
+ * @param {string} dir
+ * @param {string} [requested] - framework chosen by the user, used when nothing (or only a bare
+ *   package.json) is detected
+ * @returns {{ framework: string, detected: string|null, reason: string|null, warnings: string[] }}
+ */
+const inspectProject = (dir, requested) => {
+    const { framework: detected, reason, weak } = detectFramework(dir);
+    const framework = (weak && requested) || detected || requested || FRAMEWORKS.HTML;
+    const warnings = [];
+    if (!detected) {
+        warnings.push(`Could not detect the framework; using ${framework}`);
+    } else if (requested && requested !== detected) {
+        warnings.push(weak
+            ? `Only a package.json was found, which does not override the selected ${requested}`
+            : `${requested} was selected but the files look like ${detected} (${reason})`);
+    }
+    return { framework, detected, reason, warnings: [...warnings, ...checkProject(dir, framework)] };
+};
+
+module.exports = {
+    FRAMEWORKS,
+    hoistSingleFolder,
+    detectFramework,
+    checkProject,
+    inspectProject
+};
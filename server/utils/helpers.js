@@ -63,6 +63,36 @@ const getSafePath = async (userId, siteName, relativePath) => {
     return { fullPath: safePath, siteDir, userDir, sshPath };
 };
 
+// Creates an Error carrying an HTTP status so controllers can answer with `e.status || 500`
+const httpError = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// A site row plus its owner's username, which every path under STORAGE_ROOT is built from
+const loadSiteWithOwner = async (siteId) => {
+    const [rows] = await pool.execute(
+        'SELECT s.*, u.username FROM sites s JOIN users u ON u.id = s.user_id WHERE s.id = ?',
+        [siteId]
+    );
+    if (rows.length === 0) throw httpError(404, 'Site not found');
+    return rows[0];
+};
+
+/**
+ * Returns a lock that runs the tasks given to it one at a time, in order; a failed task does not
+ * hold up the ones queued behind it.
+ */
+const createSerialQueue = () => {
+    let queue = Promise.resolve();
+    return (task) => {
+        const run = queue.then(task, task);
+        queue = run.catch(() => {});
+        return run;
+    };
+};
+
 const getCpuUsage = async () => {
     const startUsage = os.cpus().map(cpu => cpu.times);
     await new Promise(resolve => setTimeout(resolve, 100));
@@ -85,5 +115,8 @@ const getCpuUsage = async () => {
 module.exports = {
     ensureWritableDirSync,
     getSafePath,
-    getCpuUsage
+    getCpuUsage,
+    httpError,
+    loadSiteWithOwner,
+    createSerialQueue
 };
@@ -0,0 +1,43 @@
+const mysql = require('mysql2/promise');
+
+/**
+ * Credentials of the restricted MySQL user created for each panel user at registration.
+ * It only holds privileges on that user's own site databases (granted on deploy/createDatabase).
+ * The same scheme is shown to the user in the Database Manager's master credentials card.
+ *
+ * @param {string} userId
+ * @param {string} username
+ * @returns {{ user: string, password: string }}
+ */
+const getMysqlAccount = (userId, username) => {
+    const safeUsername = String(username).replace(/[^a-zA-Z0-9]/g, '');
+    return {
+        user: `sql_${safeUsername.toLowerCase()}`,
+        password: `kp_${String(userId).substring(0, 4)}@${safeUsername.substring(0, 3).toUpperCase()}#88`
+    };
+};
+
+/**
+ * Opens a dedicated connection as the site owner's MySQL user, so anything it runs is
+ * limited by MySQL's own grants rather than the panel's root pool. Only one statement
+ * per query is accepted (`multipleStatements` off).
+ *
+ * @param {{ id: string, username: string }} owner
+ * @param {string} dbName - Default database for the session.
+ */
+const connectAsOwner = (owner, dbName) => {
+    const account = getMysqlAccount(owner.id, owner.username);
+    return mysql.createConnection({
+        host: process.env.DB_HOST,
+        user: account.user,
+        password: account.password,
+        database: dbName,
+        multipleStatements: false,
+        connectTimeout: 10000
+    });
+};
+
+module.exports = {
+    getMysqlAccount,
+    connectAsOwner
+};
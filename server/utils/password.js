@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const derived = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+    return [HASH_PREFIX, N, r, p, salt.toString('hex'), derived.toString('hex')].join('$');
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+/**
+ * Checks a candidate password against a stored value.
+ * Rows created before hashing was introduced still hold plaintext; those verify
+ * by direct comparison and report `needsRehash` so the caller can upgrade them.
+ *
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+ */
+const verifyPassword = async (stored, candidate) => {
+    if (typeof stored !== 'string' || typeof candidate !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isHashed(stored)) {
+        const valid = safeEqual(Buffer.from(stored), Buffer.from(candidate));
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, saltHex, hashHex] = stored.split('$');
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scrypt(candidate, Buffer.from(saltHex, 'hex'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    const valid = safeEqual(derived, expected);
+
+    // Upgrade hashes made with weaker parameters than the current defaults
+    const outdated = Number(N) !== SCRYPT_PARAMS.N || Number(r) !== SCRYPT_PARAMS.r || Number(p) !== SCRYPT_PARAMS.p;
+    return { valid, needsRehash: valid && outdated };
+};
+
+/**
+ * Returns a human readable reason when the password violates the policy, or null when it is acceptable.
+ */
+const checkPasswordStrength = (password, username = '') => {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+        return `Password must be at least ${MIN_LENGTH} characters long`;
+    }
+    if (password.length > MAX_LENGTH) {
+        return `Password must be at most ${MAX_LENGTH} characters long`;
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+        return 'Password must contain both uppercase and lowercase letters';
+    }
+    if (!/[0-9]/.test(password)) {
+        return 'Password must contain at least one number';
+    }
+    if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+        return 'Password must not contain your username';
+    }
+    return null;
+};
+
+module.exports = {
+    isHashed,
+    hashPassword,
+    verifyPassword,
+    checkPasswordStrength
+};
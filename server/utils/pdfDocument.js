@@ -0,0 +1,111 @@
+/**
+ * Minimal single-page PDF writer (A4, built-in Helvetica fonts, text/lines/rectangles).
+ * Enough for receipts and invoices without pulling in a PDF library.
+ * Coordinates are in points from the TOP-left corner.
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths (1/1000 em) of ASCII 32..126 from the standard Helvetica AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Built-in fonts only cover WinAnsi; anything outside Latin-1 is replaced
+const toLatin1 = (text) => String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/([\\()])/g, '\\$1');
+
+const measureText = (text, size, bold = false) => {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let units = 0;
+    for (const char of toLatin1(text)) {
+        const code = char.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (units * size) / 1000;
+};
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+const parseColor = (hex) => {
+    const value = String(hex || '#000000').replace('#', '');
+    return [0, 2, 4].map(i => num(parseInt(value.substr(i, 2), 16) / 255)).join(' ');
+};
+
+/**
+ * @returns {{
+ *   width: number, height: number,
+ *   text: (x: number, y: number, text: string, opts?: { size?: number, bold?: boolean, color?: string, align?: 'left'|'right'|'center' }) => void,
+ *   line: (x1: number, y1: number, x2: number, y2: number, opts?: { width?: number, color?: string }) => void,
+ *   rect: (x: number, y: number, w: number, h: number, opts?: { fill?: string, stroke?: string }) => void,
+ *   measure: (text: string, size: number, bold?: boolean) => number,
+ *   toBuffer: (info?: { title?: string, author?: string }) => Buffer
+ * }}
+ */
+const createPdfDocument = () => {
+    const ops = [];
+
+    const text = (x, y, value, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) => {
+        const width = measureText(value, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        // PDF places text on its baseline; shift down so `y` is the top of the line
+        const baseline = PAGE_HEIGHT - y - size * 0.8;
+        ops.push(`BT ${parseColor(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(baseline)} Td (${escapeText(value)}) Tj ET`);
+    };
+
+    const line = (x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) => {
+        ops.push(`${parseColor(color)} RG ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+    };
+
+    const rect = (x, y, w, h, { fill = null, stroke = null } = {}) => {
+        const shape = `${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re`;
+        if (fill && stroke) ops.push(`${parseColor(fill)} rg ${parseColor(stroke)} RG ${shape} B`);
+        else if (fill) ops.push(`${parseColor(fill)} rg ${shape} f`);
+        else ops.push(`${parseColor(stroke)} RG ${shape} S`);
+    };
+
+    const toBuffer = ({ title = '', author = '' } = {}) => {
+        const content = ops.join('\n');
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) /Producer (KolabPanel) >>`
+        ];
+
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((body, i) => {
+            offsets.push(Buffer.byteLength(output, 'latin1'));
+            output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        return Buffer.from(output, 'latin1');
+    };
+
+    return { width: PAGE_WIDTH, height: PAGE_HEIGHT, text, line, rect, measure: measureText, toBuffer };
+};
+
+module.exports = { createPdfDocument, measureText };
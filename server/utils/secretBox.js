@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { ENV_ENCRYPTION_KEY } = require('../config/paths');
+const { httpError } = require('./helpers');
+
+/**
+ * AES-256-GCM for values the panel has to read back (site secrets), as opposed to passwords,
+ * which are hashed. Stored as `v1:<iv>:<tag>:<ciphertext>` in base64, so the format can change later.
+ */
+
+const VERSION = 'v1';
+const KEY = ENV_ENCRYPTION_KEY ? crypto.createHash('sha256').update(String(ENV_ENCRYPTION_KEY)).digest() : null;
+
+// There is deliberately no fallback key: one shipped with the code would protect nothing
+const getKey = () => {
+    if (!KEY) throw httpError(503, 'ENV_ENCRYPTION_KEY is not set on the server, so secret values cannot be stored or read');
+    return KEY;
+};
+
+const encryptSecret = (plain) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [version, iv, tag, data] = String(stored).split(':');
+    if (version !== VERSION || !iv || !tag || data === undefined) throw new Error('Unknown secret format');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encryptSecret, decryptSecret };
@@ -0,0 +1,201 @@
+const mysql = require('mysql2');
+const pool = require('../db');
+
+const DEFAULT_BATCH_SIZE = 250;
+
+// Keep JSON as raw text and dates exactly as stored so the dump round-trips without timezone drift
+const dumpTypeCast = (field, next) => {
+    if (field.type === 'JSON') return field.string('utf8');
+    return next();
+};
+
+// Writes to a stream while honouring backpressure. A stream closed while waiting (e.g. the
+// client aborted a download) never drains, so that rejects instead of hanging the dump.
+const writeTo = (output, chunk) => new Promise((resolve, reject) => {
+    if (output.destroyed) return reject(new Error('Output stream closed'));
+    if (output.write(chunk)) return resolve();
+
+    const settle = (err) => {
+        output.off('drain', onDrain);
+        output.off('close', onClose);
+        output.off('error', settle);
+        if (err) reject(err); else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('Output stream closed'));
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', settle);
+});
+
+/**
+ * Lists base tables and views in a database, in a stable order.
+ * @returns {Promise<Array<{ name: string, isView: boolean }>>}
+ */
+const listDumpableTables = async (dbName) => {
+    const [rows] = await pool.query(`SHOW FULL TABLES FROM ${mysql.escapeId(dbName)}`);
+    return rows
+        .map(r => {
+            const values = Object.values(r);
+            return { name: values[0], isView: values[1] === 'VIEW' };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const getInsertableColumns = async (connection, dbName, tableName) => {
+    const [cols] = await connection.execute(
+        `SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND EXTRA NOT LIKE '%GENERATED%'
+         ORDER BY ORDINAL_POSITION`,
+        [dbName, tableName]
+    );
+    return cols.map(c => c.name);
+};
+
+const dumpTableRows = async (connection, dbName, tableName, output, batchSize) => {
+    const columns = await getInsertableColumns(connection, dbName, tableName);
+    if (columns.length === 0) return 0;
+
+    const columnList = columns.map(c => mysql.escapeId(c)).join(', ');
+    const insertPrefix = `INSERT INTO ${mysql.escapeId(tableName)} (${columnList}) VALUES\n`;
+
+    // Stream rows through the underlying callback connection to avoid buffering whole tables
+    const stream = connection.connection.query({
+        sql: `SELECT ${columnList} FROM ${mysql.escapeId(dbName)}.${mysql.escapeId(tableName)}`,
+        rowsAsArray: true,
+        dateStrings: true,
+        supportBigNumbers: true,
+        bigNumberStrings: true,
+        typeCast: dumpTypeCast
+    }).stream({ highWaterMark: batchSize });
+
+    let batch = [];
+    let total = 0;
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await writeTo(output, `${insertPrefix}${batch.join(',\n')};\n`);
+        batch = [];
+    };
+
+    try {
+        for await (const row of stream) {
+            batch.push(`(${row.map(v => mysql.escape(v)).join(', ')})`);
+            total++;
+            if (batch.length >= batchSize) await flush();
+        }
+        await flush();
+    } finally {
+        stream.destroy();
+    }
+
+    return total;
+};
+
+/**
+ * Streams a mysqldump-compatible SQL dump of a database into a writable stream.
+ * The output stream is not ended, so callers can wrap it (gzip, file, HTTP response).
+ *
+ * @param {string} dbName - Real MySQL database name.
+ * @param {import('stream').Writable} output - Destination stream.
+ * @param {Object} [options]
+ * @param {boolean} [options.structure=true] - Emit DROP/CREATE statements.
+ * @param {boolean} [options.data=true] - Emit INSERT statements.
+ * @param {string[]} [options.tables] - Restrict the dump to these tables.
+ * @param {number} [options.batchSize=250] - Rows per INSERT statement.
+ * @returns {Promise<{ tables: number, rows: number }>}
+ */
+const dumpDatabase = async (dbName, output, options = {}) => {
+    const {
+        structure = true,
+        data = true,
+        tables: selectedTables,
+        batchSize = DEFAULT_BATCH_SIZE
+    } = options;
+
+    const available = await listDumpableTables(dbName);
+    let targets = available;
+    if (Array.isArray(selectedTables) && selectedTables.length > 0) {
+        const unknown = selectedTables.filter(t => !available.some(a => a.name === t));
+        if (unknown.length > 0) throw new Error(`Unknown table(s): ${unknown.join(', ')}`);
+        targets = available.filter(a => selectedTables.includes(a.name));
+    }
+
+    // Views depend on tables, so they are created last
+    const baseTables = targets.filter(t => !t.isView);
+    const views = targets.filter(t => t.isView);
+
+    const connection = await pool.getConnection();
+    let rowCount = 0;
+    let failed = false;
+    try {
+        await writeTo(output, [
+            '-- KolabPanel SQL Dump',
+            `-- Database: ${dbName}`,
+            `-- Generated: ${new Date().toISOString()}`,
+            `-- Content: ${[structure && 'structure', data && 'data'].filter(Boolean).join(' + ')}`,
+            '',
+            'SET NAMES utf8mb4;',
+            'SET FOREIGN_KEY_CHECKS = 0;',
+            "SET SQL_MODE = 'NO_AUTO_VALUE_ON_ZERO';",
+            '',
+            ''
+        ].join('\n'));
+
+        for (const table of baseTables) {
+            const qualified = `${mysql.escapeId(dbName)}.${mysql.escapeId(table.name)}`;
+
+            if (structure) {
+                const [[createRow]] = await connection.query(`SHOW CREATE TABLE ${qualified}`);
+                await writeTo(output, [
+                    '--',
+                    `-- Table structure for ${mysql.escapeId(table.name)}`,
+                    '--',
+                    `DROP TABLE IF EXISTS ${mysql.escapeId(table.name)};`,
+                    `${createRow['Create Table']};`,
+                    '',
+                    ''
+                ].join('\n'));
+            }
+
+            if (data) {
+                await writeTo(output, `--\n-- Data for ${mysql.escapeId(table.name)}\n--\n`);
+                rowCount += await dumpTableRows(connection, dbName, table.name, output, batchSize);
+                await writeTo(output, '\n');
+            }
+        }
+
+        if (structure) {
+            for (const view of views) {
+                const [[createRow]] = await connection.query(
+                    `SHOW CREATE VIEW ${mysql.escapeId(dbName)}.${mysql.escapeId(view.name)}`
+                );
+                // Strip DEFINER so the view can be restored under a different MySQL user
+                const createView = createRow['Create View'].replace(/\sDEFINER=`[^`]+`@`[^`]+`/, '');
+                await writeTo(output, [
+                    '--',
+                    `-- View structure for ${mysql.escapeId(view.name)}`,
+                    '--',
+                    `DROP VIEW IF EXISTS ${mysql.escapeId(view.name)};`,
+                    `${createView};`,
+                    '',
+                    ''
+                ].join('\n'));
+            }
+        }
+
+        await writeTo(output, 'SET FOREIGN_KEY_CHECKS = 1;\n');
+    } catch (err) {
+        failed = true;
+        throw err;
+    } finally {
+        // An abandoned row stream may still be arriving on the connection; never hand that back to the pool
+        if (failed) connection.destroy(); else connection.release();
+    }
+
+    return { tables: targets.length, rows: rowCount };
+};
+
+module.exports = {
+    dumpDatabase,
+    listDumpableTables
+};
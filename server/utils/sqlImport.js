@@ -0,0 +1,162 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+const AdmZip = require('adm-zip');
+const { httpError } = require('./helpers');
+const { connectAsOwner } = require('./mysqlAccount');
+const { splitSqlStream } = require('./sqlSplitter');
+
+const MAX_REPORTED_FAILURES = 100;
+const EXCERPT_LENGTH = 200;
+
+// Statements that would escape the target database; dumps made with --databases contain them
+const SKIPPED_STATEMENT = /^(USE\s|(CREATE|DROP|ALTER)\s+(DATABASE|SCHEMA)\b)/i;
+
+// Statements that cause an implicit COMMIT in MySQL, so the import can no longer be rolled back
+const IMPLICIT_COMMIT = /^(CREATE|ALTER|DROP|TRUNCATE|RENAME|LOCK|UNLOCK|GRANT|REVOKE|START\s+TRANSACTION|BEGIN|COMMIT)\b/i;
+
+const SQL_FILE_PATTERN = /\.(sql|sql\.gz|gz|zip)$/i;
+
+// adm-zip reads archives and entries into memory, unlike .sql and .gz files, which are streamed from disk
+const MAX_ZIP_BYTES = 100 * 1024 * 1024;
+
+const excerpt = (sql) => (sql.length > EXCERPT_LENGTH ? `${sql.slice(0, EXCERPT_LENGTH)}...` : sql);
+
+/**
+ * Executes a stream of SQL text against a database statement by statement.
+ *
+ * Statements run in order on one connection inside a transaction. When the script
+ * contains DDL, MySQL commits implicitly and the import is reported as non-transactional.
+ * The connection is the site owner's MySQL user, so a dump can only reach what its grants
+ * allow (e.g. not `UPDATE otherdb.users ...`); the panel's root pool is never used.
+ *
+ * @param {{ id: string, username: string }} owner - Owner of the target database.
+ * @param {string} dbName - Target database.
+ * @param {import('stream').Readable} readable - SQL text (already decompressed).
+ * @param {Object} [options]
+ * @param {boolean} [options.continueOnError=false] - Keep going after a failing statement.
+ * @param {(progress: Object) => void} [options.onProgress] - Called after each statement.
+ * @returns {Promise<Object>} import report
+ */
+const importSqlStream = async (owner, dbName, readable, options = {}) => {
+    const { continueOnError = false, onProgress } = options;
+    const startedAt = Date.now();
+
+    const report = {
+        statements: 0,
+        executed: 0,
+        failedCount: 0,
+        failed: [],
+        skipped: [],
+        transactional: true,
+        aborted: false,
+        rolledBack: false,
+        durationMs: 0
+    };
+
+    let connection;
+    try {
+        connection = await connectAsOwner(owner, dbName);
+    } catch (err) {
+        console.error('[Database] Restricted connection failed:', err.message);
+        throw httpError(502, 'Could not connect with the site database user');
+    }
+    try {
+        await connection.query('START TRANSACTION');
+
+        for await (const statement of splitSqlStream(readable)) {
+            report.statements++;
+
+            if (SKIPPED_STATEMENT.test(statement.sql)) {
+                report.skipped.push({ line: statement.line, statement: excerpt(statement.sql) });
+                continue;
+            }
+            if (IMPLICIT_COMMIT.test(statement.sql)) report.transactional = false;
+
+            try {
+                await connection.query(statement.sql);
+                report.executed++;
+            } catch (err) {
+                report.failedCount++;
+                if (report.failed.length < MAX_REPORTED_FAILURES) {
+                    report.failed.push({
+                        line: statement.line,
+                        statement: excerpt(statement.sql),
+                        code: err.code,
+                        message: err.sqlMessage || err.message
+                    });
+                }
+                if (!continueOnError) {
+                    report.aborted = true;
+                    break;
+                }
+            }
+
+            if (onProgress) {
+                onProgress({ statements: report.statements, executed: report.executed, failed: report.failedCount, line: statement.line });
+            }
+        }
+
+        if (report.aborted) {
+            await connection.query('ROLLBACK');
+            report.rolledBack = report.transactional;
+        } else {
+            await connection.query('COMMIT');
+        }
+    } finally {
+        // A dedicated connection; the script may have changed its session state
+        connection.destroy();
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    return report;
+};
+
+/**
+ * Opens an uploaded dump as a readable stream of SQL text.
+ * Supports plain `.sql`, gzip (`.sql.gz`) and `.zip` archives containing a `.sql` (or `.sql.gz`) file.
+ *
+ * @param {string} filePath - Path of the uploaded file on disk.
+ * @param {string} originalName - Name the client uploaded it with (used to pick the format).
+ * @returns {{ stream: import('stream').Readable, totalBytes: number, bytesRead: () => number }}
+ */
+const openSqlFile = (filePath, originalName = '') => {
+    const name = originalName.toLowerCase();
+    const totalBytes = fs.statSync(filePath).size;
+
+    if (name.endsWith('.zip')) {
+        const tooLarge = httpError(413, `Zip archives are limited to ${MAX_ZIP_BYTES / 1024 / 1024} MB unpacked; upload larger dumps as .sql or .sql.gz`);
+        if (totalBytes > MAX_ZIP_BYTES) throw tooLarge;
+
+        const zip = new AdmZip(filePath);
+        const entry = zip.getEntries().find(e => !e.isDirectory && /\.sql(\.gz)?$/i.test(e.entryName));
+        if (!entry) throw httpError(400, 'Zip archive does not contain a .sql file');
+        // Uncompressed size from the central directory, checked before anything is inflated
+        if (entry.header.size > MAX_ZIP_BYTES) throw tooLarge;
+
+        const data = Readable.from([entry.getData()]);
+        const stream = /\.gz$/i.test(entry.entryName) ? pipeline(data, zlib.createGunzip(), () => {}) : data;
+        return { stream, totalBytes, bytesRead: () => totalBytes };
+    }
+
+    let read = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            read += chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    // pipeline() forwards errors from any stage to the last stream, which the importer consumes
+    const stages = [fs.createReadStream(filePath), counter];
+    if (name.endsWith('.gz')) stages.push(zlib.createGunzip());
+    const stream = pipeline(...stages, () => {});
+
+    return { stream, totalBytes, bytesRead: () => read };
+};
+
+module.exports = {
+    SQL_FILE_PATTERN,
+    importSqlStream,
+    openSqlFile
+};
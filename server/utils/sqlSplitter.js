@@ -0,0 +1,173 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Incremental SQL statement splitter.
+ *
+ * Feed it text chunks of any size; it yields complete statements together with the
+ * line number where each statement starts. It understands:
+ *  - `DELIMITER xx` directives (as used by mysqldump for triggers/procedures)
+ *  - single, double and backtick quoted strings (with backslash and doubled-quote escapes)
+ *  - `-- `, `#` and `/* *\/` comments (`/*! ... *\/` versioned comments are kept, MySQL executes them)
+ *
+ * Input is processed line by line, so chunk boundaries never split a token.
+ */
+const createSqlSplitter = () => {
+    const state = {
+        delimiter: ';',
+        quote: null,          // active quote char: ' " `
+        blockComment: false,
+        buffer: '',
+        hasContent: false,    // buffer holds more than whitespace/comments
+        startLine: 0,
+        lineNo: 0,
+        pending: ''           // incomplete trailing line
+    };
+
+    const markContent = () => {
+        if (!state.hasContent) {
+            state.hasContent = true;
+            state.startLine = state.lineNo;
+        }
+    };
+
+    const emit = (out) => {
+        if (state.hasContent) {
+            out.push({ sql: state.buffer.trim(), line: state.startLine });
+        }
+        state.buffer = '';
+        state.hasContent = false;
+    };
+
+    const processLine = (line, out) => {
+        state.lineNo++;
+        if (state.lineNo === 1) line = line.replace(/^\uFEFF/, '');
+
+        // DELIMITER is a client directive: only valid outside strings/comments at statement start
+        if (!state.quote && !state.blockComment && !state.hasContent) {
+            const directive = line.match(/^\s*DELIMITER\s+(\S+)/i);
+            if (directive) {
+                state.delimiter = directive[1];
+                state.buffer = '';
+                return;
+            }
+        }
+
+        let i = 0;
+        const len = line.length;
+        while (i < len) {
+            const ch = line[i];
+
+            if (state.quote) {
+                if (ch === '\\' && state.quote !== '`') {
+                    state.buffer += line.substr(i, 2);
+                    i += 2;
+                    continue;
+                }
+                if (ch === state.quote) {
+                    if (line[i + 1] === state.quote) {
+                        state.buffer += ch + ch;
+                        i += 2;
+                        continue;
+                    }
+                    state.quote = null;
+                }
+                state.buffer += ch;
+                i++;
+                continue;
+            }
+
+            if (state.blockComment) {
+                const end = line.indexOf('*/', i);
+                if (end === -1) {
+                    state.buffer += line.slice(i);
+                    i = len;
+                } else {
+                    state.buffer += line.slice(i, end + 2);
+                    state.blockComment = false;
+                    i = end + 2;
+                }
+                continue;
+            }
+
+            if (line.startsWith(state.delimiter, i)) {
+                emit(out);
+                i += state.delimiter.length;
+                continue;
+            }
+
+            // Line comments are dropped entirely
+            if (ch === '-' && line[i + 1] === '-' && (i + 2 >= len || /\s/.test(line[i + 2]))) break;
+            if (ch === '#') break;
+
+            if (ch === '/' && line[i + 1] === '*') {
+                if (line[i + 2] === '!') markContent();
+                state.blockComment = true;
+                state.buffer += '/*';
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                markContent();
+                state.quote = ch;
+            } else if (!/\s/.test(ch)) {
+                markContent();
+            }
+
+            state.buffer += ch;
+            i++;
+        }
+
+        if (state.buffer) state.buffer += '\n';
+    };
+
+    return {
+        /**
+         * @param {string} text
+         * @returns {Array<{ sql: string, line: number }>} statements completed by this chunk
+         */
+        write(text) {
+            const out = [];
+            const lines = (state.pending + text).split('\n');
+            state.pending = lines.pop();
+            for (const line of lines) processLine(line.replace(/\r$/, ''), out);
+            return out;
+        },
+
+        /** Flushes the trailing line and any statement missing its final delimiter. */
+        end() {
+            const out = [];
+            if (state.pending) processLine(state.pending.replace(/\r$/, ''), out);
+            state.pending = '';
+            emit(out);
+            return out;
+        },
+
+        get line() {
+            return state.lineNo;
+        }
+    };
+};
+
+/**
+ * Splits a readable stream of SQL text into statements without loading it into memory.
+ * @param {import('stream').Readable} readable
+ * @returns {AsyncGenerator<{ sql: string, line: number }>}
+ */
+async function* splitSqlStream(readable) {
+    const splitter = createSqlSplitter();
+    const decoder = new StringDecoder('utf8');
+
+    for await (const chunk of readable) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        yield* splitter.write(text);
+    }
+
+    yield* splitter.write(decoder.end());
+    yield* splitter.end();
+}
+
+module.exports = {
+    createSqlSplitter,
+    splitSqlStream
+};
@@ -0,0 +1,148 @@
+const mysql = require('mysql2');
+const { httpError } = require('./helpers');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+const COMPARISON_OPS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const FILTER_OPS = [...Object.keys(COMPARISON_OPS), 'like', 'between', 'in', 'null', 'notnull'];
+
+const parseJsonParam = (raw, name) => {
+    if (raw === undefined || raw === '') return undefined;
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        throw httpError(400, `Invalid JSON in '${name}' parameter`);
+    }
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor, expectedLength) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Array.isArray(values) && values.length === expectedLength) return values;
+    } catch (e) { /* fall through */ }
+    throw httpError(400, 'Invalid pagination cursor');
+};
+
+/**
+ * Turns client filters into a parameterized WHERE clause.
+ * Filter shape: `{ column, op, value }` where op is one of FILTER_OPS.
+ *  - `like` wraps the value in `%...%` unless it already contains a wildcard
+ *  - `between` takes `[min, max]`; either bound may be null for an open range
+ */
+const buildFilterClause = (filters, columnNames) => {
+    const conditions = [];
+    const params = [];
+
+    (filters || []).forEach((filter) => {
+        const { column, op = 'eq', value } = filter || {};
+        if (!columnNames.includes(column)) throw httpError(400, `Unknown column '${column}'`);
+        if (!FILTER_OPS.includes(op)) throw httpError(400, `Unsupported filter operator '${op}'`);
+
+        const col = mysql.escapeId(column);
+        if (COMPARISON_OPS[op]) {
+            conditions.push(`${col} ${COMPARISON_OPS[op]} ?`);
+            params.push(value);
+        } else if (op === 'like') {
+            const pattern = String(value ?? '');
+            conditions.push(`${col} LIKE ?`);
+            params.push(/[%_]/.test(pattern) ? pattern : `%${pattern}%`);
+        } else if (op === 'between') {
+            const [min, max] = Array.isArray(value) ? value : [];
+            if (min === undefined && max === undefined) throw httpError(400, `Range filter on '${column}' needs [min, max]`);
+            if (min !== undefined && min !== null) { conditions.push(`${col} >= ?`); params.push(min); }
+            if (max !== undefined && max !== null) { conditions.push(`${col} <= ?`); params.push(max); }
+        } else if (op === 'in') {
+            if (!Array.isArray(value) || value.length === 0) throw httpError(400, `'in' filter on '${column}' needs a non-empty array`);
+            conditions.push(`${col} IN (${value.map(() => '?').join(', ')})`);
+            params.push(...value);
+        } else if (op === 'null') {
+            conditions.push(`${col} IS NULL`);
+        } else if (op === 'notnull') {
+            conditions.push(`${col} IS NOT NULL`);
+        }
+    });
+
+    return { conditions, params };
+};
+
+/**
+ * Builds the SELECT/COUNT statements for one page of a table.
+ *
+ * Offset pagination works for any table. Keyset pagination (`cursor`) orders by the
+ * sort column followed by the primary key as a tiebreaker, so it needs a primary key.
+ *
+ * @param {string} dbName
+ * @param {{ name: string, columns: Object[], primaryKey: string[] }} table - from describeTable()
+ * @param {Object} query - raw req.query (limit, offset, cursor, sort, order, filters)
+ */
+const buildPageQuery = (dbName, table, query) => {
+    const columnNames = table.columns.map(c => c.name);
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    const order = String(query.order || 'asc').toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+    const sort = query.sort || null;
+    if (sort && !columnNames.includes(sort)) throw httpError(400, `Unknown sort column '${sort}'`);
+
+    const filters = parseJsonParam(query.filters, 'filters');
+    if (filters !== undefined && !Array.isArray(filters)) throw httpError(400, "'filters' must be an array");
+    const { conditions, params } = buildFilterClause(filters, columnNames);
+
+    const orderColumns = [];
+    if (sort) orderColumns.push(sort);
+    table.primaryKey.forEach(k => { if (!orderColumns.includes(k)) orderColumns.push(k); });
+
+    const keysetCapable = table.primaryKey.length > 0;
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (query.cursor) {
+        if (!keysetCapable) throw httpError(400, 'Keyset pagination requires a table with a primary key');
+        const values = decodeCursor(query.cursor, orderColumns.length);
+        const tuple = orderColumns.map(c => mysql.escapeId(c)).join(', ');
+        pageConditions.push(`(${tuple}) ${order === 'ASC' ? '>' : '<'} (${values.map(() => '?').join(', ')})`);
+        pageParams.push(...values);
+    }
+
+    const from = `${mysql.escapeId(dbName)}.${mysql.escapeId(table.name)}`;
+    const where = (list) => (list.length ? ` WHERE ${list.join(' AND ')}` : '');
+    const orderBy = orderColumns.length
+        ? ` ORDER BY ${orderColumns.map(c => `${mysql.escapeId(c)} ${order}`).join(', ')}`
+        : '';
+
+    // Fetch one extra row to know whether another page exists
+    const select = {
+        sql: `SELECT * FROM ${from}${where(pageConditions)}${orderBy} LIMIT ${limit + 1}${query.cursor ? '' : ` OFFSET ${offset}`}`,
+        params: pageParams
+    };
+    const count = { sql: `SELECT COUNT(*) AS total FROM ${from}${where(conditions)}`, params };
+
+    return {
+        select,
+        count,
+        limit,
+        offset: query.cursor ? null : offset,
+        sort: { column: sort, order: order.toLowerCase() },
+        // Given the fetched rows, trims the lookahead row and computes the next cursor
+        paginate(rows) {
+            const hasMore = rows.length > limit;
+            const data = hasMore ? rows.slice(0, limit) : rows;
+            const last = data[data.length - 1];
+            const nextCursor = hasMore && keysetCapable && last
+                ? encodeCursor(orderColumns.map(c => last[c]))
+                : null;
+            return { data, hasMore, nextCursor };
+        }
+    };
+};
+
+module.exports = {
+    FILTER_OPS,
+    buildFilterClause,
+    buildPageQuery
+};
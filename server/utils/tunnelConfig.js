@@ -0,0 +1,78 @@
+/**
+ * Renders the `cloudflared` ingress config (config.yml) for the tunnel routes stored in the panel,
+ * plus the checks a route has to pass before it is saved.
+ * cloudflared matches ingress rules top to bottom and requires the last one to be a catch-all.
+ */
+
+const HOSTNAME_PATTERN = /^(\*\.)?(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const SERVICE_PATTERNS = [
+    /^(https?|wss?|tcp|ssh|rdp|smb):\/\/[^\s/]+(\/\S*)?$/,
+    /^unix(\+tls)?:\S+$/,
+    /^http_status:[1-5]\d\d$/,
+    /^(hello_world|bastion)$/
+];
+const DEFAULT_CATCH_ALL = 'http_status:404';
+
+const normalizeHostname = (hostname) => String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+
+/**
+ * @param {string} hostname
+ * @param {string[]} domains - names from the `domains` table; the host must be one of them or below one
+ * @returns {string|null} why the host name cannot be routed, or null when it is fine
+ */
+const validateTunnelHostname = (hostname, domains) => {
+    const host = normalizeHostname(hostname);
+    if (!HOSTNAME_PATTERN.test(host)) return `"${hostname}" is not a valid host name`;
+
+    const bare = host.replace(/^\*\./, '');
+    const zones = domains.map(normalizeHostname);
+    if (!zones.some(zone => bare === zone || bare.endsWith(`.${zone}`))) {
+        return `"${host}" is not under a domain managed by the panel (${zones.join(', ') || 'none configured'})`;
+    }
+    return null;
+};
+
+const validateTunnelService = (service) => {
+    const value = String(service || '').trim();
+    if (!SERVICE_PATTERNS.some(pattern => pattern.test(value))) {
+        return `"${value}" is not a valid tunnel service (e.g. http://localhost:80, tcp://localhost:22 or http_status:404)`;
+    }
+    return null;
+};
+
+// YAML scalar: plain when unambiguous, otherwise a JSON string (which is valid double-quoted YAML)
+const yamlValue = (value) => (/^[A-Za-z0-9][\w.:/@-]*$/.test(value) ? value : JSON.stringify(value));
+
+// Exact host names before wildcards, so `*.example.com` does not swallow `app.example.com`
+const sortRoutes = (routes) => [...routes].sort((a, b) => {
+    const wildA = a.hostname.startsWith('*.');
+    const wildB = b.hostname.startsWith('*.');
+    if (wildA !== wildB) return wildA ? 1 : -1;
+    return a.hostname.localeCompare(b.hostname);
+});
+
+/**
+ * @param {{ routes: { hostname: string, service: string }[], tunnel?: string, credentialsFile?: string, catchAll?: string }} options
+ * @returns {string} config.yml content
+ */
+const renderTunnelConfig = ({ routes, tunnel, credentialsFile, catchAll = DEFAULT_CATCH_ALL }) => {
+    const lines = ['# Generated by KolabPanel from the tunnels table; manual edits are overwritten.'];
+    if (tunnel) lines.push(`tunnel: ${yamlValue(tunnel)}`);
+    if (credentialsFile) lines.push(`credentials-file: ${yamlValue(credentialsFile)}`);
+    if (lines.length > 1) lines.push('');
+
+    lines.push('ingress:');
+    for (const route of sortRoutes(routes)) {
+        lines.push(`  - hostname: ${yamlValue(route.hostname)}`);
+        lines.push(`    service: ${yamlValue(route.service)}`);
+    }
+    lines.push(`  - service: ${yamlValue(catchAll || DEFAULT_CATCH_ALL)}`);
+    return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+    normalizeHostname,
+    validateTunnelHostname,
+    validateTunnelService,
+    renderTunnelConfig
+};
@@ -1,5 +1,5 @@
-import { User, HostingPlan, Domain, Payment, SupportTicket, ChatMessage, TunnelRoute, TerminalAction, DiscountCode, PaymentStatus } from '../../../types';
-import { fetchWithMockFallback, handleResponse, API_URL, TUNNEL_API_URL, APACHE_API_URL, getAuthHeaders, getAuthHeadersMultipart, isBackendOffline, setBackendOffline } from '../core';
+import { User, HostingPlan, PlanPriceChange, Domain, Payment, SupportTicket, ChatMessage, TunnelRoute, ApacheVhost, ApacheVhostChanges, TerminalAction, DiscountCode, PaymentStatus, BillingCycle, SubscriptionOverview } from '../../../types';
+import { fetchWithMockFallback, handleResponse, API_URL, TUNNEL_API_URL, getAuthHeaders, getAuthHeadersMultipart, isBackendOffline, setBackendOffline } from '../core';
 import { delay, getStorage, setStorage, DB_KEYS, INITIAL_USERS, INITIAL_PLANS, INITIAL_DOMAINS, INITIAL_TUNNELS } from '../../mockData';
 
 export const adminApi = {
@@ -90,13 +90,14 @@ export const adminApi = {
             async () => { await delay(300); return getStorage(DB_KEYS.PAYMENTS, []); }
         );
     },
-    verifyPayment: async (id: string, status: any) => {
+    // Rejections need a reason; it is sent to the user in a support ticket
+    verifyPayment: async (id: string, status: any, reason?: string) => {
          return fetchWithMockFallback(
             async () => {
                 const res = await fetch(`${API_URL}/admin/payments/${id}/verify`, {
                     method: 'PUT',
                     headers: getAuthHeaders(),
-                    body: JSON.stringify({ status })
+                    body: JSON.stringify({ status, reason })
                 });
                 return handleResponse(res);
             },
@@ -106,6 +107,8 @@ export const adminApi = {
                 const p = payments.find(x => x.id === id);
                 if (p) { 
                     p.status = status; 
+                    p.rejectionReason = status === 'REJECTED' ? reason || null : null;
+                    p.reviewedAt = new Date().toISOString();
                     setStorage(DB_KEYS.PAYMENTS, payments); 
                     if (status === 'VERIFIED') {
                         const users = getStorage<User[]>(DB_KEYS.USERS, INITIAL_USERS);
@@ -118,18 +121,68 @@ export const adminApi = {
         );
     },
     discounts: {
-        list: async () => { return delay(getStorage(DB_KEYS.DISCOUNTS, [])); },
-        create: async (code: string, type: 'PERCENT' | 'FIXED', value: number, validPlans: string[]) => { 
-            await delay(200); 
-            const discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
-            discounts.push({ id: `d_${Date.now()}`, code, type, value, validPlans });
-            setStorage(DB_KEYS.DISCOUNTS, discounts);
+        list: async (): Promise<DiscountCode[]> => {
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/discounts`, { headers: getAuthHeaders() });
+                    return handleResponse(res);
+                },
+                async () => { await delay(200); return getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []); }
+            );
+        },
+        create: async (code: string, type: 'PERCENT' | 'FIXED', value: number, validPlans: string[], options: { expiresAt?: string | null; maxUses?: number | null } = {}) => { 
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/discounts`, {
+                        method: 'POST',
+                        headers: getAuthHeaders(),
+                        body: JSON.stringify({ code, type, value, validPlans, ...options })
+                    });
+                    return handleResponse(res);
+                },
+                async () => {
+                    await delay(200); 
+                    const discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
+                    const created: DiscountCode = { id: `d_${Date.now()}`, code, type, value, validPlans, ...options, usedCount: 0, isActive: true };
+                    discounts.push(created);
+                    setStorage(DB_KEYS.DISCOUNTS, discounts);
+                    return created;
+                }
+            );
+        },
+        update: async (id: string, changes: Partial<DiscountCode>) => {
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/discounts/${id}`, {
+                        method: 'PUT',
+                        headers: getAuthHeaders(),
+                        body: JSON.stringify(changes)
+                    });
+                    return handleResponse(res);
+                },
+                async () => {
+                    await delay(200);
+                    const discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
+                    const idx = discounts.findIndex(d => d.id === id);
+                    if (idx !== -1) { discounts[idx] = { ...discounts[idx], ...changes }; setStorage(DB_KEYS.DISCOUNTS, discounts); }
+                    return discounts[idx];
+                }
+            );
         },
         delete: async (id: string) => { 
-            await delay(200); 
-            let discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
-            discounts = discounts.filter(d => d.id !== id);
-            setStorage(DB_KEYS.DISCOUNTS, discounts);
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/discounts/${id}`, { method: 'DELETE', headers: getAuthHeaders() });
+                    return handleResponse(res);
+                },
+                async () => {
+                    await delay(200); 
+                    let discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
+                    discounts = discounts.filter(d => d.id !== id);
+                    setStorage(DB_KEYS.DISCOUNTS, discounts);
+                    return { success: true };
+                }
+            );
         }
     },
     getTunnelAnalytics: async (limit: number) => {
@@ -237,10 +290,12 @@ export const adminApi = {
             }
         );
     },
-    deletePlan: async (id: string) => {
+    // Anything still on the plan (users, subscriptions, pending payments, coupons) must be moved with `migrateTo` (another plan id), otherwise the server refuses
+    deletePlan: async (id: string, migrateTo?: string) => {
          return fetchWithMockFallback(
             async () => {
-                const res = await fetch(`${API_URL}/plans/${id}`, {
+                const query = migrateTo ? `?migrateTo=${encodeURIComponent(migrateTo)}` : '';
+                const res = await fetch(`${API_URL}/plans/${id}${query}`, {
                     method: 'DELETE',
                     headers: getAuthHeaders()
                 });
@@ -255,6 +310,15 @@ export const adminApi = {
             }
         );
     },
+    getPlanPriceHistory: async (id: string): Promise<PlanPriceChange[]> => {
+         return fetchWithMockFallback(
+            async () => {
+                const res = await fetch(`${API_URL}/plans/${id}/price-history`, { headers: getAuthHeaders() });
+                return handleResponse(res);
+            },
+            async () => { await delay(200); return []; }
+        );
+    },
     // CLOUDFLARE TUNNEL INTEGRATION
     tunnels: {
         list: async (): Promise<TunnelRoute[]> => {
@@ -348,107 +412,110 @@ export const adminApi = {
              return true;
         }
     },
-    // APACHE CONFIG MANAGER
+    // APACHE CONFIG MANAGER (sites folder or the single Laragon vhosts file)
     apache: {
         listSites: async (): Promise<string[]> => {
-            try {
-                const res = await fetch(`${APACHE_API_URL}/sites`);
-                if (!res.ok) throw new Error();
-                return res.json();
-            } catch (e) {
-                return delay(['000-default.conf', 'api-server.conf', 'apache-manager.conf']);
-            }
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/apache/sites`, { headers: getAuthHeaders() });
+                    return handleResponse(res);
+                },
+                async () => delay(['000-default.conf', 'api-server.conf', 'apache-manager.conf'])
+            );
         },
-        getSite: async (name: string): Promise<{content: string}> => {
-             try {
-                 const res = await fetch(`${APACHE_API_URL}/sites/${name}`);
-                 if (!res.ok) throw new Error();
-                 return res.json();
-             } catch (e) {
-                 return delay({ content: '# Error fetching content' });
-             }
+        getSite: async (name: string): Promise<{content: string, vhosts?: Omit<ApacheVhost, 'file'>[]}> => {
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/apache/sites/${encodeURIComponent(name)}`, { headers: getAuthHeaders() });
+                    return handleResponse(res);
+                },
+                async () => delay({ content: '# Error fetching content' })
+            );
         },
         createSite: async (filename: string, content: string) => {
-            try {
-                const res = await fetch(`${APACHE_API_URL}/sites`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ filename, content })
-                });
-                if (!res.ok) {
-                    const err = await res.json();
-                    throw new Error(err.error || 'Failed to create site');
-                }
-                return await res.json();
-            } catch (e: any) {
-                throw new Error(e.message);
-            }
+            const res = await fetch(`${API_URL}/admin/apache/sites`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ filename, content })
+            });
+            return handleResponse(res);
         },
         updateSite: async (name: string, content: string) => {
-             try {
-                const res = await fetch(`${APACHE_API_URL}/sites/${name}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ content })
-                });
-                if (!res.ok) {
-                    const err = await res.json();
-                    throw new Error(err.error || 'Failed to update site');
-                }
-                return await res.json();
-            } catch (e: any) {
-                throw new Error(e.message);
-            }
+            const res = await fetch(`${API_URL}/admin/apache/sites/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ content })
+            });
+            return handleResponse(res);
         },
         deleteSite: async (name: string) => {
-            try {
-                const res = await fetch(`${APACHE_API_URL}/sites/${name}`, {
-                    method: 'DELETE'
-                });
-                if (!res.ok) {
-                    const err = await res.json();
-                    throw new Error(err.error || 'Failed to delete site');
-                }
-                return await res.json();
-            } catch (e: any) {
-                throw new Error(e.message);
-            }
+            const res = await fetch(`${API_URL}/admin/apache/sites/${encodeURIComponent(name)}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders()
+            });
+            return handleResponse(res);
+        },
+        // Restores the version saved before the last write
+        rollbackSite: async (name: string) => {
+            const res = await fetch(`${API_URL}/admin/apache/sites/${encodeURIComponent(name)}/rollback`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+            return handleResponse(res);
+        },
+        // Individual VirtualHost blocks, addressed by file + position within it
+        listVhosts: async (): Promise<ApacheVhost[]> => {
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/apache/vhosts`, { headers: getAuthHeaders() });
+                    return handleResponse(res);
+                },
+                async () => delay([])
+            );
+        },
+        getVhost: async (file: string, index: number): Promise<ApacheVhost> => {
+            const res = await fetch(`${API_URL}/admin/apache/vhosts/${encodeURIComponent(file)}/${index}`, { headers: getAuthHeaders() });
+            return handleResponse(res);
+        },
+        // Pass the checksum of the version being edited as `ifMatch` to avoid overwriting someone else's change
+        updateVhost: async (file: string, index: number, changes: ApacheVhostChanges): Promise<{ vhost: ApacheVhost }> => {
+            const res = await fetch(`${API_URL}/admin/apache/vhosts/${encodeURIComponent(file)}/${index}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(changes)
+            });
+            return handleResponse(res);
+        },
+        deleteVhost: async (file: string, index: number) => {
+            const res = await fetch(`${API_URL}/admin/apache/vhosts/${encodeURIComponent(file)}/${index}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders()
+            });
+            return handleResponse(res);
         },
         getHttpd: async (): Promise<{content: string}> => {
-            try {
-                const res = await fetch(`${APACHE_API_URL}/httpd`);
-                if (!res.ok) throw new Error();
-                return res.json();
-            } catch (e) {
-                return delay({ content: '# Fallback httpd.conf\nListen 80' });
-            }
+            return fetchWithMockFallback(
+                async () => {
+                    const res = await fetch(`${API_URL}/admin/apache/httpd`, { headers: getAuthHeaders() });
+                    return handleResponse(res);
+                },
+                async () => delay({ content: '# Fallback httpd.conf\nListen 80' })
+            );
         },
         updateHttpd: async (content: string) => {
-             try {
-                const res = await fetch(`${APACHE_API_URL}/httpd`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ content })
-                });
-                if (!res.ok) {
-                    const err = await res.json();
-                    throw new Error(err.error || 'Failed to update httpd.conf');
-                }
-                return await res.json();
-            } catch (e: any) {
-                throw new Error(e.message);
-            }
+            const res = await fetch(`${API_URL}/admin/apache/httpd`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ content })
+            });
+            return handleResponse(res);
         },
         reload: async () => {
-             try {
-                const res = await fetch(`${APACHE_API_URL}/apache/reload`, {
-                    method: 'POST'
-                });
-                if (!res.ok) throw new Error('Reload failed');
-                return await res.json();
-            } catch (e: any) {
-                throw new Error(e.message);
-            }
+            const res = await fetch(`${API_URL}/admin/apache/reload`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+            return handleResponse(res);
         }
     }
 };
@@ -582,6 +649,8 @@ export const ticketsApi = {
       }
 };
 
+const MOCK_PROOF_IMAGE = 'https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?q=80&w=1000&auto=format&fit=crop';
+
 export const billingApi = {
       getHistory: async (userId: string) => {
            return fetchWithMockFallback(
@@ -596,7 +665,24 @@ export const billingApi = {
               }
           );
       },
-      submitPayment: async (userId: string, username: string, plan: string, amount: number, method: 'BANK' | 'QR', proofFile: File) => {
+      getSubscription: async (userId: string): Promise<SubscriptionOverview> => {
+           return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/subscriptions/${userId}`, { headers: getAuthHeaders() });
+                  return handleResponse(res);
+              },
+              async () => {
+                  await delay(200);
+                  const user = getStorage<User[]>(DB_KEYS.USERS, INITIAL_USERS).find(u => u.id === userId);
+                  const expiresAt = user?.planExpiresAt || null;
+                  const daysRemaining = expiresAt ? Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 86400000)) : null;
+                  return { plan: user?.plan || 'Basic', expiresAt, daysRemaining, current: null, history: [] };
+              }
+          );
+      },
+      // The server recomputes the amount from the plan, cycle, coupon and unique code; `amount` is only used offline
+      submitPayment: async (userId: string, username: string, plan: string, amount: number, method: 'BANK' | 'QR', proofFile: File, options: { billingCycle?: BillingCycle; couponCode?: string; uniqueCode?: number } = {}) => {
+           const { billingCycle = 'monthly', couponCode, uniqueCode = 0 } = options;
            return fetchWithMockFallback(
               async () => {
                   const formData = new FormData();
@@ -605,6 +691,9 @@ export const billingApi = {
                   formData.append('plan', plan);
                   formData.append('amount', String(amount));
                   formData.append('method', method);
+                  formData.append('billingCycle', billingCycle);
+                  formData.append('uniqueCode', String(uniqueCode));
+                  if (couponCode) formData.append('couponCode', couponCode);
                   formData.append('proof', proofFile);
 
                   const res = await fetch(`${API_URL}/payments`, {
@@ -624,6 +713,8 @@ export const billingApi = {
                       amount,
                       plan,
                       method,
+                      billingCycle,
+                      discountCode: couponCode || null,
                       status: PaymentStatus.PENDING,
                       date: new Date().toISOString(),
                       proofUrl: 'mock_proof_url.jpg'
@@ -633,13 +724,41 @@ export const billingApi = {
               }
           );
       },
-      validateCoupon: async (code: string): Promise<DiscountCode> => {
-          await delay(300);
-          const discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
-          const found = discounts.find(d => d.code === code);
-          if (found) return found;
-          if (code === 'KOLABFREE') return { id: 'promo_free', code, type: 'PERCENT', value: 100, validPlans: [] };
-          throw new Error('Invalid coupon code');
+      validateCoupon: async (code: string, plan: string, billingCycle: BillingCycle = 'monthly'): Promise<DiscountCode> => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/discounts/validate`, {
+                      method: 'POST',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify({ code, plan, billingCycle })
+                  });
+                  const result = await handleResponse(res);
+                  return result.discount;
+              },
+              async () => {
+                  await delay(300);
+                  const discounts = getStorage<DiscountCode[]>(DB_KEYS.DISCOUNTS, []);
+                  const found = discounts.find(d => d.code === code);
+                  if (found) return found;
+                  if (code === 'KOLABFREE') return { id: 'promo_free', code, type: 'PERCENT', value: 100, validPlans: [] };
+                  throw new Error('Invalid coupon code');
+              }
+          );
+      },
+      // Proofs are only served to their owner and admins, so the image is fetched with auth into an object URL.
+      // Callers revoke the returned URL when it differs from `payment.proofUrl`.
+      getProofImage: async (payment: Payment): Promise<string> => {
+          const url = payment.proofUrl;
+          if (!url || url === 'mock_proof_url.jpg') return MOCK_PROOF_IMAGE;
+          if (url.startsWith('http') || url.startsWith('blob:')) return url;
+          const res = await fetch(`${API_URL}/payments/${payment.id}/proof`, { headers: getAuthHeaders() });
+          if (!res.ok) throw new Error('Failed to load payment proof');
+          return URL.createObjectURL(await res.blob());
+      },
+      downloadInvoice: async (paymentId: string) => {
+          const res = await fetch(`${API_URL}/payments/${paymentId}/invoice`, { headers: getAuthHeaders() });
+          if (!res.ok) throw new Error('Failed to download invoice');
+          return res.blob();
       }
 };
 
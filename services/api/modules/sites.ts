@@ -4,6 +4,291 @@ import { fetchWithMockFallback, handleResponse, API_URL, getAuthHeaders, getAuth
 import { delay, getStorage, setStorage, DB_KEYS } from '../../mockData';
 import { getMockFiles } from '../../../constants';
 
+export interface TableFilter {
+    column: string;
+    op: 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'like' | 'between' | 'in' | 'null' | 'notnull';
+    value?: any;
+}
+
+export interface TableQuery {
+    limit?: number;
+    offset?: number;
+    cursor?: string; // keyset pagination: pass pagination.nextCursor from the previous page
+    sort?: string;
+    order?: 'asc' | 'desc';
+    filters?: TableFilter[];
+}
+
+export interface TablePagination {
+    total: number;
+    limit: number;
+    offset: number | null; // null for cursor pages
+    hasMore: boolean;
+    nextCursor: string | null;
+}
+
+export interface ColumnSpec {
+    name: string;
+    type: string;
+    length?: number;
+    scale?: number;
+    values?: string[];
+    unsigned?: boolean;
+    nullable?: boolean;
+    default?: string | number | boolean | null | { expression: 'CURRENT_TIMESTAMP' };
+    onUpdateCurrentTimestamp?: boolean;
+    autoIncrement?: boolean;
+    collation?: string;
+    comment?: string;
+    first?: boolean;
+    after?: string;
+}
+
+export interface IndexSpec {
+    name?: string;
+    type?: 'INDEX' | 'UNIQUE' | 'FULLTEXT' | 'PRIMARY';
+    columns: (string | { name: string; length?: number; order?: 'asc' | 'desc' })[];
+}
+
+export interface ForeignKeySpec {
+    name?: string;
+    columns: string[];
+    references: { table: string; columns: string[] };
+    onDelete?: 'RESTRICT' | 'CASCADE' | 'SET NULL' | 'NO ACTION';
+    onUpdate?: 'RESTRICT' | 'CASCADE' | 'SET NULL' | 'NO ACTION';
+}
+
+export interface TableSpec {
+    name: string;
+    columns: ColumnSpec[];
+    primaryKey?: string[];
+    indexes?: IndexSpec[];
+    foreignKeys?: ForeignKeySpec[];
+    engine?: 'InnoDB' | 'MyISAM';
+    collation?: string;
+    comment?: string;
+}
+
+export interface SchemaIndex {
+    name: string;
+    primary: boolean;
+    unique: boolean;
+    type: string;
+    columns: { name: string; length: number | null; order: 'asc' | 'desc' }[];
+}
+
+export interface SchemaForeignKey {
+    name: string;
+    columns: string[];
+    references: { schema: string; table: string; columns: string[] };
+    onUpdate: string;
+    onDelete: string;
+}
+
+export interface SchemaTable {
+    tableName: string;
+    type: 'TABLE' | 'VIEW';
+    engine: string | null;
+    collation: string | null;
+    comment: string;
+    columns: { name: string; type: string; dataType: string; collation: string | null; null: 'YES' | 'NO'; nullable: boolean; key: string; default: string | null; extra: string; comment: string }[];
+    primaryKey: string[];
+    indexes: SchemaIndex[];
+    foreignKeys: SchemaForeignKey[];
+    stats: { rowsEstimate: number; avgRowLength: number; dataSize: number; indexSize: number; totalSize: number; autoIncrement: number | null; createdAt: string | null; updatedAt: string | null };
+}
+
+export interface SchemaRelationship {
+    name: string;
+    source: string;
+    sourceColumns: string[];
+    target: string;
+    targetColumns: string[];
+    crossDatabase: boolean;
+    cardinality: '1:1' | 'N:1';
+    onDelete: string;
+    onUpdate: string;
+}
+
+export interface DatabaseSchema {
+    database: string;
+    tables: SchemaTable[];
+    relationships: SchemaRelationship[];
+}
+
+export interface BackupSchedule {
+    frequency: 'daily' | 'weekly' | 'off';
+    hour: number;
+    weekday: number; // 0 = Sunday
+    lastRunAt: string | null;
+    nextRunAt: string | null;
+}
+
+export interface DatabaseBackup {
+    id: string;
+    siteId: string;
+    databaseName: string;
+    fileName: string | null;
+    size: number; // bytes
+    source: 'manual' | 'scheduled' | 'pre-restore';
+    status: 'COMPLETED' | 'FAILED';
+    error: string | null;
+    createdAt: string;
+}
+
+export interface SiteDeployment {
+    id: string;
+    siteId: string;
+    releaseId: string;
+    action: 'deploy' | 'rollback';
+    source: 'upload' | 'placeholder' | 'git' | null;
+    fileName: string | null;
+    commitSha: string | null;
+    size: number; // bytes
+    status: 'SUCCESS' | 'FAILED';
+    error: string | null;
+    createdBy: string | null;
+    createdAt: string;
+}
+
+export interface SiteRelease {
+    id: string; // UTC timestamp, e.g. 20261019093015123
+    createdAt: string;
+    current: boolean;
+}
+
+export interface DeploymentOverview {
+    currentRelease: string | null;
+    keep: number; // releases kept for rollback, the live one included
+    git: { url: string; branch: string; commit: string | null } | null; // null for zip-deployed sites
+    releases: SiteRelease[];
+    deployments: SiteDeployment[];
+}
+
+// What the deployed files look like; returned by deploy and redeploy
+export interface FrameworkDetection {
+    framework: string; // framework the site uses
+    detected: string | null; // null when nothing matched
+    reason: string | null; // e.g. '"next" in package.json'
+    hoistedFolder: string | null; // single top-level folder of the zip that was unwrapped
+    warnings: string[];
+}
+
+export interface GitCommit {
+    sha: string;
+    shortSha: string;
+    author: string;
+    date: string;
+    subject: string;
+}
+
+export interface IncomingCommits {
+    url: string;
+    branch: string;
+    currentCommit: string | null;
+    head: string;
+    upToDate: boolean;
+    commits: GitCommit[]; // newest first
+}
+
+export interface BuildStep {
+    id: number;
+    key: string; // command id from SAFE_COMMANDS
+    label: string;
+    command: string;
+    executionMode: 'ssh' | 'local';
+    status: 'PENDING' | 'RUNNING' | 'SUCCESS' | 'FAILED' | 'SKIPPED' | 'CANCELLED';
+    error: string | null;
+    startedAt: string | null;
+    finishedAt: string | null;
+    log?: string; // only when a single build is fetched
+}
+
+// Post-deploy pipeline run; the site is DEPLOYING while it is RUNNING
+export interface SiteBuild {
+    id: string;
+    siteId: string;
+    deploymentId: string | null;
+    framework: string;
+    status: 'RUNNING' | 'SUCCESS' | 'FAILED';
+    error: string | null;
+    createdBy: string | null;
+    startedAt: string;
+    finishedAt: string | null;
+    steps: BuildStep[];
+}
+
+export interface SiteEnvVariable {
+    name: string;
+    // Secrets always come back masked; sending the mask back keeps the stored value
+    value: string;
+    secret: boolean;
+    // DB_* keys filled in from the site's database; read-only
+    managed: boolean;
+    updatedAt: string;
+}
+
+export interface SiteEnvOverview {
+    variables: SiteEnvVariable[];
+    file: { exists: boolean; inSync: boolean };
+    written?: boolean;
+}
+
+export interface BackupOverview {
+    backups: DatabaseBackup[];
+    schedule: BackupSchedule;
+    retention: number;
+    storage: { usedMB: number; backupsMB: number; limitMB: number | null };
+}
+
+// Schema designer calls share one shape; with preview the server only returns the generated SQL
+const schemaRequest = (siteId: string, method: string, path: string, body: object = {}, preview = false) => {
+    return fetchWithMockFallback(
+        async () => {
+            const res = await fetch(`${API_URL}/sites/${siteId}/db/tables${path}${preview ? '?preview=true' : ''}`, {
+                method,
+                headers: getAuthHeaders(),
+                body: JSON.stringify(body)
+            });
+            return handleResponse(res);
+        },
+        async () => { await delay(300); return preview ? { preview: true, statements: [] } : { success: true, statements: [], table: null }; }
+    );
+};
+
+export interface QuotaValues {
+    sites: number | null;
+    storageMB: number | null;
+    databases: number | null;
+}
+
+// `null` limits/remaining mean the plan does not restrict that resource
+export interface Quota {
+    plan: string | null;
+    limits: QuotaValues;
+    usage: { sites: number; databases: number; storageMB: number; sitesStorageMB: number; releasesMB: number; backupsMB: number };
+    remaining: QuotaValues;
+}
+
+export interface StorageFolder {
+    name: string;
+    type: 'folder' | 'files';
+    bytes: number;
+    files: number;
+}
+
+export interface SiteStorageUsage {
+    siteId: string;
+    totalBytes: number;
+    filesBytes: number;
+    fileCount: number;
+    databaseBytes: number;
+    folders: StorageFolder[];
+    scannedAt: string | null;
+}
+
+const tablePath = (tableName: string) => `/${encodeURIComponent(tableName)}`;
+
 export const sitesApi = {
     list: async (userId: string) => {
         return fetchWithMockFallback(
@@ -18,6 +303,29 @@ export const sitesApi = {
             }
         );
     },
+    getQuota: async (userId: string): Promise<Quota | null> => {
+        return fetchWithMockFallback(
+            async () => {
+                const res = await fetch(`${API_URL}/sites/quota?userId=${userId}`, { headers: getAuthHeaders() });
+                return handleResponse(res);
+            },
+            async () => { await delay(200); return null; }
+        );
+    },
+    getStorageUsage: async (siteId: string, refresh = false): Promise<SiteStorageUsage> => {
+        return fetchWithMockFallback(
+            async () => {
+                const res = await fetch(`${API_URL}/sites/${siteId}/storage${refresh ? '?refresh=true' : ''}`, { headers: getAuthHeaders() });
+                return handleResponse(res);
+            },
+            async () => {
+                await delay(300);
+                const site = getStorage<Site[]>(DB_KEYS.SITES, []).find(s => s.id === siteId);
+                const bytes = Math.round((site?.storageUsed || 0) * 1024 * 1024);
+                return { siteId, totalBytes: bytes, filesBytes: bytes, fileCount: 0, databaseBytes: 0, folders: [], scannedAt: null };
+            }
+        );
+    },
     deploy: async (formData: FormData) => {
          return fetchWithMockFallback(
             async () => {
@@ -113,6 +421,93 @@ export const sitesApi = {
                 return { success: true };
             }
         );
+    },
+    getDeployments: async (siteId: string): Promise<DeploymentOverview> => {
+        return fetchWithMockFallback(
+            async () => {
+                const res = await fetch(`${API_URL}/sites/${siteId}/deployments`, { headers: getAuthHeaders() });
+                return handleResponse(res);
+            },
+            async () => { await delay(300); return { currentRelease: null, keep: 5, git: null, releases: [], deployments: [] }; }
+        );
+    },
+    // Uploads a new version of an existing site; it goes live only once fully extracted
+    redeploy: async (siteId: string, file: File) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        const res = await fetch(`${API_URL}/sites/${siteId}/deploy`, {
+            method: 'POST',
+            headers: getAuthHeadersMultipart(),
+            body: formData
+        });
+        return handleResponse(res);
+    },
+    rollback: async (siteId: string, releaseId: string) => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/rollback/${releaseId}`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(res);
+    },
+    getBuilds: async (siteId: string): Promise<SiteBuild[]> => {
+        return fetchWithMockFallback(
+            async () => {
+                const res = await fetch(`${API_URL}/sites/${siteId}/builds`, { headers: getAuthHeaders() });
+                return handleResponse(res);
+            },
+            async () => { await delay(300); return []; }
+        );
+    },
+    // Includes each step's log; poll while the build is RUNNING
+    getBuild: async (siteId: string, buildId: string): Promise<SiteBuild> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/builds/${buildId}`, { headers: getAuthHeaders() });
+        return handleResponse(res);
+    },
+    rebuild: async (siteId: string): Promise<{ success: boolean; message: string; build: SiteBuild | null }> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/builds`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(res);
+    },
+    // Git-deployed sites: fetches the branch and lists what a pull would deploy
+    getIncomingCommits: async (siteId: string): Promise<IncomingCommits> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/git/incoming`, { headers: getAuthHeaders() });
+        return handleResponse(res);
+    },
+    pullAndRedeploy: async (siteId: string) => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/git/pull`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(res);
+    },
+    getEnv: async (siteId: string): Promise<SiteEnvOverview> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/env`, { headers: getAuthHeaders() });
+        return handleResponse(res);
+    },
+    setEnv: async (siteId: string, variables: { name: string; value: string; secret?: boolean }[]): Promise<SiteEnvOverview> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/env`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ variables })
+        });
+        return handleResponse(res);
+    },
+    unsetEnv: async (siteId: string, name: string): Promise<SiteEnvOverview> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/env/${encodeURIComponent(name)}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(res);
+    },
+    // Rewrites the site's .env from the stored variables
+    syncEnv: async (siteId: string): Promise<SiteEnvOverview> => {
+        const res = await fetch(`${API_URL}/sites/${siteId}/env/sync`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(res);
     }
 };
 
@@ -157,19 +552,27 @@ export const databaseApi = {
               async () => { await delay(200); return []; }
           );
       },
-      getSchema: async (siteId: string) => {
+      getSchema: async (siteId: string): Promise<DatabaseSchema> => {
           return fetchWithMockFallback(
               async () => {
                   const res = await fetch(`${API_URL}/sites/${siteId}/db/schema`, { headers: getAuthHeaders() });
                   return handleResponse(res);
               },
-              async () => { await delay(200); return []; }
+              async () => { await delay(200); return { database: '', tables: [], relationships: [] }; }
           );
       },
-      getTableData: async (siteId: string, tableName: string) => {
+      getTableData: async (siteId: string, tableName: string, query: TableQuery = {}) => {
           return fetchWithMockFallback(
               async () => {
-                  const res = await fetch(`${API_URL}/sites/${siteId}/db/tables/${tableName}`, { headers: getAuthHeaders() });
+                  const params = new URLSearchParams();
+                  if (query.limit) params.set('limit', String(query.limit));
+                  if (query.offset) params.set('offset', String(query.offset));
+                  if (query.cursor) params.set('cursor', query.cursor);
+                  if (query.sort) params.set('sort', query.sort);
+                  if (query.order) params.set('order', query.order);
+                  if (query.filters && query.filters.length) params.set('filters', JSON.stringify(query.filters));
+                  const qs = params.toString() ? `?${params}` : '';
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/tables/${encodeURIComponent(tableName)}${qs}`, { headers: getAuthHeaders() });
                   return handleResponse(res);
               },
               async () => {
@@ -186,10 +589,102 @@ export const databaseApi = {
               }
           );
       },
-      export: async (siteId: string) => {
+      insertRow: async (siteId: string, tableName: string, values: Record<string, any>) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/tables/${encodeURIComponent(tableName)}/rows`, {
+                      method: 'POST',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify({ values })
+                  });
+                  return handleResponse(res);
+              },
+              async () => { await delay(300); return { success: true, affectedRows: 1 }; }
+          );
+      },
+      updateRow: async (siteId: string, tableName: string, key: Record<string, any>, values: Record<string, any>) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/tables/${encodeURIComponent(tableName)}/rows`, {
+                      method: 'PUT',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify({ key, values })
+                  });
+                  return handleResponse(res);
+              },
+              async () => { await delay(300); return { success: true, affectedRows: 1 }; }
+          );
+      },
+      deleteRows: async (siteId: string, tableName: string, keys: Record<string, any>[]) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/tables/${encodeURIComponent(tableName)}/rows`, {
+                      method: 'DELETE',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify({ keys })
+                  });
+                  return handleResponse(res);
+              },
+              async () => { await delay(300); return { success: true, affectedRows: 1 }; }
+          );
+      },
+      createTable: async (siteId: string, spec: TableSpec, preview = false) =>
+          schemaRequest(siteId, 'POST', '', spec, preview),
+      dropTable: async (siteId: string, tableName: string, preview = false) =>
+          schemaRequest(siteId, 'DELETE', tablePath(tableName), {}, preview),
+      renameTable: async (siteId: string, tableName: string, newName: string, preview = false) =>
+          schemaRequest(siteId, 'POST', `${tablePath(tableName)}/rename`, { newName }, preview),
+      truncateTable: async (siteId: string, tableName: string, preview = false) =>
+          schemaRequest(siteId, 'POST', `${tablePath(tableName)}/truncate`, {}, preview),
+      addColumn: async (siteId: string, tableName: string, column: ColumnSpec, preview = false) =>
+          schemaRequest(siteId, 'POST', `${tablePath(tableName)}/columns`, column, preview),
+      modifyColumn: async (siteId: string, tableName: string, columnName: string, column: ColumnSpec, preview = false) =>
+          schemaRequest(siteId, 'PUT', `${tablePath(tableName)}/columns/${encodeURIComponent(columnName)}`, column, preview),
+      dropColumn: async (siteId: string, tableName: string, columnName: string, preview = false) =>
+          schemaRequest(siteId, 'DELETE', `${tablePath(tableName)}/columns/${encodeURIComponent(columnName)}`, {}, preview),
+      addIndex: async (siteId: string, tableName: string, index: IndexSpec, preview = false) =>
+          schemaRequest(siteId, 'POST', `${tablePath(tableName)}/indexes`, index, preview),
+      dropIndex: async (siteId: string, tableName: string, indexName: string, preview = false) =>
+          schemaRequest(siteId, 'DELETE', `${tablePath(tableName)}/indexes/${encodeURIComponent(indexName)}`, {}, preview),
+      addForeignKey: async (siteId: string, tableName: string, foreignKey: ForeignKeySpec, preview = false) =>
+          schemaRequest(siteId, 'POST', `${tablePath(tableName)}/foreign-keys`, foreignKey, preview),
+      dropForeignKey: async (siteId: string, tableName: string, constraintName: string, preview = false) =>
+          schemaRequest(siteId, 'DELETE', `${tablePath(tableName)}/foreign-keys/${encodeURIComponent(constraintName)}`, {}, preview),
+      runQuery: async (siteId: string, sql: string, options: { readOnly?: boolean; maxRows?: number } = {}) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/query`, {
+                      method: 'POST',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify({ sql, ...options })
+                  });
+                  return handleResponse(res);
+              },
+              async () => {
+                  await delay(300);
+                  return { success: true, type: 'ok', columns: [], rows: [], rowCount: 0, truncated: false, affectedRows: 0, readOnly: !!options.readOnly, durationMs: 0 };
+              }
+          );
+      },
+      getQueryHistory: async (siteId: string, limit: number = 50) => {
           return fetchWithMockFallback(
               async () => {
-                  const res = await fetch(`${API_URL}/sites/${siteId}/db/export`, { headers: getAuthHeaders() });
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/query/history?limit=${limit}`, { headers: getAuthHeaders() });
+                  return handleResponse(res);
+              },
+              async () => { await delay(200); return { history: [], nextBefore: null }; }
+          );
+      },
+      export: async (siteId: string, options: { structure?: boolean; data?: boolean; tables?: string[]; gzip?: boolean } = {}) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const params = new URLSearchParams();
+                  if (options.structure === false) params.set('structure', 'false');
+                  if (options.data === false) params.set('data', 'false');
+                  if (options.tables && options.tables.length) params.set('tables', options.tables.join(','));
+                  if (options.gzip) params.set('gzip', 'true');
+                  const query = params.toString() ? `?${params}` : '';
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/export${query}`, { headers: getAuthHeaders() });
                   if (!res.ok) throw new Error("Failed to export database");
                   return res.blob();
               },
@@ -200,10 +695,13 @@ export const databaseApi = {
               }
           );
       },
-      import: async (siteId: string, file: File) => {
+      import: async (siteId: string, file: File, options: { importId?: string; continueOnError?: boolean } = {}) => {
           return fetchWithMockFallback(
               async () => {
                   const formData = new FormData();
+                  // Fields must precede the file so the server sees them while streaming the upload
+                  if (options.importId) formData.append('importId', options.importId);
+                  if (options.continueOnError) formData.append('continueOnError', 'true');
                   formData.append('file', file);
                   const res = await fetch(`${API_URL}/sites/${siteId}/db/import`, {
                       method: 'POST',
@@ -217,6 +715,67 @@ export const databaseApi = {
                   return { success: true, message: `Imported ${file.name} successfully.` };
               }
           );
+      },
+      listBackups: async (siteId: string): Promise<BackupOverview> => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/backups`, { headers: getAuthHeaders() });
+                  return handleResponse(res);
+              },
+              async () => {
+                  await delay(300);
+                  return { backups: [], schedule: { frequency: 'daily', hour: 2, weekday: 0, lastRunAt: null, nextRunAt: null }, retention: 3, storage: { usedMB: 0, backupsMB: 0, limitMB: null } };
+              }
+          );
+      },
+      createBackup: async (siteId: string) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/backups`, { method: 'POST', headers: getAuthHeaders() });
+                  return handleResponse(res);
+              },
+              async () => { await delay(1000); return { success: true }; }
+          );
+      },
+      updateBackupSchedule: async (siteId: string, schedule: Partial<Pick<BackupSchedule, 'frequency' | 'hour' | 'weekday'>>) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/backups/schedule`, {
+                      method: 'PUT',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify(schedule)
+                  });
+                  return handleResponse(res);
+              },
+              async () => { await delay(300); return { success: true, schedule }; }
+          );
+      },
+      downloadBackup: async (siteId: string, backupId: string) => {
+          const res = await fetch(`${API_URL}/sites/${siteId}/db/backups/${backupId}/download`, { headers: getAuthHeaders() });
+          if (!res.ok) throw new Error('Failed to download backup');
+          return res.blob();
+      },
+      restoreBackup: async (siteId: string, backupId: string, options: { snapshot?: boolean } = {}) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/backups/${backupId}/restore`, {
+                      method: 'POST',
+                      headers: getAuthHeaders(),
+                      body: JSON.stringify(options)
+                  });
+                  return handleResponse(res);
+              },
+              async () => { await delay(1500); return { success: true, message: 'Backup restored.' }; }
+          );
+      },
+      deleteBackup: async (siteId: string, backupId: string) => {
+          return fetchWithMockFallback(
+              async () => {
+                  const res = await fetch(`${API_URL}/sites/${siteId}/db/backups/${backupId}`, { method: 'DELETE', headers: getAuthHeaders() });
+                  return handleResponse(res);
+              },
+              async () => { await delay(300); return { success: true }; }
+          );
       }
 };
 
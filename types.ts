@@ -55,6 +55,10 @@ export interface Site {
   createdAt: string;
   storageUsed: number; // in MB
   hasDatabase?: boolean; // New field to track database requirement
+  currentRelease?: string | null; // live release id (see sitesApi.getDeployments)
+  gitUrl?: string | null; // set when deployed from a git repository
+  gitBranch?: string | null;
+  gitCommit?: string | null; // commit the live release was built from
 }
 
 export interface Payment {
@@ -64,9 +68,39 @@ export interface Payment {
   amount: number;
   plan: string;
   method: 'BANK' | 'QR';
+  billingCycle?: BillingCycle;
+  originalAmount?: number;
+  discountCode?: string | null;
+  discountAmount?: number;
   status: PaymentStatus;
   date: string;
   proofUrl: string;
+  invoiceNumber?: string | null;
+  reviewedBy?: string | null;
+  reviewedAt?: string | null;
+  rejectionReason?: string | null;
+}
+
+export type BillingCycle = 'monthly' | 'yearly';
+
+export interface Subscription {
+  id: string;
+  userId: string;
+  plan: string;
+  billingCycle: BillingCycle;
+  status: 'ACTIVE' | 'RENEWED' | 'REPLACED' | 'EXPIRED';
+  paymentId: string | null;
+  startsAt: string;
+  endsAt: string;
+  daysRemaining: number;
+}
+
+export interface SubscriptionOverview {
+  plan: string;
+  expiresAt: string | null; // null on the free default plan
+  daysRemaining: number | null;
+  current: Subscription | null;
+  history: Subscription[];
 }
 
 export interface SupportTicket {
@@ -105,10 +139,22 @@ export interface HostingPlan {
     sites: number;
     storage: number; // in MB
     databases: number;
+    backupRetention?: number; // backups kept per site
   };
   isPopular?: boolean;
 }
 
+export interface PlanPriceChange {
+  id: number;
+  planId: string;
+  planName: string;
+  oldPrice: number | null; // null for the price set at creation
+  newPrice: number;
+  currency: string;
+  changedBy: string;
+  changedAt: string;
+}
+
 export interface FileNode {
   id: string;
   name: string;
@@ -143,9 +189,48 @@ export interface DiscountCode {
   type: 'PERCENT' | 'FIXED';
   value: number;
   validPlans: string[];
+  expiresAt?: string | null;
+  maxUses?: number | null; // null = unlimited
+  usedCount?: number;
+  isActive?: boolean;
 }
 
 export interface TunnelRoute {
   hostname: string;
   service: string;
+}
+
+export interface ApacheDirective {
+  name: string;
+  args: string[];
+}
+
+// One <VirtualHost> block parsed out of a site config file (or Laragon's shared httpd-vhosts.conf)
+export interface ApacheVhost {
+  file: string;
+  index: number;
+  address: string;
+  serverName: string | null;
+  serverAliases: string[];
+  documentRoot: string | null;
+  directories: { path: string | null; directives: ApacheDirective[] }[];
+  proxyPass: { path: string | null; url: string | null }[];
+  proxyPassReverse: { path: string | null; url: string | null }[];
+  directives: ApacheDirective[];
+  siteId: string | null;
+  startLine: number;
+  endLine: number;
+  checksum: string;
+  raw: string;
+}
+
+export interface ApacheVhostChanges {
+  address?: string;
+  serverName?: string | null;
+  serverAliases?: string[];
+  documentRoot?: string | null;
+  proxyPass?: { path: string; url: string }[];
+  proxyPassReverse?: { path: string; url: string }[];
+  raw?: string;
+  ifMatch?: string;
 }
\ No newline at end of file